@@ -0,0 +1,27 @@
+const authService = require('../services/authService');
+
+// Require a valid access token - because apparently "anyone on the internet" is not a permission model
+const requireAuth = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Authentication required - send a Bearer access token'
+    });
+  }
+
+  try {
+    req.user = await authService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({
+      error: 'Authentication required - your session has expired or is invalid',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  requireAuth
+};
@@ -0,0 +1,28 @@
+const { validationResult } = require('express-validator');
+
+// Validation middleware - because apparently some people send garbage data
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed - because apparently data validation is optional',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// A date that `new Date()` can actually read. isISO8601 on its own waves week and ordinal dates
+// ('2024-W05', '2024-123') through, and those turn into an Invalid Date by the time they reach a query.
+// Chain it after the field: isoDate(query('from').optional(), 'From must be a valid ISO 8601 date')
+const isoDate = (chain, message) => chain
+  .isISO8601({ strict: true })
+  .withMessage(message)
+  .bail()
+  .custom(value => !isNaN(Date.parse(value)))
+  .withMessage(message);
+
+module.exports = {
+  handleValidationErrors,
+  isoDate
+};
@@ -0,0 +1,47 @@
+const Workspace = require('../models/Workspace');
+const workspaceService = require('../services/workspaceService');
+
+// Work out which workspace a request is for - the X-Workspace-Id header, or the caller's
+// personal workspace when there isn't one. Sets req.workspace and req.actor (the user plus
+// their workspace and role), which is what the services scope everything by.
+const resolveWorkspace = async (req, res, next) => {
+  try {
+    const { workspace, role } = await workspaceService.resolveMembership(
+      req.get('X-Workspace-Id') || req.query.workspaceId,
+      req.user
+    );
+
+    req.workspace = workspace.toJSON();
+    req.actor = { ...req.user, workspaceId: workspace.id, role };
+    next();
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Workspace not found - or you\'re not a member of it',
+        message: error.message
+      });
+    }
+
+    console.error('Error resolving workspace:', error);
+    res.status(500).json({
+      error: 'Failed to resolve workspace - because apparently something went wrong',
+      message: error.message
+    });
+  }
+};
+
+// Insist the caller's role allows an action - must run after resolveWorkspace
+const requirePermission = (action) => (req, res, next) => {
+  if (!req.actor || !Workspace.can(req.actor.role, action)) {
+    return res.status(403).json({
+      error: 'Not allowed - your role in this workspace can\'t do that',
+      message: `Requires "${action}" permission; your role is ${req.actor ? req.actor.role : 'none'}`
+    });
+  }
+  next();
+};
+
+module.exports = {
+  resolveWorkspace,
+  requirePermission
+};
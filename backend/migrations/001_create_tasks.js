@@ -0,0 +1,26 @@
+// Initial tasks table. IF NOT EXISTS so databases created before migrations existed
+// get adopted as version 1 instead of blowing up.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL,
+        priority TEXT NOT NULL,
+        due_date TEXT,
+        tags TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks (status);
+      CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks (priority);
+      CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks (due_date);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS tasks');
+  }
+};
@@ -0,0 +1,32 @@
+// User accounts and the refresh tokens issued to them. Refresh tokens are stored
+// as SHA-256 hashes, so a leaked database doesn't hand out working sessions.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE refresh_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT
+      );
+      CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens (user_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS refresh_tokens;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
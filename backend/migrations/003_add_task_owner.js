@@ -0,0 +1,20 @@
+// Tasks get an owner. Existing tasks go to the earliest registered user, if there is one -
+// otherwise they stay ownerless (and invisible) until someone assigns them.
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN created_by TEXT;
+      CREATE INDEX idx_tasks_created_by ON tasks (created_by);
+      UPDATE tasks
+      SET created_by = (SELECT id FROM users ORDER BY created_at LIMIT 1)
+      WHERE created_by IS NULL;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_tasks_created_by;
+      ALTER TABLE tasks DROP COLUMN created_by;
+    `);
+  }
+};
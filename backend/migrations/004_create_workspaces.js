@@ -0,0 +1,54 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Workspaces and their members. Every existing user gets a personal workspace,
+// and their tasks move into it - so nobody's board changes on upgrade.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE workspaces (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        is_personal INTEGER NOT NULL DEFAULT 0,
+        created_by TEXT NOT NULL REFERENCES users (id),
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE workspace_members (
+        workspace_id TEXT NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'commenter', 'viewer')),
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (workspace_id, user_id)
+      );
+      CREATE INDEX idx_workspace_members_user_id ON workspace_members (user_id);
+      ALTER TABLE tasks ADD COLUMN workspace_id TEXT;
+      CREATE INDEX idx_tasks_workspace_id ON tasks (workspace_id);
+    `);
+
+    const now = new Date().toISOString();
+    const insertWorkspace = db.prepare(`
+      INSERT INTO workspaces (id, name, is_personal, created_by, created_at, updated_at)
+      VALUES (?, ?, 1, ?, ?, ?)
+    `);
+    const insertMember = db.prepare(`
+      INSERT INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, 'owner', ?)
+    `);
+    const moveTasks = db.prepare('UPDATE tasks SET workspace_id = ? WHERE created_by = ?');
+
+    db.prepare('SELECT id, name FROM users').all().forEach(user => {
+      const workspaceId = uuidv4();
+      insertWorkspace.run(workspaceId, `${user.name}'s workspace`, user.id, now, now);
+      insertMember.run(workspaceId, user.id, now);
+      moveTasks.run(workspaceId, user.id);
+    });
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_tasks_workspace_id;
+      ALTER TABLE tasks DROP COLUMN workspace_id;
+      DROP TABLE IF EXISTS workspace_members;
+      DROP TABLE IF EXISTS workspaces;
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+// Tasks get assignees - a JSON array of user IDs, stored the same way as tags
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN assignees TEXT NOT NULL DEFAULT '[]';
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE tasks DROP COLUMN assignees;
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+// Subtasks - a task can point at a parent task in the same workspace
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN parent_id TEXT;
+      CREATE INDEX idx_tasks_parent_id ON tasks (parent_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_tasks_parent_id;
+      ALTER TABLE tasks DROP COLUMN parent_id;
+    `);
+  }
+};
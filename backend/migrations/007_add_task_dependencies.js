@@ -0,0 +1,14 @@
+// Tasks get dependencies - blocked_by is a JSON array of the task IDs that have to finish first
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN blocked_by TEXT NOT NULL DEFAULT '[]';
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE tasks DROP COLUMN blocked_by;
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+// Tasks get an optional recurrence rule - JSON, NULL for tasks that happen once
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN recurrence TEXT;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE tasks DROP COLUMN recurrence;
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+// Per-workspace workflows, and a status category on every task. Workspaces without a row use the
+// default workflow (todo / in_progress / completed), so existing tasks get the matching categories.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE workflows (
+        workspace_id TEXT PRIMARY KEY REFERENCES workspaces (id) ON DELETE CASCADE,
+        statuses TEXT NOT NULL,
+        transitions TEXT,
+        updated_at TEXT NOT NULL
+      );
+      ALTER TABLE tasks ADD COLUMN status_category TEXT NOT NULL DEFAULT 'not_started';
+      UPDATE tasks SET status_category = CASE status
+        WHEN 'completed' THEN 'done'
+        WHEN 'in_progress' THEN 'active'
+        ELSE 'not_started'
+      END;
+      CREATE INDEX idx_tasks_status_category ON tasks (status_category);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_tasks_status_category;
+      ALTER TABLE tasks DROP COLUMN status_category;
+      DROP TABLE IF EXISTS workflows;
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// Tasks get a rank - their position within a status column on the board, lowest first.
+// Existing tasks keep the order they were created in, spaced out so there's room to drop between them.
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN rank REAL NOT NULL DEFAULT 0;
+      UPDATE tasks SET rank = 1024 * (
+        SELECT COUNT(*) FROM tasks AS earlier
+        WHERE earlier.workspace_id IS tasks.workspace_id
+          AND earlier.status = tasks.status
+          AND earlier.rowid <= tasks.rowid
+      );
+      CREATE INDEX idx_tasks_workspace_status_rank ON tasks (workspace_id, status, rank);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_tasks_workspace_status_rank;
+      ALTER TABLE tasks DROP COLUMN rank;
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// Stretches of time a status spent over its WIP limit - ended_at stays NULL while it still is
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE wip_breaches (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+        status TEXT NOT NULL,
+        wip_limit INTEGER NOT NULL,
+        started_at TEXT NOT NULL,
+        ended_at TEXT
+      );
+      CREATE INDEX idx_wip_breaches_workspace ON wip_breaches (workspace_id, ended_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_wip_breaches_workspace;
+      DROP TABLE IF EXISTS wip_breaches;
+    `);
+  }
+};
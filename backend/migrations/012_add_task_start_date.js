@@ -0,0 +1,14 @@
+// Tasks get an optional start date - the timeline draws a bar from it to the due date
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN start_date TEXT;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE tasks DROP COLUMN start_date;
+    `);
+  }
+};
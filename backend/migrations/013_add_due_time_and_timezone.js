@@ -0,0 +1,17 @@
+// Tasks get an optional due time ("HH:MM") and users a time zone - together they decide
+// when "due today" turns into "overdue" (see models/DueDate.js)
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN due_time TEXT;
+      ALTER TABLE users ADD COLUMN timezone TEXT;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE users DROP COLUMN timezone;
+      ALTER TABLE tasks DROP COLUMN due_time;
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+// Comments on tasks - mentions holds the IDs of the members a comment @mentions, as a JSON array.
+// They go when their task does.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE comments (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+        workspace_id TEXT NOT NULL,
+        author_id TEXT NOT NULL,
+        body TEXT NOT NULL,
+        mentions TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_comments_task ON comments (task_id, created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_comments_task;
+      DROP TABLE IF EXISTS comments;
+    `);
+  }
+};
@@ -0,0 +1,25 @@
+// Task history - one row per create, update and delete, with the field-level diff as JSON.
+// No foreign key to tasks on purpose: a task's history has to outlive the task.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE task_activity (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        actor_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        changes TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_task_activity_task ON task_activity (task_id, created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_task_activity_task;
+      DROP TABLE IF EXISTS task_activity;
+    `);
+  }
+};
@@ -0,0 +1,49 @@
+// The task history becomes the workspace's audit log - workflow changes, members coming and going and
+// the bulk clear don't belong to any one task, so task_id turns optional, target_id says who or what
+// else an entry is about (a member, a comment), and actions get a namespace ("update" -> "task.update").
+// seq is the order entries were written in - what the audit log pages by.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE activity (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        workspace_id TEXT NOT NULL,
+        task_id TEXT,
+        target_id TEXT,
+        actor_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        changes TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+      );
+      INSERT INTO activity (id, workspace_id, task_id, actor_id, action, changes, created_at)
+        SELECT id, workspace_id, task_id, actor_id, 'task.' || action, changes, created_at
+        FROM task_activity ORDER BY created_at, rowid;
+      DROP INDEX IF EXISTS idx_task_activity_task;
+      DROP TABLE task_activity;
+      CREATE INDEX idx_activity_task ON activity (task_id, seq);
+      CREATE INDEX idx_activity_workspace ON activity (workspace_id, seq);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      CREATE TABLE task_activity (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        actor_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        changes TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+      );
+      INSERT INTO task_activity (id, workspace_id, task_id, actor_id, action, changes, created_at)
+        SELECT id, workspace_id, task_id, actor_id, substr(action, 6), changes, created_at
+        FROM activity WHERE action IN ('task.create', 'task.update', 'task.delete') ORDER BY seq;
+      CREATE INDEX idx_task_activity_task ON task_activity (task_id, created_at);
+      DROP INDEX IF EXISTS idx_activity_task;
+      DROP INDEX IF EXISTS idx_activity_workspace;
+      DROP TABLE activity;
+    `);
+  }
+};
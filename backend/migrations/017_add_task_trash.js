@@ -0,0 +1,26 @@
+// Soft delete - a deleted task keeps its row, stamped with when it went to the trash and by whom,
+// until it's restored or purged
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN deleted_at TEXT;
+      ALTER TABLE tasks ADD COLUMN deleted_by TEXT;
+      CREATE INDEX idx_tasks_trash ON tasks (workspace_id, deleted_at);
+    `);
+  },
+
+  // Without the columns a trashed task would either come back to life or have to be deleted for good -
+  // neither is a rollback's call, so someone has to empty or restore the trash first
+  down(db) {
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM tasks WHERE deleted_at IS NOT NULL').get();
+    if (count > 0) {
+      throw new Error(`Cannot roll back the trash while ${count} task(s) are in it - restore or purge them first`);
+    }
+
+    db.exec(`
+      DROP INDEX IF EXISTS idx_tasks_trash;
+      ALTER TABLE tasks DROP COLUMN deleted_by;
+      ALTER TABLE tasks DROP COLUMN deleted_at;
+    `);
+  }
+};
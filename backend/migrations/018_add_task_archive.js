@@ -0,0 +1,19 @@
+// Archiving - an archived task is put away, not deleted: it leaves the lists and the board but keeps
+// counting in the stats. Stamped with when and by whom (or by the system, for auto-archiving).
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN archived_at TEXT;
+      ALTER TABLE tasks ADD COLUMN archived_by TEXT;
+      CREATE INDEX idx_tasks_archive ON tasks (workspace_id, archived_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_tasks_archive;
+      ALTER TABLE tasks DROP COLUMN archived_by;
+      ALTER TABLE tasks DROP COLUMN archived_at;
+    `);
+  }
+};
@@ -0,0 +1,45 @@
+// Status history - when a task was started and completed, and every status it moved through on the way.
+// Nothing was recorded before this, so existing tasks get the best guess there is: started at creation
+// if they're under way, and completed at their last update if they're done. A done task's history starts
+// in its workflow's first not-started status and only reaches done at that last update - starting it in
+// done would count it as finished for its whole life and inflate the done band of the cumulative flow.
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE tasks ADD COLUMN started_at TEXT;
+      ALTER TABLE tasks ADD COLUMN completed_at TEXT;
+      ALTER TABLE tasks ADD COLUMN transitions TEXT NOT NULL DEFAULT '[]';
+      UPDATE tasks SET
+        transitions = CASE WHEN status_category = 'done' THEN json_array(
+          json_object('from', NULL, 'to', first_status.key, 'category', 'not_started', 'at', created_at),
+          json_object('from', first_status.key, 'to', status, 'category', status_category, 'at', updated_at)
+        ) ELSE json_array(
+          json_object('from', NULL, 'to', status, 'category', status_category, 'at', created_at)
+        ) END,
+        started_at = CASE WHEN status_category != 'not_started' THEN created_at END,
+        completed_at = CASE WHEN status_category = 'done' THEN updated_at END
+      FROM (
+        -- Workspaces without a workflow row are on the default one, which starts in todo
+        SELECT t.id AS task_id, COALESCE((
+          SELECT json_extract(s.value, '$.key')
+          FROM workflows w, json_each(w.statuses) s
+          WHERE w.workspace_id = t.workspace_id AND json_extract(s.value, '$.category') = 'not_started'
+          ORDER BY s.key
+          LIMIT 1
+        ), 'todo') AS key
+        FROM tasks t
+      ) AS first_status
+      WHERE first_status.task_id = tasks.id;
+      CREATE INDEX idx_tasks_completed ON tasks (workspace_id, completed_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_tasks_completed;
+      ALTER TABLE tasks DROP COLUMN transitions;
+      ALTER TABLE tasks DROP COLUMN completed_at;
+      ALTER TABLE tasks DROP COLUMN started_at;
+    `);
+  }
+};
@@ -0,0 +1,137 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Everything that changes a workspace, namespaced by what it changes - "task" as a filter means all of task.*
+const ACTIONS = [
+  'task.create',
+  'task.update',
+  'task.delete',
+  'task.restore',
+  'task.purge',
+  'task.archive',
+  'task.unarchive',
+  'task.clear',
+  'comment.create',
+  'comment.update',
+  'comment.delete',
+  'workflow.update',
+  'workspace.create',
+  'workspace.rename',
+  'member.add',
+  'member.update',
+  'member.remove'
+];
+
+// Actions that are about one task, and so need to say which
+const TASK_ACTIONS = ['task.create', 'task.update', 'task.delete', 'task.restore', 'task.purge', 'task.archive',
+  'task.unarchive', 'comment.create', 'comment.update', 'comment.delete'];
+
+// Who did it, when nobody did - housekeeping the server runs by itself, like purging an old trash
+const SYSTEM_ACTOR = 'system';
+
+// The task fields a history entry tracks. Rank (where a card sits in its column) and the status
+// category (which always follows the status) would only be noise; timestamps are the entry's own.
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'dueTime',
+  'startDate',
+  'tags',
+  'assignees',
+  'parentId',
+  'blockedBy',
+  'recurrence'
+];
+
+// Empty means "nothing there" - a new task with no tags hasn't changed its tags
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Activity model - one entry in the audit log: who did what, when, and which fields went from what
+// to what. Entries about a task make up its history. They're written once and never edited.
+class Activity {
+  constructor(data) {
+    // Position in the log, handed out by the store - null until stored
+    this.seq = data.seq || null;
+    this.id = data.id || uuidv4();
+    this.workspaceId = data.workspaceId || null;
+    this.taskId = data.taskId || null;
+    // Who or what else the entry is about - the member for member.*, the comment for comment.*
+    this.targetId = data.targetId || null;
+    this.actorId = data.actorId || null;
+    this.action = data.action;
+    // { [field]: { from, to } } - from is null on create, to is null on delete
+    this.changes = data.changes && typeof data.changes === 'object' ? data.changes : {};
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+
+    this.validate();
+  }
+
+  // Validation method - because apparently history needs to know what happened
+  validate() {
+    const errors = [];
+
+    if (!ACTIONS.includes(this.action)) {
+      errors.push(`Action must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    if (!this.workspaceId || !this.actorId) {
+      errors.push('An activity entry needs a workspace and an actor');
+    }
+
+    if (TASK_ACTIONS.includes(this.action) && !this.taskId) {
+      errors.push(`A ${this.action} entry needs the task it's about`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      workspaceId: this.workspaceId,
+      taskId: this.taskId,
+      targetId: this.targetId,
+      actorId: this.actorId,
+      action: this.action,
+      changes: this.changes,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+
+  // Field-level diff between two snapshots - null `before` for something that's just been created,
+  // null `after` for something just deleted. Tracks a task's fields unless told which to compare.
+  static diff(before, after, fields = TRACKED_FIELDS) {
+    const changes = {};
+
+    fields.forEach(field => {
+      const from = before ? before[field] : null;
+      const to = after ? after[field] : null;
+      if (isEmpty(from) && isEmpty(to)) return;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from: isEmpty(from) ? null : from, to: isEmpty(to) ? null : to };
+      }
+    });
+
+    return changes;
+  }
+
+  // Turn an action filter into the actions it covers - a whole action, or a namespace like "task".
+  // Returns null when it names nothing we know.
+  static expandAction(name) {
+    if (ACTIONS.includes(name)) {
+      return [name];
+    }
+    const namespaced = ACTIONS.filter(action => action.startsWith(`${name}.`));
+    return namespaced.length > 0 ? namespaced : null;
+  }
+}
+
+Activity.ACTIONS = ACTIONS;
+Activity.TRACKED_FIELDS = TRACKED_FIELDS;
+Activity.SYSTEM_ACTOR = SYSTEM_ACTOR;
+
+module.exports = Activity;
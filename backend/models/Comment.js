@@ -0,0 +1,84 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_BODY_LENGTH = 5000;
+
+// @handles in a comment - "@ana", "@ana.lopez" or a whole "@ana@example.com". Not inside words or
+// emails ("me@ana" isn't a mention), and a trailing full stop belongs to the sentence, not the handle.
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.+-]*\w(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+// Comment model - one message in a task's discussion thread, body in markdown
+class Comment {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.taskId = data.taskId || null;
+    this.workspaceId = data.workspaceId || null;
+    this.authorId = data.authorId || null;
+    this.body = typeof data.body === 'string' ? data.body.trim() : '';
+    // User IDs of the members the body mentions - worked out by the service, which knows who's in the workspace
+    this.mentions = Array.isArray(data.mentions) ? [...new Set(data.mentions)] : [];
+
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date(this.createdAt.getTime());
+
+    this.validate();
+  }
+
+  // Validation method - because apparently an empty comment is just a sigh
+  validate() {
+    const errors = [];
+
+    if (!this.body) {
+      errors.push('Comment body is required - because apparently silence isn\'t feedback');
+    }
+
+    if (this.body.length > MAX_BODY_LENGTH) {
+      errors.push(`Comment must be ${MAX_BODY_LENGTH} characters or less - because apparently it's a comment, not a novel`);
+    }
+
+    if (!this.taskId || !this.authorId) {
+      errors.push('A comment needs a task and an author');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+  }
+
+  // Edit the text - mentions come along, since they depend on it
+  update(data) {
+    if (data.body !== undefined) this.body = typeof data.body === 'string' ? data.body.trim() : '';
+    if (data.mentions !== undefined) this.mentions = Array.isArray(data.mentions) ? [...new Set(data.mentions)] : [];
+
+    this.updatedAt = new Date();
+    this.validate();
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      taskId: this.taskId,
+      workspaceId: this.workspaceId,
+      authorId: this.authorId,
+      body: this.body,
+      mentions: this.mentions,
+      edited: this.updatedAt.getTime() > this.createdAt.getTime(),
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  // The @handles in a body, lower-cased and each listed once - matching them to people is the service's job
+  static parseMentions(body) {
+    const handles = new Set();
+    for (const match of (body || '').matchAll(MENTION_PATTERN)) {
+      handles.add(match[2].toLowerCase());
+    }
+    return [...handles];
+  }
+}
+
+Comment.MAX_BODY_LENGTH = MAX_BODY_LENGTH;
+
+module.exports = Comment;
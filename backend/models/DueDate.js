@@ -0,0 +1,64 @@
+// When a due date actually bites - the one rule every overdue count, filter and badge uses:
+//   a due date is a calendar day (stored as UTC midnight of the day picked), not an instant;
+//   without a due time the task is due all that day and only overdue once the day is over;
+//   with one ("HH:MM") it's overdue once that time has passed on that day.
+// "Today" and "now" are read off the wall clock in the viewer's time zone, so a task due today
+// isn't overdue at midnight UTC just because the server happens to live there.
+const DEFAULT_TIMEZONE = 'UTC';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Whether Intl knows a time zone name - because apparently "EST-ish" is not a time zone
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone }).format();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The wall clock in a time zone - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+const wallClock = (timezone = DEFAULT_TIMEZONE, now = new Date()) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+// The day a task is due - 'YYYY-MM-DD', from a Date or an ISO string
+const dueDay = (dueDate) => new Date(dueDate).toISOString().slice(0, 10);
+
+// Where a task stands against a wall clock: 'overdue', 'today' (due today, not yet late),
+// 'upcoming', or null when there's no due date or the work is done
+const dueState = (task, clock) => {
+  if (!task.dueDate || task.statusCategory === 'done') {
+    return null;
+  }
+
+  const day = dueDay(task.dueDate);
+  if (day < clock.date || (day === clock.date && task.dueTime && task.dueTime < clock.time)) {
+    return 'overdue';
+  }
+  return day === clock.date ? 'today' : 'upcoming';
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  isValidTimezone,
+  wallClock,
+  dueDay,
+  dueState
+};
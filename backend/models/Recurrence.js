@@ -0,0 +1,139 @@
+// How often a task comes back - a small, RRULE-flavoured subset:
+//   daily             every `interval` days
+//   weekly            on `weekdays` (0 = Sunday ... 6 = Saturday), every `interval` weeks
+//   monthly           on `monthDay` (clamped to short months), every `interval` months
+//   after_completion  `interval` days after the previous one was actually completed
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'after_completion'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days since the epoch, and the Sunday-started week that day falls in - all in UTC,
+// same as the due dates themselves
+const dayNumber = (date) => Math.floor(date.getTime() / DAY_MS);
+const weekNumber = (date) => Math.floor((dayNumber(date) + 4) / 7);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The given day of a month, or its last day when the month is too short - because apparently February exists
+const onMonthDay = (year, month, monthDay, timeOf) => {
+  const date = new Date(timeOf.getTime());
+  date.setUTCFullYear(year, month, Math.min(monthDay, daysInMonth(year, month)));
+  return date;
+};
+
+// Recurrence model - a schedule rule; the task it belongs to stores it as JSON
+class Recurrence {
+  constructor(data) {
+    this.frequency = data.frequency;
+    this.interval = data.interval === undefined ? 1 : Number(data.interval);
+    this.weekdays = this.frequency === 'weekly' && Array.isArray(data.weekdays)
+      ? [...new Set(data.weekdays.map(Number))].sort((a, b) => a - b)
+      : [];
+    this.monthDay = this.frequency === 'monthly' ? Number(data.monthDay) : null;
+
+    this.validate();
+  }
+
+  validate() {
+    const errors = [];
+
+    if (!FREQUENCIES.includes(this.frequency)) {
+      errors.push(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    if (!Number.isInteger(this.interval) || this.interval < 1 || this.interval > 365) {
+      errors.push('Recurrence interval must be a whole number from 1 to 365');
+    }
+
+    if (this.frequency === 'weekly' &&
+      (this.weekdays.length === 0 || this.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      errors.push('Weekly recurrence needs at least one weekday (0 = Sunday ... 6 = Saturday)');
+    }
+
+    if (this.frequency === 'monthly' && (!Number.isInteger(this.monthDay) || this.monthDay < 1 || this.monthDay > 31)) {
+      errors.push('Monthly recurrence needs a day of the month from 1 to 31');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+  }
+
+  // One step along the calendar from an occurrence - ignores completion entirely
+  step(from) {
+    switch (this.frequency) {
+      case 'daily':
+        return addDays(from, this.interval);
+
+      case 'weekly': {
+        // The next listed weekday, in a week that's a whole number of intervals from this one
+        for (let candidate = addDays(from, 1); ; candidate = addDays(candidate, 1)) {
+          const weeksApart = weekNumber(candidate) - weekNumber(from);
+          if (weeksApart % this.interval === 0 && this.weekdays.includes(candidate.getUTCDay())) {
+            return candidate;
+          }
+        }
+      }
+
+      case 'monthly': {
+        // Later this month if the day hasn't come yet, otherwise `interval` months on
+        const sameMonth = onMonthDay(from.getUTCFullYear(), from.getUTCMonth(), this.monthDay, from);
+        if (sameMonth > from) {
+          return sameMonth;
+        }
+        const target = from.getUTCMonth() + this.interval;
+        return onMonthDay(from.getUTCFullYear() + Math.floor(target / 12), target % 12, this.monthDay, from);
+      }
+
+      default:
+        return addDays(from, this.interval);
+    }
+  }
+
+  // When the next occurrence is due, given the one just completed. `from` is that occurrence's due date
+  // (or the completion time if it had none). Calendar rules skip any slots that already went by while
+  // the task sat overdue; after_completion counts from when it was actually done.
+  next(from, completedAt = new Date()) {
+    if (this.frequency === 'after_completion') {
+      const due = addDays(completedAt, this.interval);
+      // Keep the old due date's time of day, so "9am" stays 9am
+      due.setUTCHours(from.getUTCHours(), from.getUTCMinutes(), from.getUTCSeconds(), from.getUTCMilliseconds());
+      return due;
+    }
+
+    let due = this.step(from);
+    while (due <= completedAt) {
+      due = this.step(due);
+    }
+    return due;
+  }
+
+  // The next few due dates after `from`, assuming each occurrence gets done on its due date -
+  // exact for calendar rules, a best guess for after_completion
+  upcoming(from, count = 5, now = new Date()) {
+    const occurrences = [];
+    let due = this.next(from, now > from ? now : from);
+
+    while (occurrences.length < count) {
+      occurrences.push(due);
+      due = this.next(due, due);
+    }
+
+    return occurrences;
+  }
+
+  toJSON() {
+    return {
+      frequency: this.frequency,
+      interval: this.interval,
+      weekdays: this.weekdays,
+      monthDay: this.monthDay
+    };
+  }
+}
+
+Recurrence.FREQUENCIES = FREQUENCIES;
+
+module.exports = Recurrence;
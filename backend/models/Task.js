@@ -1,4 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
+const Recurrence = require('./Recurrence');
+const DueDate = require('./DueDate');
+const Workflow = require('./Workflow');
 
 // Task model - because apparently we need structure in our chaos
 class Task {
@@ -8,13 +11,60 @@ class Task {
     this.title = data.title || '';
     this.description = data.description || '';
     this.status = data.status || 'todo';
+    // Category of the status in the workspace's workflow - set by the service, which knows the workflow.
+    // Tasks from before workflows fall back to the default workflow's categories.
+    this.statusCategory = data.statusCategory || Workflow.defaultCategoryOf(this.status);
     this.priority = data.priority || 'medium';
     this.dueDate = data.dueDate ? new Date(data.dueDate) : null;
+    // Time of day it's due, "HH:MM" on the viewer's clock - without one it's due all day (see models/DueDate.js)
+    this.dueTime = data.dueTime || null;
+    // When work is meant to begin - optional, and never after the due date
+    this.startDate = data.startDate ? new Date(data.startDate) : null;
     this.tags = Array.isArray(data.tags) ? data.tags : [];
+    // Who's doing the work - user IDs, each listed once
+    this.assignees = Array.isArray(data.assignees) ? [...new Set(data.assignees)] : [];
+    
+    // Owner - the user who created the task, set once and never changed by update()
+    this.createdBy = data.createdBy || null;
+    
+    // Workspace the task lives in - decides who else can see it
+    this.workspaceId = data.workspaceId || null;
+    
+    // Parent task, for subtasks - null for top-level tasks
+    this.parentId = data.parentId || null;
+    
+    // Dependencies - IDs of the tasks that have to be completed before this one can move
+    this.blockedBy = Array.isArray(data.blockedBy) ? [...new Set(data.blockedBy)] : [];
+    
+    // Recurrence rule - completing a recurring task queues up the next one (see models/Recurrence.js)
+    this.recurrence = data.recurrence ? new Recurrence(data.recurrence) : null;
+    
+    // Position within its status column on the board, lowest first - handed out by the service
+    this.rank = data.rank !== undefined && data.rank !== null ? Number(data.rank) : 0;
+    
+    // Soft delete - when the task went to the trash and who put it there, null while it's in use
+    this.deletedAt = data.deletedAt ? new Date(data.deletedAt) : null;
+    this.deletedBy = data.deletedBy || null;
+    // Archived - put away out of the lists and the board, still counted in the stats. Not a status:
+    // a task is archived whatever its status, and unarchiving puts it back where it was.
+    this.archivedAt = data.archivedAt ? new Date(data.archivedAt) : null;
+    this.archivedBy = data.archivedBy || null;
     
     // Timestamps because apparently we need to know when things happened
-    this.createdAt = data.createdAt || new Date();
-    this.updatedAt = new Date();
+    // Stored tasks bring their own timestamps, new ones get stamped right now
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+    
+    // Status history - every move as { from, to, category, at }, oldest first. A new task starts with
+    // the status it was created in (from: null); stored tasks bring their own.
+    this.transitions = Array.isArray(data.transitions)
+      ? data.transitions.map(transition => ({ ...transition, at: new Date(transition.at) }))
+      : [{ from: null, to: this.status, category: this.statusCategory, at: this.createdAt }];
+    // When work began - the first time it left a not-started status - and when it was last finished.
+    // Reopening clears completedAt; starting over doesn't clear startedAt. A task created already
+    // under way counts from its creation.
+    this.startedAt = this.resolveStamp(data.startedAt, this.statusCategory !== 'not_started');
+    this.completedAt = this.resolveStamp(data.completedAt, this.statusCategory === 'done');
     
     // Validate the data because apparently some people send garbage
     this.validate();
@@ -38,10 +88,14 @@ class Task {
       errors.push('Description must be 500 characters or less - because apparently TL;DR is too mainstream');
     }
     
-    // Status validation - because apparently enum values are hard to understand
-    const validStatuses = ['todo', 'in_progress', 'completed'];
-    if (!validStatuses.includes(this.status)) {
-      errors.push(`Status must be one of: ${validStatuses.join(', ')} - because apparently reading is hard`);
+    // Status validation - which statuses exist is the workflow's business (see the service);
+    // here we only check it looks like a status key and has a real category
+    if (typeof this.status !== 'string' || !Workflow.STATUS_KEY.test(this.status)) {
+      errors.push('Status must be a workflow status key - because apparently reading is hard');
+    }
+    
+    if (!Workflow.CATEGORIES.includes(this.statusCategory)) {
+      errors.push(`Status category must be one of: ${Workflow.CATEGORIES.join(', ')}`);
     }
     
     // Priority validation - because apparently priority levels are confusing
@@ -55,36 +109,157 @@ class Task {
       errors.push('Due date must be a valid date - because apparently date parsing is rocket science');
     }
     
+    // Due time validation - a time on no particular day isn't a deadline
+    if (this.dueTime && !DueDate.TIME_PATTERN.test(this.dueTime)) {
+      errors.push('Due time must be HH:MM on a 24-hour clock - because apparently "half five" is ambiguous');
+    } else if (this.dueTime && !this.dueDate) {
+      errors.push('Due time needs a due date - because apparently 5pm on no particular day isn\'t a deadline');
+    }
+    
+    // Start date validation - because apparently some things finish before they start
+    if (this.startDate && isNaN(this.startDate.getTime())) {
+      errors.push('Start date must be a valid date - because apparently date parsing is still rocket science');
+    } else if (this.startDate && this.dueDate && this.startDate > this.dueDate) {
+      errors.push('Start date cannot be after the due date - because apparently time only goes one way');
+    }
+    
     // Tags validation - because apparently arrays are confusing
     if (!Array.isArray(this.tags)) {
       errors.push('Tags must be an array - because apparently data types are optional');
     }
     
+    // Parent validation - because apparently a task can't be its own subtask
+    if (this.parentId && this.parentId === this.id) {
+      errors.push('A task cannot be its own parent - because apparently recursion has limits');
+    }
+    
+    // Dependency validation - IDs only, and a task can't wait on itself
+    if (!Array.isArray(this.blockedBy) || this.blockedBy.some(blocker => typeof blocker !== 'string' || !blocker)) {
+      errors.push('Blocked by must be an array of task IDs - because apparently titles aren\'t IDs');
+    } else if (this.blockedBy.includes(this.id)) {
+      errors.push('A task cannot block itself - because apparently waiting on yourself takes forever');
+    }
+    
+    // Rank validation - because apparently NaN isn't a position
+    if (!Number.isFinite(this.rank)) {
+      errors.push('Rank must be a number - because apparently order matters');
+    }
+    
+    // Assignees validation - user IDs only; whether they belong here is the service's problem
+    if (!Array.isArray(this.assignees) || this.assignees.some(assignee => typeof assignee !== 'string' || !assignee)) {
+      errors.push('Assignees must be an array of user IDs - because apparently names aren\'t IDs');
+    }
+    
+    // Transitions validation - history only makes sense if it happened at some point
+    if (this.transitions.some(transition => !transition.to || isNaN(transition.at.getTime()))) {
+      errors.push('Transitions must each have a status and a valid date - because apparently history is optional');
+    }
+    
     // Throw error if validation fails - because apparently errors are just suggestions
     if (errors.length > 0) {
       throw new Error(`Validation failed: ${errors.join('; ')}`);
     }
   }
 
+  // Stored stamps are taken as they are (null included); new tasks get createdAt when `applies`
+  resolveStamp(value, applies) {
+    if (value !== undefined) {
+      return value ? new Date(value) : null;
+    }
+    return applies ? this.createdAt : null;
+  }
+
   // Update method - because apparently immutability is too mainstream
   update(data) {
+    const previousStatus = this.status;
+    const previousCategory = this.statusCategory;
+    
     // Update fields - because apparently we need to track changes
     if (data.title !== undefined) this.title = data.title;
     if (data.description !== undefined) this.description = data.description;
     if (data.status !== undefined) this.status = data.status;
+    if (data.statusCategory !== undefined) this.statusCategory = data.statusCategory;
     if (data.priority !== undefined) this.priority = data.priority;
     if (data.dueDate !== undefined) this.dueDate = data.dueDate ? new Date(data.dueDate) : null;
+    // Clearing the due date clears its time too, unless the caller says otherwise
+    if (data.dueTime !== undefined) {
+      this.dueTime = data.dueTime || null;
+    } else if (data.dueDate === null) {
+      this.dueTime = null;
+    }
+    if (data.startDate !== undefined) this.startDate = data.startDate ? new Date(data.startDate) : null;
     if (data.tags !== undefined) this.tags = Array.isArray(data.tags) ? data.tags : [];
+    if (data.parentId !== undefined) this.parentId = data.parentId || null;
+    if (data.assignees !== undefined) this.assignees = Array.isArray(data.assignees) ? [...new Set(data.assignees)] : [];
+    if (data.blockedBy !== undefined) this.blockedBy = Array.isArray(data.blockedBy) ? [...new Set(data.blockedBy)] : [];
+    if (data.recurrence !== undefined) this.recurrence = data.recurrence ? new Recurrence(data.recurrence) : null;
+    if (data.rank !== undefined) this.rank = Number(data.rank);
     
     // Update timestamp because apparently we need to know when things changed
     this.updatedAt = new Date();
     
+    if (this.status !== previousStatus) {
+      this.recordTransition(previousStatus, this.updatedAt);
+    } else if (this.statusCategory !== previousCategory) {
+      this.stampCategory(this.updatedAt);
+    }
+    
     // Re-validate because apparently data can become invalid
     this.validate();
     
     return this;
   }
 
+  // Log a move out of `from` into the current status, and stamp start / completion to match
+  recordTransition(from, at = new Date()) {
+    this.transitions.push({ from, to: this.status, category: this.statusCategory, at });
+    this.stampCategory(at);
+    return this;
+  }
+
+  // Keep startedAt / completedAt in line with the category the task is now in
+  stampCategory(at = new Date()) {
+    if (this.statusCategory !== 'not_started' && !this.startedAt) {
+      this.startedAt = at;
+    }
+    if (this.statusCategory === 'done') {
+      this.completedAt = this.completedAt || at;
+    } else {
+      this.completedAt = null;
+    }
+    return this;
+  }
+
+  // Move to the trash - everything else stays as it was, so restoring is just forgetting this
+  trash(userId, at = new Date()) {
+    this.deletedAt = at;
+    this.deletedBy = userId;
+    return this;
+  }
+
+  // Put away - `userId` is whoever archived it, or the system for auto-archiving
+  archive(userId, at = new Date()) {
+    this.archivedAt = at;
+    this.archivedBy = userId;
+    this.updatedAt = at;
+    return this;
+  }
+
+  unarchive() {
+    this.archivedAt = null;
+    this.archivedBy = null;
+    this.updatedAt = new Date();
+    return this;
+  }
+
+  // Back out of the trash
+  restore() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    this.updatedAt = new Date();
+    return this;
+  }
+
   // Convert to plain object - because apparently JSON is too mainstream
   toJSON() {
     return {
@@ -92,34 +267,46 @@ class Task {
       title: this.title,
       description: this.description,
       status: this.status,
+      statusCategory: this.statusCategory,
       priority: this.priority,
       dueDate: this.dueDate ? this.dueDate.toISOString() : null,
+      dueTime: this.dueTime,
+      startDate: this.startDate ? this.startDate.toISOString() : null,
       tags: this.tags,
+      assignees: this.assignees,
+      createdBy: this.createdBy,
+      workspaceId: this.workspaceId,
+      parentId: this.parentId,
+      blockedBy: this.blockedBy,
+      recurrence: this.recurrence ? this.recurrence.toJSON() : null,
+      rank: this.rank,
+      deletedAt: this.deletedAt ? this.deletedAt.toISOString() : null,
+      deletedBy: this.deletedBy,
+      archivedAt: this.archivedAt ? this.archivedAt.toISOString() : null,
+      archivedBy: this.archivedBy,
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      completedAt: this.completedAt ? this.completedAt.toISOString() : null,
+      transitions: this.transitions.map(transition => ({ ...transition, at: transition.at.toISOString() })),
       createdAt: this.createdAt.toISOString(),
       updatedAt: this.updatedAt.toISOString()
     };
   }
 
-  // Check if task is overdue - because apparently date math is hard
-  isOverdue() {
-    if (!this.dueDate || this.status === 'completed') {
-      return false;
-    }
-    return new Date() > this.dueDate;
+  // Check if task is overdue - because apparently date math is hard.
+  // Pass the viewer's wall clock (DueDate.wallClock); without one it's read in UTC.
+  isOverdue(clock = DueDate.wallClock()) {
+    return DueDate.dueState(this, clock) === 'overdue';
   }
 
-  // Get days until due - because apparently date calculations are optional
-  getDaysUntilDue() {
+  // Get days until due - because apparently date calculations are optional.
+  // Whole calendar days from the viewer's today to the due day - 0 when it's due today
+  getDaysUntilDue(clock = DueDate.wallClock()) {
     if (!this.dueDate) {
       return null;
     }
     
-    const now = new Date();
-    const due = new Date(this.dueDate);
-    const diffTime = due - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    return diffDays;
+    const diffTime = new Date(`${DueDate.dueDay(this.dueDate)}T00:00:00.000Z`) - new Date(`${clock.date}T00:00:00.000Z`);
+    return Math.round(diffTime / (1000 * 60 * 60 * 24));
   }
 }
 
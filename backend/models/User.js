@@ -0,0 +1,88 @@
+const { v4: uuidv4 } = require('uuid');
+const DueDate = require('./DueDate');
+
+// Loose but honest email check - because apparently RFC 5322 is not bedtime reading
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// User model - the person behind the tasks
+class User {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.email = (data.email || '').trim().toLowerCase();
+    this.name = (data.name || '').trim();
+    this.passwordHash = data.passwordHash || '';
+    // IANA time zone ("Europe/Paris") - decides when their tasks are due today or overdue; null reads as UTC
+    this.timezone = data.timezone || null;
+
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+
+    this.validate();
+  }
+
+  // Validation method - because apparently some people sign up as "asdf"
+  validate() {
+    const errors = [];
+
+    if (!EMAIL_PATTERN.test(this.email)) {
+      errors.push('Email must be a valid email address');
+    }
+
+    if (this.email.length > 254) {
+      errors.push('Email must be 254 characters or less');
+    }
+
+    if (!this.name) {
+      errors.push('Name is required');
+    }
+
+    if (this.name.length > 100) {
+      errors.push('Name must be 100 characters or less');
+    }
+
+    if (this.timezone && !DueDate.isValidTimezone(this.timezone)) {
+      errors.push('Time zone must be an IANA time zone name, like "Europe/Paris"');
+    }
+
+    if (!this.passwordHash) {
+      errors.push('Password hash is required');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+  }
+
+  // Profile changes - name and time zone; email and password have their own ways in
+  update(data) {
+    if (data.name !== undefined) this.name = (data.name || '').trim();
+    if (data.timezone !== undefined) this.timezone = data.timezone || null;
+
+    this.updatedAt = new Date();
+    this.validate();
+
+    return this;
+  }
+
+  // Public shape - the password hash never leaves the building
+  toJSON() {
+    return {
+      id: this.id,
+      email: this.email,
+      name: this.name,
+      timezone: this.timezone,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  // Storage shape - everything, including the hash
+  toRecord() {
+    return {
+      ...this.toJSON(),
+      passwordHash: this.passwordHash
+    };
+  }
+}
+
+module.exports = User;
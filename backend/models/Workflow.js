@@ -0,0 +1,143 @@
+// Status categories - what the rest of the app actually cares about. Stats, overdue checks,
+// blockers and recurrence all ask "is it done?", never "is it called completed?".
+const CATEGORIES = ['not_started', 'active', 'done'];
+
+// Status keys go into URLs and filters, so they stay boring
+const STATUS_KEY = /^[a-z][a-z0-9_]{0,39}$/;
+
+// The workflow every workspace starts with - the three statuses the app always had
+const DEFAULT_STATUSES = [
+  { key: 'todo', name: 'To Do', category: 'not_started' },
+  { key: 'in_progress', name: 'In Progress', category: 'active' },
+  { key: 'completed', name: 'Done', category: 'done' }
+];
+
+// Workflow model - a workspace's ordered statuses and the moves allowed between them.
+// A status may carry a work-in-progress limit (`wipLimit`, null for none): going over it is a warning
+// on the board, or - with `wipEnforced` - refused unless the caller overrides.
+// `transitions` maps a status key to the keys it may move to; null means anything goes, and a
+// status left out of the map may move anywhere. Moving to the status you're already in is always fine.
+class Workflow {
+  constructor(data) {
+    this.workspaceId = data.workspaceId || null;
+    this.statuses = Array.isArray(data.statuses)
+      ? data.statuses.map(status => ({
+        key: status.key,
+        name: typeof status.name === 'string' ? status.name.trim() : '',
+        category: status.category,
+        wipLimit: status.wipLimit === undefined || status.wipLimit === null ? null : Number(status.wipLimit),
+        wipEnforced: status.wipEnforced === true
+      }))
+      : [];
+    this.transitions = data.transitions || null;
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+
+    this.validate();
+  }
+
+  validate() {
+    const errors = [];
+    const keys = this.statuses.map(status => status.key);
+
+    if (this.statuses.length === 0 || this.statuses.length > 20) {
+      errors.push('A workflow needs 1-20 statuses');
+    }
+
+    this.statuses.forEach(status => {
+      if (typeof status.key !== 'string' || !STATUS_KEY.test(status.key)) {
+        errors.push(`Status key "${status.key}" must be lowercase letters, digits and underscores (max 40)`);
+      }
+      if (!status.name || status.name.length > 50) {
+        errors.push(`Status "${status.key}" needs a name of 1-50 characters`);
+      }
+      if (!CATEGORIES.includes(status.category)) {
+        errors.push(`Status "${status.key}" category must be one of: ${CATEGORIES.join(', ')}`);
+      }
+      if (status.wipLimit !== null && (!Number.isInteger(status.wipLimit) || status.wipLimit < 1 || status.wipLimit > 999)) {
+        errors.push(`Status "${status.key}" WIP limit must be a whole number from 1 to 999, or null`);
+      }
+      if (status.wipEnforced && status.wipLimit === null) {
+        errors.push(`Status "${status.key}" can't enforce a WIP limit it doesn't have`);
+      }
+    });
+
+    if (new Set(keys).size !== keys.length) {
+      errors.push('Status keys must be unique');
+    }
+
+    // New tasks start in the first not-started status, and "done" has to mean something
+    ['not_started', 'done'].forEach(category => {
+      if (!this.statuses.some(status => status.category === category)) {
+        errors.push(`A workflow needs at least one "${category}" status`);
+      }
+    });
+
+    if (this.transitions !== null) {
+      if (typeof this.transitions !== 'object' || Array.isArray(this.transitions)) {
+        errors.push('Transitions must map each status key to the keys it may move to');
+      } else {
+        Object.entries(this.transitions).forEach(([from, targets]) => {
+          if (!keys.includes(from)) {
+            errors.push(`Transitions mention unknown status "${from}"`);
+          } else if (!Array.isArray(targets) || targets.some(target => !keys.includes(target))) {
+            errors.push(`Transitions from "${from}" must be a list of status keys in this workflow`);
+          }
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+  }
+
+  has(key) {
+    return this.statuses.some(status => status.key === key);
+  }
+
+  getStatus(key) {
+    return this.statuses.find(status => status.key === key) || null;
+  }
+
+  categoryOf(key) {
+    const status = this.getStatus(key);
+    return status ? status.category : null;
+  }
+
+  // Where new tasks land - the first not-started status
+  defaultStatus() {
+    return this.statuses.find(status => status.category === 'not_started');
+  }
+
+  canTransition(from, to) {
+    if (from === to || this.transitions === null || !this.transitions[from]) {
+      return true;
+    }
+    return this.transitions[from].includes(to);
+  }
+
+  toJSON() {
+    return {
+      workspaceId: this.workspaceId,
+      statuses: this.statuses.map(status => ({ ...status })),
+      transitions: this.transitions,
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  // The workflow a workspace has until someone changes it
+  static defaults(workspaceId = null) {
+    return new Workflow({ workspaceId, statuses: DEFAULT_STATUSES, transitions: null });
+  }
+
+  // Category of one of the default statuses - for tasks that predate workflows
+  static defaultCategoryOf(key) {
+    const status = DEFAULT_STATUSES.find(candidate => candidate.key === key);
+    return status ? status.category : 'not_started';
+  }
+}
+
+Workflow.CATEGORIES = CATEGORIES;
+Workflow.STATUS_KEY = STATUS_KEY;
+
+module.exports = Workflow;
@@ -0,0 +1,80 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Roles, from most to least powerful - because apparently not everyone should get the delete button
+const ROLES = ['owner', 'editor', 'commenter', 'viewer'];
+
+// What each role may do. Routes ask for an action, never for a role, so adding a role
+// only ever means editing this table.
+const ROLE_PERMISSIONS = {
+  owner: ['task:read', 'task:create', 'task:update', 'task:delete', 'task:clear', 'task:purge', 'comment:create', 'comment:moderate', 'workspace:manage', 'audit:read'],
+  editor: ['task:read', 'task:create', 'task:update', 'task:delete', 'comment:create'],
+  commenter: ['task:read', 'comment:create'],
+  viewer: ['task:read']
+};
+
+// Workspace model - a team board that tasks and members belong to
+class Workspace {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.name = (data.name || '').trim();
+    // Every user gets one personal workspace on sign-up; it can't be shared
+    this.isPersonal = Boolean(data.isPersonal);
+    this.createdBy = data.createdBy || null;
+
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+
+    this.validate();
+  }
+
+  validate() {
+    const errors = [];
+
+    if (!this.name) {
+      errors.push('Workspace name is required');
+    }
+
+    if (this.name.length > 100) {
+      errors.push('Workspace name must be 100 characters or less');
+    }
+
+    if (!this.createdBy) {
+      errors.push('Workspace creator is required');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+  }
+
+  update(data) {
+    if (data.name !== undefined) this.name = (data.name || '').trim();
+    this.updatedAt = new Date();
+    this.validate();
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      isPersonal: this.isPersonal,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  // Permission check - the one place that knows what a role is allowed to do
+  static can(role, action) {
+    return (ROLE_PERMISSIONS[role] || []).includes(action);
+  }
+
+  static permissionsFor(role) {
+    return [...(ROLE_PERMISSIONS[role] || [])];
+  }
+}
+
+Workspace.ROLES = ROLES;
+
+module.exports = Workspace;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { query } = require('express-validator');
+const auditService = require('../services/auditService');
+const { handleValidationErrors, isoDate } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/workspace');
+
+const router = express.Router();
+
+// How many entries the export pulls per round trip to the store
+const EXPORT_PAGE_SIZE = 500;
+
+// The audit log is for owners - it says who did what to everything in the workspace
+router.use(requirePermission('audit:read'));
+
+// Filters both endpoints take - whether an action name exists is the service's call
+const validateFilters = [
+  query('actor')
+    .optional()
+    .if(query('actor').not().equals('me'))
+    .isUUID()
+    .withMessage('Actor must be a user ID or "me"'),
+  query('action')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Action must be an action or a namespace, like "task.update" or "task"'),
+  query('task')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid task ID format'),
+  isoDate(query('from').optional(), 'From must be a valid ISO 8601 date'),
+  isoDate(query('to').optional(), 'To must be a valid ISO 8601 date')
+];
+
+const pickFilters = (req) => {
+  const { actor, action, task, from, to } = req.query;
+  return { actor, action, task, from, to };
+};
+
+// Shared error mapping - the service speaks in messages, we speak in status codes
+const sendError = (res, error, action) => {
+  if (error.message.includes('Validation failed')) {
+    return res.status(400).json({
+      error: 'Validation failed - because apparently that filter doesn\'t make sense',
+      message: error.message
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: 'Failed to read the audit log - because apparently something went wrong',
+    message: error.message
+  });
+};
+
+// GET /api/audit - One page of the workspace's audit log, newest first
+// Because apparently compliance wants to know who did what
+router.get('/', [
+  ...validateFilters,
+  query('cursor')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Cursor must be the nextCursor of a previous page'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const page = await auditService.getAuditLog(pickFilters(req), {
+      cursor: req.query.cursor,
+      limit: parseInt(req.query.limit) || undefined
+    }, req.actor);
+
+    res.json(page);
+  } catch (error) {
+    sendError(res, error, 'reading audit log');
+  }
+});
+
+// GET /api/audit/export - Every matching entry as NDJSON, one JSON object per line, newest first
+// Because apparently spreadsheets are where audits go to be read
+router.get('/export', [...validateFilters, handleValidationErrors], async (req, res) => {
+  try {
+    const filters = pickFilters(req);
+    // The first page before any headers - a bad filter still gets a proper 400
+    let page = await auditService.getAuditLog(filters, { limit: EXPORT_PAGE_SIZE }, req.actor);
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${req.actor.workspaceId}.ndjson"`);
+
+    for (;;) {
+      page.entries.forEach(entry => res.write(`${JSON.stringify(entry)}\n`));
+      if (!page.nextCursor) break;
+      page = await auditService.getAuditLog(filters, { limit: EXPORT_PAGE_SIZE, cursor: page.nextCursor }, req.actor);
+    }
+
+    res.end();
+  } catch (error) {
+    // Halfway through a download there's no status code left to send - just cut it off
+    if (res.headersSent) {
+      console.error('Error exporting audit log:', error);
+      return res.end();
+    }
+    sendError(res, error, 'exporting audit log');
+  }
+});
+
+module.exports = router;
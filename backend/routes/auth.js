@@ -0,0 +1,156 @@
+const express = require('express');
+const { body } = require('express-validator');
+const DueDate = require('../models/DueDate');
+const authService = require('../services/authService');
+const taskService = require('../services/taskService');
+const workspaceService = require('../services/workspaceService');
+const { requireAuth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// POST /api/auth/register - Create an account and start a session
+// Because apparently everyone needs a login these days
+router.post('/register', [
+  body('email').isEmail().withMessage('Email must be a valid email address').normalizeEmail({ gmail_remove_dots: false }),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be 1-100 characters'),
+  body('password').isString().isLength({ min: 8, max: 128 }).withMessage('Password must be 8-128 characters'),
+  body('timezone').optional({ values: 'null' }).custom(DueDate.isValidTimezone).withMessage('Time zone must be an IANA time zone name, like "Europe/Paris"'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    // The account and its personal workspace are made together - one never exists without the other
+    let workspace;
+    const session = await authService.register(req.body, (user) => {
+      workspace = workspaceService.setUpPersonalWorkspace(user);
+    });
+    
+    // Demo mode - on a throwaway store, new accounts get the sample tasks to play with
+    if (taskService.store.isEphemeral) {
+      taskService.initializeSampleData(session.user.id, workspace.id);
+    }
+    
+    res.status(201).json(session);
+  } catch (error) {
+    if (error.message.includes('already registered')) {
+      return res.status(409).json({
+        error: 'Email is already registered - try logging in instead',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: 'Validation failed - because apparently data validation is optional',
+        message: error.message
+      });
+    }
+
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      error: 'Failed to register - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/login - Exchange email and password for tokens
+router.post('/login', [
+  body('email').isEmail().withMessage('Email must be a valid email address').normalizeEmail({ gmail_remove_dots: false }),
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await authService.login(req.body);
+    res.json(session);
+  } catch (error) {
+    if (error.message.includes('Invalid email or password')) {
+      return res.status(401).json({
+        error: 'Invalid email or password',
+        message: error.message
+      });
+    }
+
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to log in - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/refresh - Rotate a refresh token into a new session
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await authService.refresh(req.body.refreshToken);
+    res.json(session);
+  } catch (error) {
+    if (error.message.includes('refresh token')) {
+      return res.status(401).json({
+        error: 'Session expired - please log in again',
+        message: error.message
+      });
+    }
+
+    console.error('Error refreshing session:', error);
+    res.status(500).json({
+      error: 'Failed to refresh session - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke a refresh token
+router.post('/logout', [
+  body('refreshToken').optional().isString(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await authService.logout(req.body.refreshToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      error: 'Failed to log out - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/auth/me - Who am I?
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// PATCH /api/auth/me - Change your name or time zone
+// Because apparently not everyone lives in UTC
+router.patch('/me', [
+  requireAuth,
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('timezone').optional({ values: 'null' }).custom(DueDate.isValidTimezone).withMessage('Time zone must be an IANA time zone name, like "Europe/Paris"'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { name, timezone } = req.body;
+    const user = await authService.updateProfile(req.user.id, { name, timezone });
+    res.json({ user });
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: 'Validation failed - because apparently data validation is optional',
+        message: error.message
+      });
+    }
+
+    console.error('Error updating profile:', error);
+    res.status(500).json({
+      error: 'Failed to update your profile - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
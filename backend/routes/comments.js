@@ -0,0 +1,110 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Comment = require('../models/Comment');
+const commentService = require('../services/commentService');
+const { handleValidationErrors } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/workspace');
+
+// Mounted under /api/tasks/:id/comments - mergeParams lets us see the task ID
+const router = express.Router({ mergeParams: true });
+
+// Shared error mapping - the service speaks in messages, we speak in status codes
+const sendError = (res, error, action) => {
+  if (error.message.includes('Not allowed')) {
+    return res.status(403).json({
+      error: 'Not allowed - that comment isn\'t yours to change',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      error: 'Not found - because apparently that doesn\'t exist (or isn\'t yours to see)',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Validation failed')) {
+    return res.status(400).json({
+      error: 'Validation failed - because apparently data validation is optional',
+      message: error.message
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: `Failed ${action} - because apparently something went wrong`,
+    message: error.message
+  });
+};
+
+const validateTaskId = param('id').isUUID().withMessage('Invalid task ID format');
+const validateCommentId = param('commentId').isUUID().withMessage('Invalid comment ID format');
+const validateBody = body('body')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: Comment.MAX_BODY_LENGTH })
+  .withMessage(`Comment is required and must be 1-${Comment.MAX_BODY_LENGTH} characters`);
+
+// GET /api/tasks/:id/comments - A task's discussion, oldest first
+// Because apparently decisions made in chat are decisions lost
+router.get('/', [
+  requirePermission('task:read'),
+  validateTaskId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const comments = await commentService.listComments(req.params.id, req.actor);
+    res.json({ comments });
+  } catch (error) {
+    sendError(res, error, 'to retrieve comments');
+  }
+});
+
+// POST /api/tasks/:id/comments - Add a comment (markdown; @mentions are picked out and recorded)
+router.post('/', [
+  requirePermission('comment:create'),
+  validateTaskId,
+  validateBody,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const comment = await commentService.addComment(req.params.id, { body: req.body.body }, req.actor);
+    res.status(201).json(comment);
+  } catch (error) {
+    sendError(res, error, 'to add comment');
+  }
+});
+
+// PATCH /api/tasks/:id/comments/:commentId - Edit your own comment
+router.patch('/:commentId', [
+  requirePermission('comment:create'),
+  validateTaskId,
+  validateCommentId,
+  validateBody,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const comment = await commentService.updateComment(req.params.id, req.params.commentId, { body: req.body.body }, req.actor);
+    res.json(comment);
+  } catch (error) {
+    sendError(res, error, 'to update comment');
+  }
+});
+
+// DELETE /api/tasks/:id/comments/:commentId - Delete your own comment, or anyone's as an owner
+router.delete('/:commentId', [
+  requirePermission('comment:create'),
+  validateTaskId,
+  validateCommentId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await commentService.deleteComment(req.params.id, req.params.commentId, req.actor);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'to delete comment');
+  }
+});
+
+module.exports = router;
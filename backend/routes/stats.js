@@ -1,14 +1,20 @@
 const express = require('express');
+const { query } = require('express-validator');
 const taskService = require('../services/taskService');
+const { handleValidationErrors, isoDate } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/workspace');
 
 const router = express.Router();
 
+// Stats are just another way of reading tasks - anyone who can see the board can see these
+router.use(requirePermission('task:read'));
+
 // GET /api/stats - Get task statistics
 // Because apparently we need to know how many things we have
 router.get('/', async (req, res) => {
   try {
     // Get statistics from service - because apparently we need to delegate work
-    const stats = await taskService.getTaskStats();
+    const stats = await taskService.getTaskStats(req.actor);
     
     // Return statistics - because apparently we need to send data back
     res.json(stats);
@@ -26,16 +32,8 @@ router.get('/', async (req, res) => {
 // Because apparently we need to know what's late
 router.get('/overdue', async (req, res) => {
   try {
-    // Get all tasks - because apparently we need to filter them
-    const result = await taskService.getTasks();
-    
-    // Filter overdue tasks - because apparently we need to find what's late
-    const overdueTasks = result.tasks.filter(task => {
-      if (!task.dueDate || task.status === 'completed') {
-        return false;
-      }
-      return new Date() > new Date(task.dueDate);
-    });
+    // Get the workspace's overdue tasks - because apparently we need to find what's late
+    const overdueTasks = await taskService.getAllTasks({ overdue: true, sortBy: 'dueDate' }, req.actor);
     
     // Return overdue tasks - because apparently we need to send data back
     res.json({
@@ -58,23 +56,23 @@ router.get('/status/:status', async (req, res) => {
   try {
     const status = req.params.status;
     
-    // Validate status - because apparently some people send garbage data
-    const validStatuses = ['todo', 'in_progress', 'completed'];
-    if (!validStatuses.includes(status)) {
+    // Validate status against the workspace's workflow - because apparently some people send garbage data
+    const workflow = await taskService.getWorkflow(req.actor);
+    if (!workflow.has(status)) {
       return res.status(400).json({
         error: 'Invalid status - because apparently reading the API docs is optional',
-        message: `Status must be one of: ${validStatuses.join(', ')}`
+        message: `Status must be one of: ${workflow.statuses.map(candidate => candidate.key).join(', ')}`
       });
     }
     
     // Get tasks by status - because apparently we need to filter them
-    const result = await taskService.getTasks({ status });
+    const tasks = await taskService.getAllTasks({ status, includeArchived: true }, req.actor);
     
     // Return filtered tasks - because apparently we need to send data back
     res.json({
       status,
-      count: result.tasks.length,
-      tasks: result.tasks
+      count: tasks.length,
+      tasks
     });
   } catch (error) {
     // Handle errors - because apparently error handling is important
@@ -102,13 +100,13 @@ router.get('/priority/:priority', async (req, res) => {
     }
     
     // Get tasks by priority - because apparently we need to filter them
-    const result = await taskService.getTasks({ priority });
+    const tasks = await taskService.getAllTasks({ priority, includeArchived: true }, req.actor);
     
     // Return filtered tasks - because apparently we need to send data back
     res.json({
       priority,
-      count: result.tasks.length,
-      tasks: result.tasks
+      count: tasks.length,
+      tasks
     });
   } catch (error) {
     // Handle errors - because apparently error handling is important
@@ -124,22 +122,13 @@ router.get('/priority/:priority', async (req, res) => {
 // Because apparently we need to know what tags people use
 router.get('/tags', async (req, res) => {
   try {
-    // Get all tasks - because apparently we need to analyze them
-    const result = await taskService.getTasks();
-    
-    // Count tags - because apparently we need to know what's popular
+    // Count the workspace's tags - because apparently we need to know what's popular
+    const tagStats = await taskService.getTagStats(req.actor);
     const tagCounts = {};
-    result.tasks.forEach(task => {
-      task.tags.forEach(tag => {
-        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-      });
+    tagStats.forEach(({ tag, count }) => {
+      tagCounts[tag] = count;
     });
     
-    // Convert to array and sort - because apparently order matters
-    const tagStats = Object.entries(tagCounts)
-      .map(([tag, count]) => ({ tag, count }))
-      .sort((a, b) => b.count - a.count);
-    
     // Return tag statistics - because apparently we need to send data back
     res.json({
       totalTags: Object.keys(tagCounts).length,
@@ -160,18 +149,18 @@ router.get('/tags', async (req, res) => {
 // Because apparently we need to know if we're getting better
 router.get('/completion-trend', async (req, res) => {
   try {
-    // Get all tasks - because apparently we need to analyze them
-    const result = await taskService.getTasks();
+    // Get all of the workspace's tasks - archived ones too, because apparently they happened
+    const tasks = await taskService.getAllTasks({ includeArchived: true }, req.actor);
     
     // Group tasks by creation date - because apparently we need to see trends
     const tasksByDate = {};
-    result.tasks.forEach(task => {
+    tasks.forEach(task => {
       const date = new Date(task.createdAt).toISOString().split('T')[0];
       if (!tasksByDate[date]) {
         tasksByDate[date] = { total: 0, completed: 0 };
       }
       tasksByDate[date].total++;
-      if (task.status === 'completed') {
+      if (task.statusCategory === 'done') {
         tasksByDate[date].completed++;
       }
     });
@@ -201,4 +190,74 @@ router.get('/completion-trend', async (req, res) => {
   }
 });
 
+// GET /api/stats/flow - Lead and cycle time of the tasks completed in a date range (?from=&to=, ISO 8601)
+// Because apparently "it feels slower lately" isn't a metric
+router.get('/flow', [
+  isoDate(query('from').optional(), 'From must be a valid ISO 8601 date'),
+  isoDate(query('to').optional(), 'To must be a valid ISO 8601 date'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const stats = await taskService.getFlowStats(req.actor, { from: req.query.from, to: req.query.to });
+    res.json(stats);
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: 'Validation failed - because apparently time only goes one way',
+        message: error.message
+      });
+    }
+    
+    console.error('Error getting flow statistics:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve flow statistics - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/stats/cumulative-flow - Tasks per status at the end of each day (?from=&to=, YYYY-MM-DD, both included)
+// Because apparently "how many did we finish" is only half of "is work piling up"
+router.get('/cumulative-flow', [
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('From must be a day, like 2024-01-31'),
+  query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('To must be a day, like 2024-01-31'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const flow = await taskService.getCumulativeFlow(req.actor, { from: req.query.from, to: req.query.to });
+    res.json(flow);
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: 'Validation failed - because apparently that range doesn\'t make sense',
+        message: error.message
+      });
+    }
+    
+    console.error('Error getting cumulative flow:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve cumulative flow - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/stats/wip - How long each column spent over its WIP limit (?days=30, up to a year)
+// Because apparently "we'll just be careful" isn't a WIP policy
+router.get('/wip', [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const stats = await taskService.getWipStats(req.actor, req.query.days ? parseInt(req.query.days, 10) : 30);
+    res.json(stats);
+  } catch (error) {
+    console.error('Error getting WIP statistics:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve WIP statistics - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -1,30 +1,98 @@
 const express = require('express');
-const { body, query, param, validationResult } = require('express-validator');
+const { body, query, param } = require('express-validator');
+const DueDate = require('../models/DueDate');
+const Recurrence = require('../models/Recurrence');
+const Workflow = require('../models/Workflow');
 const taskService = require('../services/taskService');
+const { handleValidationErrors, isoDate } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/workspace');
 
 const router = express.Router();
 
-// Validation middleware - because apparently some people send garbage data
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed - because apparently data validation is optional',
-      details: errors.array()
-    });
-  }
-  next();
-};
+// Fields a task can be created or edited with, plus the override flag - everything but the title, which only creating requires
+const validateTaskFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be 500 characters or less'),
+  // Whether the status exists (and the move is allowed) is checked against the workspace's workflow
+  body('status')
+    .optional()
+    .matches(Workflow.STATUS_KEY)
+    .withMessage('Status must be a status key from the workspace\'s workflow'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Priority must be low, medium, or high'),
+  isoDate(body('dueDate').optional({ values: 'null' }), 'Due date must be a valid ISO 8601 date, or null'),
+  body('dueTime')
+    .optional({ values: 'null' })
+    .matches(DueDate.TIME_PATTERN)
+    .withMessage('Due time must be HH:MM on a 24-hour clock, or null'),
+  isoDate(body('startDate').optional({ values: 'null' }), 'Start date must be a valid ISO 8601 date, or null'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('tags.*')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be 1-50 characters'),
+  body('assignees')
+    .optional()
+    .isArray()
+    .withMessage('Assignees must be an array of user IDs'),
+  body('assignees.*')
+    .isUUID()
+    .withMessage('Each assignee must be a user ID'),
+  body('parentId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Parent ID must be a task ID or null'),
+  body('blockedBy')
+    .optional()
+    .isArray()
+    .withMessage('Blocked by must be an array of task IDs'),
+  body('blockedBy.*')
+    .isUUID()
+    .withMessage('Each blocker must be a task ID'),
+  body('recurrence')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Recurrence must be a rule object or null'),
+  body('recurrence.frequency')
+    .if(body('recurrence').isObject())
+    .isIn(Recurrence.FREQUENCIES)
+    .withMessage(`Recurrence frequency must be one of: ${Recurrence.FREQUENCIES.join(', ')}`),
+  query('override').optional().isBoolean().withMessage('Override must be true or false')
+];
 
 // GET /api/tasks - Get all tasks with filtering and pagination
 // Because apparently we need to retrieve things
 router.get('/', [
+  requirePermission('task:read'),
   // Query parameter validation - because apparently query strings are hard to validate
-  query('status').optional().isIn(['todo', 'in_progress', 'completed']).withMessage('Invalid status value'),
+  // Statuses depend on the workspace's workflow - an unknown one simply matches nothing
+  query('status').optional().matches(Workflow.STATUS_KEY).withMessage('Invalid status value'),
+  query('statusCategory').optional().isIn(Workflow.CATEGORIES).withMessage('Invalid status category'),
   query('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority value'),
   query('search').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Search term must be 1-100 characters'),
   query('tags').optional().isArray().withMessage('Tags must be an array'),
-  query('sortBy').optional().isIn(['title', 'priority', 'dueDate', 'createdAt']).withMessage('Invalid sort field'),
+  query('assignee').optional()
+    .if(value => !['me', 'unassigned'].includes(value))
+    .isUUID()
+    .withMessage('Assignee must be "me", "unassigned" or a user ID'),
+  query('parentId').optional().isUUID().withMessage('Invalid parent ID format'),
+  isoDate(query('dueFrom').optional(), 'Due from must be a valid ISO 8601 date'),
+  isoDate(query('dueBefore').optional(), 'Due before must be a valid ISO 8601 date'),
+  isoDate(query('startBefore').optional(), 'Start before must be a valid ISO 8601 date'),
+  query('due').optional().isIn(['overdue', 'today']).withMessage('Due must be overdue or today'),
+  query('includeArchived').optional().isBoolean().withMessage('Include archived must be true or false'),
+  query('archived').optional().isBoolean().withMessage('Archived must be true or false'),
+  query('sortBy').optional().isIn(['title', 'priority', 'dueDate', 'createdAt', 'rank', 'archivedAt']).withMessage('Invalid sort field'),
   query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
@@ -34,9 +102,19 @@ router.get('/', [
     // Extract query parameters - because apparently we need to parse them
     const filters = {
       status: req.query.status,
+      statusCategory: req.query.statusCategory,
       priority: req.query.priority,
       search: req.query.search,
       tags: req.query.tags,
+      assignee: req.query.assignee,
+      parentId: req.query.parentId,
+      dueFrom: req.query.dueFrom ? new Date(req.query.dueFrom) : undefined,
+      dueBefore: req.query.dueBefore ? new Date(req.query.dueBefore) : undefined,
+      startBefore: req.query.startBefore ? new Date(req.query.startBefore) : undefined,
+      overdue: req.query.due === 'overdue',
+      dueToday: req.query.due === 'today',
+      includeArchived: req.query.includeArchived === 'true',
+      archived: req.query.archived === 'true',
       sortBy: req.query.sortBy,
       sortOrder: req.query.sortOrder || 'asc'
     };
@@ -47,7 +125,7 @@ router.get('/', [
     };
     
     // Get tasks from service - because apparently we need to delegate work
-    const result = await taskService.getTasks(filters, pagination);
+    const result = await taskService.getTasks(filters, pagination, req.actor);
     
     // Return results - because apparently we need to send data back
     res.json(result);
@@ -61,15 +139,90 @@ router.get('/', [
   }
 });
 
+// GET /api/tasks/board - The Kanban board: one page of cards per status column, in board order
+// (?status=<key> for just that column, ?after=<rank of the last card loaded> for the next page of it)
+// Because apparently the board and the task list don't scroll the same way
+router.get('/board', [
+  requirePermission('task:read'),
+  query('status').optional().matches(Workflow.STATUS_KEY).withMessage('Invalid status value'),
+  query('after').optional().isFloat().withMessage('After must be the rank of the last card loaded'),
+  query('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority value'),
+  query('search').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Search term must be 1-100 characters'),
+  query('tags').optional().isArray().withMessage('Tags must be an array'),
+  query('assignee').optional()
+    .if(value => !['me', 'unassigned'].includes(value))
+    .isUUID()
+    .withMessage('Assignee must be "me", "unassigned" or a user ID'),
+  query('parentId').optional().isUUID().withMessage('Invalid parent ID format'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const filters = {
+      priority: req.query.priority,
+      search: req.query.search,
+      tags: req.query.tags,
+      assignee: req.query.assignee,
+      parentId: req.query.parentId
+    };
+    
+    const board = await taskService.getBoard(filters, {
+      status: req.query.status,
+      after: req.query.after !== undefined ? parseFloat(req.query.after) : undefined,
+      limit: parseInt(req.query.limit) || 20
+    }, req.actor);
+    
+    res.json(board);
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: 'Validation failed - because apparently data validation is optional',
+        message: error.message
+      });
+    }
+    
+    console.error('Error getting board:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve the board - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/tasks/trash - What's in the trash, most recently deleted first, with when each task gets purged
+// Because apparently "are you sure?" isn't always answered truthfully
+router.get('/trash', [
+  requirePermission('task:read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await taskService.getTrash(req.actor, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10
+    });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve the trash - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/tasks/:id - Get task by ID
 // Because apparently we need to find specific things
 router.get('/:id', [
+  requirePermission('task:read'),
   param('id').isUUID().withMessage('Invalid task ID format'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     // Get task by ID - because apparently we need to find specific things
-    const task = await taskService.getTaskById(req.params.id);
+    const task = await taskService.getTaskById(req.params.id, req.actor);
     
     // Return task - because apparently we need to send data back
     res.json(task);
@@ -90,46 +243,133 @@ router.get('/:id', [
   }
 });
 
+// GET /api/tasks/:id/subtasks - Get a task's direct subtasks
+// Because apparently big tasks come in pieces
+router.get('/:id/subtasks', [
+  requirePermission('task:read'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const subtasks = await taskService.getSubtasks(req.params.id, req.actor);
+    
+    res.json({
+      count: subtasks.length,
+      tasks: subtasks
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found - because apparently that ID doesn\'t exist',
+        message: error.message
+      });
+    }
+    
+    console.error('Error getting subtasks:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve subtasks - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/tasks/:id/dependencies - What a task is blocked by, and what it blocks
+// Because apparently order matters
+router.get('/:id/dependencies', [
+  requirePermission('task:read'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const dependencies = await taskService.getDependencies(req.params.id, req.actor);
+    
+    res.json(dependencies);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found - because apparently that ID doesn\'t exist',
+        message: error.message
+      });
+    }
+    
+    console.error('Error getting dependencies:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve dependencies - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/tasks/:id/occurrences - The next few due dates of a recurring task
+// Because apparently people plan ahead
+router.get('/:id/occurrences', [
+  requirePermission('task:read'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
+  query('count').optional().isInt({ min: 1, max: 20 }).withMessage('Count must be 1-20'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await taskService.getUpcomingOccurrences(req.params.id, req.actor, parseInt(req.query.count) || 5);
+    
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found - because apparently that ID doesn\'t exist',
+        message: error.message
+      });
+    }
+    
+    console.error('Error getting occurrences:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve occurrences - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/tasks/:id/history - Who changed what on a task, and when, newest first
+// Because apparently "who moved this back to todo?" deserves an answer
+router.get('/:id/history', [
+  requirePermission('task:read'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const history = await taskService.getTaskHistory(req.params.id, req.actor);
+    
+    res.json({ history });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found - because apparently that ID doesn\'t exist',
+        message: error.message
+      });
+    }
+    
+    console.error('Error getting task history:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve task history - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/tasks - Create new task
 // Because apparently we need to add things
 router.post('/', [
+  requirePermission('task:create'),
   // Body validation - because apparently request bodies are hard to validate
   body('title')
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Title is required and must be 1-100 characters'),
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Description must be 500 characters or less'),
-  body('status')
-    .optional()
-    .isIn(['todo', 'in_progress', 'completed'])
-    .withMessage('Status must be todo, in_progress, or completed'),
-  body('priority')
-    .optional()
-    .isIn(['low', 'medium', 'high'])
-    .withMessage('Priority must be low, medium, or high'),
-  body('dueDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Due date must be a valid ISO 8601 date'),
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-  body('tags.*')
-    .optional()
-    .isString()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Each tag must be 1-50 characters'),
+  ...validateTaskFields,
   handleValidationErrors
 ], async (req, res) => {
   try {
     // Create task - because apparently we need to add things
-    const task = await taskService.createTask(req.body);
+    const task = await taskService.createTask(req.body, req.actor, { override: req.query.override === 'true' });
     
     // Return created task - because apparently we need to know what we created
     res.status(201).json(task);
@@ -142,6 +382,20 @@ router.post('/', [
       });
     }
     
+    if (error.message.includes('is blocked')) {
+      return res.status(409).json({
+        error: 'Task is blocked - finish its blockers first, or pass override=true',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('WIP limit')) {
+      return res.status(409).json({
+        error: 'Column is full - make room first, or pass override=true',
+        message: error.message
+      });
+    }
+    
     console.error('Error creating task:', error);
     res.status(500).json({
       error: 'Failed to create task - because apparently something went wrong',
@@ -150,9 +404,10 @@ router.post('/', [
   }
 });
 
-// PUT /api/tasks/:id - Update task
+// PUT /api/tasks/:id - Update task (?override=true to start or finish a blocked task, or go over a WIP limit, anyway)
 // Because apparently things change
 router.put('/:id', [
+  requirePermission('task:update'),
   param('id').isUUID().withMessage('Invalid task ID format'),
   // Body validation - because apparently request bodies are hard to validate
   body('title')
@@ -160,38 +415,12 @@ router.put('/:id', [
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Title must be 1-100 characters'),
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Description must be 500 characters or less'),
-  body('status')
-    .optional()
-    .isIn(['todo', 'in_progress', 'completed'])
-    .withMessage('Status must be todo, in_progress, or completed'),
-  body('priority')
-    .optional()
-    .isIn(['low', 'medium', 'high'])
-    .withMessage('Priority must be low, medium, or high'),
-  body('dueDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Due date must be a valid ISO 8601 date'),
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-  body('tags.*')
-    .optional()
-    .isString()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Each tag must be 1-50 characters'),
+  ...validateTaskFields,
   handleValidationErrors
 ], async (req, res) => {
   try {
     // Update task - because apparently we need to change things
-    const task = await taskService.updateTask(req.params.id, req.body);
+    const task = await taskService.updateTask(req.params.id, req.body, req.actor, { override: req.query.override === 'true' });
     
     // Return updated task - because apparently we need to know what we changed
     res.json(task);
@@ -211,6 +440,20 @@ router.put('/:id', [
       });
     }
     
+    if (error.message.includes('is blocked')) {
+      return res.status(409).json({
+        error: 'Task is blocked - finish its blockers first, or pass override=true',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('WIP limit')) {
+      return res.status(409).json({
+        error: 'Column is full - make room first, or pass override=true',
+        message: error.message
+      });
+    }
+    
     console.error('Error updating task:', error);
     res.status(500).json({
       error: 'Failed to update task - because apparently something went wrong',
@@ -222,6 +465,7 @@ router.put('/:id', [
 // PATCH /api/tasks/:id - Partial update task
 // Because apparently PUT is too mainstream
 router.patch('/:id', [
+  requirePermission('task:update'),
   param('id').isUUID().withMessage('Invalid task ID format'),
   // Body validation - because apparently request bodies are hard to validate
   body('title')
@@ -229,23 +473,76 @@ router.patch('/:id', [
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Title must be 1-100 characters'),
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Description must be 500 characters or less'),
+  ...validateTaskFields,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    // Update task - because apparently we need to change things
+    const task = await taskService.updateTask(req.params.id, req.body, req.actor, { override: req.query.override === 'true' });
+    
+    // Return updated task - because apparently we need to know what we changed
+    res.json(task);
+  } catch (error) {
+    // Handle errors - because apparently error handling is important
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found - because apparently that ID doesn\'t exist',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: 'Validation failed - because apparently data validation is optional',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('is blocked')) {
+      return res.status(409).json({
+        error: 'Task is blocked - finish its blockers first, or pass override=true',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('WIP limit')) {
+      return res.status(409).json({
+        error: 'Column is full - make room first, or pass override=true',
+        message: error.message
+      });
+    }
+    
+    console.error('Error updating task:', error);
+    res.status(500).json({
+      error: 'Failed to update task - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/tasks/:id/move - Move a task on the board: new status and position in one go
+// (?override=true to start or finish a blocked task, or go over a WIP limit, anyway)
+// Because apparently dragging a card shouldn't take two requests
+router.post('/:id/move', [
+  requirePermission('task:update'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
   body('status')
     .optional()
-    .isIn(['todo', 'in_progress', 'completed'])
-    .withMessage('Status must be todo, in_progress, or completed'),
+    .matches(Workflow.STATUS_KEY)
+    .withMessage('Status must be a status key from the workspace\'s workflow'),
+  body('previousId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Previous ID must be the task right above the drop spot, or null'),
+  body('nextId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Next ID must be the task right below the drop spot, or null'),
+  // Dropped into another swimlane - the lane's field comes along
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high'])
     .withMessage('Priority must be low, medium, or high'),
-  body('dueDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Due date must be a valid ISO 8601 date'),
   body('tags')
     .optional()
     .isArray()
@@ -256,16 +553,29 @@ router.patch('/:id', [
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('Each tag must be 1-50 characters'),
+  body('assignees')
+    .optional()
+    .isArray()
+    .withMessage('Assignees must be an array of user IDs'),
+  body('assignees.*')
+    .isUUID()
+    .withMessage('Each assignee must be a user ID'),
+  body('parentId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Parent ID must be a task ID or null'),
+  query('override').optional().isBoolean().withMessage('Override must be true or false'),
   handleValidationErrors
 ], async (req, res) => {
   try {
-    // Update task - because apparently we need to change things
-    const task = await taskService.updateTask(req.params.id, req.body);
+    const { status, previousId, nextId, priority, tags, assignees, parentId } = req.body;
+    const move = { status, previousId, nextId, priority, tags, assignees, parentId };
+    const task = await taskService.moveTask(req.params.id, move, req.actor, {
+      override: req.query.override === 'true'
+    });
     
-    // Return updated task - because apparently we need to know what we changed
     res.json(task);
   } catch (error) {
-    // Handle errors - because apparently error handling is important
     if (error.message.includes('not found')) {
       return res.status(404).json({
         error: 'Task not found - because apparently that ID doesn\'t exist',
@@ -280,23 +590,180 @@ router.patch('/:id', [
       });
     }
     
-    console.error('Error updating task:', error);
+    if (error.message.includes('is blocked')) {
+      return res.status(409).json({
+        error: 'Task is blocked - finish its blockers first, or pass override=true',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('WIP limit')) {
+      return res.status(409).json({
+        error: 'Column is full - make room first, or pass override=true',
+        message: error.message
+      });
+    }
+    
+    console.error('Error moving task:', error);
     res.status(500).json({
-      error: 'Failed to update task - because apparently something went wrong',
+      error: 'Failed to move task - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/tasks/:id/archive - Put a task away: out of the lists and off the board, still in the stats
+// Because apparently "Done" columns aren't supposed to scroll forever
+router.post('/:id/archive', [
+  requirePermission('task:update'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const task = await taskService.archiveTask(req.params.id, req.actor);
+    
+    res.json(task);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found - because apparently that ID doesn\'t exist',
+        message: error.message
+      });
+    }
+    
+    console.error('Error archiving task:', error);
+    res.status(500).json({
+      error: 'Failed to archive task - because apparently something went wrong',
       message: error.message
     });
   }
 });
 
-// DELETE /api/tasks/:id - Delete task
+// POST /api/tasks/:id/unarchive - Bring an archived task back into the lists (?override=true to go over a WIP limit)
+// Because apparently "done" sometimes isn't
+router.post('/:id/unarchive', [
+  requirePermission('task:update'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
+  query('override').optional().isBoolean().withMessage('Override must be true or false'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const task = await taskService.unarchiveTask(req.params.id, req.actor, { override: req.query.override === 'true' });
+    
+    res.json(task);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found - because apparently that ID doesn\'t exist',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('WIP limit')) {
+      return res.status(409).json({
+        error: 'Column is full - make room first, or pass override=true',
+        message: error.message
+      });
+    }
+    
+    console.error('Error unarchiving task:', error);
+    res.status(500).json({
+      error: 'Failed to unarchive task - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/tasks/:id/restore - Take a task (and the subtasks deleted along with it) back out of the trash
+// (?override=true to go over a WIP limit)
+// Because apparently second thoughts happen
+router.post('/:id/restore', [
+  requirePermission('task:delete'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
+  query('override').optional().isBoolean().withMessage('Override must be true or false'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const task = await taskService.restoreTask(req.params.id, req.actor, { override: req.query.override === 'true' });
+    
+    res.json(task);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found in the trash - because apparently it was never there, or is gone for good',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('WIP limit')) {
+      return res.status(409).json({
+        error: 'Column is full - make room first, or pass override=true',
+        message: error.message
+      });
+    }
+    
+    console.error('Error restoring task:', error);
+    res.status(500).json({
+      error: 'Failed to restore task - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/tasks/trash/:id - Delete a task in the trash for good, subtasks in the trash included (owners only)
+// Because apparently some things really should go
+router.delete('/trash/:id', [
+  requirePermission('task:purge'),
+  param('id').isUUID().withMessage('Invalid task ID format'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await taskService.purgeTask(req.params.id, req.actor);
+    
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Task not found in the trash - because apparently it was never there, or is gone for good',
+        message: error.message
+      });
+    }
+    
+    console.error('Error purging task:', error);
+    res.status(500).json({
+      error: 'Failed to purge task - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/tasks/trash - Empty the trash: everything in it, gone for good (owners only)
+// Because apparently waiting out the retention period is for other people
+router.delete('/trash', requirePermission('task:purge'), async (req, res) => {
+  try {
+    const result = await taskService.emptyTrash(req.actor);
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      error: 'Failed to empty the trash - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/tasks/:id - Move a task to the trash (?cascade=true to take its subtasks along)
 // Because apparently we need to remove things
 router.delete('/:id', [
+  requirePermission('task:delete'),
   param('id').isUUID().withMessage('Invalid task ID format'),
+  query('cascade').optional().isBoolean().withMessage('Cascade must be true or false'),
   handleValidationErrors
 ], async (req, res) => {
   try {
     // Delete task - because apparently we need to remove things
-    const result = await taskService.deleteTask(req.params.id);
+    const result = await taskService.deleteTask(req.params.id, req.actor, { cascade: req.query.cascade === 'true' });
     
     // Return success message - because apparently we need to know it worked
     res.json(result);
@@ -309,6 +776,13 @@ router.delete('/:id', [
       });
     }
     
+    if (error.message.includes('has subtasks')) {
+      return res.status(409).json({
+        error: 'Task has subtasks - delete them first, or pass cascade=true to delete them too',
+        message: error.message
+      });
+    }
+    
     console.error('Error deleting task:', error);
     res.status(500).json({
       error: 'Failed to delete task - because apparently something went wrong',
@@ -317,12 +791,12 @@ router.delete('/:id', [
   }
 });
 
-// DELETE /api/tasks - Clear all tasks (dangerous operation)
+// DELETE /api/tasks - Move every task in the workspace to the trash (dangerous operation, owners only)
 // Because apparently we need to start over sometimes
-router.delete('/', async (req, res) => {
+router.delete('/', requirePermission('task:clear'), async (req, res) => {
   try {
     // Clear all tasks - because apparently we need to start over
-    const result = await taskService.clearAllTasks();
+    const result = await taskService.clearAllTasks(req.actor);
     
     // Return success message - because apparently we need to know it worked
     res.json(result);
@@ -0,0 +1,78 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Workflow = require('../models/Workflow');
+const taskService = require('../services/taskService');
+const { handleValidationErrors } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/workspace');
+
+const router = express.Router();
+
+// GET /api/workflow - The current workspace's statuses and allowed transitions
+// Because apparently not every team says "todo"
+router.get('/', requirePermission('task:read'), async (req, res) => {
+  try {
+    const workflow = await taskService.getWorkflow(req.actor);
+    res.json(workflow);
+  } catch (error) {
+    console.error('Error getting workflow:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve workflow - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/workflow - Replace the current workspace's workflow (owners only)
+router.put('/', [
+  requirePermission('workspace:manage'),
+  body('statuses')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Statuses must be a list of 1-20 statuses'),
+  body('statuses.*.key')
+    .matches(Workflow.STATUS_KEY)
+    .withMessage('Each status key must be lowercase letters, digits and underscores (max 40)'),
+  body('statuses.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each status name must be 1-50 characters'),
+  body('statuses.*.category')
+    .isIn(Workflow.CATEGORIES)
+    .withMessage(`Each status category must be one of: ${Workflow.CATEGORIES.join(', ')}`),
+  body('statuses.*.wipLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 999 })
+    .withMessage('Each WIP limit must be a whole number from 1 to 999, or null'),
+  body('statuses.*.wipEnforced')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('wipEnforced must be true or false'),
+  body('transitions')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Transitions must map each status key to the keys it may move to, or be null'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const workflow = await taskService.updateWorkflow({
+      statuses: req.body.statuses,
+      transitions: req.body.transitions || null
+    }, req.actor);
+    res.json(workflow);
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: 'Validation failed - because apparently data validation is optional',
+        message: error.message
+      });
+    }
+
+    console.error('Error updating workflow:', error);
+    res.status(500).json({
+      error: 'Failed to update workflow - because apparently something went wrong',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
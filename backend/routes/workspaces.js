@@ -0,0 +1,139 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const workspaceService = require('../services/workspaceService');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Shared error mapping - the service speaks in messages, we speak in status codes
+const sendError = (res, error, action) => {
+  if (error.message.includes('Not allowed')) {
+    return res.status(403).json({
+      error: 'Not allowed - your role in this workspace can\'t do that',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      error: 'Not found - because apparently that doesn\'t exist (or isn\'t yours to see)',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Validation failed')) {
+    return res.status(400).json({
+      error: 'Validation failed - because apparently data validation is optional',
+      message: error.message
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: `Failed ${action} - because apparently something went wrong`,
+    message: error.message
+  });
+};
+
+const validateName = body('name')
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Workspace name is required and must be 1-100 characters');
+
+const validateRole = body('role')
+  .isIn(Workspace.ROLES)
+  .withMessage(`Role must be one of: ${Workspace.ROLES.join(', ')}`);
+
+// GET /api/workspaces - Every workspace the caller belongs to, with their role in each
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await workspaceService.listWorkspaces(req.user);
+    res.json({ workspaces });
+  } catch (error) {
+    sendError(res, error, 'listing workspaces');
+  }
+});
+
+// POST /api/workspaces - Create a team workspace, owned by the caller
+router.post('/', [validateName, handleValidationErrors], async (req, res) => {
+  try {
+    const workspace = await workspaceService.createWorkspace(req.body, req.user);
+    res.status(201).json(workspace);
+  } catch (error) {
+    sendError(res, error, 'creating workspace');
+  }
+});
+
+// GET /api/workspaces/:id - A workspace and its members
+router.get('/:id', [
+  param('id').isUUID().withMessage('Invalid workspace ID format'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.id, req.user);
+    res.json(workspace);
+  } catch (error) {
+    sendError(res, error, 'retrieving workspace');
+  }
+});
+
+// PATCH /api/workspaces/:id - Rename a workspace (owners only)
+router.patch('/:id', [
+  param('id').isUUID().withMessage('Invalid workspace ID format'),
+  validateName,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const workspace = await workspaceService.renameWorkspace(req.params.id, req.body, req.user);
+    res.json(workspace);
+  } catch (error) {
+    sendError(res, error, 'renaming workspace');
+  }
+});
+
+// POST /api/workspaces/:id/members - Add someone by email (owners only)
+router.post('/:id/members', [
+  param('id').isUUID().withMessage('Invalid workspace ID format'),
+  body('email').isEmail().withMessage('Email must be a valid email address').normalizeEmail({ gmail_remove_dots: false }),
+  validateRole,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const workspace = await workspaceService.addMember(req.params.id, req.body, req.user);
+    res.status(201).json(workspace);
+  } catch (error) {
+    sendError(res, error, 'adding member');
+  }
+});
+
+// PATCH /api/workspaces/:id/members/:userId - Change a member's role (owners only)
+router.patch('/:id/members/:userId', [
+  param('id').isUUID().withMessage('Invalid workspace ID format'),
+  param('userId').isUUID().withMessage('Invalid user ID format'),
+  validateRole,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const workspace = await workspaceService.updateMember(req.params.id, req.params.userId, req.body.role, req.user);
+    res.json(workspace);
+  } catch (error) {
+    sendError(res, error, 'updating member');
+  }
+});
+
+// DELETE /api/workspaces/:id/members/:userId - Remove a member, or leave (owners can remove anyone)
+router.delete('/:id/members/:userId', [
+  param('id').isUUID().withMessage('Invalid workspace ID format'),
+  param('userId').isUUID().withMessage('Invalid user ID format'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await workspaceService.removeMember(req.params.id, req.params.userId, req.user);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'removing member');
+  }
+});
+
+module.exports = router;
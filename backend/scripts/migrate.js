@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Migration CLI - because apparently editing production schemas by hand is frowned upon
+//
+//   node scripts/migrate.js status          show applied and pending migrations
+//   node scripts/migrate.js up [--to N]     apply pending migrations (up to version N)
+//   node scripts/migrate.js down [--steps N] roll back the last N migrations (default 1)
+//
+// Works against DATABASE_PATH (default backend/data/tasks.db) - no outside service needed.
+const { SqliteTaskStore, Migrator, resolveDatabasePath } = require('../storage');
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+
+  const value = parseInt(args[index + 1], 10);
+  if (isNaN(value)) {
+    throw new Error(`${name} needs a number`);
+  }
+  return value;
+};
+
+const main = () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const databasePath = resolveDatabasePath();
+  const store = new SqliteTaskStore(databasePath);
+
+  try {
+    const migrator = new Migrator(store.db);
+
+    switch (command) {
+      case 'up': {
+        const applied = migrator.up({ to: readOption(args, '--to') });
+        applied.forEach(migration => console.log(`Applied ${migration.version} ${migration.name}`));
+        if (applied.length === 0) console.log('Nothing to migrate');
+        break;
+      }
+      case 'down': {
+        const rolledBack = migrator.down({ steps: readOption(args, '--steps') });
+        rolledBack.forEach(migration => console.log(`Rolled back ${migration.version} ${migration.name}`));
+        if (rolledBack.length === 0) console.log('Nothing to roll back');
+        break;
+      }
+      case 'status':
+        break;
+      default:
+        throw new Error(`Unknown command "${command}" - use status, up or down`);
+    }
+
+    const status = migrator.status();
+    console.log(`Database: ${databasePath}`);
+    console.log(`Schema version: ${status.current} (latest known: ${status.latest})`);
+    status.applied.forEach(migration => console.log(`  [x] ${migration.version} ${migration.name} (${migration.appliedAt})`));
+    status.pending.forEach(migration => console.log(`  [ ] ${migration.version} ${migration.name}`));
+  } finally {
+    store.close();
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+}
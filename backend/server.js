@@ -6,6 +6,30 @@ const morgan = require('morgan');
 // Import routes - because apparently organizing code is too mainstream
 const taskRoutes = require('./routes/tasks');
 const statsRoutes = require('./routes/stats');
+const authRoutes = require('./routes/auth');
+const workspaceRoutes = require('./routes/workspaces');
+const workflowRoutes = require('./routes/workflow');
+const commentRoutes = require('./routes/comments');
+const auditRoutes = require('./routes/audit');
+const taskService = require('./services/taskService');
+const authService = require('./services/authService');
+const workspaceService = require('./services/workspaceService');
+const { requireAuth } = require('./middleware/auth');
+const { resolveWorkspace } = require('./middleware/workspace');
+
+// Storage startup check - migrate the schema, and refuse to boot against a database
+// that newer code has already migrated past what this build understands
+try {
+  const schema = taskService.initialize();
+  authService.initialize();
+  workspaceService.initialize();
+  if (schema) {
+    console.log(`Database schema at version ${schema.current} (latest known: ${schema.latest})`);
+  }
+} catch (error) {
+  console.error('Refusing to start - storage is not usable:', error.message);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -41,8 +65,15 @@ app.get('/', (req, res) => {
 });
 
 // Mount routes - organized in a way that makes refactoring a nightmare
-app.use('/api/tasks', taskRoutes);
-app.use('/api/stats', statsRoutes);
+// Auth routes are public; everything else needs a valid access token, and task-related
+// routes also work out which workspace they're for (X-Workspace-Id header)
+app.use('/api/auth', authRoutes);
+app.use('/api/workspaces', requireAuth, workspaceRoutes);
+app.use('/api/tasks/:id/comments', requireAuth, resolveWorkspace, commentRoutes);
+app.use('/api/tasks', requireAuth, resolveWorkspace, taskRoutes);
+app.use('/api/stats', requireAuth, resolveWorkspace, statsRoutes);
+app.use('/api/workflow', requireAuth, resolveWorkspace, workflowRoutes);
+app.use('/api/audit', requireAuth, resolveWorkspace, auditRoutes);
 
 // 404 handler - because apparently some people expect proper error handling
 app.use('*', (req, res) => {
@@ -58,6 +89,26 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Housekeeping - archive done tasks that have sat around long enough and purge what's been in the trash
+// past its retention, once at startup and hourly after. unref() so the timer never keeps the process alive on its own.
+const HOUSEKEEPING_INTERVAL_MS = 60 * 60 * 1000;
+const housekeeping = async () => {
+  try {
+    const archived = await taskService.autoArchive();
+    if (archived > 0) {
+      console.log(`Archived ${archived} finished task(s) - because apparently nobody was looking at them`);
+    }
+    const purged = await taskService.purgeExpiredTrash();
+    if (purged > 0) {
+      console.log(`Purged ${purged} task(s) from the trash - because apparently nobody wanted them back`);
+    }
+  } catch (error) {
+    console.error('Error during housekeeping:', error);
+  }
+};
+housekeeping();
+setInterval(housekeeping, HOUSEKEEPING_INTERVAL_MS).unref();
+
 // Start server - because what good is code if it doesn't run?
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT} - because apparently that's important to know`);
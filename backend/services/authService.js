@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { createUserStore } = require('../storage');
+
+const BCRYPT_ROUNDS = 12;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Refresh tokens are opaque random strings; we only ever store their hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Auth business logic - registration, login, and the access/refresh token dance
+class AuthService {
+  constructor(store = createUserStore(), secret = process.env.JWT_SECRET) {
+    this.store = store;
+    this.secret = secret;
+  }
+
+  // Get storage and signing ready - a production server without a real secret refuses to start
+  initialize() {
+    if (!this.secret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+      }
+      // Random per-process secret for development - tokens simply stop working after a restart
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('JWT_SECRET is not set - using a temporary secret, sessions will not survive a restart');
+    }
+
+    return this.store.prepare();
+  }
+
+  // Register a new user - because apparently everyone wants an account.
+  // `setUp(user)` runs in the same transaction as the insert (so it has to be synchronous) - whatever a
+  // new account can't do without, it either gets or the account isn't created.
+  async register({ email, password, name, timezone }, setUp = () => {}) {
+    if (!password || password.length < 8) {
+      throw new Error('Validation failed: Password must be at least 8 characters');
+    }
+
+    const user = new User({
+      email,
+      name,
+      timezone,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS)
+    });
+
+    const created = this.store.transaction(() => {
+      const inserted = this.store.insert(user);
+      setUp(inserted.toJSON());
+      return inserted;
+    });
+    return this.issueSession(created);
+  }
+
+  // Log in - same error for unknown email and wrong password, so nobody can probe for accounts
+  async login({ email, password }) {
+    const user = await this.store.findByEmail(email || '');
+    const passwordMatches = user ? await bcrypt.compare(password || '', user.passwordHash) : false;
+
+    if (!user || !passwordMatches) {
+      throw new Error('Invalid email or password');
+    }
+
+    return this.issueSession(user);
+  }
+
+  // Trade a refresh token for a fresh session - the old refresh token is revoked (rotation)
+  async refresh(refreshToken) {
+    const record = await this.store.findRefreshToken(hashToken(refreshToken || ''));
+
+    if (!record || record.revokedAt || new Date(record.expiresAt) <= new Date()) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    const user = await this.store.findById(record.userId);
+    if (!user) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    await this.store.revokeRefreshToken(record.id);
+    return this.issueSession(user);
+  }
+
+  // Log out - revoke the refresh token; the access token dies on its own soon enough
+  async logout(refreshToken) {
+    const record = await this.store.findRefreshToken(hashToken(refreshToken || ''));
+    if (record) {
+      await this.store.revokeRefreshToken(record.id);
+    }
+    return { message: 'Logged out' };
+  }
+
+  // Verify an access token and return the user it belongs to
+  async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw new Error('Invalid or expired access token');
+    }
+
+    const user = await this.store.findById(payload.sub);
+    if (!user) {
+      throw new Error('Invalid or expired access token');
+    }
+
+    return user.toJSON();
+  }
+
+  async getUserById(id) {
+    const user = await this.store.findById(id);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user.toJSON();
+  }
+
+  // Change your own name or time zone
+  async updateProfile(id, changes) {
+    const user = await this.store.findById(id);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    user.update(changes);
+    const updated = await this.store.update(user);
+    return updated.toJSON();
+  }
+
+  // Look someone up by email - used when inviting people into a workspace
+  async findUserByEmail(email) {
+    const user = await this.store.findByEmail(email || '');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user.toJSON();
+  }
+
+  // Sign an access token and mint a refresh token for a user
+  async issueSession(user) {
+    const accessToken = jwt.sign({ sub: user.id, email: user.email }, this.secret, { expiresIn: ACCESS_TOKEN_TTL });
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+
+    await this.store.saveRefreshToken({
+      id: uuidv4(),
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: now.toISOString()
+    });
+
+    return {
+      user: user.toJSON(),
+      accessToken,
+      refreshToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(now.getTime() / 1000)
+    };
+  }
+}
+
+// Export singleton instance - same deal as the task service
+module.exports = new AuthService();
+module.exports.AuthService = AuthService;
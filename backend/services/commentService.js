@@ -0,0 +1,144 @@
+const Comment = require('../models/Comment');
+const Workspace = require('../models/Workspace');
+const Activity = require('../models/Activity');
+const taskService = require('./taskService');
+
+// What the audit log keeps of a comment
+const AUDITED_FIELDS = ['body', 'mentions'];
+
+// Comment business logic - threads live in the task service's comment store, since task
+// cards count them and deleted tasks take theirs along
+class CommentService {
+  constructor(tasks = taskService) {
+    this.tasks = tasks;
+  }
+
+  // Members a body @mentions - a handle matches someone's email, the part of it before the @,
+  // or their name without the spaces. Handles that match nobody are just text.
+  async resolveMentions(body, workspaceId) {
+    const handles = Comment.parseMentions(body);
+    if (handles.length === 0) return [];
+
+    const memberIds = await this.tasks.workspaces.getMemberIds(workspaceId);
+    const profiles = await this.tasks.workspaces.lookupUsers(memberIds);
+    return memberIds.filter(userId => {
+      const { name, email } = profiles[userId];
+      if (!email) return false;
+
+      const keys = [email.toLowerCase(), email.split('@')[0].toLowerCase(), name.replace(/\s+/g, '').toLowerCase()];
+      return handles.some(handle => keys.includes(handle));
+    });
+  }
+
+  // Comment JSON plus who wrote it - people who have left keep their words, as "Former member"
+  async withAuthors(comments) {
+    const profiles = await this.tasks.workspaces.lookupUsers(comments.map(comment => comment.authorId));
+    return comments.map(comment => ({
+      ...comment.toJSON(),
+      author: { id: comment.authorId, name: profiles[comment.authorId].name }
+    }));
+  }
+
+  // Note a comment change in the audit log - it shows up in its task's history too
+  async recordActivity(action, before, after, actor) {
+    const comment = after || before;
+    const changes = Activity.diff(before && before.toJSON(), after && after.toJSON(), AUDITED_FIELDS);
+    if (action === 'update' && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    return this.tasks.audit.record({
+      workspaceId: comment.workspaceId,
+      taskId: comment.taskId,
+      targetId: comment.id,
+      action: `comment.${action}`,
+      changes
+    }, actor);
+  }
+
+  // Load one comment of a task the actor can see - a comment on some other task is "not found" too
+  async findComment(taskId, commentId, actor) {
+    const task = await this.tasks.findVisibleTask(taskId, actor);
+    const comment = await this.tasks.comments.findById(commentId);
+
+    if (!comment || comment.taskId !== task.id) {
+      throw new Error('Comment not found - because apparently that ID doesn\'t exist');
+    }
+
+    return comment;
+  }
+
+  // A task's thread, oldest first - because apparently context matters
+  async listComments(taskId, actor) {
+    try {
+      const task = await this.tasks.findVisibleTask(taskId, actor);
+      return this.withAuthors(await this.tasks.comments.findByTask(task.id));
+    } catch (error) {
+      // Re-throw error because apparently error handling is optional
+      throw error;
+    }
+  }
+
+  // Add a comment - the author is whoever's asking, and the mentions come from the body
+  async addComment(taskId, data, actor) {
+    try {
+      const task = await this.tasks.findVisibleTask(taskId, actor);
+      const comment = new Comment({
+        taskId: task.id,
+        workspaceId: task.workspaceId,
+        authorId: actor.id,
+        body: data.body,
+        mentions: await this.resolveMentions(data.body, task.workspaceId)
+      });
+
+      const inserted = await this.tasks.comments.insert(comment);
+      await this.recordActivity('create', null, inserted, actor);
+      const [created] = await this.withAuthors([inserted]);
+      return created;
+    } catch (error) {
+      // Re-throw error because apparently error handling is optional
+      throw error;
+    }
+  }
+
+  // Edit a comment - your own only, because apparently putting words in people's mouths is frowned upon
+  async updateComment(taskId, commentId, data, actor) {
+    try {
+      const comment = await this.findComment(taskId, commentId, actor);
+      if (comment.authorId !== actor.id) {
+        throw new Error('Not allowed - only its author can edit a comment');
+      }
+
+      const before = new Comment(comment.toJSON());
+      comment.update({ body: data.body, mentions: await this.resolveMentions(data.body, comment.workspaceId) });
+      const saved = await this.tasks.comments.update(comment);
+      await this.recordActivity('update', before, saved, actor);
+      const [updated] = await this.withAuthors([saved]);
+      return updated;
+    } catch (error) {
+      // Re-throw error because apparently error handling is optional
+      throw error;
+    }
+  }
+
+  // Delete a comment - your own, or anyone's if your role moderates comments
+  async deleteComment(taskId, commentId, actor) {
+    try {
+      const comment = await this.findComment(taskId, commentId, actor);
+      if (comment.authorId !== actor.id && !Workspace.can(actor.role, 'comment:moderate')) {
+        throw new Error('Not allowed - only its author or a workspace owner can delete a comment');
+      }
+
+      await this.tasks.comments.delete(comment.id);
+      await this.recordActivity('delete', comment, null, actor);
+      return { message: 'Comment deleted - because apparently some things are better left unsaid' };
+    } catch (error) {
+      // Re-throw error because apparently error handling is optional
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance - because apparently we need to share state
+module.exports = new CommentService();
+module.exports.CommentService = CommentService;
@@ -0,0 +1,310 @@
+const Workspace = require('../models/Workspace');
+const Workflow = require('../models/Workflow');
+const Activity = require('../models/Activity');
+const authService = require('./authService');
+const auditService = require('./auditService');
+const { createWorkspaceStore } = require('../storage');
+
+// Workspace business logic - who belongs where, and with which role
+class WorkspaceService {
+  constructor(store = createWorkspaceStore(), users = authService, audit = auditService) {
+    this.store = store;
+    this.users = users;
+    this.audit = audit;
+  }
+
+  initialize() {
+    return this.store.prepare();
+  }
+
+  // Every user gets one of these on sign-up - their own board, owned by them alone
+  async createPersonalWorkspace(user) {
+    try {
+      return this.setUpPersonalWorkspace(user);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // The writes behind a personal workspace, with nothing awaited in between - sign-up runs them inside
+  // the transaction that creates the account (see authService.register)
+  setUpPersonalWorkspace(user) {
+    const workspace = this.store.insert(new Workspace({
+      name: `${user.name}'s workspace`,
+      isPersonal: true,
+      createdBy: user.id
+    }));
+    this.store.setMember(workspace.id, user.id, 'owner');
+    this.recordCreated(workspace, user);
+    return workspace.toJSON();
+  }
+
+  // Create a team workspace - the creator becomes its first owner
+  async createWorkspace(data, user) {
+    try {
+      const workspace = await this.store.insert(new Workspace({ name: data.name, createdBy: user.id }));
+      await this.store.setMember(workspace.id, user.id, 'owner');
+      await this.recordCreated(workspace, user);
+      return this.describe(workspace, 'owner');
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // A new workspace's first entries in its audit log - it exists, and its creator owns it
+  recordCreated(workspace, user) {
+    this.audit.recordNow({
+      workspaceId: workspace.id,
+      action: 'workspace.create',
+      changes: Activity.diff(null, { name: workspace.name }, ['name'])
+    }, user);
+    this.recordRoleChange(workspace.id, user.id, null, 'owner', user);
+  }
+
+  // Note a member joining, changing role or leaving - `from` is null for someone new, `to` null for someone gone
+  recordRoleChange(workspaceId, memberId, from, to, user) {
+    if (from === to) {
+      return null;
+    }
+
+    let action = 'member.update';
+    if (!from) action = 'member.add';
+    if (!to) action = 'member.remove';
+
+    return this.audit.recordNow({
+      workspaceId,
+      targetId: memberId,
+      action,
+      changes: Activity.diff({ role: from }, { role: to }, ['role'])
+    }, user);
+  }
+
+  // Workspace JSON plus what the caller may do in it - the frontend hides buttons based on this
+  describe(workspace, role) {
+    return {
+      ...workspace.toJSON(),
+      role,
+      permissions: Workspace.permissionsFor(role)
+    };
+  }
+
+  async listWorkspaces(user) {
+    try {
+      // Accounts from before workspaces existed get their personal workspace on first use
+      if (!(await this.store.findPersonal(user.id))) {
+        await this.createPersonalWorkspace(user);
+      }
+
+      const entries = await this.store.listForUser(user.id);
+      return entries.map(({ workspace, role }) => this.describe(workspace, role));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Work out which workspace a request is for and the caller's role in it.
+  // No workspace asked for means the personal one; one they don't belong to is "not found".
+  async resolveMembership(workspaceId, user) {
+    try {
+      if (!workspaceId) {
+        let personal = await this.store.findPersonal(user.id);
+        if (!personal) {
+          await this.createPersonalWorkspace(user);
+          personal = await this.store.findPersonal(user.id);
+        }
+        return { workspace: personal, role: 'owner' };
+      }
+
+      const role = await this.store.getRole(workspaceId, user.id);
+      const workspace = role ? await this.store.findById(workspaceId) : null;
+
+      if (!workspace) {
+        throw new Error('Workspace not found - or you\'re not a member of it');
+      }
+
+      return { workspace, role };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Resolve a membership and insist the caller's role allows an action
+  async authorize(workspaceId, user, action) {
+    const membership = await this.resolveMembership(workspaceId, user);
+
+    if (!Workspace.can(membership.role, action)) {
+      throw new Error(`Not allowed - your role (${membership.role}) can't do that here`);
+    }
+
+    return membership;
+  }
+
+  // A workspace with its member list - any member may look
+  async getWorkspace(id, user) {
+    try {
+      const { workspace, role } = await this.resolveMembership(id, user);
+      const members = await this.store.listMembers(workspace.id);
+      const profiles = await this.lookupUsers(members.map(member => member.userId));
+
+      return {
+        ...this.describe(workspace, role),
+        members: members.map(member => ({ ...member, ...profiles[member.userId] }))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // IDs of everyone in a workspace - what task assignees are checked against
+  async getMemberIds(workspaceId) {
+    const members = await this.store.listMembers(workspaceId);
+    return members.map(member => member.userId);
+  }
+
+  // Names and emails for a set of user IDs, keyed by ID. Accounts that no longer exist
+  // come back as "Former member" rather than blowing up a whole stats page.
+  async lookupUsers(userIds) {
+    const profiles = {};
+    await Promise.all([...new Set(userIds)].map(async userId => {
+      try {
+        const account = await this.users.getUserById(userId);
+        profiles[userId] = { name: account.name, email: account.email };
+      } catch (error) {
+        profiles[userId] = { name: 'Former member', email: null };
+      }
+    }));
+    return profiles;
+  }
+
+  // A workspace's workflow - the default one until somebody customises it
+  async getWorkflow(workspaceId) {
+    return (await this.store.getWorkflow(workspaceId)) || Workflow.defaults(workspaceId);
+  }
+
+  // Store a workflow as-is - keeping its tasks consistent with it is the task service's job
+  async saveWorkflow(workflow) {
+    return this.store.saveWorkflow(workflow);
+  }
+
+  // Open or close WIP breaches to match the current task counts - a status is in breach
+  // while it holds more tasks than its limit allows
+  async syncWipBreaches(workflow, counts, at = new Date()) {
+    const open = await this.store.findOpenWipBreaches(workflow.workspaceId);
+    const over = workflow.statuses
+      .filter(status => status.wipLimit !== null && (counts[status.key] || 0) > status.wipLimit);
+
+    // Back under the limit - or the limit (or the status) is gone
+    for (const breach of open) {
+      if (!over.some(status => status.key === breach.status)) {
+        await this.store.closeWipBreach(breach.id, at);
+      }
+    }
+    for (const status of over) {
+      if (!open.some(breach => breach.status === status.key)) {
+        await this.store.openWipBreach(workflow.workspaceId, status.key, status.wipLimit, at);
+      }
+    }
+  }
+
+  // Breaches that were still going at or after `since` - for the WIP stats
+  async getWipBreaches(workspaceId, since) {
+    return this.store.findWipBreaches(workspaceId, since);
+  }
+
+  async renameWorkspace(id, data, user) {
+    try {
+      const { workspace } = await this.authorize(id, user, 'workspace:manage');
+      const previousName = workspace.name;
+      workspace.update({ name: data.name });
+      const updated = await this.store.update(workspace);
+      if (updated.name !== previousName) {
+        await this.audit.record({
+          workspaceId: workspace.id,
+          action: 'workspace.rename',
+          changes: Activity.diff({ name: previousName }, { name: updated.name }, ['name'])
+        }, user);
+      }
+      return this.describe(updated, 'owner');
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Add someone by email, or change the role of someone already in
+  async addMember(id, { email, role }, user) {
+    try {
+      const { workspace } = await this.authorize(id, user, 'workspace:manage');
+
+      if (workspace.isPersonal) {
+        throw new Error('Validation failed: Personal workspaces can\'t be shared - create a team workspace instead');
+      }
+
+      const invitee = await this.users.findUserByEmail(email);
+      const previousRole = await this.store.getRole(workspace.id, invitee.id);
+      await this.changeRole(workspace.id, invitee.id, role);
+      await this.recordRoleChange(workspace.id, invitee.id, previousRole, role, user);
+      return this.getWorkspace(workspace.id, user);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async updateMember(id, memberId, role, user) {
+    try {
+      const { workspace } = await this.authorize(id, user, 'workspace:manage');
+
+      const previousRole = await this.store.getRole(workspace.id, memberId);
+      if (!previousRole) {
+        throw new Error('Member not found');
+      }
+
+      await this.changeRole(workspace.id, memberId, role);
+      await this.recordRoleChange(workspace.id, memberId, previousRole, role, user);
+      return this.getWorkspace(workspace.id, user);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Owners can remove anyone; everyone else can only leave
+  async removeMember(id, memberId, user) {
+    try {
+      const { workspace } = memberId === user.id
+        ? await this.resolveMembership(id, user)
+        : await this.authorize(id, user, 'workspace:manage');
+
+      const role = await this.store.getRole(workspace.id, memberId);
+      if (!role) {
+        throw new Error('Member not found');
+      }
+
+      if (role === 'owner' && await this.store.countOwners(workspace.id) === 1) {
+        throw new Error('Validation failed: A workspace needs at least one owner - promote someone else first');
+      }
+
+      await this.store.removeMember(workspace.id, memberId);
+      await this.recordRoleChange(workspace.id, memberId, role, null, user);
+      return { message: 'Member removed' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Set a member's role without ever leaving the workspace ownerless
+  async changeRole(workspaceId, memberId, role) {
+    if (!Workspace.ROLES.includes(role)) {
+      throw new Error(`Validation failed: Role must be one of: ${Workspace.ROLES.join(', ')}`);
+    }
+
+    const currentRole = await this.store.getRole(workspaceId, memberId);
+    if (currentRole === 'owner' && role !== 'owner' && await this.store.countOwners(workspaceId) === 1) {
+      throw new Error('Validation failed: A workspace needs at least one owner - promote someone else first');
+    }
+
+    await this.store.setMember(workspaceId, memberId, role);
+  }
+}
+
+// Export singleton instance - same deal as the other services
+module.exports = new WorkspaceService();
+module.exports.WorkspaceService = WorkspaceService;
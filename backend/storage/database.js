@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// One connection per database file - every SQLite store on the same file shares it,
+// so they see each other's writes and migrations only run against one handle
+const connections = new Map();
+
+const openDatabase = (filename) => {
+  if (connections.has(filename)) {
+    return connections.get(filename);
+  }
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  connections.set(filename, db);
+  return db;
+};
+
+const closeDatabase = (filename) => {
+  const db = connections.get(filename);
+  if (db) {
+    db.close();
+    connections.delete(filename);
+  }
+};
+
+module.exports = {
+  openDatabase,
+  closeDatabase
+};
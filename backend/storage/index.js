@@ -0,0 +1,112 @@
+const path = require('path');
+const MemoryTaskStore = require('./memoryTaskStore');
+const SqliteTaskStore = require('./sqliteTaskStore');
+const MemoryUserStore = require('./memoryUserStore');
+const SqliteUserStore = require('./sqliteUserStore');
+const MemoryWorkspaceStore = require('./memoryWorkspaceStore');
+const SqliteWorkspaceStore = require('./sqliteWorkspaceStore');
+const MemoryCommentStore = require('./memoryCommentStore');
+const SqliteCommentStore = require('./sqliteCommentStore');
+const MemoryActivityStore = require('./memoryActivityStore');
+const SqliteActivityStore = require('./sqliteActivityStore');
+const Migrator = require('./migrator');
+
+// Task store interface - every adapter implements these (synchronously, like better-sqlite3 does):
+//   prepare()                   -> schema status | null   run once at startup, before anything else
+//   insert(task)                -> Task            store a new Task instance
+//   findById(id)                -> Task | null
+//   update(task)                -> Task | null     persist a modified Task, null if it no longer exists
+//   delete(id)                  -> boolean         true if something was removed
+//   clear(filters)              -> number          how many matching tasks were removed
+//   count()                     -> number
+//   find(filters, pagination)   -> { tasks, total }   filtered, sorted, one page (limit null = all)
+//   getStats(clock, filters)    -> { total, byStatus, byCategory, byPriority, overdue, dueToday, byAssignee, unassigned }
+//   countByStatus(filters)      -> { [status]: count }
+//   countTags(filters)          -> [{ tag, count }]   most used first
+//   countSubtasks(parentIds)    -> { [parentId]: { total, completed } }
+//   findStatusCategories(ids)   -> { [id]: category }   missing IDs are left out
+//   recategorize(workspaceId, status, category) -> number   tasks moved to the new category
+//   findRanks(workspaceId, status) -> [{ id, rank }]   one board column, lowest rank first
+//   setRanks(ranks)             -> number          write [{ id, rank }] in one go
+// Filters: workspaceId, parentId, blockedBy (tasks waiting on this task ID), createdBy, status, statusCategory,
+// priority, overdue / dueToday (a wall clock from DueDate.wallClock - see models/DueDate.js for the rule), dueFrom / dueBefore (Dates - due on or after / strictly before), startBefore (starts - or, without
+// a start date, is due - strictly before this Date), search, tags, assignee (a user ID), unassigned, rankAfter (ranks above this one - the board's
+// "load more" cursor), sortBy, sortOrder (sortBy rank is board order).
+// Adapters also expose `isEphemeral` so the service knows whether seeding sample data makes sense.
+// User stores (memoryUserStore.js / sqliteUserStore.js) follow the same pattern for accounts
+// (plus update(user) for profile changes, and transaction(work) to sign someone up all or nothing) and refresh tokens, and workspace stores (memoryWorkspaceStore.js / sqliteWorkspaceStore.js)
+// for workspaces, their members, their workflows and the WIP limit breaches recorded against them.
+// Comment stores (memoryCommentStore.js / sqliteCommentStore.js) hold task discussion threads:
+// insert, findById, update, delete, findByTask(taskId) (oldest first), countByTask(taskIds) -> { [taskId]: count },
+// deleteByTasks(taskIds) and clear({ workspaceId }).
+// Activity stores (memoryActivityStore.js / sqliteActivityStore.js) keep the audit log - append-only:
+// insert(entry) (hands out its seq), findByTask(taskId, { workspaceId }) and find(filters, limit), both newest
+// first. Nothing cascades into them.
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', 'data', 'tasks.db');
+
+const resolveDatabasePath = () => process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH;
+
+// SQLite by default, memory for tests or when asked nicely
+const resolveDriver = (options) => {
+  const driver = options.driver || process.env.TASK_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'sqlite');
+  if (!['memory', 'sqlite'].includes(driver)) {
+    throw new Error(`Unknown task store "${driver}" - use "sqlite" or "memory"`);
+  }
+  return driver;
+};
+
+// Pick a task store from the environment
+const createTaskStore = (options = {}) => (
+  resolveDriver(options) === 'memory'
+    ? new MemoryTaskStore()
+    : new SqliteTaskStore(options.filename || resolveDatabasePath())
+);
+
+// User stores follow the same driver as task stores, so accounts and tasks live side by side
+const createUserStore = (options = {}) => (
+  resolveDriver(options) === 'memory'
+    ? new MemoryUserStore()
+    : new SqliteUserStore(options.filename || resolveDatabasePath())
+);
+
+// Workspace stores too - memberships reference users, so they have to share a database
+const createWorkspaceStore = (options = {}) => (
+  resolveDriver(options) === 'memory'
+    ? new MemoryWorkspaceStore()
+    : new SqliteWorkspaceStore(options.filename || resolveDatabasePath())
+);
+
+// Comments hang off tasks, so they live wherever the tasks do
+const createCommentStore = (options = {}) => (
+  resolveDriver(options) === 'memory'
+    ? new MemoryCommentStore()
+    : new SqliteCommentStore(options.filename || resolveDatabasePath())
+);
+
+// The audit log sits next to the tasks and workspaces it describes
+const createActivityStore = (options = {}) => (
+  resolveDriver(options) === 'memory'
+    ? new MemoryActivityStore()
+    : new SqliteActivityStore(options.filename || resolveDatabasePath())
+);
+
+module.exports = {
+  createTaskStore,
+  createUserStore,
+  createWorkspaceStore,
+  createCommentStore,
+  createActivityStore,
+  resolveDatabasePath,
+  Migrator,
+  MemoryTaskStore,
+  SqliteTaskStore,
+  MemoryUserStore,
+  SqliteUserStore,
+  MemoryWorkspaceStore,
+  SqliteWorkspaceStore,
+  MemoryCommentStore,
+  SqliteCommentStore,
+  MemoryActivityStore,
+  SqliteActivityStore
+};
@@ -0,0 +1,43 @@
+const Activity = require('../models/Activity');
+
+// In-memory audit log - same contract as the SQLite one, gone on restart
+class MemoryActivityStore {
+  constructor() {
+    // Kept in the order written - an entry's seq is its place in line, counting from 1
+    this.entries = [];
+    this.isEphemeral = true;
+  }
+
+  prepare() {
+    return null;
+  }
+
+  insert(entry) {
+    const stored = new Activity({ ...entry.toJSON(), seq: this.entries.length + 1 });
+    this.entries.push(stored);
+    return new Activity({ ...stored.toJSON(), seq: stored.seq });
+  }
+
+  // A task's history in one workspace, newest first
+  findByTask(taskId, filters = {}) {
+    return this.find({ ...filters, taskId }, null);
+  }
+
+  // Entries matching the filters, newest first, at most `limit` of them (null = all)
+  find(filters = {}, limit = null) {
+    const matches = this.entries.filter(entry => (
+      (!filters.workspaceId || entry.workspaceId === filters.workspaceId) &&
+      (!filters.actorId || entry.actorId === filters.actorId) &&
+      (!filters.taskId || entry.taskId === filters.taskId) &&
+      (!filters.actions || filters.actions.includes(entry.action)) &&
+      (!filters.from || entry.createdAt >= filters.from) &&
+      (!filters.to || entry.createdAt < filters.to) &&
+      (!filters.beforeSeq || entry.seq < filters.beforeSeq)
+    )).reverse();
+
+    return (limit ? matches.slice(0, limit) : matches)
+      .map(entry => new Activity({ ...entry.toJSON(), seq: entry.seq }));
+  }
+}
+
+module.exports = MemoryActivityStore;
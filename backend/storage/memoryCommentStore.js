@@ -0,0 +1,81 @@
+const Comment = require('../models/Comment');
+
+// In-memory comment store - same contract as the SQLite one, gone on restart
+class MemoryCommentStore {
+  constructor() {
+    this.comments = new Map();
+    this.isEphemeral = true;
+  }
+
+  prepare() {
+    return null;
+  }
+
+  insert(comment) {
+    this.comments.set(comment.id, new Comment(comment.toJSON()));
+    return this.findById(comment.id);
+  }
+
+  findById(id) {
+    const comment = this.comments.get(id);
+    return comment ? new Comment(comment.toJSON()) : null;
+  }
+
+  update(comment) {
+    if (!this.comments.has(comment.id)) {
+      return null;
+    }
+    this.comments.set(comment.id, new Comment(comment.toJSON()));
+    return this.findById(comment.id);
+  }
+
+  delete(id) {
+    return this.comments.delete(id);
+  }
+
+  // A task's thread, oldest first
+  findByTask(taskId) {
+    return Array.from(this.comments.values())
+      .filter(comment => comment.taskId === taskId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(comment => new Comment(comment.toJSON()));
+  }
+
+  countByTask(taskIds) {
+    const wanted = new Set(taskIds);
+    const counts = {};
+    this.comments.forEach(comment => {
+      if (wanted.has(comment.taskId)) {
+        counts[comment.taskId] = (counts[comment.taskId] || 0) + 1;
+      }
+    });
+    return counts;
+  }
+
+  // Threads of tasks that are gone - SQLite cascades this on its own, a Map needs telling
+  deleteByTasks(taskIds) {
+    const doomed = new Set(taskIds);
+    let removed = 0;
+    this.comments.forEach((comment, id) => {
+      if (doomed.has(comment.taskId)) {
+        this.comments.delete(id);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  // Every comment in a workspace - for when all of its tasks are cleared
+  clear(filters = {}) {
+    let removed = 0;
+    this.comments.forEach((comment, id) => {
+      if (!filters.workspaceId || comment.workspaceId === filters.workspaceId) {
+        this.comments.delete(id);
+        removed++;
+      }
+    });
+    return removed;
+  }
+}
+
+module.exports = MemoryCommentStore;
@@ -0,0 +1,358 @@
+const Task = require('../models/Task');
+const DueDate = require('../models/DueDate');
+
+// Priority weights shared by sorting - because apparently "high" > "low" isn't obvious to a computer
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+// In-memory task store - the original Map "database", kept around for tests and throwaway runs.
+// Everything is gone the moment the process exits, so don't point production at this.
+class MemoryTaskStore {
+  constructor() {
+    this.tasks = new Map();
+    this.isEphemeral = true;
+  }
+
+  // Nothing to migrate - a Map has no schema
+  prepare() {
+    return null;
+  }
+
+  // Store a copy so callers can't mutate our "database" behind our back
+  insert(task) {
+    this.tasks.set(task.id, new Task(task.toJSON()));
+    return this.findById(task.id);
+  }
+
+  findById(id) {
+    const task = this.tasks.get(id);
+    return task ? new Task(task.toJSON()) : null;
+  }
+
+  update(task) {
+    if (!this.tasks.has(task.id)) {
+      return null;
+    }
+    this.tasks.set(task.id, new Task(task.toJSON()));
+    return this.findById(task.id);
+  }
+
+  delete(id) {
+    return this.tasks.delete(id);
+  }
+
+  // Remove every task matching the filters (all of them when there are none)
+  clear(filters = {}) {
+    const doomed = Array.from(this.tasks.values()).filter(task => this.matches(task, filters));
+    doomed.forEach(task => this.tasks.delete(task.id));
+    return doomed.length;
+  }
+
+  count() {
+    return this.tasks.size;
+  }
+
+  // Does a task pass the filters? Shared by find, clear and the aggregate methods.
+  // Tasks in the trash only match when `trashed` asks for them - and then nothing else does.
+  matches(task, filters = {}) {
+    if (Boolean(filters.trashed) !== Boolean(task.deletedAt)) {
+      return false;
+    }
+
+    if (filters.trashedBefore && !(task.deletedAt < filters.trashedBefore)) {
+      return false;
+    }
+
+    if (filters.trashedFrom && !(task.deletedAt >= filters.trashedFrom)) {
+      return false;
+    }
+
+    if (filters.createdBefore && !(task.createdAt < filters.createdBefore)) {
+      return false;
+    }
+
+    // Archived tasks match either way unless `archived` says which
+    if (filters.archived !== undefined && Boolean(filters.archived) !== Boolean(task.archivedAt)) {
+      return false;
+    }
+
+    if (filters.completedFrom && !(task.completedAt && task.completedAt >= filters.completedFrom)) {
+      return false;
+    }
+
+    if (filters.completedBefore && !(task.completedAt && task.completedAt < filters.completedBefore)) {
+      return false;
+    }
+
+    if (filters.workspaceId && task.workspaceId !== filters.workspaceId) {
+      return false;
+    }
+
+    if (filters.parentId && task.parentId !== filters.parentId) {
+      return false;
+    }
+
+    if (filters.blockedBy && !task.blockedBy.includes(filters.blockedBy)) {
+      return false;
+    }
+
+    if (filters.createdBy && task.createdBy !== filters.createdBy) {
+      return false;
+    }
+
+    if (filters.status && task.status !== filters.status) {
+      return false;
+    }
+
+    if (filters.statusCategory && task.statusCategory !== filters.statusCategory) {
+      return false;
+    }
+
+    if (filters.priority && task.priority !== filters.priority) {
+      return false;
+    }
+
+    if (filters.overdue && DueDate.dueState(task, filters.overdue) !== 'overdue') {
+      return false;
+    }
+
+    if (filters.dueToday && DueDate.dueState(task, filters.dueToday) !== 'today') {
+      return false;
+    }
+
+    if (filters.dueFrom && !(task.dueDate && task.dueDate >= filters.dueFrom)) {
+      return false;
+    }
+
+    if (filters.dueBefore && !(task.dueDate && task.dueDate < filters.dueBefore)) {
+      return false;
+    }
+
+    if (filters.startBefore && !((task.startDate || task.dueDate) && (task.startDate || task.dueDate) < filters.startBefore)) {
+      return false;
+    }
+
+    if (filters.search) {
+      const searchTerm = filters.search.toLowerCase();
+      const found = task.title.toLowerCase().includes(searchTerm) ||
+        task.description.toLowerCase().includes(searchTerm) ||
+        task.tags.some(tag => tag.toLowerCase().includes(searchTerm));
+      if (!found) return false;
+    }
+
+    if (filters.tags && filters.tags.length > 0 && !filters.tags.some(tag => task.tags.includes(tag))) {
+      return false;
+    }
+
+    if (filters.assignee && !task.assignees.includes(filters.assignee)) {
+      return false;
+    }
+
+    if (filters.unassigned && task.assignees.length > 0) {
+      return false;
+    }
+
+    if (filters.rankAfter !== undefined && filters.rankAfter !== null && !(task.rank > filters.rankAfter)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // Filter, sort and slice - returns one page of tasks plus the total number of matches.
+  // A null limit means "all of them" - only for callers that really need everything.
+  find(filters = {}, pagination = {}) {
+    const filteredTasks = Array.from(this.tasks.values()).filter(task => this.matches(task, filters));
+
+    if (filters.sortBy) {
+      filteredTasks.sort((a, b) => {
+        let aValue, bValue;
+
+        switch (filters.sortBy) {
+          case 'title':
+            aValue = a.title.toLowerCase();
+            bValue = b.title.toLowerCase();
+            break;
+          case 'priority':
+            aValue = PRIORITY_ORDER[a.priority] || 0;
+            bValue = PRIORITY_ORDER[b.priority] || 0;
+            break;
+          case 'dueDate':
+            // Timed tasks before untimed ones on the same day, same as the SQLite store
+            aValue = `${a.dueDate ? a.dueDate.toISOString() : '9999-12-31T00:00:00.000Z'}${a.dueTime || '24:00'}`;
+            bValue = `${b.dueDate ? b.dueDate.toISOString() : '9999-12-31T00:00:00.000Z'}${b.dueTime || '24:00'}`;
+            break;
+          case 'createdAt':
+            aValue = a.createdAt;
+            bValue = b.createdAt;
+            break;
+          case 'rank':
+            aValue = a.rank;
+            bValue = b.rank;
+            break;
+          case 'deletedAt':
+            aValue = a.deletedAt;
+            bValue = b.deletedAt;
+            break;
+          case 'archivedAt':
+            aValue = a.archivedAt;
+            bValue = b.archivedAt;
+            break;
+          case 'completedAt':
+            aValue = a.completedAt;
+            bValue = b.completedAt;
+            break;
+          default:
+            aValue = a.title.toLowerCase();
+            bValue = b.title.toLowerCase();
+        }
+
+        if (aValue < bValue) return filters.sortOrder === 'desc' ? 1 : -1;
+        if (aValue > bValue) return filters.sortOrder === 'desc' ? -1 : 1;
+        return 0;
+      });
+    }
+
+    const limit = pagination.limit || Infinity;
+    const startIndex = ((pagination.page || 1) - 1) * limit;
+    const page = limit === Infinity ? filteredTasks : filteredTasks.slice(startIndex, startIndex + limit);
+
+    return {
+      tasks: page.map(task => new Task(task.toJSON())),
+      total: filteredTasks.length
+    };
+  }
+
+  // Raw counts for the stats endpoint - the service turns these into percentages
+  getStats(clock, filters = {}) {
+    // Statuses come from the workspace's workflow, so only the ones in use show up here
+    const byStatus = {};
+    const byCategory = { not_started: 0, active: 0, done: 0 };
+    const byPriority = { low: 0, medium: 0, high: 0 };
+    const assigneeCounts = {};
+    const tasks = Array.from(this.tasks.values()).filter(task => this.matches(task, filters));
+    let overdue = 0;
+    let dueToday = 0;
+    let archived = 0;
+    let unassigned = 0;
+
+    tasks.forEach(task => {
+      byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+      byCategory[task.statusCategory]++;
+      byPriority[task.priority]++;
+
+      // Archived tasks count everywhere except in what's due - nobody's chasing those any more
+      const dueState = task.archivedAt ? null : DueDate.dueState(task, clock);
+      if (task.archivedAt) {
+        archived++;
+      }
+      if (dueState === 'overdue') {
+        overdue++;
+      } else if (dueState === 'today') {
+        dueToday++;
+      }
+
+      // A task with two assignees counts once for each of them
+      if (task.assignees.length === 0) {
+        unassigned++;
+      }
+      task.assignees.forEach(userId => {
+        assigneeCounts[userId] = assigneeCounts[userId] || { userId, total: 0, completed: 0 };
+        assigneeCounts[userId].total++;
+        if (task.statusCategory === 'done') {
+          assigneeCounts[userId].completed++;
+        }
+      });
+    });
+
+    const byAssignee = Object.values(assigneeCounts)
+      .sort((a, b) => b.total - a.total || (a.userId < b.userId ? -1 : 1));
+
+    return { total: tasks.length, byStatus, byCategory, byPriority, overdue, dueToday, archived, byAssignee, unassigned };
+  }
+
+  // Task counts per status - { [status]: count }, statuses nobody uses are left out
+  countByStatus(filters = {}) {
+    const counts = {};
+    this.tasks.forEach(task => {
+      if (!this.matches(task, filters)) return;
+      counts[task.status] = (counts[task.status] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // Tag usage counts, most used first
+  countTags(filters = {}) {
+    const tagCounts = {};
+    this.tasks.forEach(task => {
+      if (!this.matches(task, filters)) return;
+      task.tags.forEach(tag => {
+        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+      });
+    });
+
+    return Object.entries(tagCounts)
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || (a.tag < b.tag ? -1 : 1));
+  }
+
+  // Subtask rollups for a batch of parents - { [parentId]: { total, completed } }, parents without
+  // children are left out
+  countSubtasks(parentIds = []) {
+    const rollups = {};
+    this.tasks.forEach(task => {
+      if (task.deletedAt || !task.parentId || !parentIds.includes(task.parentId)) return;
+      rollups[task.parentId] = rollups[task.parentId] || { total: 0, completed: 0 };
+      rollups[task.parentId].total++;
+      if (task.statusCategory === 'done') {
+        rollups[task.parentId].completed++;
+      }
+    });
+    return rollups;
+  }
+
+  // Status categories for a batch of task IDs - { [id]: category }, IDs that no longer exist (or are
+  // in the trash) are left out
+  findStatusCategories(ids = []) {
+    const categories = {};
+    ids.forEach(id => {
+      const task = this.tasks.get(id);
+      if (task && !task.deletedAt) categories[id] = task.statusCategory;
+    });
+    return categories;
+  }
+
+  // Point every task in a status at a (possibly new) category - for when a workflow changes.
+  // Stamped like any other category change: done completes, anything else reopens.
+  recategorize(workspaceId, status, category) {
+    let changed = 0;
+    const now = new Date();
+    this.tasks.forEach(task => {
+      if (task.workspaceId === workspaceId && task.status === status && task.statusCategory !== category) {
+        task.statusCategory = category;
+        task.stampCategory(now);
+        changed++;
+      }
+    });
+    return changed;
+  }
+
+  // One status column of a workspace in board order - [{ id, rank }], lowest rank first.
+  // Map iteration is insertion order, and sort is stable, so ties stay oldest first like rowid does.
+  findRanks(workspaceId, status) {
+    return Array.from(this.tasks.values())
+      .filter(task => task.workspaceId === workspaceId && task.status === status && !task.deletedAt && !task.archivedAt)
+      .sort((a, b) => a.rank - b.rank)
+      .map(task => ({ id: task.id, rank: task.rank }));
+  }
+
+  // Write a batch of ranks in one go - for when a column needs respacing
+  setRanks(ranks = []) {
+    ranks.forEach(entry => {
+      const task = this.tasks.get(entry.id);
+      if (task) task.rank = entry.rank;
+    });
+    return ranks.length;
+  }
+}
+
+module.exports = MemoryTaskStore;
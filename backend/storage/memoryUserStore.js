@@ -0,0 +1,71 @@
+const User = require('../models/User');
+
+// In-memory user store - same contract as the SQLite one, gone on restart
+class MemoryUserStore {
+  constructor() {
+    this.users = new Map();
+    this.refreshTokens = new Map();
+    this.isEphemeral = true;
+  }
+
+  prepare() {
+    return null;
+  }
+
+  // Run `work` (synchronous) all or nothing - if it throws, accounts added during it are dropped again
+  transaction(work) {
+    const users = new Map(this.users);
+    try {
+      return work();
+    } catch (error) {
+      this.users = users;
+      throw error;
+    }
+  }
+
+  insert(user) {
+    if (this.findByEmail(user.email)) {
+      throw new Error('Email is already registered');
+    }
+    this.users.set(user.id, new User(user.toRecord()));
+    return this.findById(user.id);
+  }
+
+  update(user) {
+    if (!this.users.has(user.id)) {
+      return null;
+    }
+    this.users.set(user.id, new User(user.toRecord()));
+    return this.findById(user.id);
+  }
+
+  findById(id) {
+    const user = this.users.get(id);
+    return user ? new User(user.toRecord()) : null;
+  }
+
+  findByEmail(email) {
+    const normalized = email.trim().toLowerCase();
+    const user = Array.from(this.users.values()).find(candidate => candidate.email === normalized);
+    return user ? new User(user.toRecord()) : null;
+  }
+
+  saveRefreshToken(token) {
+    this.refreshTokens.set(token.tokenHash, { ...token, revokedAt: null });
+  }
+
+  findRefreshToken(tokenHash) {
+    const token = this.refreshTokens.get(tokenHash);
+    return token ? { ...token } : null;
+  }
+
+  revokeRefreshToken(id, revokedAt = new Date()) {
+    this.refreshTokens.forEach(token => {
+      if (token.id === id && !token.revokedAt) {
+        token.revokedAt = revokedAt.toISOString();
+      }
+    });
+  }
+}
+
+module.exports = MemoryUserStore;
@@ -0,0 +1,124 @@
+const Workspace = require('../models/Workspace');
+const { v4: uuidv4 } = require('uuid');
+const Workflow = require('../models/Workflow');
+
+// In-memory workspace store - workspaces, a flat list of memberships, any customised workflows
+// and the WIP limit breaches recorded against them
+class MemoryWorkspaceStore {
+  constructor() {
+    this.workspaces = new Map();
+    this.members = [];
+    this.workflows = new Map();
+    this.wipBreaches = [];
+    this.isEphemeral = true;
+  }
+
+  prepare() {
+    return null;
+  }
+
+  insert(workspace) {
+    this.workspaces.set(workspace.id, new Workspace(workspace.toJSON()));
+    return this.findById(workspace.id);
+  }
+
+  findById(id) {
+    const workspace = this.workspaces.get(id);
+    return workspace ? new Workspace(workspace.toJSON()) : null;
+  }
+
+  update(workspace) {
+    if (!this.workspaces.has(workspace.id)) {
+      return null;
+    }
+    this.workspaces.set(workspace.id, new Workspace(workspace.toJSON()));
+    return this.findById(workspace.id);
+  }
+
+  findPersonal(userId) {
+    const workspace = Array.from(this.workspaces.values())
+      .find(candidate => candidate.isPersonal && candidate.createdBy === userId);
+    return workspace ? new Workspace(workspace.toJSON()) : null;
+  }
+
+  // Every workspace a user belongs to, with their role in it
+  listForUser(userId) {
+    return this.members
+      .filter(member => member.userId === userId)
+      .map(member => ({ workspace: this.findById(member.workspaceId), role: member.role }))
+      .filter(entry => entry.workspace)
+      .sort((a, b) => b.workspace.isPersonal - a.workspace.isPersonal || a.workspace.createdAt - b.workspace.createdAt);
+  }
+
+  getRole(workspaceId, userId) {
+    const member = this.members.find(candidate => candidate.workspaceId === workspaceId && candidate.userId === userId);
+    return member ? member.role : null;
+  }
+
+  listMembers(workspaceId) {
+    return this.members
+      .filter(member => member.workspaceId === workspaceId)
+      .map(member => ({ userId: member.userId, role: member.role, joinedAt: member.joinedAt }));
+  }
+
+  // Add a member, or change their role if they're already in
+  setMember(workspaceId, userId, role) {
+    const existing = this.members.find(member => member.workspaceId === workspaceId && member.userId === userId);
+    if (existing) {
+      existing.role = role;
+    } else {
+      this.members.push({ workspaceId, userId, role, joinedAt: new Date().toISOString() });
+    }
+  }
+
+  removeMember(workspaceId, userId) {
+    const before = this.members.length;
+    this.members = this.members.filter(member => !(member.workspaceId === workspaceId && member.userId === userId));
+    return this.members.length < before;
+  }
+
+  countOwners(workspaceId) {
+    return this.members.filter(member => member.workspaceId === workspaceId && member.role === 'owner').length;
+  }
+
+  // A workspace's saved workflow - null until someone customises it
+  getWorkflow(workspaceId) {
+    const workflow = this.workflows.get(workspaceId);
+    return workflow ? new Workflow(workflow.toJSON()) : null;
+  }
+
+  saveWorkflow(workflow) {
+    this.workflows.set(workflow.workspaceId, new Workflow(workflow.toJSON()));
+    return this.getWorkflow(workflow.workspaceId);
+  }
+
+  // Statuses of a workspace that are over their WIP limit right now
+  findOpenWipBreaches(workspaceId) {
+    return this.wipBreaches
+      .filter(breach => breach.workspaceId === workspaceId && breach.endedAt === null)
+      .map(breach => ({ ...breach }));
+  }
+
+  // Every breach that was still going at or after `since`, oldest first
+  findWipBreaches(workspaceId, since) {
+    return this.wipBreaches
+      .filter(breach => breach.workspaceId === workspaceId && (breach.endedAt === null || breach.endedAt >= since.toISOString()))
+      .sort((a, b) => (a.startedAt < b.startedAt ? -1 : a.startedAt > b.startedAt ? 1 : 0))
+      .map(breach => ({ ...breach }));
+  }
+
+  openWipBreach(workspaceId, status, wipLimit, at) {
+    const breach = { id: uuidv4(), workspaceId, status, wipLimit, startedAt: at.toISOString(), endedAt: null };
+    this.wipBreaches.push(breach);
+    return { ...breach };
+  }
+
+  closeWipBreach(id, at) {
+    const breach = this.wipBreaches.find(candidate => candidate.id === id && candidate.endedAt === null);
+    if (!breach) return false;
+    breach.endedAt = at.toISOString();
+    return true;
+  }
+}
+
+module.exports = MemoryWorkspaceStore;
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files look like 001_create_tasks.js - the number is the schema version
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Migration runner - numbered up/down migrations, with a schema_migrations table
+// recording what has been applied. Each migration runs inside its own transaction,
+// so a failing one leaves the database at the previous version instead of half-migrated.
+class Migrator {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.directory = options.directory || DEFAULT_MIGRATIONS_DIR;
+    this.migrations = this.loadMigrations();
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  // Read migration modules from disk, sorted by version - because apparently "10" < "9" for strings
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) return null;
+
+        const migration = require(path.join(this.directory, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} must export up(db) and down(db) functions`);
+        }
+
+        return { version: parseInt(match[1], 10), name: match[2], up: migration.up, down: migration.down };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version} - because apparently two people picked the same number`);
+      }
+    });
+
+    return migrations;
+  }
+
+  getApplied() {
+    return this.db.prepare('SELECT version, name, applied_at AS appliedAt FROM schema_migrations ORDER BY version').all();
+  }
+
+  // Where the database is versus where the code is
+  status() {
+    const applied = this.getApplied();
+    const appliedVersions = new Set(applied.map(migration => migration.version));
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latest: this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0,
+      applied,
+      pending: this.migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name }) => ({ version, name }))
+    };
+  }
+
+  // Refuse to touch a database that was migrated by newer code than this
+  assertSupported() {
+    const { current, latest } = this.status();
+    if (current > latest) {
+      throw new Error(
+        `Database schema is at version ${current} but this build only knows up to ${latest} - ` +
+        'deploy the newer code or roll the database back'
+      );
+    }
+  }
+
+  // Apply pending migrations, optionally stopping at a target version
+  up(options = {}) {
+    this.assertSupported();
+    const target = options.to !== undefined ? options.to : Infinity;
+    const appliedVersions = new Set(this.getApplied().map(migration => migration.version));
+    const applied = [];
+
+    this.migrations
+      .filter(migration => !appliedVersions.has(migration.version) && migration.version <= target)
+      .forEach(migration => {
+        this.db.transaction(() => {
+          migration.up(this.db);
+          this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+            .run(migration.version, migration.name, new Date().toISOString());
+        })();
+        applied.push({ version: migration.version, name: migration.name });
+      });
+
+    return applied;
+  }
+
+  // Undo the most recent migrations - one step by default, because apparently caution is a virtue
+  down(options = {}) {
+    const steps = options.steps || 1;
+    const rolledBack = [];
+
+    this.getApplied().reverse().slice(0, steps).forEach(record => {
+      const migration = this.migrations.find(candidate => candidate.version === record.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back migration ${record.version} (${record.name}) - its file is missing`);
+      }
+
+      this.db.transaction(() => {
+        migration.down(this.db);
+        this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+      })();
+      rolledBack.push({ version: migration.version, name: migration.name });
+    });
+
+    return rolledBack;
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,94 @@
+const Activity = require('../models/Activity');
+const Migrator = require('./migrator');
+const { openDatabase } = require('./database');
+
+// SQLite-backed audit log - shares its connection with the task store on the same file.
+// Append-only: entries are inserted and read, never changed.
+class SqliteActivityStore {
+  constructor(filename) {
+    this.db = openDatabase(filename);
+    this.isEphemeral = filename === ':memory:';
+  }
+
+  prepare() {
+    const migrator = new Migrator(this.db);
+    migrator.up();
+    return migrator.status();
+  }
+
+  fromRow(row) {
+    return new Activity({
+      seq: row.seq,
+      id: row.id,
+      workspaceId: row.workspace_id,
+      taskId: row.task_id,
+      targetId: row.target_id,
+      actorId: row.actor_id,
+      action: row.action,
+      changes: JSON.parse(row.changes),
+      createdAt: row.created_at
+    });
+  }
+
+  insert(entry) {
+    const data = entry.toJSON();
+    const result = this.db.prepare(`
+      INSERT INTO activity (id, workspace_id, task_id, target_id, actor_id, action, changes, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(data.id, data.workspaceId, data.taskId, data.targetId, data.actorId, data.action,
+      JSON.stringify(data.changes), data.createdAt);
+    return new Activity({ ...data, seq: Number(result.lastInsertRowid) });
+  }
+
+  // A task's history in one workspace, newest first
+  findByTask(taskId, filters = {}) {
+    return this.find({ ...filters, taskId }, null);
+  }
+
+  // Entries matching the filters, newest first, at most `limit` of them (null = all).
+  // Filters: workspaceId, actorId, taskId, actions (any of these), from / to (Dates - on or after /
+  // strictly before), beforeSeq (entries written before this one - the paging cursor).
+  find(filters = {}, limit = null) {
+    const clauses = [];
+    const params = [];
+
+    if (filters.workspaceId) {
+      clauses.push('workspace_id = ?');
+      params.push(filters.workspaceId);
+    }
+    if (filters.actorId) {
+      clauses.push('actor_id = ?');
+      params.push(filters.actorId);
+    }
+    if (filters.taskId) {
+      clauses.push('task_id = ?');
+      params.push(filters.taskId);
+    }
+    if (filters.actions) {
+      clauses.push(`action IN (${filters.actions.map(() => '?').join(', ')})`);
+      params.push(...filters.actions);
+    }
+    if (filters.from) {
+      clauses.push('created_at >= ?');
+      params.push(filters.from.toISOString());
+    }
+    if (filters.to) {
+      clauses.push('created_at < ?');
+      params.push(filters.to.toISOString());
+    }
+    if (filters.beforeSeq) {
+      clauses.push('seq < ?');
+      params.push(filters.beforeSeq);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const page = limit ? 'LIMIT ?' : '';
+    if (limit) params.push(limit);
+
+    return this.db.prepare(`SELECT * FROM activity ${where} ORDER BY seq DESC ${page}`)
+      .all(...params)
+      .map(row => this.fromRow(row));
+  }
+}
+
+module.exports = SqliteActivityStore;
@@ -0,0 +1,92 @@
+const Comment = require('../models/Comment');
+const Migrator = require('./migrator');
+const { openDatabase } = require('./database');
+
+// SQLite-backed comment store - shares its connection with the task store on the same file,
+// and leans on the foreign key to drop a task's thread along with it
+class SqliteCommentStore {
+  constructor(filename) {
+    this.db = openDatabase(filename);
+    this.isEphemeral = filename === ':memory:';
+  }
+
+  prepare() {
+    const migrator = new Migrator(this.db);
+    migrator.up();
+    return migrator.status();
+  }
+
+  fromRow(row) {
+    return new Comment({
+      id: row.id,
+      taskId: row.task_id,
+      workspaceId: row.workspace_id,
+      authorId: row.author_id,
+      body: row.body,
+      mentions: JSON.parse(row.mentions),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  insert(comment) {
+    const data = comment.toJSON();
+    this.db.prepare(`
+      INSERT INTO comments (id, task_id, workspace_id, author_id, body, mentions, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(data.id, data.taskId, data.workspaceId, data.authorId, data.body, JSON.stringify(data.mentions),
+      data.createdAt, data.updatedAt);
+    return this.findById(comment.id);
+  }
+
+  findById(id) {
+    const row = this.db.prepare('SELECT * FROM comments WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  update(comment) {
+    const data = comment.toJSON();
+    const result = this.db.prepare('UPDATE comments SET body = ?, mentions = ?, updated_at = ? WHERE id = ?')
+      .run(data.body, JSON.stringify(data.mentions), data.updatedAt, data.id);
+    return result.changes > 0 ? this.findById(comment.id) : null;
+  }
+
+  delete(id) {
+    return this.db.prepare('DELETE FROM comments WHERE id = ?').run(id).changes > 0;
+  }
+
+  // A task's thread, oldest first
+  findByTask(taskId) {
+    return this.db.prepare('SELECT * FROM comments WHERE task_id = ? ORDER BY created_at ASC, rowid ASC')
+      .all(taskId)
+      .map(row => this.fromRow(row));
+  }
+
+  countByTask(taskIds) {
+    if (taskIds.length === 0) return {};
+
+    const counts = {};
+    this.db.prepare(`
+      SELECT task_id, COUNT(*) AS count FROM comments
+      WHERE task_id IN (${taskIds.map(() => '?').join(', ')})
+      GROUP BY task_id
+    `).all(...taskIds).forEach(row => { counts[row.task_id] = row.count; });
+    return counts;
+  }
+
+  // The foreign key already cascades task deletes - this is for callers that don't know that
+  deleteByTasks(taskIds) {
+    if (taskIds.length === 0) return 0;
+    return this.db.prepare(`DELETE FROM comments WHERE task_id IN (${taskIds.map(() => '?').join(', ')})`)
+      .run(...taskIds).changes;
+  }
+
+  clear(filters = {}) {
+    if (filters.workspaceId) {
+      return this.db.prepare('DELETE FROM comments WHERE workspace_id = ?').run(filters.workspaceId).changes;
+    }
+    return this.db.prepare('DELETE FROM comments').run().changes;
+  }
+}
+
+module.exports = SqliteCommentStore;
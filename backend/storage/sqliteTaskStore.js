@@ -0,0 +1,439 @@
+const Task = require('../models/Task');
+const Migrator = require('./migrator');
+const { openDatabase, closeDatabase } = require('./database');
+
+// Sort expressions per supported sortBy - whitelisted so nobody gets to inject ORDER BY clauses
+const SORT_COLUMNS = {
+  title: 'LOWER(title)',
+  priority: "CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END",
+  // Tasks without a due date sort after everything else, same as the in-memory store.
+  // On the same day timed tasks come first - one without a time is due by the end of the day.
+  dueDate: "COALESCE(due_date, '9999-12-31T00:00:00.000Z') || COALESCE(due_time, '24:00')",
+  createdAt: 'created_at',
+  rank: 'rank',
+  deletedAt: 'deleted_at',
+  archivedAt: 'archived_at',
+  completedAt: 'completed_at'
+};
+
+// The overdue and due-today rules from models/DueDate.js, in SQL - both read the viewer's wall clock
+const OVERDUE_CLAUSE = `due_date IS NOT NULL AND status_category != 'done' AND (
+  substr(due_date, 1, 10) < ? OR (substr(due_date, 1, 10) = ? AND due_time IS NOT NULL AND due_time < ?)
+)`;
+const overdueParams = (clock) => [clock.date, clock.date, clock.time];
+const DUE_TODAY_CLAUSE = "due_date IS NOT NULL AND status_category != 'done' AND substr(due_date, 1, 10) = ? AND (due_time IS NULL OR due_time >= ?)";
+const dueTodayParams = (clock) => [clock.date, clock.time];
+
+// Escape LIKE wildcards - because apparently someone will search for "100%"
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// SQLite-backed task store - survives restarts, unlike its in-memory sibling
+class SqliteTaskStore {
+  constructor(filename) {
+    this.filename = filename;
+    this.db = openDatabase(filename);
+    this.isEphemeral = filename === ':memory:';
+  }
+
+  // Bring the schema up to date - refuses databases migrated by newer code than this
+  prepare() {
+    const migrator = new Migrator(this.db);
+    migrator.up();
+    return migrator.status();
+  }
+
+  // Row <-> Task mapping - because apparently snake_case and camelCase can't just get along
+  toRow(task) {
+    const data = task.toJSON();
+    return {
+      id: data.id,
+      title: data.title,
+      description: data.description,
+      status: data.status,
+      status_category: data.statusCategory,
+      priority: data.priority,
+      due_date: data.dueDate,
+      due_time: data.dueTime,
+      start_date: data.startDate,
+      tags: JSON.stringify(data.tags),
+      assignees: JSON.stringify(data.assignees),
+      created_by: data.createdBy,
+      workspace_id: data.workspaceId,
+      parent_id: data.parentId,
+      blocked_by: JSON.stringify(data.blockedBy),
+      recurrence: data.recurrence ? JSON.stringify(data.recurrence) : null,
+      rank: data.rank,
+      deleted_at: data.deletedAt,
+      deleted_by: data.deletedBy,
+      archived_at: data.archivedAt,
+      archived_by: data.archivedBy,
+      started_at: data.startedAt,
+      completed_at: data.completedAt,
+      transitions: JSON.stringify(data.transitions),
+      created_at: data.createdAt,
+      updated_at: data.updatedAt
+    };
+  }
+
+  fromRow(row) {
+    return new Task({
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      status: row.status,
+      statusCategory: row.status_category,
+      priority: row.priority,
+      dueDate: row.due_date,
+      dueTime: row.due_time,
+      startDate: row.start_date,
+      tags: JSON.parse(row.tags),
+      assignees: JSON.parse(row.assignees),
+      createdBy: row.created_by,
+      workspaceId: row.workspace_id,
+      parentId: row.parent_id,
+      blockedBy: JSON.parse(row.blocked_by),
+      recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+      rank: row.rank,
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by,
+      archivedAt: row.archived_at,
+      archivedBy: row.archived_by,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      transitions: JSON.parse(row.transitions),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  insert(task) {
+    this.db.prepare(`
+      INSERT INTO tasks (id, title, description, status, status_category, priority, due_date, due_time, start_date, tags, assignees,
+                         created_by, workspace_id, parent_id, blocked_by, recurrence, rank, deleted_at, deleted_by, archived_at, archived_by,
+                         started_at, completed_at, transitions, created_at, updated_at)
+      VALUES (@id, @title, @description, @status, @status_category, @priority, @due_date, @due_time, @start_date, @tags, @assignees,
+              @created_by, @workspace_id, @parent_id, @blocked_by, @recurrence, @rank, @deleted_at, @deleted_by, @archived_at, @archived_by,
+              @started_at, @completed_at, @transitions, @created_at, @updated_at)
+    `).run(this.toRow(task));
+    return this.findById(task.id);
+  }
+
+  findById(id) {
+    const row = this.db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  update(task) {
+    const result = this.db.prepare(`
+      UPDATE tasks
+      SET title = @title, description = @description, status = @status, status_category = @status_category,
+          priority = @priority,
+          due_date = @due_date, due_time = @due_time, start_date = @start_date, tags = @tags, assignees = @assignees, parent_id = @parent_id,
+          blocked_by = @blocked_by, recurrence = @recurrence, rank = @rank, deleted_at = @deleted_at, deleted_by = @deleted_by,
+          archived_at = @archived_at, archived_by = @archived_by, started_at = @started_at, completed_at = @completed_at,
+          transitions = @transitions, updated_at = @updated_at
+      WHERE id = @id
+    `).run(this.toRow(task));
+    return result.changes > 0 ? this.findById(task.id) : null;
+  }
+
+  delete(id) {
+    return this.db.prepare('DELETE FROM tasks WHERE id = ?').run(id).changes > 0;
+  }
+
+  // Remove every task matching the filters (all of them when there are none)
+  clear(filters = {}) {
+    const where = this.buildWhere(filters);
+    return this.db.prepare(`DELETE FROM tasks ${where.sql}`).run(...where.params).changes;
+  }
+
+  count() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count;
+  }
+
+  // Build the WHERE clause for a filter set - returns SQL plus its positional params.
+  // Tasks in the trash only match when `trashed` asks for them - and then nothing else does.
+  buildWhere(filters) {
+    const clauses = [filters.trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+    const params = [];
+
+    if (filters.trashedBefore) {
+      clauses.push('deleted_at < ?');
+      params.push(filters.trashedBefore.toISOString());
+    }
+
+    if (filters.trashedFrom) {
+      clauses.push('deleted_at >= ?');
+      params.push(filters.trashedFrom.toISOString());
+    }
+
+    if (filters.createdBefore) {
+      clauses.push('created_at < ?');
+      params.push(filters.createdBefore.toISOString());
+    }
+
+    // Archived tasks match either way unless `archived` says which
+    if (filters.archived !== undefined) {
+      clauses.push(filters.archived ? 'archived_at IS NOT NULL' : 'archived_at IS NULL');
+    }
+
+    if (filters.completedFrom) {
+      clauses.push('completed_at >= ?');
+      params.push(filters.completedFrom.toISOString());
+    }
+
+    if (filters.completedBefore) {
+      clauses.push('completed_at < ?');
+      params.push(filters.completedBefore.toISOString());
+    }
+
+    if (filters.workspaceId) {
+      clauses.push('workspace_id = ?');
+      params.push(filters.workspaceId);
+    }
+
+    if (filters.parentId) {
+      clauses.push('parent_id = ?');
+      params.push(filters.parentId);
+    }
+
+    if (filters.blockedBy) {
+      clauses.push('EXISTS (SELECT 1 FROM json_each(tasks.blocked_by) WHERE json_each.value = ?)');
+      params.push(filters.blockedBy);
+    }
+
+    if (filters.createdBy) {
+      clauses.push('created_by = ?');
+      params.push(filters.createdBy);
+    }
+
+    if (filters.status) {
+      clauses.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.statusCategory) {
+      clauses.push('status_category = ?');
+      params.push(filters.statusCategory);
+    }
+
+    if (filters.priority) {
+      clauses.push('priority = ?');
+      params.push(filters.priority);
+    }
+
+    if (filters.overdue) {
+      clauses.push(OVERDUE_CLAUSE);
+      params.push(...overdueParams(filters.overdue));
+    }
+
+    if (filters.dueToday) {
+      clauses.push(DUE_TODAY_CLAUSE);
+      params.push(...dueTodayParams(filters.dueToday));
+    }
+
+    if (filters.dueFrom) {
+      clauses.push('due_date IS NOT NULL AND due_date >= ?');
+      params.push(filters.dueFrom.toISOString());
+    }
+
+    if (filters.dueBefore) {
+      clauses.push('due_date IS NOT NULL AND due_date < ?');
+      params.push(filters.dueBefore.toISOString());
+    }
+
+    if (filters.startBefore) {
+      clauses.push('COALESCE(start_date, due_date) IS NOT NULL AND COALESCE(start_date, due_date) < ?');
+      params.push(filters.startBefore.toISOString());
+    }
+
+    if (filters.search) {
+      const pattern = `%${escapeLike(filters.search.toLowerCase())}%`;
+      clauses.push(`(
+        LOWER(title) LIKE ? ESCAPE '\\'
+        OR LOWER(description) LIKE ? ESCAPE '\\'
+        OR EXISTS (SELECT 1 FROM json_each(tasks.tags) WHERE LOWER(json_each.value) LIKE ? ESCAPE '\\')
+      )`);
+      params.push(pattern, pattern, pattern);
+    }
+
+    if (filters.tags && filters.tags.length > 0) {
+      clauses.push(`EXISTS (
+        SELECT 1 FROM json_each(tasks.tags) WHERE json_each.value IN (${filters.tags.map(() => '?').join(', ')})
+      )`);
+      params.push(...filters.tags);
+    }
+
+    if (filters.assignee) {
+      clauses.push('EXISTS (SELECT 1 FROM json_each(tasks.assignees) WHERE json_each.value = ?)');
+      params.push(filters.assignee);
+    }
+
+    if (filters.unassigned) {
+      clauses.push('json_array_length(tasks.assignees) = 0');
+    }
+
+    if (filters.rankAfter !== undefined && filters.rankAfter !== null) {
+      clauses.push('rank > ?');
+      params.push(filters.rankAfter);
+    }
+
+    return {
+      sql: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Filter, sort and paginate in SQL - we only ever pull one page of rows into memory.
+  // A null limit means "all of them" - only for callers that really need everything.
+  find(filters = {}, pagination = {}) {
+    const where = this.buildWhere(filters);
+    const direction = filters.sortOrder === 'desc' ? 'DESC' : 'ASC';
+    const sortColumn = filters.sortBy ? (SORT_COLUMNS[filters.sortBy] || SORT_COLUMNS.title) : null;
+    // rowid keeps ties (and unsorted lists) in insertion order
+    const orderBy = sortColumn ? `ORDER BY ${sortColumn} ${direction}, rowid ASC` : 'ORDER BY rowid ASC';
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM tasks ${where.sql}`).get(...where.params).count;
+    const limit = pagination.limit || -1;
+    const offset = pagination.limit ? ((pagination.page || 1) - 1) * pagination.limit : 0;
+    const rows = this.db.prepare(`SELECT * FROM tasks ${where.sql} ${orderBy} LIMIT ? OFFSET ?`)
+      .all(...where.params, limit, offset);
+
+    return {
+      tasks: rows.map(row => this.fromRow(row)),
+      total
+    };
+  }
+
+  // Aggregate counts with GROUP BY instead of counting rows one by one in JavaScript
+  getStats(clock, filters = {}) {
+    const where = this.buildWhere(filters);
+    // Statuses come from the workspace's workflow, so only the ones in use show up here
+    const byStatus = {};
+    const byCategory = { not_started: 0, active: 0, done: 0 };
+    const byPriority = { low: 0, medium: 0, high: 0 };
+
+    this.db.prepare(`SELECT status, COUNT(*) AS count FROM tasks ${where.sql} GROUP BY status`).all(...where.params)
+      .forEach(row => { byStatus[row.status] = row.count; });
+    this.db.prepare(`SELECT status_category, COUNT(*) AS count FROM tasks ${where.sql} GROUP BY status_category`)
+      .all(...where.params)
+      .forEach(row => { byCategory[row.status_category] = row.count; });
+    this.db.prepare(`SELECT priority, COUNT(*) AS count FROM tasks ${where.sql} GROUP BY priority`).all(...where.params)
+      .forEach(row => { byPriority[row.priority] = row.count; });
+
+    // Archived tasks count everywhere except in what's due - nobody's chasing those any more
+    const overdue = this.db.prepare(`
+      SELECT COUNT(*) AS count FROM tasks
+      ${where.sql ? `${where.sql} AND ${OVERDUE_CLAUSE}` : `WHERE ${OVERDUE_CLAUSE}`} AND archived_at IS NULL
+    `).get(...where.params, ...overdueParams(clock)).count;
+    const dueToday = this.db.prepare(`
+      SELECT COUNT(*) AS count FROM tasks
+      ${where.sql ? `${where.sql} AND ${DUE_TODAY_CLAUSE}` : `WHERE ${DUE_TODAY_CLAUSE}`} AND archived_at IS NULL
+    `).get(...where.params, ...dueTodayParams(clock)).count;
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM tasks ${where.sql}`).get(...where.params).count;
+    const archived = this.db.prepare(`SELECT COUNT(*) AS count FROM tasks ${where.sql} AND archived_at IS NOT NULL`)
+      .get(...where.params).count;
+
+    // Per-assignee counts - a task with two assignees counts once for each of them
+    const byAssignee = this.db.prepare(`
+      SELECT json_each.value AS userId, COUNT(*) AS total, SUM(CASE WHEN status_category = 'done' THEN 1 ELSE 0 END) AS completed
+      FROM tasks, json_each(tasks.assignees)
+      ${where.sql}
+      GROUP BY json_each.value
+      ORDER BY total DESC, userId ASC
+    `).all(...where.params);
+    const unassignedClause = 'json_array_length(tasks.assignees) = 0';
+    const unassigned = this.db.prepare(`
+      SELECT COUNT(*) AS count FROM tasks
+      ${where.sql ? `${where.sql} AND ${unassignedClause}` : `WHERE ${unassignedClause}`}
+    `).get(...where.params).count;
+
+    return { total, byStatus, byCategory, byPriority, overdue, dueToday, archived, byAssignee, unassigned };
+  }
+
+  // Task counts per status - { [status]: count }, statuses nobody uses are left out
+  countByStatus(filters = {}) {
+    const where = this.buildWhere(filters);
+    const counts = {};
+    this.db.prepare(`SELECT status, COUNT(*) AS count FROM tasks ${where.sql} GROUP BY status`).all(...where.params)
+      .forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  }
+
+  // Tag usage counts, most used first - json_each unpacks the tag arrays for GROUP BY
+  countTags(filters = {}) {
+    const where = this.buildWhere(filters);
+    return this.db.prepare(`
+      SELECT json_each.value AS tag, COUNT(*) AS count
+      FROM tasks, json_each(tasks.tags)
+      ${where.sql}
+      GROUP BY json_each.value
+      ORDER BY count DESC, tag ASC
+    `).all(...where.params);
+  }
+
+  // Subtask rollups for a batch of parents - { [parentId]: { total, completed } }, parents without
+  // children are left out
+  countSubtasks(parentIds = []) {
+    if (parentIds.length === 0) return {};
+
+    const rollups = {};
+    this.db.prepare(`
+      SELECT parent_id, COUNT(*) AS total, SUM(CASE WHEN status_category = 'done' THEN 1 ELSE 0 END) AS completed
+      FROM tasks
+      WHERE parent_id IN (${parentIds.map(() => '?').join(', ')}) AND deleted_at IS NULL
+      GROUP BY parent_id
+    `).all(...parentIds).forEach(row => {
+      rollups[row.parent_id] = { total: row.total, completed: row.completed };
+    });
+    return rollups;
+  }
+
+  // Status categories for a batch of task IDs - { [id]: category }, IDs that no longer exist (or are
+  // in the trash) are left out
+  findStatusCategories(ids = []) {
+    if (ids.length === 0) return {};
+
+    const categories = {};
+    this.db.prepare(`SELECT id, status_category FROM tasks WHERE id IN (${ids.map(() => '?').join(', ')}) AND deleted_at IS NULL`)
+      .all(...ids)
+      .forEach(row => { categories[row.id] = row.status_category; });
+    return categories;
+  }
+
+  // Point every task in a status at a (possibly new) category - for when a workflow changes.
+  // Same stamping as Task.stampCategory: a status that now counts as done completes its tasks, one that
+  // no longer does reopens them.
+  recategorize(workspaceId, status, category) {
+    const now = new Date().toISOString();
+    return this.db.prepare(`
+      UPDATE tasks
+      SET status_category = @category,
+          started_at = CASE WHEN @category != 'not_started' THEN COALESCE(started_at, @now) ELSE started_at END,
+          completed_at = CASE WHEN @category = 'done' THEN COALESCE(completed_at, @now) END
+      WHERE workspace_id = @workspaceId AND status = @status AND status_category != @category
+    `).run({ category, now, workspaceId, status }).changes;
+  }
+
+  // One status column of a workspace in board order - [{ id, rank }], lowest rank first. Archived tasks
+  // are off the board, so they hold no place in it.
+  findRanks(workspaceId, status) {
+    return this.db.prepare('SELECT id, rank FROM tasks WHERE workspace_id = ? AND status = ? AND deleted_at IS NULL AND archived_at IS NULL ORDER BY rank ASC, rowid ASC')
+      .all(workspaceId, status);
+  }
+
+  // Write a batch of ranks in one go - for when a column needs respacing
+  setRanks(ranks = []) {
+    const setRank = this.db.prepare('UPDATE tasks SET rank = ? WHERE id = ?');
+    this.db.transaction(() => {
+      ranks.forEach(entry => setRank.run(entry.rank, entry.id));
+    })();
+    return ranks.length;
+  }
+
+  close() {
+    closeDatabase(this.filename);
+  }
+}
+
+module.exports = SqliteTaskStore;
@@ -0,0 +1,96 @@
+const User = require('../models/User');
+const Migrator = require('./migrator');
+const { openDatabase } = require('./database');
+
+// SQLite-backed user store - shares its connection with the task store on the same file
+class SqliteUserStore {
+  constructor(filename) {
+    this.db = openDatabase(filename);
+    this.isEphemeral = filename === ':memory:';
+  }
+
+  prepare() {
+    const migrator = new Migrator(this.db);
+    migrator.up();
+    return migrator.status();
+  }
+
+  fromRow(row) {
+    return new User({
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      passwordHash: row.password_hash,
+      timezone: row.timezone,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  // Run `work` (synchronous) in one transaction - the other stores on this file share the connection,
+  // so their writes inside it commit or roll back together with ours
+  transaction(work) {
+    return this.db.transaction(work)();
+  }
+
+  insert(user) {
+    const record = user.toRecord();
+    try {
+      this.db.prepare(`
+        INSERT INTO users (id, email, name, password_hash, timezone, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(record.id, record.email, record.name, record.passwordHash, record.timezone, record.createdAt, record.updatedAt);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error('Email is already registered');
+      }
+      throw error;
+    }
+    return this.findById(user.id);
+  }
+
+  update(user) {
+    const record = user.toRecord();
+    const result = this.db.prepare('UPDATE users SET name = ?, timezone = ?, updated_at = ? WHERE id = ?')
+      .run(record.name, record.timezone, record.updatedAt, record.id);
+    return result.changes > 0 ? this.findById(user.id) : null;
+  }
+
+  findById(id) {
+    const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  findByEmail(email) {
+    const row = this.db.prepare('SELECT * FROM users WHERE email = ?').get(email.trim().toLowerCase());
+    return row ? this.fromRow(row) : null;
+  }
+
+  saveRefreshToken(token) {
+    this.db.prepare(`
+      INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(token.id, token.userId, token.tokenHash, token.expiresAt, token.createdAt);
+  }
+
+  findRefreshToken(tokenHash) {
+    const row = this.db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(tokenHash);
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      tokenHash: row.token_hash,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  revokeRefreshToken(id, revokedAt = new Date()) {
+    this.db.prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      .run(revokedAt.toISOString(), id);
+  }
+}
+
+module.exports = SqliteUserStore;
@@ -0,0 +1,160 @@
+const Workspace = require('../models/Workspace');
+const Workflow = require('../models/Workflow');
+const { v4: uuidv4 } = require('uuid');
+const Migrator = require('./migrator');
+const { openDatabase } = require('./database');
+
+// SQLite-backed workspace store - workspaces, workspace_members, workflows and wip_breaches tables
+class SqliteWorkspaceStore {
+  constructor(filename) {
+    this.db = openDatabase(filename);
+    this.isEphemeral = filename === ':memory:';
+  }
+
+  prepare() {
+    const migrator = new Migrator(this.db);
+    migrator.up();
+    return migrator.status();
+  }
+
+  fromRow(row) {
+    return new Workspace({
+      id: row.id,
+      name: row.name,
+      isPersonal: row.is_personal === 1,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  insert(workspace) {
+    const data = workspace.toJSON();
+    this.db.prepare(`
+      INSERT INTO workspaces (id, name, is_personal, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(data.id, data.name, data.isPersonal ? 1 : 0, data.createdBy, data.createdAt, data.updatedAt);
+    return this.findById(workspace.id);
+  }
+
+  findById(id) {
+    const row = this.db.prepare('SELECT * FROM workspaces WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  update(workspace) {
+    const data = workspace.toJSON();
+    const result = this.db.prepare('UPDATE workspaces SET name = ?, updated_at = ? WHERE id = ?')
+      .run(data.name, data.updatedAt, data.id);
+    return result.changes > 0 ? this.findById(workspace.id) : null;
+  }
+
+  findPersonal(userId) {
+    const row = this.db.prepare('SELECT * FROM workspaces WHERE is_personal = 1 AND created_by = ?').get(userId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  // Every workspace a user belongs to, with their role in it - personal workspace first
+  listForUser(userId) {
+    return this.db.prepare(`
+      SELECT workspaces.*, workspace_members.role AS member_role
+      FROM workspace_members
+      JOIN workspaces ON workspaces.id = workspace_members.workspace_id
+      WHERE workspace_members.user_id = ?
+      ORDER BY workspaces.is_personal DESC, workspaces.created_at ASC
+    `).all(userId).map(row => ({ workspace: this.fromRow(row), role: row.member_role }));
+  }
+
+  getRole(workspaceId, userId) {
+    const row = this.db.prepare('SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+      .get(workspaceId, userId);
+    return row ? row.role : null;
+  }
+
+  listMembers(workspaceId) {
+    return this.db.prepare(`
+      SELECT user_id AS userId, role, created_at AS joinedAt
+      FROM workspace_members WHERE workspace_id = ? ORDER BY created_at ASC
+    `).all(workspaceId);
+  }
+
+  // Add a member, or change their role if they're already in
+  setMember(workspaceId, userId, role) {
+    this.db.prepare(`
+      INSERT INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = excluded.role
+    `).run(workspaceId, userId, role, new Date().toISOString());
+  }
+
+  removeMember(workspaceId, userId) {
+    return this.db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+      .run(workspaceId, userId).changes > 0;
+  }
+
+  countOwners(workspaceId) {
+    return this.db.prepare("SELECT COUNT(*) AS count FROM workspace_members WHERE workspace_id = ? AND role = 'owner'")
+      .get(workspaceId).count;
+  }
+
+  // A workspace's saved workflow - null until someone customises it
+  getWorkflow(workspaceId) {
+    const row = this.db.prepare('SELECT * FROM workflows WHERE workspace_id = ?').get(workspaceId);
+    return row ? new Workflow({
+      workspaceId: row.workspace_id,
+      statuses: JSON.parse(row.statuses),
+      transitions: row.transitions ? JSON.parse(row.transitions) : null,
+      updatedAt: row.updated_at
+    }) : null;
+  }
+
+  saveWorkflow(workflow) {
+    const data = workflow.toJSON();
+    this.db.prepare(`
+      INSERT INTO workflows (workspace_id, statuses, transitions, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (workspace_id) DO UPDATE
+      SET statuses = excluded.statuses, transitions = excluded.transitions, updated_at = excluded.updated_at
+    `).run(data.workspaceId, JSON.stringify(data.statuses), data.transitions ? JSON.stringify(data.transitions) : null, data.updatedAt);
+    return this.getWorkflow(data.workspaceId);
+  }
+
+  fromBreachRow(row) {
+    return {
+      id: row.id,
+      workspaceId: row.workspace_id,
+      status: row.status,
+      wipLimit: row.wip_limit,
+      startedAt: row.started_at,
+      endedAt: row.ended_at
+    };
+  }
+
+  // Statuses of a workspace that are over their WIP limit right now
+  findOpenWipBreaches(workspaceId) {
+    return this.db.prepare('SELECT * FROM wip_breaches WHERE workspace_id = ? AND ended_at IS NULL')
+      .all(workspaceId)
+      .map(row => this.fromBreachRow(row));
+  }
+
+  // Every breach that was still going at or after `since`, oldest first
+  findWipBreaches(workspaceId, since) {
+    return this.db.prepare(`
+      SELECT * FROM wip_breaches
+      WHERE workspace_id = ? AND (ended_at IS NULL OR ended_at >= ?)
+      ORDER BY started_at ASC
+    `).all(workspaceId, since.toISOString()).map(row => this.fromBreachRow(row));
+  }
+
+  openWipBreach(workspaceId, status, wipLimit, at) {
+    const id = uuidv4();
+    this.db.prepare('INSERT INTO wip_breaches (id, workspace_id, status, wip_limit, started_at) VALUES (?, ?, ?, ?, ?)')
+      .run(id, workspaceId, status, wipLimit, at.toISOString());
+    return this.fromBreachRow(this.db.prepare('SELECT * FROM wip_breaches WHERE id = ?').get(id));
+  }
+
+  closeWipBreach(id, at) {
+    return this.db.prepare('UPDATE wip_breaches SET ended_at = ? WHERE id = ? AND ended_at IS NULL')
+      .run(at.toISOString(), id).changes > 0;
+  }
+}
+
+module.exports = SqliteWorkspaceStore;
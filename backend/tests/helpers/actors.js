@@ -0,0 +1,49 @@
+const authService = require('../../services/authService');
+const workspaceService = require('../../services/workspaceService');
+
+// Tests run on the memory stores (NODE_ENV=test), so every test file starts with nobody signed up
+authService.secret = authService.secret || 'test-secret';
+
+let registered = 0;
+
+// A new account and its personal workspace, signed up the way POST /api/auth/register does it
+const signUp = async (profile = {}) => {
+  registered++;
+  const { user } = await authService.register({
+    email: `user${registered}@example.com`,
+    name: `User ${registered}`,
+    password: 'secret123',
+    ...profile
+  }, (created) => workspaceService.setUpPersonalWorkspace(created));
+  return user;
+};
+
+// The actor the routes would build for a new account - the owner of its personal workspace
+const createOwner = async (profile = {}) => {
+  const user = await signUp(profile);
+  const [workspace] = await workspaceService.listWorkspaces(user);
+  return { ...user, workspaceId: workspace.id, role: 'owner' };
+};
+
+// A team workspace with one new member per role, each as the actor the routes would build for them
+const createTeam = async (roles = ['owner', 'editor', 'commenter', 'viewer']) => {
+  const founder = await signUp();
+  const workspace = await workspaceService.createWorkspace({ name: 'Team' }, founder);
+  const team = { workspaceId: workspace.id };
+
+  for (const role of roles) {
+    const member = role === 'owner' ? founder : await signUp();
+    if (role !== 'owner') {
+      await workspaceService.addMember(workspace.id, { email: member.email, role }, founder);
+    }
+    team[role] = { ...member, workspaceId: workspace.id, role };
+  }
+
+  return team;
+};
+
+module.exports = {
+  signUp,
+  createOwner,
+  createTeam
+};
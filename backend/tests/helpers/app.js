@@ -0,0 +1,40 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const authService = require('../../services/authService');
+const { requireAuth } = require('../../middleware/auth');
+const { resolveWorkspace } = require('../../middleware/workspace');
+
+// Just the router under test, with the actor the auth and workspace middleware would have put on the request
+const mount = (router, actor) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.actor = actor;
+    next();
+  });
+  app.use(router);
+  return app;
+};
+
+// The API as server.js mounts it - real tokens, real workspace resolution - minus the startup and timers
+const api = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../../routes/auth'));
+  app.use('/api/workspaces', requireAuth, require('../../routes/workspaces'));
+  app.use('/api/tasks/:id/comments', requireAuth, resolveWorkspace, require('../../routes/comments'));
+  app.use('/api/tasks', requireAuth, resolveWorkspace, require('../../routes/tasks'));
+  app.use('/api/stats', requireAuth, resolveWorkspace, require('../../routes/stats'));
+  app.use('/api/workflow', requireAuth, resolveWorkspace, require('../../routes/workflow'));
+  app.use('/api/audit', requireAuth, resolveWorkspace, require('../../routes/audit'));
+  return app;
+};
+
+// An Authorization header for a user, as if they had just logged in
+const bearer = (user) => `Bearer ${jwt.sign({ sub: user.id, email: user.email }, authService.secret)}`;
+
+module.exports = {
+  mount,
+  api,
+  bearer
+};
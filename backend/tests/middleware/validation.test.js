@@ -0,0 +1,72 @@
+const { body, query, validationResult } = require('express-validator');
+const { handleValidationErrors, isoDate } = require('../../middleware/validation');
+
+describe('isoDate', () => {
+  const check = async (chain, req) => {
+    await chain.run(req);
+    return validationResult(req).array();
+  };
+  const from = (value) => check(isoDate(query('from').optional(), 'From must be a valid ISO 8601 date'), { query: { from: value } });
+
+  test.each([
+    '2024-03-01',
+    '2024-02-29',
+    '2024-03-01T10:00:00Z',
+    '2024-03-01T10:00:00.000+05:30'
+  ])('lets %s through', async (value) => {
+    expect(await from(value)).toEqual([]);
+  });
+
+  // Valid ISO 8601, but nothing Date can read - these used to get through and end in a 500
+  test.each([
+    ['a week date', '2024-W05'],
+    ['an ordinal date', '2024-123'],
+    ['a day the month doesn\'t have', '2024-02-30'],
+    ['a leap day in a year without one', '2023-02-29'],
+    ['words', 'yesterday']
+  ])('refuses %s (%s) with the message it was given, once', async (label, value) => {
+    const errors = await from(value);
+
+    expect(errors).toEqual([expect.objectContaining({ path: 'from', msg: 'From must be a valid ISO 8601 date' })]);
+  });
+
+  test('leaves the field\'s own optional() alone', async () => {
+    const chain = () => isoDate(body('dueDate').optional({ values: 'null' }), 'Due date must be a valid ISO 8601 date, or null');
+
+    expect(await from(undefined)).toEqual([]);
+    expect(await check(chain(), { body: { dueDate: null } })).toEqual([]);
+    expect(await check(chain(), { body: {} })).toEqual([]);
+  });
+});
+
+describe('handleValidationErrors', () => {
+  const respond = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  test('answers 400 with every failed check', async () => {
+    const req = { query: { from: '2024-W05' } };
+    await isoDate(query('from'), 'From must be a valid ISO 8601 date').run(req);
+    const res = respond();
+    const next = jest.fn();
+
+    handleValidationErrors(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].details).toEqual([expect.objectContaining({ path: 'from', value: '2024-W05' })]);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('passes a clean request on', async () => {
+    const req = { query: { from: '2024-03-01' } };
+    await isoDate(query('from'), 'From must be a valid ISO 8601 date').run(req);
+    const next = jest.fn();
+
+    handleValidationErrors(req, respond(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+const Activity = require('../../models/Activity');
+
+describe('Activity.diff', () => {
+  const task = { title: 'Write docs', status: 'todo', priority: 'low', tags: ['docs'], assignees: [], dueDate: null, rank: 1024 };
+
+  test('a new task shows every field it was created with, from nothing', () => {
+    expect(Activity.diff(null, task)).toEqual({
+      title: { from: null, to: 'Write docs' },
+      status: { from: null, to: 'todo' },
+      priority: { from: null, to: 'low' },
+      tags: { from: null, to: ['docs'] }
+    });
+  });
+
+  test('a deleted task shows every field it had, to nothing', () => {
+    expect(Object.values(Activity.diff(task, null)).every(change => change.to === null)).toBe(true);
+    expect(Object.keys(Activity.diff(task, null)).sort()).toEqual(['priority', 'status', 'tags', 'title']);
+  });
+
+  test('an edit shows only what changed, lists compared by value', () => {
+    const after = { ...task, status: 'in_progress', tags: ['docs'], assignees: ['u1'] };
+
+    expect(Activity.diff(task, after)).toEqual({
+      status: { from: 'todo', to: 'in_progress' },
+      assignees: { from: null, to: ['u1'] }
+    });
+  });
+
+  test('empty is empty - an empty list, an empty string and null are the same nothing', () => {
+    expect(Activity.diff({ ...task, tags: [], description: '' }, { ...task, tags: null, description: null })).toEqual({});
+  });
+
+  test('ignores the fields that would only be noise', () => {
+    expect(Activity.diff(task, { ...task, rank: 2048, statusCategory: 'active', updatedAt: new Date() })).toEqual({});
+  });
+
+  test('compares only the fields it is given', () => {
+    expect(Activity.diff({ name: 'Old', secret: 1 }, { name: 'New', secret: 2 }, ['name'])).toEqual({
+      name: { from: 'Old', to: 'New' }
+    });
+  });
+});
+
+describe('Activity', () => {
+  test('refuses an action nobody has heard of', () => {
+    expect(() => new Activity({ workspaceId: 'w', actorId: 'u', action: 'task.teleport' })).toThrow('Action must be one of');
+  });
+
+  test('refuses a task entry that doesn\'t say which task', () => {
+    expect(() => new Activity({ workspaceId: 'w', actorId: 'u', action: 'task.update' }))
+      .toThrow('A task.update entry needs the task it\'s about');
+  });
+});
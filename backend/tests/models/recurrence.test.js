@@ -0,0 +1,94 @@
+const Recurrence = require('../../models/Recurrence');
+
+const at = (iso) => new Date(`${iso}Z`);
+const days = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('Recurrence', () => {
+  describe('monthly', () => {
+    test('the 31st lands on the last day of February, then back on the 31st', () => {
+      const rule = new Recurrence({ frequency: 'monthly', monthDay: 31 });
+
+      expect(rule.next(at('2024-01-31T09:00:00'), at('2024-01-31T10:00:00'))).toEqual(at('2024-02-29T09:00:00'));
+      expect(rule.next(at('2023-01-31T09:00:00'), at('2023-01-31T10:00:00'))).toEqual(at('2023-02-28T09:00:00'));
+      expect(rule.next(at('2024-02-29T09:00:00'), at('2024-02-29T10:00:00'))).toEqual(at('2024-03-31T09:00:00'));
+    });
+
+    test('short months along the way do not drag the day down', () => {
+      const rule = new Recurrence({ frequency: 'monthly', monthDay: 31 });
+
+      expect(days(rule.upcoming(at('2024-01-31T09:00:00'), 5, at('2024-01-31T09:00:00'))))
+        .toEqual(['2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31', '2024-06-30']);
+    });
+
+    test('every few months, across the year end', () => {
+      const rule = new Recurrence({ frequency: 'monthly', monthDay: 30, interval: 3 });
+
+      expect(rule.next(at('2024-11-30T00:00:00'), at('2024-11-30T00:00:00'))).toEqual(at('2025-02-28T00:00:00'));
+    });
+
+    test('a day still to come this month comes first', () => {
+      const rule = new Recurrence({ frequency: 'monthly', monthDay: 15 });
+
+      expect(rule.next(at('2024-03-01T00:00:00'), at('2024-03-01T00:00:00'))).toEqual(at('2024-03-15T00:00:00'));
+    });
+  });
+
+  describe('weekly', () => {
+    // 2024-03-04 is a Monday
+    test('walks through each listed weekday in turn', () => {
+      const rule = new Recurrence({ frequency: 'weekly', weekdays: [5, 1, 3] });
+
+      expect(days(rule.upcoming(at('2024-03-04T09:00:00'), 4, at('2024-03-04T09:00:00'))))
+        .toEqual(['2024-03-06', '2024-03-08', '2024-03-11', '2024-03-13']);
+    });
+
+    test('every other week skips the week in between', () => {
+      const rule = new Recurrence({ frequency: 'weekly', weekdays: [1, 5], interval: 2 });
+
+      expect(days(rule.upcoming(at('2024-03-04T09:00:00'), 4, at('2024-03-04T09:00:00'))))
+        .toEqual(['2024-03-08', '2024-03-18', '2024-03-22', '2024-04-01']);
+    });
+
+    test('weeks start on Sunday', () => {
+      const rule = new Recurrence({ frequency: 'weekly', weekdays: [0, 6], interval: 2 });
+
+      // Saturday 03-09 ends the week, so the Sunday after is a week on and gets skipped
+      expect(days(rule.upcoming(at('2024-03-09T09:00:00'), 3, at('2024-03-09T09:00:00'))))
+        .toEqual(['2024-03-17', '2024-03-23', '2024-03-31']);
+    });
+  });
+
+  describe('after completion', () => {
+    test('counts from the day it was done, keeping the time of day it was due', () => {
+      const rule = new Recurrence({ frequency: 'after_completion', interval: 3 });
+
+      expect(rule.next(at('2024-03-01T09:00:00'), at('2024-03-05T17:30:00'))).toEqual(at('2024-03-08T09:00:00'));
+    });
+
+    test('done early still counts from when it was done', () => {
+      const rule = new Recurrence({ frequency: 'after_completion', interval: 7 });
+
+      expect(rule.next(at('2024-03-10T14:00:00'), at('2024-03-02T08:00:00'))).toEqual(at('2024-03-09T14:00:00'));
+    });
+  });
+
+  describe('catching up', () => {
+    test('calendar rules skip the slots that went by while overdue', () => {
+      const rule = new Recurrence({ frequency: 'daily', interval: 2 });
+
+      expect(rule.next(at('2024-03-01T09:00:00'), at('2024-03-06T12:00:00'))).toEqual(at('2024-03-07T09:00:00'));
+    });
+  });
+
+  describe('validation', () => {
+    test.each([
+      ['an unknown frequency', { frequency: 'hourly' }, 'frequency must be one of'],
+      ['a zero interval', { frequency: 'daily', interval: 0 }, 'interval must be a whole number'],
+      ['a weekly rule with no days', { frequency: 'weekly', weekdays: [] }, 'at least one weekday'],
+      ['a weekday past Saturday', { frequency: 'weekly', weekdays: [7] }, 'at least one weekday'],
+      ['a monthly rule on the 32nd', { frequency: 'monthly', monthDay: 32 }, 'day of the month']
+    ])('rejects %s', (label, data, message) => {
+      expect(() => new Recurrence(data)).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const Workspace = require('../../models/Workspace');
+
+// The role table everything else leans on - requirePermission, authorize, comment moderation
+describe('Workspace.can', () => {
+  const table = {
+    'task:read': ['owner', 'editor', 'commenter', 'viewer'],
+    'comment:create': ['owner', 'editor', 'commenter'],
+    'task:create': ['owner', 'editor'],
+    'task:update': ['owner', 'editor'],
+    'task:delete': ['owner', 'editor'],
+    'task:clear': ['owner'],
+    'task:purge': ['owner'],
+    'comment:moderate': ['owner'],
+    'workspace:manage': ['owner'],
+    'audit:read': ['owner']
+  };
+
+  test.each(Object.entries(table))('%s is allowed for exactly %p', (action, allowed) => {
+    const granted = Workspace.ROLES.filter(role => Workspace.can(role, action));
+
+    expect(granted.sort()).toEqual([...allowed].sort());
+  });
+
+  test('a role nobody has heard of can do nothing', () => {
+    expect(Workspace.can('admin', 'task:read')).toBe(false);
+    expect(Workspace.can(undefined, 'task:read')).toBe(false);
+    expect(Workspace.permissionsFor('admin')).toEqual([]);
+  });
+
+  test('an action nobody has heard of is allowed for nobody', () => {
+    expect(Workspace.ROLES.filter(role => Workspace.can(role, 'task:explode'))).toEqual([]);
+  });
+});
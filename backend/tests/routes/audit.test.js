@@ -0,0 +1,35 @@
+const request = require('supertest');
+const auditRoutes = require('../../routes/audit');
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+const { mount } = require('../helpers/app');
+
+describe('GET /api/audit', () => {
+  let app;
+
+  beforeAll(async () => {
+    const actor = await createOwner();
+    await taskService.createTask({ title: 'Leaves a trace' }, actor);
+    app = mount(auditRoutes, actor);
+  });
+
+  // Which dates isoDate refuses is tested with the middleware - this is only that both endpoints use it
+  test.each([
+    ['/', 'from'],
+    ['/', 'to'],
+    ['/export', 'from'],
+    ['/export', 'to']
+  ])('%s reads %s with isoDate', async (path, field) => {
+    const response = await request(app).get(path).query({ [field]: '2024-W05' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0]).toMatchObject({ path: field, msg: expect.stringContaining('valid ISO 8601 date') });
+  });
+
+  test('reads a range it can parse', async () => {
+    const response = await request(app).get('/').query({ from: '2000-01-01', to: '2999-01-01T00:00:00Z' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.entries.map(entry => entry.action)).toContain('task.create');
+  });
+});
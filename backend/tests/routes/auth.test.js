@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const authRoutes = require('../../routes/auth');
+const authService = require('../../services/authService');
+const workspaceService = require('../../services/workspaceService');
+const { signUp } = require('../helpers/actors');
+
+const app = express();
+app.use(express.json());
+app.use(authRoutes);
+
+const login = (email) => request(app).post('/login').send({ email, password: 'secret123' });
+
+describe('POST /api/auth/register', () => {
+  test('creates the account with its personal workspace', async () => {
+    const response = await request(app).post('/register').send({ email: 'new@example.com', name: 'New', password: 'secret123', timezone: 'Europe/Paris' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.user).toMatchObject({ email: 'new@example.com', timezone: 'Europe/Paris' });
+    expect(await workspaceService.store.findPersonal(response.body.user.id)).toMatchObject({ isPersonal: true });
+  });
+
+  test('leaves no account behind when the workspace cannot be made', async () => {
+    const setUp = jest.spyOn(workspaceService, 'setUpPersonalWorkspace').mockImplementation(() => {
+      throw new Error('Disk full');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const response = await request(app).post('/register').send({ email: 'half@example.com', name: 'Half', password: 'secret123' });
+
+      expect(response.status).toBe(500);
+      expect((await login('half@example.com')).status).toBe(401);
+    } finally {
+      setUp.mockRestore();
+      console.error.mockRestore();
+    }
+  });
+
+  test('answers 409 for an email already taken', async () => {
+    const user = await signUp();
+
+    const response = await request(app).post('/register').send({ email: user.email, name: 'Again', password: 'secret123' });
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('answers 401 for a wrong password', async () => {
+    const user = await signUp();
+
+    const response = await request(app).post('/login').send({ email: user.email, password: 'not-it' });
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('access tokens', () => {
+  let user;
+  const me = (authorization) => {
+    const pending = request(app).get('/me');
+    return authorization ? pending.set('Authorization', authorization) : pending;
+  };
+
+  beforeAll(async () => {
+    user = await signUp();
+  });
+
+  test('a valid one gets through', async () => {
+    const { body } = await login(user.email);
+
+    const response = await me(`Bearer ${body.accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.id).toBe(user.id);
+  });
+
+  test.each([
+    ['missing', () => null],
+    ['not a Bearer token', () => 'Basic dXNlcjpwYXNz'],
+    ['signed with another secret', () => `Bearer ${jwt.sign({ sub: user.id }, 'not-our-secret')}`],
+    ['expired', () => `Bearer ${jwt.sign({ sub: user.id, exp: Math.floor(Date.now() / 1000) - 60 }, authService.secret)}`],
+    ['garbage', () => 'Bearer not.a.token']
+  ])('one that is %s gets a 401', async (label, authorization) => {
+    const response = await me(authorization());
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toContain('Authentication required');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  let session;
+  const refresh = (refreshToken) => request(app).post('/refresh').send({ refreshToken });
+
+  beforeEach(async () => {
+    const user = await signUp();
+    session = (await login(user.email)).body;
+  });
+
+  test('rotates the refresh token into a new session', async () => {
+    const response = await refresh(session.refreshToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.refreshToken).not.toBe(session.refreshToken);
+    expect((await request(app).get('/me').set('Authorization', `Bearer ${response.body.accessToken}`)).status).toBe(200);
+  });
+
+  test('refuses a refresh token that was already used', async () => {
+    await refresh(session.refreshToken);
+
+    const response = await refresh(session.refreshToken);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toContain('Session expired');
+  });
+
+  test('refuses a refresh token revoked by logging out', async () => {
+    await request(app).post('/logout').send({ refreshToken: session.refreshToken });
+
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+  });
+
+  test('refuses one it never issued', async () => {
+    expect((await refresh('made-up')).status).toBe(401);
+  });
+});
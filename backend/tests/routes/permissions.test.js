@@ -0,0 +1,117 @@
+const request = require('supertest');
+const commentService = require('../../services/commentService');
+const taskService = require('../../services/taskService');
+const workspaceService = require('../../services/workspaceService');
+const { createTeam, signUp } = require('../helpers/actors');
+const { api, bearer } = require('../helpers/app');
+
+// Every endpoint that changes something, tried by every role - the allowed ones get through, the rest get a 403 and change nothing
+describe('role permissions on mutating endpoints', () => {
+  const app = api();
+  const everyone = ['owner', 'editor', 'commenter', 'viewer'];
+  let team;
+  let bystander;
+  let task;
+  let archived;
+  let trashed;
+  let comment;
+
+  beforeAll(async () => {
+    team = await createTeam();
+    bystander = await signUp();
+  });
+
+  beforeEach(async () => {
+    const { owner } = team;
+    await workspaceService.renameWorkspace(team.workspaceId, { name: 'Team' }, owner);
+    await workspaceService.addMember(team.workspaceId, { email: bystander.email, role: 'viewer' }, owner);
+
+    task = await taskService.createTask({ title: 'Fixture' }, owner);
+    comment = await commentService.addComment(task.id, { body: 'The owner was here' }, owner);
+    archived = await taskService.createTask({ title: 'Put away' }, owner);
+    await taskService.archiveTask(archived.id, owner);
+    trashed = await taskService.createTask({ title: 'Binned' }, owner);
+    await taskService.deleteTask(trashed.id, owner);
+  });
+
+  const endpoints = [
+    ['create a task', ['owner', 'editor'], 'post', () => '/api/tasks', () => ({ title: 'New' })],
+    ['replace a task', ['owner', 'editor'], 'put', () => `/api/tasks/${task.id}`, () => ({ title: 'Replaced' })],
+    ['edit a task', ['owner', 'editor'], 'patch', () => `/api/tasks/${task.id}`, () => ({ title: 'Edited' })],
+    ['move a task', ['owner', 'editor'], 'post', () => `/api/tasks/${task.id}/move`, () => ({ status: 'in_progress' })],
+    ['archive a task', ['owner', 'editor'], 'post', () => `/api/tasks/${task.id}/archive`, () => ({})],
+    ['unarchive a task', ['owner', 'editor'], 'post', () => `/api/tasks/${archived.id}/unarchive`, () => ({})],
+    ['delete a task', ['owner', 'editor'], 'delete', () => `/api/tasks/${task.id}`, () => ({})],
+    ['restore a task', ['owner', 'editor'], 'post', () => `/api/tasks/${trashed.id}/restore`, () => ({})],
+    ['purge a task', ['owner'], 'delete', () => `/api/tasks/trash/${trashed.id}`, () => ({})],
+    ['empty the trash', ['owner'], 'delete', () => '/api/tasks/trash', () => ({})],
+    ['clear every task', ['owner'], 'delete', () => '/api/tasks', () => ({})],
+    ['comment on a task', ['owner', 'editor', 'commenter'], 'post', () => `/api/tasks/${task.id}/comments`, () => ({ body: 'Me too' })],
+    ['delete someone else\'s comment', ['owner'], 'delete', () => `/api/tasks/${task.id}/comments/${comment.id}`, () => ({})],
+    ['change the workflow', ['owner'], 'put', () => '/api/workflow', () => ({
+      statuses: [
+        { key: 'todo', name: 'To Do', category: 'not_started' },
+        { key: 'in_progress', name: 'In Progress', category: 'active' },
+        { key: 'completed', name: 'Completed', category: 'done' }
+      ]
+    })],
+    ['rename the workspace', ['owner'], 'patch', () => `/api/workspaces/${team.workspaceId}`, () => ({ name: 'Renamed' })],
+    ['add a member', ['owner'], 'post', () => `/api/workspaces/${team.workspaceId}/members`, () => ({ email: bystander.email, role: 'commenter' })],
+    ['change a member\'s role', ['owner'], 'patch', () => `/api/workspaces/${team.workspaceId}/members/${bystander.id}`, () => ({ role: 'editor' })],
+    ['remove a member', ['owner'], 'delete', () => `/api/workspaces/${team.workspaceId}/members/${bystander.id}`, () => ({})]
+  ];
+
+  const cases = endpoints.flatMap(([label, allowed, method, path, body]) => everyone.map(role => [
+    role, allowed.includes(role) ? 'can' : 'cannot', label, method, path, body
+  ]));
+
+  test.each(cases)('%s %s %s', async (role, verdict, label, method, path, body) => {
+    const response = await request(app)[method](path())
+      .set('Authorization', bearer(team[role]))
+      .set('X-Workspace-Id', team.workspaceId)
+      .send(body());
+
+    if (verdict === 'can') {
+      expect(response.status).toBeLessThan(300);
+      return;
+    }
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toContain('Not allowed');
+
+    const { owner } = team;
+    const [workspace, comments, bin] = await Promise.all([
+      workspaceService.getWorkspace(team.workspaceId, owner),
+      commentService.listComments(task.id, owner),
+      taskService.getTrash(owner)
+    ]);
+    expect(await taskService.getTaskById(task.id, owner)).toMatchObject({ title: 'Fixture', status: 'todo', archivedAt: null });
+    expect((await taskService.getTaskById(archived.id, owner)).archivedAt).not.toBeNull();
+    expect(bin.tasks.map(binned => binned.id)).toContain(trashed.id);
+    expect(comments.map(kept => kept.id)).toEqual([comment.id]);
+    expect(workspace.name).toBe('Team');
+    expect(workspace.members.find(member => member.userId === bystander.id).role).toBe('viewer');
+  });
+});
+
+describe('the last owner over the API', () => {
+  const app = api();
+  let team;
+
+  beforeAll(async () => {
+    team = await createTeam(['owner']);
+  });
+
+  test.each([
+    ['demoted', 'patch', { role: 'editor' }],
+    ['removed', 'delete', {}]
+  ])('cannot be %s', async (label, method, body) => {
+    const response = await request(app)[method](`/api/workspaces/${team.workspaceId}/members/${team.owner.id}`)
+      .set('Authorization', bearer(team.owner))
+      .send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain('at least one owner');
+    expect((await workspaceService.resolveMembership(team.workspaceId, team.owner)).role).toBe('owner');
+  });
+});
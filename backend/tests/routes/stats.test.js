@@ -0,0 +1,34 @@
+const request = require('supertest');
+const statsRoutes = require('../../routes/stats');
+const { createOwner } = require('../helpers/actors');
+const { mount } = require('../helpers/app');
+
+describe('GET /api/stats/flow', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = mount(statsRoutes, await createOwner());
+  });
+
+  // Which dates isoDate refuses is tested with the middleware - this is only that the range uses it
+  test.each(['from', 'to'])('reads %s with isoDate', async (field) => {
+    const response = await request(app).get('/flow').query({ [field]: '2024-W05' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0]).toMatchObject({ path: field, msg: expect.stringContaining('valid ISO 8601 date') });
+  });
+
+  test('rejects a range that runs backwards', async () => {
+    const response = await request(app).get('/flow').query({ from: '2024-03-02', to: '2024-03-01' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain('"from" must be before "to"');
+  });
+
+  test('answers a range it can read', async () => {
+    const response = await request(app).get('/flow').query({ from: '2024-03-01', to: '2024-04-01T00:00:00Z' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ from: '2024-03-01T00:00:00.000Z', to: '2024-04-01T00:00:00.000Z', count: 0 });
+  });
+});
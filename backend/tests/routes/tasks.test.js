@@ -0,0 +1,72 @@
+const request = require('supertest');
+const taskRoutes = require('../../routes/tasks');
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+const { mount } = require('../helpers/app');
+
+describe('GET /api/tasks', () => {
+  let app;
+
+  beforeAll(async () => {
+    const actor = await createOwner();
+    await taskService.createTask({ title: 'Due in March', dueDate: '2024-03-10T00:00:00.000Z' }, actor);
+    await taskService.createTask({ title: 'Due in May', dueDate: '2024-05-10T00:00:00.000Z', startDate: '2024-03-20T00:00:00.000Z' }, actor);
+    app = mount(taskRoutes, actor);
+  });
+
+  const titles = (response) => response.body.tasks.map(task => task.title);
+
+  // Which dates isoDate refuses is tested with the middleware - this is only that the filters use it
+  test.each(['dueFrom', 'dueBefore', 'startBefore'])('reads %s with isoDate', async (field) => {
+    const response = await request(app).get('/').query({ [field]: '2024-W05' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0]).toMatchObject({ path: field, msg: expect.stringContaining('valid ISO 8601 date') });
+  });
+
+  test('filters on dates it can read', async () => {
+    const from = await request(app).get('/').query({ dueFrom: '2024-04-01' });
+    const before = await request(app).get('/').query({ dueBefore: '2024-04-01T00:00:00Z' });
+    const started = await request(app).get('/').query({ startBefore: '2024-03-15', sortBy: 'dueDate' });
+
+    expect(from.status).toBe(200);
+    expect(titles(from)).toEqual(['Due in May']);
+    expect(titles(before)).toEqual(['Due in March']);
+    // No start date - it counts as starting when it's due
+    expect(titles(started)).toEqual(['Due in March']);
+  });
+});
+
+describe('task dates in request bodies', () => {
+  let app;
+  let task;
+
+  beforeAll(async () => {
+    const actor = await createOwner();
+    task = await taskService.createTask({ title: 'Dated', dueDate: '2024-03-10T00:00:00.000Z' }, actor);
+    app = mount(taskRoutes, actor);
+  });
+
+  describe.each([
+    ['due date', 'dueDate', 'Due date must be a valid ISO 8601 date, or null'],
+    ['start date', 'startDate', 'Start date must be a valid ISO 8601 date, or null']
+  ])('%s', (label, field, message) => {
+    test.each([
+      ['creating', 'post', () => '/'],
+      ['replacing', 'put', () => `/${task.id}`],
+      ['editing', 'patch', () => `/${task.id}`]
+    ])('%s with one Date can\'t read is refused', async (action, method, path) => {
+      const response = await request(app)[method](path()).send({ title: 'Dated', [field]: '2024-W05' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0]).toMatchObject({ path: field, msg: message });
+    });
+
+    test('null still clears it', async () => {
+      const response = await request(app).patch(`/${task.id}`).send({ [field]: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body[field]).toBeNull();
+    });
+  });
+});
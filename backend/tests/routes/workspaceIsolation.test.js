@@ -0,0 +1,88 @@
+const request = require('supertest');
+const commentService = require('../../services/commentService');
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+const { api, bearer } = require('../helpers/app');
+
+// Nobody gets at another workspace's tasks by ID - not reading, not writing, not by naming the workspace
+describe('tasks in someone else\'s workspace', () => {
+  const app = api();
+  let owner;
+  let outsider;
+  let task;
+  let trashed;
+
+  const as = (user, method, path, body) => {
+    const pending = request(app)[method](path).set('Authorization', bearer(user));
+    return body ? pending.send(body) : pending;
+  };
+
+  beforeAll(async () => {
+    owner = await createOwner();
+    outsider = await createOwner();
+    task = await taskService.createTask({ title: 'Private', description: 'Not yours' }, owner);
+    await commentService.addComment(task.id, { body: 'Also not yours' }, owner);
+    trashed = await taskService.createTask({ title: 'Binned' }, owner);
+    await taskService.deleteTask(trashed.id, owner);
+  });
+
+  test.each([
+    ['read it', 'get', () => `/api/tasks/${task.id}`, null],
+    ['list its subtasks', 'get', () => `/api/tasks/${task.id}/subtasks`, null],
+    ['list its dependencies', 'get', () => `/api/tasks/${task.id}/dependencies`, null],
+    ['read its history', 'get', () => `/api/tasks/${task.id}/history`, null],
+    ['replace it', 'put', () => `/api/tasks/${task.id}`, { title: 'Mine now' }],
+    ['edit it', 'patch', () => `/api/tasks/${task.id}`, { title: 'Mine now' }],
+    ['move it', 'post', () => `/api/tasks/${task.id}/move`, { status: 'in_progress' }],
+    ['archive it', 'post', () => `/api/tasks/${task.id}/archive`, null],
+    ['unarchive it', 'post', () => `/api/tasks/${task.id}/unarchive`, null],
+    ['delete it', 'delete', () => `/api/tasks/${task.id}`, null],
+    ['read its comments', 'get', () => `/api/tasks/${task.id}/comments`, null],
+    ['comment on it', 'post', () => `/api/tasks/${task.id}/comments`, { body: 'Hello' }],
+    ['restore it from the trash', 'post', () => `/api/tasks/${trashed.id}/restore`, null],
+    ['purge it from the trash', 'delete', () => `/api/tasks/trash/${trashed.id}`, null]
+  ])('cannot %s by ID', async (label, method, path, body) => {
+    const response = await as(outsider, method, path(), body);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('cannot see it in their lists, board, trash or stats', async () => {
+    const [list, board, bin, stats] = await Promise.all([
+      as(outsider, 'get', '/api/tasks'),
+      as(outsider, 'get', '/api/tasks/board'),
+      as(outsider, 'get', '/api/tasks/trash'),
+      as(outsider, 'get', '/api/stats')
+    ]);
+
+    expect(list.body.tasks).toEqual([]);
+    expect(board.body.columns.flatMap(column => column.tasks)).toEqual([]);
+    expect(bin.body.tasks).toEqual([]);
+    expect(stats.body.total).toBe(0);
+  });
+
+  test('cannot get in by naming the workspace either', async () => {
+    const response = await as(outsider, 'get', `/api/tasks/${task.id}`).set('X-Workspace-Id', owner.workspaceId);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toContain('Workspace not found');
+  });
+
+  test.each([
+    ['parent', { parentId: () => task.id }],
+    ['blocker', { blockedBy: () => [task.id] }]
+  ])('cannot make it the %s of their own task', async (label, fields) => {
+    const body = Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, value()]));
+
+    const response = await as(outsider, 'post', '/api/tasks', { title: 'Sneaky', ...body });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('clearing their own tasks leaves it alone', async () => {
+    await as(outsider, 'delete', '/api/tasks');
+
+    expect(await taskService.getTaskById(task.id, owner)).toMatchObject({ title: 'Private', description: 'Not yours', archivedAt: null });
+    expect((await as(owner, 'get', `/api/tasks/${task.id}/comments`)).body.comments).toHaveLength(1);
+  });
+});
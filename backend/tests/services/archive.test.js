@@ -0,0 +1,81 @@
+// Read when the task service loads - pinned so the cutoff below doesn't depend on the environment
+process.env.AUTO_ARCHIVE_DAYS = '14';
+
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('archiving', () => {
+  let actor;
+  const create = (data) => taskService.createTask({ title: 'Task', ...data }, actor);
+  const listed = async (filters = {}) => (await taskService.getTasks(filters, {}, actor)).tasks.map(task => task.title);
+  const inProgress = async () => (await taskService.getWipStats(actor)).columns.find(column => column.status === 'in_progress').count;
+
+  beforeEach(async () => {
+    actor = await createOwner();
+  });
+
+  test('takes a task off the lists, the board and its column\'s WIP count, and keeps it in the stats', async () => {
+    const task = await create({ title: 'Put away', status: 'in_progress' });
+    await create({ title: 'Still going', status: 'in_progress' });
+
+    await taskService.archiveTask(task.id, actor);
+
+    const { columns } = await taskService.getBoard({}, { status: 'in_progress' }, actor);
+    expect(await listed()).toEqual(['Still going']);
+    expect(columns[0].tasks.map(card => card.title)).toEqual(['Still going']);
+    expect(await inProgress()).toBe(1);
+    expect(await taskService.getTaskStats(actor)).toMatchObject({ total: 2, archived: 1 });
+    expect(await listed({ archived: true })).toEqual(['Put away']);
+    expect((await taskService.getTaskById(task.id, actor)).archivedBy).toBe(actor.id);
+  });
+
+  test('twice changes nothing the second time', async () => {
+    const task = await create();
+    const first = await taskService.archiveTask(task.id, actor);
+
+    const second = await taskService.archiveTask(task.id, actor);
+
+    expect(second.archivedAt).toBe(first.archivedAt);
+    const archives = (await taskService.getTaskHistory(task.id, actor)).filter(entry => entry.action === 'task.archive');
+    expect(archives).toHaveLength(1);
+  });
+
+  test('unarchiving brings a task back, at the bottom of its column', async () => {
+    const task = await create({ title: 'Back again' });
+    await taskService.archiveTask(task.id, actor);
+    await create({ title: 'Meanwhile' });
+
+    await taskService.unarchiveTask(task.id, actor);
+
+    const { columns } = await taskService.getBoard({}, { status: 'todo' }, actor);
+    expect(columns[0].tasks.map(card => card.title)).toEqual(['Meanwhile', 'Back again']);
+  });
+
+  describe('automatically', () => {
+    test('puts away done tasks once they have been done longer than the cutoff, and says the system did it', async () => {
+      const done = await create({ title: 'Done', status: 'completed' });
+      const completedAt = new Date((await taskService.getTaskById(done.id, actor)).completedAt);
+
+      await taskService.autoArchive(new Date(completedAt.getTime() + 14 * DAY_MS - 1000));
+      expect((await taskService.getTaskById(done.id, actor)).archivedAt).toBeNull();
+
+      await taskService.autoArchive(new Date(completedAt.getTime() + 14 * DAY_MS + 1000));
+      expect((await taskService.getTaskById(done.id, actor)).archivedBy).toBe('system');
+      const [latest] = await taskService.getTaskHistory(done.id, actor);
+      expect(latest).toMatchObject({ action: 'task.archive', actorId: 'system' });
+    });
+
+    test('leaves alone anything that isn\'t done, however old', async () => {
+      const waiting = await create({ title: 'Waiting' });
+      const reopened = await create({ title: 'Reopened', status: 'completed' });
+      await taskService.updateTask(reopened.id, { status: 'in_progress' }, actor);
+
+      await taskService.autoArchive(new Date(Date.now() + 365 * DAY_MS));
+
+      expect((await taskService.getTaskById(waiting.id, actor)).archivedAt).toBeNull();
+      expect((await taskService.getTaskById(reopened.id, actor)).archivedAt).toBeNull();
+    });
+  });
+});
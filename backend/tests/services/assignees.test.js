@@ -0,0 +1,75 @@
+const taskService = require('../../services/taskService');
+const workspaceService = require('../../services/workspaceService');
+const { createTeam, signUp } = require('../helpers/actors');
+
+describe('assignees', () => {
+  let team;
+  let owner;
+  let editor;
+  const create = (data) => taskService.createTask({ title: 'Task', ...data }, owner);
+  const titles = async (filters) => (await taskService.getTasks(filters, {}, owner)).tasks.map(task => task.title).sort();
+
+  beforeEach(async () => {
+    team = await createTeam(['owner', 'editor']);
+    ({ owner, editor } = team);
+  });
+
+  describe('filtering', () => {
+    beforeEach(async () => {
+      await create({ title: 'Mine', assignees: [owner.id] });
+      await create({ title: 'Theirs', assignees: [editor.id] });
+      await create({ title: 'Shared', assignees: [owner.id, editor.id] });
+      await create({ title: 'Nobody\'s' });
+    });
+
+    test('"me" is whoever is asking', async () => {
+      expect(await titles({ assignee: 'me' })).toEqual(['Mine', 'Shared']);
+      expect((await taskService.getTasks({ assignee: 'me' }, {}, editor)).tasks.map(task => task.title).sort())
+        .toEqual(['Shared', 'Theirs']);
+    });
+
+    test('a user ID finds every task they share', async () => {
+      expect(await titles({ assignee: editor.id })).toEqual(['Shared', 'Theirs']);
+    });
+
+    test('"unassigned" finds the tasks nobody has picked up', async () => {
+      expect(await titles({ assignee: 'unassigned' })).toEqual(['Nobody\'s']);
+    });
+  });
+
+  describe('stats', () => {
+    test('a task counts once for each of its assignees, with names and completion rates', async () => {
+      await create({ title: 'Mine', assignees: [owner.id], status: 'completed' });
+      await create({ title: 'Shared', assignees: [owner.id, editor.id] });
+      await create({ title: 'Nobody\'s' });
+
+      const stats = await taskService.getTaskStats(owner);
+
+      expect(stats.total).toBe(3);
+      expect(stats.unassigned).toBe(1);
+      expect(stats.byAssignee).toEqual(expect.arrayContaining([
+        { userId: owner.id, name: owner.name, total: 2, completed: 1, completionRate: '50.0' },
+        { userId: editor.id, name: editor.name, total: 1, completed: 0, completionRate: '0.0' }
+      ]));
+      expect(stats.byAssignee).toHaveLength(2);
+    });
+  });
+
+  describe('who can be assigned', () => {
+    test('not someone outside the workspace', async () => {
+      const stranger = await signUp();
+
+      await expect(create({ assignees: [stranger.id] })).rejects.toThrow('Assignees must be members of this workspace');
+    });
+
+    test('a member who left stays on their tasks, which can still be edited - but can\'t be put on new ones', async () => {
+      const task = await create({ assignees: [editor.id] });
+      await workspaceService.removeMember(team.workspaceId, editor.id, owner);
+
+      const updated = await taskService.updateTask(task.id, { title: 'Still editable', assignees: [editor.id, owner.id] }, owner);
+
+      expect(updated.assignees).toEqual([editor.id, owner.id]);
+      await expect(create({ assignees: [editor.id] })).rejects.toThrow(`not a member: ${editor.id}`);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const auditService = require('../../services/auditService');
+const { createOwner } = require('../helpers/actors');
+
+describe('audit log filters', () => {
+  let actor;
+
+  beforeAll(async () => {
+    actor = await createOwner();
+  });
+
+  test.each([
+    ['from', '2024-W05'],
+    ['to', 'not a date']
+  ])('a "%s" that is no date is a validation error', async (bound, value) => {
+    await expect(auditService.getAuditLog({ [bound]: value }, {}, actor))
+      .rejects.toThrow(`Validation failed: "${bound}" must be a valid date`);
+  });
+
+  test('the range has to run forwards', async () => {
+    await expect(auditService.getAuditLog({ from: '2024-03-02', to: '2024-03-01' }, {}, actor))
+      .rejects.toThrow('"from" must be before "to"');
+  });
+
+  test('an unknown action is a validation error too', async () => {
+    await expect(auditService.getAuditLog({ action: 'task.teleport' }, {}, actor))
+      .rejects.toThrow('Validation failed: Unknown action "task.teleport"');
+  });
+});
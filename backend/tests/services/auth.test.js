@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const authService = require('../../services/authService');
+const { AuthService } = require('../../services/authService');
+const { AuditService } = require('../../services/auditService');
+const { WorkspaceService } = require('../../services/workspaceService');
+const { SqliteUserStore, SqliteWorkspaceStore, SqliteActivityStore } = require('../../storage');
+const { closeDatabase } = require('../../storage/database');
+require('../helpers/actors');
+
+const sha256 = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+let registered = 0;
+const register = (profile = {}, setUp) => {
+  registered++;
+  return authService.register({ email: `auth${registered}@example.com`, name: 'Ada', password: 'secret123', ...profile }, setUp);
+};
+
+describe('AuthService', () => {
+  describe('register', () => {
+    test('creates the account and starts a session', async () => {
+      const session = await register({ email: 'Ada@Example.com' });
+
+      expect(session).toMatchObject({
+        user: { email: 'ada@example.com', name: 'Ada' },
+        accessToken: expect.any(String),
+        refreshToken: expect.any(String),
+        expiresIn: 15 * 60
+      });
+      expect(session.user.passwordHash).toBeUndefined();
+      expect(jwt.verify(session.accessToken, authService.secret).sub).toBe(session.user.id);
+    });
+
+    test('keeps only a hash of the password', async () => {
+      const { user } = await register({ password: 'correct horse' });
+      const stored = await authService.store.findById(user.id);
+
+      expect(stored.passwordHash).not.toContain('correct horse');
+      expect(stored.passwordHash).toMatch(/^\$2[aby]\$12\$/);
+    });
+
+    test('refuses a short password', async () => {
+      await expect(register({ password: 'short' })).rejects.toThrow('Validation failed: Password must be at least 8 characters');
+    });
+
+    test('refuses an email that is already taken, whatever its case', async () => {
+      await register({ email: 'taken@example.com' });
+
+      await expect(register({ email: 'TAKEN@example.com' })).rejects.toThrow('Email is already registered');
+    });
+
+    test('creates no account when setting it up fails', async () => {
+      await expect(register({ email: 'half@example.com' }, () => {
+        throw new Error('No room for a workspace');
+      })).rejects.toThrow('No room for a workspace');
+
+      expect(await authService.store.findByEmail('half@example.com')).toBeNull();
+    });
+  });
+
+  describe('login', () => {
+    test('trades the right password for a session', async () => {
+      const { user } = await register({ email: 'login@example.com' });
+
+      expect((await authService.login({ email: 'login@example.com', password: 'secret123' })).user.id).toBe(user.id);
+    });
+
+    test.each([
+      ['a wrong password', 'login@example.com', 'wrong-password'],
+      ['an unknown email', 'nobody@example.com', 'secret123'],
+      ['nothing at all', undefined, undefined]
+    ])('gives the same answer for %s', async (label, email, password) => {
+      await expect(authService.login({ email, password })).rejects.toThrow('Invalid email or password');
+    });
+  });
+
+  describe('refresh tokens', () => {
+    test('are stored as a hash, never as they are', async () => {
+      const { refreshToken } = await register();
+
+      expect(await authService.store.findRefreshToken(refreshToken)).toBeNull();
+      expect(await authService.store.findRefreshToken(sha256(refreshToken))).toMatchObject({ revokedAt: null });
+    });
+
+    test('rotate - the new session works, the old token is revoked', async () => {
+      const first = await register();
+
+      const second = await authService.refresh(first.refreshToken);
+
+      expect(second.user.id).toBe(first.user.id);
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect((await authService.store.findRefreshToken(sha256(first.refreshToken))).revokedAt).not.toBeNull();
+      await expect(authService.refresh(first.refreshToken)).rejects.toThrow('Invalid or expired refresh token');
+      expect((await authService.refresh(second.refreshToken)).user.id).toBe(first.user.id);
+    });
+
+    test('stop working once logged out', async () => {
+      const { refreshToken } = await register();
+
+      await authService.logout(refreshToken);
+
+      await expect(authService.refresh(refreshToken)).rejects.toThrow('Invalid or expired refresh token');
+    });
+
+    test('stop working once expired', async () => {
+      const { user } = await register();
+      authService.store.saveRefreshToken({
+        id: 'expired-token',
+        userId: user.id,
+        tokenHash: sha256('expired'),
+        expiresAt: new Date(Date.now() - 1000).toISOString(),
+        createdAt: new Date(Date.now() - 60000).toISOString()
+      });
+
+      await expect(authService.refresh('expired')).rejects.toThrow('Invalid or expired refresh token');
+    });
+
+    test('that were never issued are refused', async () => {
+      await expect(authService.refresh('made-up')).rejects.toThrow('Invalid or expired refresh token');
+      await expect(authService.refresh(undefined)).rejects.toThrow('Invalid or expired refresh token');
+    });
+  });
+
+  describe('access tokens', () => {
+    test('a valid one gives back its user', async () => {
+      const { user, accessToken } = await register();
+
+      expect(await authService.verifyAccessToken(accessToken)).toEqual(user);
+    });
+
+    test.each([
+      ['signed with another secret', (user) => jwt.sign({ sub: user.id }, 'not-our-secret')],
+      ['expired', (user) => jwt.sign({ sub: user.id, exp: Math.floor(Date.now() / 1000) - 60 }, authService.secret)],
+      ['for an account that does not exist', () => jwt.sign({ sub: 'nobody' }, authService.secret)],
+      ['not a token at all', () => 'garbage']
+    ])('one %s is refused', async (label, makeToken) => {
+      const { user } = await register();
+
+      await expect(authService.verifyAccessToken(makeToken(user))).rejects.toThrow('Invalid or expired access token');
+    });
+  });
+});
+
+describe('signing up on SQLite', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  const filename = path.join(tempDir, 'users.db');
+  let service;
+  let workspaces;
+  const count = (table) => service.store.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+
+  beforeAll(() => {
+    service = new AuthService(new SqliteUserStore(filename), 'test-secret');
+    service.store.prepare();
+    workspaces = new WorkspaceService(new SqliteWorkspaceStore(filename), service, new AuditService(new SqliteActivityStore(filename), service));
+  });
+
+  afterAll(() => {
+    closeDatabase(filename);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('the account and its personal workspace are made together', async () => {
+    const { user } = await service.register({ email: 'whole@example.com', name: 'Whole', password: 'secret123' },
+      (created) => workspaces.setUpPersonalWorkspace(created));
+
+    expect(workspaces.store.findPersonal(user.id)).toMatchObject({ name: 'Whole\'s workspace', isPersonal: true });
+    expect(workspaces.store.getRole(workspaces.store.findPersonal(user.id).id, user.id)).toBe('owner');
+  });
+
+  test('or not at all - a failure halfway rolls the account back too', async () => {
+    const before = { users: count('users'), workspaces: count('workspaces'), activity: count('activity') };
+
+    await expect(service.register({ email: 'half@example.com', name: 'Half', password: 'secret123' }, (created) => {
+      workspaces.setUpPersonalWorkspace(created);
+      throw new Error('No room for a workspace');
+    })).rejects.toThrow('No room for a workspace');
+
+    expect(service.store.findByEmail('half@example.com')).toBeNull();
+    expect({ users: count('users'), workspaces: count('workspaces'), activity: count('activity') }).toEqual(before);
+  });
+});
@@ -0,0 +1,75 @@
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+// getBoard - every column a page at a time, so a long column can still be loaded to the end
+describe('the board', () => {
+  let actor;
+  const create = (title, data) => taskService.createTask({ title, ...data }, actor);
+
+  beforeEach(async () => {
+    actor = await createOwner();
+  });
+
+  test('gives every workflow column its first page, in workflow order', async () => {
+    await create('Waiting');
+    await create('Going', { status: 'in_progress' });
+
+    const { columns } = await taskService.getBoard({}, {}, actor);
+
+    expect(columns.map(column => column.status)).toEqual(['todo', 'in_progress', 'completed']);
+    expect(columns.map(column => column.tasks.map(task => task.title))).toEqual([['Waiting'], ['Going'], []]);
+  });
+
+  test('loads a long column to the very end, a page at a time, without gaps or repeats', async () => {
+    const titles = [];
+    for (let n = 1; n <= 45; n++) {
+      titles.push(`Task ${n}`);
+      await create(`Task ${n}`);
+    }
+
+    const loaded = [];
+    const pages = [];
+    let after;
+    let column;
+    do {
+      ({ columns: [column] } = await taskService.getBoard({}, { status: 'todo', after, limit: 20 }, actor));
+      loaded.push(...column.tasks.map(task => task.title));
+      pages.push({ size: column.tasks.length, hasMore: column.hasMore, total: column.total });
+      after = column.tasks[column.tasks.length - 1].rank;
+    } while (column.hasMore);
+
+    expect(loaded).toEqual(titles);
+    expect(pages).toEqual([
+      { size: 20, hasMore: true, total: 45 },
+      { size: 20, hasMore: true, total: 45 },
+      { size: 5, hasMore: false, total: 45 }
+    ]);
+  });
+
+  test('counts what matches the board\'s filters apart from what is in the column', async () => {
+    await create('Urgent', { priority: 'high' });
+    await create('Also urgent', { priority: 'high' });
+    await create('Whenever', { priority: 'low' });
+
+    const { columns: [todo] } = await taskService.getBoard({ priority: 'high' }, { status: 'todo' }, actor);
+
+    expect(todo.tasks.map(task => task.title)).toEqual(['Urgent', 'Also urgent']);
+    expect(todo).toMatchObject({ total: 2, count: 3, hasMore: false });
+  });
+
+  test('leaves archived tasks off the board and out of its counts', async () => {
+    const archived = await create('Put away');
+    await create('Still here');
+    await taskService.archiveTask(archived.id, actor);
+
+    const { columns: [todo] } = await taskService.getBoard({}, { status: 'todo' }, actor);
+
+    expect(todo.tasks.map(task => task.title)).toEqual(['Still here']);
+    expect(todo).toMatchObject({ total: 1, count: 1 });
+  });
+
+  test('refuses a column the workflow doesn\'t have', async () => {
+    await expect(taskService.getBoard({}, { status: 'blocked' }, actor))
+      .rejects.toThrow('Status must be one of: todo, in_progress, completed');
+  });
+});
@@ -0,0 +1,125 @@
+const commentService = require('../../services/commentService');
+const taskService = require('../../services/taskService');
+const workspaceService = require('../../services/workspaceService');
+const Comment = require('../../models/Comment');
+const { createTeam, signUp } = require('../helpers/actors');
+
+describe('comments', () => {
+  let team;
+  let owner;
+  let commenter;
+  let ana;
+  let task;
+
+  beforeEach(async () => {
+    team = await createTeam(['owner', 'commenter']);
+    ({ owner, commenter } = team);
+    const joined = await signUp({ name: 'Ana Lopez', email: `ana.lopez.${team.workspaceId}@example.com` });
+    await workspaceService.addMember(team.workspaceId, { email: joined.email, role: 'editor' }, owner);
+    ana = { ...joined, workspaceId: team.workspaceId, role: 'editor' };
+    task = await taskService.createTask({ title: 'Talk about it' }, owner);
+  });
+
+  describe('the thread', () => {
+    test('comes back oldest first, with who wrote each, and counts on the task', async () => {
+      await commentService.addComment(task.id, { body: 'First' }, owner);
+      await commentService.addComment(task.id, { body: 'Second' }, commenter);
+
+      const thread = await commentService.listComments(task.id, owner);
+
+      expect(thread.map(comment => [comment.body, comment.author.name])).toEqual([['First', owner.name], ['Second', commenter.name]]);
+      expect((await taskService.getTaskById(task.id, owner)).commentCount).toBe(2);
+    });
+
+    test('shows up in the task\'s history', async () => {
+      const comment = await commentService.addComment(task.id, { body: 'For the record' }, commenter);
+
+      const [latest] = await taskService.getTaskHistory(task.id, owner);
+
+      expect(latest).toMatchObject({ action: 'comment.create', targetId: comment.id, actorId: commenter.id });
+    });
+
+    test('refuses an empty comment, or a novel', async () => {
+      await expect(commentService.addComment(task.id, { body: '   ' }, owner)).rejects.toThrow('Comment body is required');
+      await expect(commentService.addComment(task.id, { body: 'x'.repeat(Comment.MAX_BODY_LENGTH + 1) }, owner))
+        .rejects.toThrow(`Comment must be ${Comment.MAX_BODY_LENGTH} characters or less`);
+      expect(await commentService.listComments(task.id, owner)).toEqual([]);
+    });
+
+    test('isn\'t there for a task in the trash', async () => {
+      await taskService.deleteTask(task.id, owner);
+
+      await expect(commentService.addComment(task.id, { body: 'Hello?' }, owner)).rejects.toThrow('not found');
+    });
+  });
+
+  describe('mentions', () => {
+    test.each([
+      ['their whole email', () => `@${ana.email} can you look?`],
+      ['the part of their email before the @', () => `@ana.lopez.${team.workspaceId}, can you look?`],
+      ['their name without the spaces, in any case', () => 'Over to @AnaLopez.']
+    ])('find a member by %s', async (label, body) => {
+      const comment = await commentService.addComment(task.id, { body: body() }, owner);
+
+      expect(comment.mentions).toEqual([ana.id]);
+    });
+
+    test('are each member once, however often they\'re named', async () => {
+      const comment = await commentService.addComment(task.id, { body: `@AnaLopez and @${ana.email} again` }, owner);
+
+      expect(comment.mentions).toEqual([ana.id]);
+    });
+
+    test('ignore handles that match nobody, people outside the workspace, and email addresses', async () => {
+      await signUp({ name: 'Out Sider' });
+
+      const comment = await commentService.addComment(task.id, {
+        body: `@nobody, @OutSider, and write to me@AnaLopez or ${ana.email}`
+      }, owner);
+
+      expect(comment.mentions).toEqual([]);
+    });
+
+    test('are worked out again when the comment is edited', async () => {
+      const comment = await commentService.addComment(task.id, { body: 'Ping @AnaLopez' }, owner);
+
+      const edited = await commentService.updateComment(task.id, comment.id, { body: `Actually, @${commenter.email}` }, owner);
+
+      expect(edited.mentions).toEqual([commenter.id]);
+    });
+  });
+
+  describe('editing and deleting', () => {
+    let comment;
+
+    beforeEach(async () => {
+      comment = await commentService.addComment(task.id, { body: 'Mine' }, commenter);
+    });
+
+    test('only the author edits, owners included', async () => {
+      await expect(commentService.updateComment(task.id, comment.id, { body: 'Theirs now' }, owner))
+        .rejects.toThrow('Not allowed - only its author can edit a comment');
+      expect((await commentService.listComments(task.id, owner))[0].body).toBe('Mine');
+    });
+
+    test('the author deletes their own', async () => {
+      await commentService.deleteComment(task.id, comment.id, commenter);
+
+      expect(await commentService.listComments(task.id, owner)).toEqual([]);
+    });
+
+    test('an owner deletes anyone\'s, another member doesn\'t', async () => {
+      await expect(commentService.deleteComment(task.id, comment.id, ana))
+        .rejects.toThrow('Not allowed - only its author or a workspace owner can delete a comment');
+
+      await commentService.deleteComment(task.id, comment.id, owner);
+      expect(await commentService.listComments(task.id, owner)).toEqual([]);
+    });
+
+    test('a comment can\'t be reached through another task', async () => {
+      const other = await taskService.createTask({ title: 'Other' }, owner);
+
+      await expect(commentService.deleteComment(other.id, comment.id, owner)).rejects.toThrow('Comment not found');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const Task = require('../../models/Task');
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+const CATEGORIES = { todo: 'not_started', in_progress: 'active', review: 'active', completed: 'done' };
+
+describe('cumulative flow', () => {
+  let actor;
+
+  // A task that went through `steps` - [status, when] pairs, the first one being when it was created
+  const insert = (steps, data = {}) => {
+    const [status] = steps[steps.length - 1];
+    return taskService.store.insert(new Task({
+      title: steps.map(([key]) => key).join(' → '),
+      status,
+      statusCategory: CATEGORIES[status],
+      workspaceId: actor.workspaceId,
+      createdBy: actor.id,
+      createdAt: steps[0][1],
+      updatedAt: steps[steps.length - 1][1],
+      transitions: steps.map(([to, at], index) => ({ from: index > 0 ? steps[index - 1][0] : null, to, category: CATEGORIES[to], at })),
+      ...data
+    }));
+  };
+  const countsBy = (flow) => Object.fromEntries(flow.days.map(day => [day.date, day.counts]));
+
+  beforeEach(async () => {
+    actor = await createOwner();
+  });
+
+  test('replays each task through its statuses, day by day', async () => {
+    await insert([['todo', '2024-03-01T12:00:00Z'], ['in_progress', '2024-03-03T12:00:00Z'], ['completed', '2024-03-05T12:00:00Z']]);
+    await insert([['todo', '2024-03-02T12:00:00Z']]);
+
+    const flow = await taskService.getCumulativeFlow(actor, { from: '2024-02-29', to: '2024-03-05' });
+
+    expect(countsBy(flow)).toEqual({
+      '2024-02-29': {},
+      '2024-03-01': { todo: 1 },
+      '2024-03-02': { todo: 2 },
+      '2024-03-03': { todo: 1, in_progress: 1 },
+      '2024-03-04': { todo: 1, in_progress: 1 },
+      '2024-03-05': { todo: 1, completed: 1 }
+    });
+  });
+
+  test('a status retired from the workflow still shows on the days it had tasks', async () => {
+    await insert([['todo', '2024-03-01T12:00:00Z'], ['review', '2024-03-02T12:00:00Z'], ['completed', '2024-03-04T12:00:00Z']]);
+
+    const flow = await taskService.getCumulativeFlow(actor, { from: '2024-03-01', to: '2024-03-04' });
+
+    expect(flow.statuses.map(status => status.key)).toEqual(['todo', 'in_progress', 'completed', 'review']);
+    expect(flow.statuses[3]).toEqual({ key: 'review', name: 'review', category: 'active' });
+    expect(countsBy(flow)['2024-03-03']).toEqual({ review: 1 });
+    expect(countsBy(flow)['2024-03-04']).toEqual({ completed: 1 });
+  });
+
+  test('a retired status nobody was in during the range stays out of it', async () => {
+    await insert([['review', '2024-01-01T12:00:00Z'], ['completed', '2024-01-02T12:00:00Z']]);
+
+    const flow = await taskService.getCumulativeFlow(actor, { from: '2024-03-01', to: '2024-03-02' });
+
+    expect(flow.statuses.map(status => status.key)).toEqual(['todo', 'in_progress', 'completed']);
+  });
+
+  test('a task trashed mid-range counts until the day it went', async () => {
+    await insert([['todo', '2024-03-01T12:00:00Z']], { deletedAt: '2024-03-03T08:00:00Z', deletedBy: 'someone' });
+
+    const flow = await taskService.getCumulativeFlow(actor, { from: '2024-03-01', to: '2024-03-04' });
+
+    expect(countsBy(flow)).toEqual({
+      '2024-03-01': { todo: 1 },
+      '2024-03-02': { todo: 1 },
+      '2024-03-03': {},
+      '2024-03-04': {}
+    });
+  });
+
+  test('only asks the store for tasks that can show up in the range', async () => {
+    const find = jest.spyOn(taskService.store, 'find');
+    await insert([['todo', '2024-03-01T12:00:00Z']], { deletedAt: '2024-03-02T08:00:00Z', deletedBy: 'someone' });
+    await insert([['todo', '2024-03-06T12:00:00Z']]);
+
+    try {
+      const flow = await taskService.getCumulativeFlow(actor, { from: '2024-03-03', to: '2024-03-04' });
+      const found = await Promise.all(find.mock.results.map(result => result.value));
+
+      expect(find.mock.calls.map(([filters]) => filters)).toEqual([
+        expect.objectContaining({ createdBefore: new Date('2024-03-06T00:00:00Z') }),
+        expect.objectContaining({ trashed: true, trashedFrom: new Date('2024-03-03T00:00:00Z') })
+      ]);
+      expect(found.map(result => result.total)).toEqual([0, 0]);
+      expect(countsBy(flow)).toEqual({ '2024-03-03': {}, '2024-03-04': {} });
+    } finally {
+      find.mockRestore();
+    }
+  });
+
+  describe('time zones', () => {
+    // 23:30 UTC on the 5th is already the 6th in Kiritimati (UTC+14), still the 5th in Los Angeles (UTC-8)
+    beforeEach(async () => {
+      await insert([['todo', '2024-03-05T23:30:00Z'], ['in_progress', '2024-03-06T03:00:00Z']]);
+    });
+
+    test.each([
+      ['UTC', { '2024-03-05': { todo: 1 }, '2024-03-06': { in_progress: 1 } }],
+      ['Pacific/Kiritimati', { '2024-03-05': {}, '2024-03-06': { in_progress: 1 } }],
+      ['America/Los_Angeles', { '2024-03-05': { in_progress: 1 }, '2024-03-06': { in_progress: 1 } }]
+    ])('days end at midnight in %s', async (timezone, expected) => {
+      const flow = await taskService.getCumulativeFlow({ ...actor, timezone }, { from: '2024-03-05', to: '2024-03-06' });
+
+      expect(flow.timezone).toBe(timezone);
+      expect(countsBy(flow)).toEqual(expected);
+    });
+
+    test('a task created late on the last day, west of UTC, is still in range', async () => {
+      // 23:00 on the 6th in Los Angeles - already the 7th in UTC
+      await insert([['todo', '2024-03-07T07:00:00Z']]);
+
+      const flow = await taskService.getCumulativeFlow({ ...actor, timezone: 'America/Los_Angeles' }, { from: '2024-03-06', to: '2024-03-06' });
+
+      expect(countsBy(flow)['2024-03-06']).toEqual({ in_progress: 1, todo: 1 });
+    });
+
+    test('a task trashed early on the first day, east of UTC, is already gone', async () => {
+      // 01:00 on the 5th in Kiritimati - still the 4th in UTC
+      await insert([['todo', '2024-03-01T12:00:00Z']], { deletedAt: '2024-03-04T11:00:00Z', deletedBy: 'someone' });
+      // 02:00 on the 6th in Kiritimati - still the 5th in UTC, and there all of the 5th
+      await insert([['todo', '2024-03-01T12:00:00Z']], { deletedAt: '2024-03-05T12:00:00Z', deletedBy: 'someone' });
+
+      const flow = await taskService.getCumulativeFlow({ ...actor, timezone: 'Pacific/Kiritimati' }, { from: '2024-03-05', to: '2024-03-05' });
+
+      expect(countsBy(flow)['2024-03-05']).toEqual({ todo: 1 });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+describe('task dependencies', () => {
+  let actor;
+  const create = (data, options) => taskService.createTask({ title: 'Task', ...data }, actor, options);
+
+  beforeEach(async () => {
+    actor = await createOwner();
+  });
+
+  describe('cycles', () => {
+    test('a task cannot wait on itself', async () => {
+      const task = await create({ title: 'Loner' });
+
+      await expect(taskService.updateTask(task.id, { blockedBy: [task.id] }, actor))
+        .rejects.toThrow('Validation failed');
+    });
+
+    test('two tasks cannot wait on each other', async () => {
+      const first = await create({ title: 'First' });
+      const second = await create({ title: 'Second', blockedBy: [first.id] });
+
+      await expect(taskService.updateTask(first.id, { blockedBy: [second.id] }, actor))
+        .rejects.toThrow('That dependency would create a cycle');
+    });
+
+    test('a longer chain cannot loop back on itself', async () => {
+      const first = await create({ title: 'First' });
+      const second = await create({ title: 'Second', blockedBy: [first.id] });
+      const third = await create({ title: 'Third', blockedBy: [second.id] });
+
+      await expect(taskService.updateTask(first.id, { blockedBy: [third.id] }, actor))
+        .rejects.toThrow('That dependency would create a cycle');
+      expect((await taskService.getTaskById(first.id, actor)).blockedBy).toEqual([]);
+    });
+
+    test('diamonds are fine - sharing a blocker is not a cycle', async () => {
+      const root = await create({ title: 'Root' });
+      const left = await create({ title: 'Left', blockedBy: [root.id] });
+      const right = await create({ title: 'Right', blockedBy: [root.id] });
+
+      const merged = await create({ title: 'Merged', blockedBy: [left.id, right.id] });
+
+      expect(merged.blockedBy).toEqual([left.id, right.id]);
+    });
+
+    test('blockers have to be tasks in the same workspace', async () => {
+      const stranger = await createOwner();
+      const theirs = await taskService.createTask({ title: 'Theirs' }, stranger);
+
+      await expect(create({ blockedBy: [theirs.id] })).rejects.toThrow('Blockers must be tasks in this workspace');
+    });
+  });
+
+  describe('blocked transitions', () => {
+    test('a blocked task cannot be started or finished', async () => {
+      const blocker = await create({ title: 'Blocker' });
+      const blocked = await create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      expect(blocked.blocked).toBe(true);
+      await expect(taskService.updateTask(blocked.id, { status: 'in_progress' }, actor)).rejects.toThrow('is blocked');
+      await expect(taskService.updateTask(blocked.id, { status: 'completed' }, actor)).rejects.toThrow('is blocked');
+    });
+
+    test('nor created already under way', async () => {
+      const blocker = await create({ title: 'Blocker' });
+
+      await expect(create({ status: 'in_progress', blockedBy: [blocker.id] })).rejects.toThrow('is blocked');
+    });
+
+    test('editing anything but the status is still allowed', async () => {
+      const blocker = await create({ title: 'Blocker' });
+      const blocked = await create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      expect((await taskService.updateTask(blocked.id, { title: 'Renamed' }, actor)).title).toBe('Renamed');
+    });
+
+    test('override lets it through anyway', async () => {
+      const blocker = await create({ title: 'Blocker' });
+      const blocked = await create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      const moved = await taskService.updateTask(blocked.id, { status: 'in_progress' }, actor, { override: true });
+
+      expect(moved.status).toBe('in_progress');
+    });
+
+    test('completing the blocker unblocks the task', async () => {
+      const blocker = await create({ title: 'Blocker' });
+      const blocked = await create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      await taskService.updateTask(blocker.id, { status: 'completed' }, actor);
+
+      expect((await taskService.getTaskById(blocked.id, actor)).blocked).toBe(false);
+      expect((await taskService.updateTask(blocked.id, { status: 'in_progress' }, actor)).status).toBe('in_progress');
+    });
+
+    test('reopening the blocker blocks it again', async () => {
+      const blocker = await create({ title: 'Blocker', status: 'completed' });
+      const blocked = await create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      await taskService.updateTask(blocker.id, { status: 'todo' }, actor);
+
+      await expect(taskService.updateTask(blocked.id, { status: 'in_progress' }, actor)).rejects.toThrow('is blocked');
+    });
+
+    test('a blocker in the trash stops blocking', async () => {
+      const blocker = await create({ title: 'Blocker' });
+      const blocked = await create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      await taskService.deleteTask(blocker.id, actor);
+
+      expect((await taskService.updateTask(blocked.id, { status: 'in_progress' }, actor)).status).toBe('in_progress');
+    });
+  });
+});
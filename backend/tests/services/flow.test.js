@@ -0,0 +1,101 @@
+const Task = require('../../models/Task');
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const hours = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value * HOUR_MS]));
+
+describe('flow stats', () => {
+  let actor;
+
+  beforeAll(async () => {
+    actor = await createOwner();
+  });
+
+  describe('range', () => {
+    test.each([
+      ['from', '2024-W05'],
+      ['to', 'not a date']
+    ])('a "%s" that is no date is a validation error', async (bound, value) => {
+      await expect(taskService.getFlowStats(actor, { [bound]: value }))
+        .rejects.toThrow('Validation failed: "from" and "to" must be valid dates');
+    });
+
+    test('defaults to the last 90 days', async () => {
+      const { from, to } = await taskService.getFlowStats(actor);
+
+      expect(new Date(to) - new Date(from)).toBe(90 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('percentiles', () => {
+    const RANGE = { from: '2024-03-01', to: '2024-04-01' };
+    let flow;
+
+    // Task n took n hours from created to completed, and started halfway through. Priorities and tags
+    // split them into groups whose nearest-rank percentiles are worked out by hand below.
+    const taskTaking = (n, data = {}) => {
+      const createdAt = new Date(Date.UTC(2024, 2, 1 + n));
+      return new Task({
+        title: `Took ${n}h`,
+        status: 'completed',
+        statusCategory: 'done',
+        priority: n <= 4 ? 'high' : 'medium',
+        tags: [...(n % 2 === 1 ? ['bug'] : []), ...([2, 4].includes(n) ? ['ui'] : []), ...(n === 20 ? ['docs'] : [])],
+        workspaceId: actor.workspaceId,
+        createdBy: actor.id,
+        createdAt,
+        startedAt: new Date(createdAt.getTime() + n * HOUR_MS / 2),
+        completedAt: new Date(createdAt.getTime() + n * HOUR_MS),
+        updatedAt: new Date(createdAt.getTime() + n * HOUR_MS),
+        ...data
+      });
+    };
+
+    beforeAll(async () => {
+      actor = await createOwner();
+      // Stored out of order - the percentiles sort for themselves
+      for (let k = 0; k < 20; k++) {
+        await taskService.store.insert(taskTaking((k * 7) % 20 + 1));
+      }
+      // Neither of these counts: completed after the range, and in the trash
+      await taskService.store.insert(taskTaking(30, { completedAt: new Date('2024-04-02T00:00:00.000Z') }));
+      await taskService.store.insert(taskTaking(3, { title: 'Binned', deletedAt: new Date('2024-03-20T00:00:00.000Z'), deletedBy: actor.id }));
+      flow = await taskService.getFlowStats(actor, RANGE);
+    });
+
+    test('nearest rank over every task completed in the range', () => {
+      expect(flow.count).toBe(20);
+      expect(flow.leadTime).toEqual(hours({ p50: 10, p85: 17, p95: 19 }));
+      expect(flow.cycleTime).toEqual(hours({ p50: 5, p85: 8.5, p95: 9.5 }));
+    });
+
+    test('each task with its own times, in the order they were completed', () => {
+      expect(flow.tasks.map(task => task.leadTime)).toEqual(Array.from({ length: 20 }, (_, index) => (index + 1) * HOUR_MS));
+      expect(flow.tasks[0]).toMatchObject({ title: 'Took 1h', priority: 'high', tags: ['bug'], cycleTime: HOUR_MS / 2 });
+    });
+
+    test('by priority, every priority listed - nulls for one with nothing completed', () => {
+      expect(flow.byPriority).toEqual([
+        { priority: 'high', count: 4, leadTime: hours({ p50: 2, p85: 4, p95: 4 }), cycleTime: hours({ p50: 1, p85: 2, p95: 2 }) },
+        { priority: 'medium', count: 16, leadTime: hours({ p50: 12, p85: 18, p95: 20 }), cycleTime: hours({ p50: 6, p85: 9, p95: 10 }) },
+        { priority: 'low', count: 0, leadTime: { p50: null, p85: null, p95: null }, cycleTime: { p50: null, p85: null, p95: null } }
+      ]);
+    });
+
+    test('by tag, most used first - a single task is every percentile at once', () => {
+      expect(flow.byTag).toEqual([
+        { tag: 'bug', count: 10, leadTime: hours({ p50: 9, p85: 17, p95: 19 }), cycleTime: hours({ p50: 4.5, p85: 8.5, p95: 9.5 }) },
+        { tag: 'ui', count: 2, leadTime: hours({ p50: 2, p85: 4, p95: 4 }), cycleTime: hours({ p50: 1, p85: 2, p95: 2 }) },
+        { tag: 'docs', count: 1, leadTime: hours({ p50: 20, p85: 20, p95: 20 }), cycleTime: hours({ p50: 10, p85: 10, p95: 10 }) }
+      ]);
+    });
+
+    test('an empty range has nothing to rank', async () => {
+      const empty = await taskService.getFlowStats(actor, { from: '2023-01-01', to: '2023-02-01' });
+
+      expect(empty).toMatchObject({ count: 0, leadTime: { p50: null, p85: null, p95: null }, byTag: [], tasks: [] });
+      expect(empty.byPriority.map(group => group.count)).toEqual([0, 0, 0]);
+    });
+  });
+});
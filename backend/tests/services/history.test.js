@@ -0,0 +1,50 @@
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+describe('task history', () => {
+  let actor;
+  let task;
+  const history = (id = task.id) => taskService.getTaskHistory(id, actor);
+
+  beforeEach(async () => {
+    actor = await createOwner();
+    task = await taskService.createTask({ title: 'Write docs', priority: 'low' }, actor);
+  });
+
+  test('lists every change newest first, with who made it and what went from what to what', async () => {
+    await taskService.updateTask(task.id, { title: 'Write the docs', priority: 'high' }, actor);
+    await taskService.updateTask(task.id, { status: 'in_progress' }, actor);
+
+    const entries = await history();
+
+    expect(entries.map(entry => entry.action)).toEqual(['task.update', 'task.update', 'task.create']);
+    expect(entries[0]).toMatchObject({ actor: { id: actor.id, name: actor.name }, changes: { status: { from: 'todo', to: 'in_progress' } } });
+    expect(entries[1].changes).toEqual({
+      title: { from: 'Write docs', to: 'Write the docs' },
+      priority: { from: 'low', to: 'high' }
+    });
+    expect(entries[2].changes).toMatchObject({ title: { from: null, to: 'Write docs' } });
+  });
+
+  test('an edit that changes nothing it tracks leaves no entry', async () => {
+    await taskService.updateTask(task.id, { title: 'Write docs', tags: [] }, actor);
+    await taskService.moveTask(task.id, {}, actor);
+
+    expect((await history()).map(entry => entry.action)).toEqual(['task.create']);
+  });
+
+  test('outlives the task - through the trash and after it\'s purged', async () => {
+    await taskService.deleteTask(task.id, actor);
+    expect((await history())[0].action).toBe('task.delete');
+
+    await taskService.purgeTask(task.id, actor);
+    expect((await history()).map(entry => entry.action)).toEqual(['task.purge', 'task.delete', 'task.create']);
+  });
+
+  test('is not found for a task that never was, or is in another workspace', async () => {
+    const elsewhere = await taskService.createTask({ title: 'Not yours' }, await createOwner());
+
+    await expect(history('00000000-0000-4000-8000-000000000000')).rejects.toThrow('Task not found');
+    await expect(history(elsewhere.id)).rejects.toThrow('Task not found');
+  });
+});
@@ -0,0 +1,89 @@
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+// Drag and drop on the board - moveTask places a card between its new neighbours by rank
+describe('board ordering', () => {
+  let actor;
+  const create = (title, data) => taskService.createTask({ title, ...data }, actor);
+  const column = async (status) => {
+    const { columns } = await taskService.getBoard({}, { status, limit: 100 }, actor);
+    return columns[0].tasks;
+  };
+  const titlesIn = async (status) => (await column(status)).map(task => task.title);
+
+  let first;
+  let second;
+  let third;
+
+  beforeEach(async () => {
+    actor = await createOwner();
+    first = await create('First');
+    second = await create('Second');
+    third = await create('Third');
+  });
+
+  test('new tasks join the bottom of their column', async () => {
+    expect(await titlesIn('todo')).toEqual(['First', 'Second', 'Third']);
+  });
+
+  test('a card dropped after a neighbour lands right below it', async () => {
+    await taskService.moveTask(third.id, { previousId: first.id }, actor);
+
+    expect(await titlesIn('todo')).toEqual(['First', 'Third', 'Second']);
+  });
+
+  test('a card dropped before a neighbour lands right above it', async () => {
+    await taskService.moveTask(third.id, { nextId: first.id }, actor);
+
+    expect(await titlesIn('todo')).toEqual(['Third', 'First', 'Second']);
+  });
+
+  test('a card dropped with no neighbours goes to the bottom', async () => {
+    await taskService.moveTask(first.id, {}, actor);
+
+    expect(await titlesIn('todo')).toEqual(['Second', 'Third', 'First']);
+  });
+
+  test('a card dropped into another column takes that status and that spot', async () => {
+    const doing = await create('Doing', { status: 'in_progress' });
+    await create('Also doing', { status: 'in_progress' });
+
+    const moved = await taskService.moveTask(second.id, { status: 'in_progress', previousId: doing.id }, actor);
+
+    expect(moved.status).toBe('in_progress');
+    expect(await titlesIn('todo')).toEqual(['First', 'Third']);
+    expect(await titlesIn('in_progress')).toEqual(['Doing', 'Second', 'Also doing']);
+  });
+
+  test('a status change outside the board sends the task to the bottom of its new column', async () => {
+    await create('Doing', { status: 'in_progress' });
+
+    await taskService.updateTask(first.id, { status: 'in_progress' }, actor);
+
+    expect(await titlesIn('in_progress')).toEqual(['Doing', 'First']);
+  });
+
+  test('the order survives running out of room between two cards', async () => {
+    // Every drop halves the gap below the top card, until the column has to be respaced
+    const expected = ['First', 'Second', 'Third'];
+    for (let drop = 0; drop < 40; drop++) {
+      const tasks = await column('todo');
+      const last = tasks[tasks.length - 1];
+      await taskService.moveTask(last.id, { previousId: tasks[0].id }, actor);
+      expected.splice(1, 0, expected.pop());
+    }
+
+    const ranks = (await column('todo')).map(task => task.rank);
+    expect(await titlesIn('todo')).toEqual(expected);
+    expect(ranks).toEqual([...ranks].sort((a, b) => a - b));
+    expect(new Set(ranks).size).toBe(ranks.length);
+  });
+
+  test('a neighbour from another column is refused, and nothing moves', async () => {
+    const doing = await create('Doing', { status: 'in_progress' });
+
+    await expect(taskService.moveTask(first.id, { previousId: doing.id }, actor))
+      .rejects.toThrow(`Task ${doing.id} isn't in the "todo" column`);
+    expect(await titlesIn('todo')).toEqual(['First', 'Second', 'Third']);
+  });
+});
@@ -0,0 +1,97 @@
+const workspaceService = require('../../services/workspaceService');
+const { createTeam } = require('../helpers/actors');
+
+// changeRole and removeMember - who may hand out roles, and the rule that a workspace always keeps an owner
+describe('workspace roles', () => {
+  let team;
+
+  beforeEach(async () => {
+    team = await createTeam();
+  });
+
+  const roleOf = async (member) => (await workspaceService.resolveMembership(team.workspaceId, member)).role;
+
+  describe('the last owner', () => {
+    test('cannot demote themselves', async () => {
+      await expect(workspaceService.updateMember(team.workspaceId, team.owner.id, 'editor', team.owner))
+        .rejects.toThrow('at least one owner');
+      expect(await roleOf(team.owner)).toBe('owner');
+    });
+
+    test('cannot leave', async () => {
+      await expect(workspaceService.removeMember(team.workspaceId, team.owner.id, team.owner))
+        .rejects.toThrow('at least one owner');
+      expect(await roleOf(team.owner)).toBe('owner');
+    });
+
+    test('can step down once someone else is an owner too', async () => {
+      await workspaceService.updateMember(team.workspaceId, team.editor.id, 'owner', team.owner);
+
+      await workspaceService.updateMember(team.workspaceId, team.owner.id, 'viewer', team.owner);
+
+      expect(await roleOf(team.owner)).toBe('viewer');
+      expect(await roleOf(team.editor)).toBe('owner');
+    });
+
+    test('can leave once someone else is an owner too', async () => {
+      await workspaceService.updateMember(team.workspaceId, team.editor.id, 'owner', team.owner);
+
+      await workspaceService.removeMember(team.workspaceId, team.owner.id, team.owner);
+
+      await expect(roleOf(team.owner)).rejects.toThrow('Workspace not found');
+    });
+  });
+
+  describe('an owner', () => {
+    test('changes other members\' roles', async () => {
+      const workspace = await workspaceService.updateMember(team.workspaceId, team.viewer.id, 'editor', team.owner);
+
+      expect(workspace.members.find(member => member.userId === team.viewer.id).role).toBe('editor');
+    });
+
+    test('removes other members', async () => {
+      await workspaceService.removeMember(team.workspaceId, team.commenter.id, team.owner);
+
+      await expect(roleOf(team.commenter)).rejects.toThrow('Workspace not found');
+    });
+
+    test('cannot hand out a role that doesn\'t exist', async () => {
+      await expect(workspaceService.updateMember(team.workspaceId, team.viewer.id, 'admin', team.owner))
+        .rejects.toThrow('Role must be one of');
+      expect(await roleOf(team.viewer)).toBe('viewer');
+    });
+
+    test('cannot change the role of someone who isn\'t a member', async () => {
+      const { owner: stranger } = await createTeam(['owner']);
+
+      await expect(workspaceService.updateMember(team.workspaceId, stranger.id, 'editor', team.owner))
+        .rejects.toThrow('Member not found');
+    });
+  });
+
+  describe.each(['editor', 'commenter', 'viewer'])('a %s', (role) => {
+    test('cannot change anyone\'s role, their own included', async () => {
+      await expect(workspaceService.updateMember(team.workspaceId, team.viewer.id, 'editor', team[role]))
+        .rejects.toThrow('Not allowed');
+      await expect(workspaceService.updateMember(team.workspaceId, team[role].id, 'owner', team[role]))
+        .rejects.toThrow('Not allowed');
+      expect(await roleOf(team[role])).toBe(role);
+    });
+
+    test('cannot add or remove anyone else', async () => {
+      const { owner: newcomer } = await createTeam(['owner']);
+
+      await expect(workspaceService.addMember(team.workspaceId, { email: newcomer.email, role: 'editor' }, team[role]))
+        .rejects.toThrow('Not allowed');
+      await expect(workspaceService.removeMember(team.workspaceId, team.owner.id, team[role]))
+        .rejects.toThrow('Not allowed');
+      expect(await roleOf(team.owner)).toBe('owner');
+    });
+
+    test('can leave', async () => {
+      await workspaceService.removeMember(team.workspaceId, team[role].id, team[role]);
+
+      await expect(roleOf(team[role])).rejects.toThrow('Workspace not found');
+    });
+  });
+});
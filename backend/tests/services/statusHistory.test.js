@@ -0,0 +1,103 @@
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+// Only the clock is faked - the services' promises and timers run as usual
+const TIMERS = ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'];
+
+describe('status history', () => {
+  let actor;
+  const moveAt = async (id, status, at) => {
+    jest.setSystemTime(new Date(at));
+    return taskService.updateTask(id, { status }, actor);
+  };
+
+  beforeEach(async () => {
+    actor = await createOwner();
+    jest.useFakeTimers({ doNotFake: TIMERS, now: new Date('2024-03-01T09:00:00.000Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('a new task starts its history in the status it was created in', async () => {
+    const task = await taskService.createTask({ title: 'New' }, actor);
+
+    expect(task).toMatchObject({
+      startedAt: null,
+      completedAt: null,
+      transitions: [{ from: null, to: 'todo', category: 'not_started', at: '2024-03-01T09:00:00.000Z' }]
+    });
+  });
+
+  test('a task created already under way counts as started when it was created', async () => {
+    const task = await taskService.createTask({ title: 'Under way', status: 'in_progress' }, actor);
+
+    expect(task.startedAt).toBe('2024-03-01T09:00:00.000Z');
+  });
+
+  test('the first move into an active status stamps startedAt, and going back and forth doesn\'t move it', async () => {
+    const task = await taskService.createTask({ title: 'Work' }, actor);
+
+    await moveAt(task.id, 'in_progress', '2024-03-02T09:00:00.000Z');
+    await moveAt(task.id, 'todo', '2024-03-03T09:00:00.000Z');
+    const restarted = await moveAt(task.id, 'in_progress', '2024-03-04T09:00:00.000Z');
+
+    expect(restarted.startedAt).toBe('2024-03-02T09:00:00.000Z');
+    expect(restarted.transitions.map(transition => [transition.from, transition.to, transition.at])).toEqual([
+      [null, 'todo', '2024-03-01T09:00:00.000Z'],
+      ['todo', 'in_progress', '2024-03-02T09:00:00.000Z'],
+      ['in_progress', 'todo', '2024-03-03T09:00:00.000Z'],
+      ['todo', 'in_progress', '2024-03-04T09:00:00.000Z']
+    ]);
+  });
+
+  test('moving into done stamps completedAt, reopening clears it, and finishing again stamps it afresh', async () => {
+    const task = await taskService.createTask({ title: 'Work' }, actor);
+
+    const done = await moveAt(task.id, 'completed', '2024-03-02T09:00:00.000Z');
+    expect(done).toMatchObject({ completedAt: '2024-03-02T09:00:00.000Z', startedAt: '2024-03-02T09:00:00.000Z' });
+
+    const reopened = await moveAt(task.id, 'in_progress', '2024-03-03T09:00:00.000Z');
+    expect(reopened).toMatchObject({ completedAt: null, startedAt: '2024-03-02T09:00:00.000Z' });
+
+    const redone = await moveAt(task.id, 'completed', '2024-03-05T09:00:00.000Z');
+    expect(redone.completedAt).toBe('2024-03-05T09:00:00.000Z');
+  });
+
+  test('a workflow change that moves a status into done completes its tasks, and out of done reopens them', async () => {
+    const task = await taskService.createTask({ title: 'Waiting on release', status: 'in_progress' }, actor);
+    const workflow = (category) => taskService.updateWorkflow({
+      statuses: [
+        { key: 'todo', name: 'To Do', category: 'not_started' },
+        { key: 'in_progress', name: 'In Progress', category },
+        { key: 'completed', name: 'Done', category: 'done' }
+      ]
+    }, actor);
+
+    jest.setSystemTime(new Date('2024-03-02T09:00:00.000Z'));
+    await workflow('done');
+    expect((await taskService.getTaskById(task.id, actor)).completedAt).toBe('2024-03-02T09:00:00.000Z');
+
+    await workflow('active');
+    expect((await taskService.getTaskById(task.id, actor)).completedAt).toBeNull();
+  });
+
+  test('a move the workflow refuses leaves no trace', async () => {
+    await taskService.updateWorkflow({
+      statuses: [
+        { key: 'todo', name: 'To Do', category: 'not_started' },
+        { key: 'in_progress', name: 'In Progress', category: 'active' },
+        { key: 'completed', name: 'Done', category: 'done' }
+      ],
+      transitions: { todo: ['in_progress'] }
+    }, actor);
+    const task = await taskService.createTask({ title: 'No shortcuts' }, actor);
+
+    await expect(moveAt(task.id, 'completed', '2024-03-02T09:00:00.000Z')).rejects.toThrow('doesn\'t allow moving');
+
+    expect(await taskService.getTaskById(task.id, actor)).toMatchObject({ completedAt: null, startedAt: null });
+    expect((await taskService.getTaskById(task.id, actor)).transitions).toHaveLength(1);
+  });
+});
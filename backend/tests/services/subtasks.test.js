@@ -0,0 +1,91 @@
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+describe('subtasks', () => {
+  let actor;
+  let parent;
+  const create = (data) => taskService.createTask({ title: 'Task', ...data }, actor);
+
+  beforeEach(async () => {
+    actor = await createOwner();
+    parent = await create({ title: 'Parent' });
+  });
+
+  describe('the hierarchy', () => {
+    test('a task lists its direct subtasks oldest first, not its grandchildren', async () => {
+      const first = await create({ title: 'First', parentId: parent.id });
+      await create({ title: 'Second', parentId: parent.id });
+      await create({ title: 'Grandchild', parentId: first.id });
+
+      const subtasks = await taskService.getSubtasks(parent.id, actor);
+
+      expect(subtasks.map(task => task.title)).toEqual(['First', 'Second']);
+      expect(subtasks[0].subtaskProgress).toEqual({ total: 1, completed: 0 });
+    });
+
+    test('the parent rolls up how many of its subtasks are done, leaving trashed ones out', async () => {
+      await create({ title: 'Done', parentId: parent.id, status: 'completed' });
+      await create({ title: 'Going', parentId: parent.id, status: 'in_progress' });
+      const binned = await create({ title: 'Binned', parentId: parent.id, status: 'completed' });
+      await taskService.deleteTask(binned.id, actor);
+
+      expect((await taskService.getTaskById(parent.id, actor)).subtaskProgress).toEqual({ total: 2, completed: 1 });
+    });
+
+    test('a subtask can be moved under another parent, or out from under one', async () => {
+      const other = await create({ title: 'Other' });
+      const child = await create({ title: 'Child', parentId: parent.id });
+
+      await taskService.updateTask(child.id, { parentId: other.id }, actor);
+      expect((await taskService.getSubtasks(other.id, actor)).map(task => task.id)).toEqual([child.id]);
+
+      await taskService.updateTask(child.id, { parentId: null }, actor);
+      expect(await taskService.getSubtasks(other.id, actor)).toEqual([]);
+    });
+  });
+
+  describe('parents that are refused', () => {
+    test('the task itself', async () => {
+      await expect(taskService.updateTask(parent.id, { parentId: parent.id }, actor))
+        .rejects.toThrow('A task cannot be moved under one of its own subtasks');
+    });
+
+    test('one of its own descendants', async () => {
+      const child = await create({ title: 'Child', parentId: parent.id });
+      const grandchild = await create({ title: 'Grandchild', parentId: child.id });
+
+      await expect(taskService.updateTask(parent.id, { parentId: grandchild.id }, actor))
+        .rejects.toThrow('A task cannot be moved under one of its own subtasks');
+      expect((await taskService.getTaskById(parent.id, actor)).parentId).toBeNull();
+    });
+
+    test('a task in the trash', async () => {
+      const binned = await create({ title: 'Binned' });
+      await taskService.deleteTask(binned.id, actor);
+
+      await expect(create({ parentId: binned.id })).rejects.toThrow('Parent must be a task in this workspace');
+    });
+
+    test('a task in another workspace', async () => {
+      const elsewhere = await taskService.createTask({ title: 'Elsewhere' }, await createOwner());
+
+      await expect(create({ parentId: elsewhere.id })).rejects.toThrow('Parent must be a task in this workspace');
+    });
+  });
+
+  describe('deleting a parent', () => {
+    test('is refused while it has subtasks, unless the delete cascades', async () => {
+      const child = await create({ title: 'Child', parentId: parent.id });
+      const grandchild = await create({ title: 'Grandchild', parentId: child.id });
+
+      await expect(taskService.deleteTask(parent.id, actor)).rejects.toThrow('Task has subtasks (2)');
+      expect((await taskService.getTaskById(parent.id, actor)).deletedAt).toBeNull();
+
+      const result = await taskService.deleteTask(parent.id, actor, { cascade: true });
+
+      expect(result.deletedSubtasks).toBe(2);
+      const { tasks: binned } = await taskService.getTrash(actor);
+      expect(binned.map(task => task.id).sort()).toEqual([parent.id, child.id, grandchild.id].sort());
+    });
+  });
+});
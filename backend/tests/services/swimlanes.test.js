@@ -0,0 +1,67 @@
+const taskService = require('../../services/taskService');
+const { createTeam, signUp } = require('../helpers/actors');
+
+// Dropping a card into another swimlane - moveTask carries the lane's field along with the status and position
+describe('swimlanes', () => {
+  let owner;
+  let editor;
+  let task;
+  let neighbour;
+  const create = (title, data) => taskService.createTask({ title, ...data }, owner);
+  const titlesIn = async (status) => {
+    const { columns } = await taskService.getBoard({}, { status }, owner);
+    return columns[0].tasks.map(card => card.title);
+  };
+
+  beforeEach(async () => {
+    ({ owner, editor } = await createTeam(['owner', 'editor']));
+    task = await create('Card', { priority: 'low', tags: ['backend'] });
+    neighbour = await create('Neighbour', { status: 'in_progress', priority: 'high' });
+  });
+
+  test('into another priority lane and column in one go, recorded as one change', async () => {
+    const moved = await taskService.moveTask(task.id, { status: 'in_progress', priority: 'high', nextId: neighbour.id }, owner);
+
+    expect(moved).toMatchObject({ status: 'in_progress', priority: 'high', tags: ['backend'] });
+    expect(await titlesIn('in_progress')).toEqual(['Card', 'Neighbour']);
+
+    const [latest] = await taskService.getTaskHistory(task.id, owner);
+    expect(latest.action).toBe('task.update');
+    expect(Object.keys(latest.changes).sort()).toEqual(['priority', 'status']);
+  });
+
+  test.each([
+    ['an assignee', () => ({ assignees: [editor.id] })],
+    ['nobody', () => ({ assignees: [] })],
+    ['a tag', () => ({ tags: ['frontend'] })],
+    ['a parent', () => ({ parentId: neighbour.id })],
+    ['no parent', () => ({ parentId: null })]
+  ])('into the lane for %s', async (label, lane) => {
+    const moved = await taskService.moveTask(task.id, lane(), owner);
+
+    expect(moved).toMatchObject(lane());
+    expect(moved.status).toBe('todo');
+  });
+
+  test('only the lane fields come along - anything else in the move is ignored', async () => {
+    const moved = await taskService.moveTask(task.id, { priority: 'medium', title: 'Renamed', dueDate: '2024-01-01' }, owner);
+
+    expect(moved).toMatchObject({ title: 'Card', priority: 'medium', dueDate: null });
+  });
+
+  test('a lane that would be an invalid edit refuses the whole move', async () => {
+    const stranger = await signUp();
+
+    await expect(taskService.moveTask(task.id, { status: 'in_progress', nextId: neighbour.id, assignees: [stranger.id] }, owner))
+      .rejects.toThrow('Assignees must be members of this workspace');
+    expect(await taskService.getTaskById(task.id, owner)).toMatchObject({ status: 'todo', assignees: [] });
+    expect(await titlesIn('in_progress')).toEqual(['Neighbour']);
+  });
+
+  test('a card can\'t be dropped into its own subtask\'s lane', async () => {
+    const child = await create('Child', { parentId: task.id });
+
+    await expect(taskService.moveTask(task.id, { parentId: child.id }, owner))
+      .rejects.toThrow('A task cannot be moved under one of its own subtasks');
+  });
+});
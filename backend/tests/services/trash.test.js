@@ -0,0 +1,139 @@
+const commentService = require('../../services/commentService');
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Only the clock is faked - the services' promises and timers run as usual
+const TIMERS = ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'];
+
+describe('the trash', () => {
+  let actor;
+  let task;
+  const create = (data) => taskService.createTask({ title: 'Task', ...data }, actor);
+  const listed = async () => (await taskService.getTasks({}, {}, actor)).tasks.map(current => current.id);
+  const binned = async () => (await taskService.getTrash(actor)).tasks.map(current => current.id);
+
+  beforeEach(async () => {
+    actor = await createOwner();
+    task = await create({ title: 'Deleted', status: 'in_progress' });
+  });
+
+  describe('deleting', () => {
+    test('takes a task out of the lists, the board and the stats, and into the trash', async () => {
+      await taskService.deleteTask(task.id, actor);
+
+      const { columns } = await taskService.getBoard({}, {}, actor);
+      expect(await listed()).toEqual([]);
+      expect(columns.flatMap(column => column.tasks)).toEqual([]);
+      expect((await taskService.getTaskStats(actor)).total).toBe(0);
+      await expect(taskService.getTaskById(task.id, actor)).rejects.toThrow('not found');
+      expect(await binned()).toEqual([task.id]);
+    });
+
+    test('says who deleted it and when it goes for good', async () => {
+      await taskService.deleteTask(task.id, actor);
+
+      const { tasks: [entry], retentionDays } = await taskService.getTrash(actor);
+
+      expect(entry.deletedByName).toBe(actor.name);
+      expect(new Date(entry.purgeAt) - new Date(entry.deletedAt)).toBe(retentionDays * DAY_MS);
+    });
+  });
+
+  describe('restoring', () => {
+    test('puts a task back where it was, at the bottom of its column', async () => {
+      await taskService.deleteTask(task.id, actor);
+      const other = await create({ title: 'Took its spot', status: 'in_progress' });
+
+      const restored = await taskService.restoreTask(task.id, actor);
+
+      expect(restored).toMatchObject({ status: 'in_progress', deletedAt: null });
+      expect(await listed()).toContain(task.id);
+      expect(await binned()).toEqual([]);
+      const { columns: [column] } = await taskService.getBoard({}, { status: 'in_progress' }, actor);
+      expect(column.tasks.map(current => current.id)).toEqual([other.id, task.id]);
+    });
+
+    test('brings back the subtasks that were deleted with it, not ones binned before', async () => {
+      const early = await create({ title: 'Binned first', parentId: task.id });
+      const child = await create({ title: 'Went with it', parentId: task.id });
+      // Subtasks come back when they were binned at the same moment, so the two deletes need to be apart
+      jest.useFakeTimers({ doNotFake: TIMERS, now: new Date('2024-03-01T09:00:00.000Z') });
+      try {
+        await taskService.deleteTask(early.id, actor);
+        jest.setSystemTime(new Date('2024-03-01T09:05:00.000Z'));
+        await taskService.deleteTask(task.id, actor, { cascade: true });
+      } finally {
+        jest.useRealTimers();
+      }
+
+      const restored = await taskService.restoreTask(task.id, actor);
+
+      expect(restored.restoredSubtasks).toBe(1);
+      expect(await listed()).toEqual(expect.arrayContaining([task.id, child.id]));
+      expect(await binned()).toEqual([early.id]);
+    });
+
+    test('is held to a full column\'s WIP limit, unless overridden', async () => {
+      await taskService.deleteTask(task.id, actor);
+      await taskService.updateWorkflow({
+        statuses: [
+          { key: 'todo', name: 'To Do', category: 'not_started' },
+          { key: 'in_progress', name: 'In Progress', category: 'active', wipLimit: 1, wipEnforced: true },
+          { key: 'completed', name: 'Done', category: 'done' }
+        ]
+      }, actor);
+      await create({ title: 'Full up', status: 'in_progress' });
+
+      await expect(taskService.restoreTask(task.id, actor)).rejects.toThrow('"In Progress" is at its WIP limit (1)');
+      expect(await binned()).toEqual([task.id]);
+
+      await taskService.restoreTask(task.id, actor, { override: true });
+      expect(await binned()).toEqual([]);
+    });
+
+    test('only finds what is in the trash', async () => {
+      await expect(taskService.restoreTask(task.id, actor)).rejects.toThrow('not found');
+    });
+  });
+
+  describe('purging', () => {
+    test('is for good - the task, its comments, and anything waiting on it', async () => {
+      const waiting = await create({ title: 'Waiting', blockedBy: [task.id] });
+      await commentService.addComment(task.id, { body: 'Gone soon' }, actor);
+      await taskService.deleteTask(task.id, actor);
+
+      await taskService.purgeTask(task.id, actor);
+
+      expect(await binned()).toEqual([]);
+      expect(await taskService.store.findById(task.id)).toBeNull();
+      expect(await taskService.comments.findByTask(task.id)).toEqual([]);
+      expect((await taskService.getTaskById(waiting.id, actor)).blockedBy).toEqual([]);
+      await expect(taskService.restoreTask(task.id, actor)).rejects.toThrow('not found');
+    });
+
+    test('only reaches what is in the trash', async () => {
+      await expect(taskService.purgeTask(task.id, actor)).rejects.toThrow('not found');
+      expect(await listed()).toEqual([task.id]);
+    });
+  });
+
+  describe('retention', () => {
+    test('purges only what has been in the trash longer than the retention period', async () => {
+      const stale = await create({ title: 'Stale' });
+      const fresh = await create({ title: 'Fresh' });
+      const { retentionDays } = await taskService.getTrash(actor);
+      const now = new Date();
+      await taskService.trashTasks([await taskService.store.findById(stale.id)], actor, new Date(now - (retentionDays + 1) * DAY_MS));
+      await taskService.trashTasks([await taskService.store.findById(fresh.id)], actor, new Date(now - (retentionDays - 1) * DAY_MS));
+
+      await taskService.purgeExpiredTrash(now);
+
+      expect(await taskService.store.findById(stale.id)).toBeNull();
+      expect(await binned()).toEqual([fresh.id]);
+      const [purged] = await taskService.getTaskHistory(stale.id, actor);
+      expect(purged).toMatchObject({ action: 'task.purge', actorId: 'system' });
+    });
+  });
+});
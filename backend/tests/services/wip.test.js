@@ -0,0 +1,160 @@
+const taskService = require('../../services/taskService');
+const workspaceService = require('../../services/workspaceService');
+const { createOwner } = require('../helpers/actors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// The default workflow with a limit on In Progress
+const limitInProgress = (actor, wipLimit, wipEnforced = true) => taskService.updateWorkflow({
+  statuses: [
+    { key: 'todo', name: 'To Do', category: 'not_started' },
+    { key: 'in_progress', name: 'In Progress', category: 'active', wipLimit, wipEnforced },
+    { key: 'completed', name: 'Done', category: 'done' }
+  ],
+  transitions: null
+}, actor);
+
+describe('WIP limits', () => {
+  let actor;
+  const create = (data) => taskService.createTask({ title: 'Task', status: 'in_progress', ...data }, actor);
+  const inProgress = async () => (await taskService.getWipStats(actor)).columns.find(column => column.status === 'in_progress').count;
+
+  beforeEach(async () => {
+    actor = await createOwner();
+  });
+
+  describe('unarchiving', () => {
+    test('is refused into a full column, unless overridden', async () => {
+      await limitInProgress(actor, 1);
+      const archived = await create({ title: 'Archived' });
+      await taskService.archiveTask(archived.id, actor);
+      await create({ title: 'Took its place' });
+
+      await expect(taskService.unarchiveTask(archived.id, actor)).rejects.toThrow('"In Progress" is at its WIP limit (1)');
+      expect((await taskService.getTaskById(archived.id, actor)).archivedAt).not.toBeNull();
+
+      const unarchived = await taskService.unarchiveTask(archived.id, actor, { override: true });
+      expect(unarchived.archivedAt).toBeNull();
+      expect(await inProgress()).toBe(2);
+    });
+
+    test('soft limits do not get in the way', async () => {
+      await limitInProgress(actor, 1, false);
+      const archived = await create({ title: 'Archived' });
+      await taskService.archiveTask(archived.id, actor);
+      await create({ title: 'Took its place' });
+
+      expect((await taskService.unarchiveTask(archived.id, actor)).archivedAt).toBeNull();
+    });
+
+    test('unarchiving a task that is not archived changes nothing, full column or not', async () => {
+      await limitInProgress(actor, 1);
+      const task = await create();
+
+      expect((await taskService.unarchiveTask(task.id, actor)).id).toBe(task.id);
+    });
+  });
+
+  describe('editing an archived task', () => {
+    test('can change its status into a full column - it only counts once it is unarchived', async () => {
+      await limitInProgress(actor, 1);
+      const archived = await create({ title: 'Archived', status: 'todo' });
+      await taskService.archiveTask(archived.id, actor);
+      await create({ title: 'Full up' });
+
+      const updated = await taskService.updateTask(archived.id, { status: 'in_progress' }, actor);
+
+      expect(updated).toMatchObject({ status: 'in_progress', archivedAt: expect.any(String) });
+      expect(await inProgress()).toBe(1);
+      await expect(taskService.unarchiveTask(archived.id, actor)).rejects.toThrow('"In Progress" is at its WIP limit (1)');
+    });
+  });
+
+  describe('restoring from the trash', () => {
+    test('is refused into a full column, unless overridden', async () => {
+      await limitInProgress(actor, 1);
+      const trashed = await create({ title: 'Trashed' });
+      await taskService.deleteTask(trashed.id, actor);
+      await create({ title: 'Took its place' });
+
+      await expect(taskService.restoreTask(trashed.id, actor)).rejects.toThrow('WIP limit');
+
+      const restored = await taskService.restoreTask(trashed.id, actor, { override: true });
+      expect(restored.deletedAt).toBeNull();
+      expect(await inProgress()).toBe(2);
+    });
+
+    test('counts the subtasks coming back with it, and restores none of them when they do not all fit', async () => {
+      await limitInProgress(actor, 2);
+      const parent = await create({ title: 'Parent' });
+      const child = await create({ title: 'Child', parentId: parent.id });
+      await taskService.deleteTask(parent.id, actor, { cascade: true });
+      await create({ title: 'Took a place' });
+
+      // The parent alone would fit - the pair doesn't
+      await expect(taskService.restoreTask(parent.id, actor)).rejects.toThrow('WIP limit');
+      await expect(taskService.getTaskById(parent.id, actor)).rejects.toThrow('not found');
+      await expect(taskService.getTaskById(child.id, actor)).rejects.toThrow('not found');
+      expect(await inProgress()).toBe(1);
+    });
+
+    test('goes through when there is room', async () => {
+      await limitInProgress(actor, 2);
+      const trashed = await create({ title: 'Trashed' });
+      await taskService.deleteTask(trashed.id, actor);
+      await create({ title: 'Room for one more' });
+
+      expect((await taskService.restoreTask(trashed.id, actor)).status).toBe('in_progress');
+    });
+  });
+
+  describe('time over the limit', () => {
+    const NOW = new Date('2024-06-30T12:00:00.000Z');
+    const ago = (ms) => new Date(NOW.getTime() - ms);
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('adds up the part of each breach inside the window, open ones running until now', async () => {
+      await limitInProgress(actor, 1, false);
+      const breaches = workspaceService.store;
+      const { workspaceId } = actor;
+      const breach = (status, startedAgo, endedAgo = null) => {
+        const { id } = breaches.openWipBreach(workspaceId, status, 1, ago(startedAgo));
+        if (endedAgo !== null) breaches.closeWipBreach(id, ago(endedAgo));
+      };
+      // Over before the window opened - left out
+      breach('in_progress', 40 * DAY_MS, 35 * DAY_MS);
+      // Straddles the start of the window - only its last 2 days count
+      breach('in_progress', 32 * DAY_MS, 28 * DAY_MS);
+      // Wholly inside
+      breach('in_progress', 10 * DAY_MS, 9 * DAY_MS);
+      // Still open, and started before the window - the whole window
+      breach('todo', 45 * DAY_MS);
+      // Still open, started inside it
+      breach('completed', 12 * HOUR_MS);
+      jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+      const stats = await taskService.getWipStats(actor, 30);
+      const column = (key) => stats.columns.find(entry => entry.status === key);
+
+      expect(stats).toMatchObject({ since: ago(30 * DAY_MS).toISOString(), until: NOW.toISOString(), days: 30 });
+      expect(column('in_progress')).toMatchObject({ breaches: 2, timeOverLimit: 3 * DAY_MS, percentOverLimit: '10.0' });
+      expect(column('todo')).toMatchObject({ breaches: 1, timeOverLimit: 30 * DAY_MS, percentOverLimit: '100.0' });
+      expect(column('completed')).toMatchObject({ breaches: 1, timeOverLimit: 12 * HOUR_MS, percentOverLimit: '1.7' });
+    });
+
+    test('a shorter window clips the same breach shorter', async () => {
+      const { id } = workspaceService.store.openWipBreach(actor.workspaceId, 'in_progress', 1, ago(10 * DAY_MS));
+      workspaceService.store.closeWipBreach(id, ago(5 * DAY_MS));
+      jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+      const stats = await taskService.getWipStats(actor, 7);
+
+      expect(stats.columns.find(entry => entry.status === 'in_progress'))
+        .toMatchObject({ breaches: 1, timeOverLimit: 2 * DAY_MS, percentOverLimit: '28.6' });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const taskService = require('../../services/taskService');
+const { createOwner } = require('../helpers/actors');
+
+describe('configurable workflows', () => {
+  let actor;
+  const create = (data) => taskService.createTask({ title: 'Task', ...data }, actor);
+
+  const review = {
+    statuses: [
+      { key: 'backlog', name: 'Backlog', category: 'not_started' },
+      { key: 'doing', name: 'Doing', category: 'active' },
+      { key: 'review', name: 'Review', category: 'active' },
+      { key: 'shipped', name: 'Shipped', category: 'done' }
+    ],
+    // Nothing ships without a review, and a review can only go back or out
+    transitions: {
+      backlog: ['doing'],
+      doing: ['review', 'backlog'],
+      review: ['doing', 'shipped']
+    }
+  };
+
+  beforeEach(async () => {
+    actor = await createOwner();
+  });
+
+  describe('a workspace with its own statuses', () => {
+    beforeEach(async () => {
+      await taskService.updateWorkflow(review, actor);
+    });
+
+    test('starts new tasks in its first not-started status', async () => {
+      const task = await create();
+
+      expect(task).toMatchObject({ status: 'backlog', statusCategory: 'not_started' });
+    });
+
+    test('only takes its own status keys', async () => {
+      await expect(create({ status: 'todo' })).rejects.toThrow('Status must be one of: backlog, doing, review, shipped');
+    });
+
+    test('lets tasks make the moves it allows, filing them under the new status\'s category', async () => {
+      const task = await create();
+
+      await taskService.updateTask(task.id, { status: 'doing' }, actor);
+      await taskService.updateTask(task.id, { status: 'review' }, actor);
+      const shipped = await taskService.updateTask(task.id, { status: 'shipped' }, actor);
+
+      expect(shipped).toMatchObject({ status: 'shipped', statusCategory: 'done' });
+    });
+
+    test('refuses the moves it doesn\'t allow', async () => {
+      const task = await create({ status: 'doing' });
+
+      await expect(taskService.updateTask(task.id, { status: 'shipped' }, actor))
+        .rejects.toThrow('This workflow doesn\'t allow moving from "Doing" to "Shipped"');
+      expect((await taskService.getTaskById(task.id, actor)).status).toBe('doing');
+    });
+
+    test('leaves every other workspace on its own workflow', async () => {
+      const other = await createOwner();
+
+      expect((await taskService.getWorkflow(other)).statuses.map(status => status.key)).toEqual(['todo', 'in_progress', 'completed']);
+      expect((await taskService.createTask({ title: 'Elsewhere' }, other)).status).toBe('todo');
+    });
+  });
+
+  describe('changing a workflow', () => {
+    test('refuses to drop a status that still has tasks in it, and says how many', async () => {
+      await create({ status: 'in_progress' });
+      await create({ status: 'in_progress' });
+
+      await expect(taskService.updateWorkflow({
+        statuses: [
+          { key: 'todo', name: 'To Do', category: 'not_started' },
+          { key: 'completed', name: 'Done', category: 'done' }
+        ]
+      }, actor)).rejects.toThrow('Statuses that still have tasks can\'t be removed (in_progress: 2)');
+      expect((await taskService.getWorkflow(actor)).statuses).toHaveLength(3);
+    });
+
+    test('drops an empty status without complaint', async () => {
+      const saved = await taskService.updateWorkflow({
+        statuses: [
+          { key: 'todo', name: 'To Do', category: 'not_started' },
+          { key: 'completed', name: 'Done', category: 'done' }
+        ]
+      }, actor);
+
+      expect(saved.statuses.map(status => status.key)).toEqual(['todo', 'completed']);
+    });
+
+    test('moves tasks into a status\'s new category along with it', async () => {
+      const task = await create({ status: 'in_progress' });
+
+      await taskService.updateWorkflow({
+        statuses: [
+          { key: 'todo', name: 'To Do', category: 'not_started' },
+          { key: 'in_progress', name: 'Waiting on release', category: 'done' },
+          { key: 'completed', name: 'Done', category: 'done' }
+        ]
+      }, actor);
+
+      expect((await taskService.getTaskById(task.id, actor)).statusCategory).toBe('done');
+      expect((await taskService.getTaskStats(actor)).byCategory.done).toBe(1);
+    });
+
+    test('refuses a workflow with nowhere for work to finish', async () => {
+      await expect(taskService.updateWorkflow({
+        statuses: [
+          { key: 'todo', name: 'To Do', category: 'not_started' },
+          { key: 'doing', name: 'Doing', category: 'active' }
+        ]
+      }, actor)).rejects.toThrow('A workflow needs at least one "done" status');
+    });
+
+    test('refuses transitions between statuses it doesn\'t have', async () => {
+      await expect(taskService.updateWorkflow({ ...review, transitions: { backlog: ['todo'] } }, actor))
+        .rejects.toThrow('Transitions from "backlog" must be a list of status keys in this workflow');
+    });
+  });
+});
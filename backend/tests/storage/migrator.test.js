@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const Migrator = require('../../storage/migrator');
+const { SqliteTaskStore } = require('../../storage');
+const { closeDatabase } = require('../../storage/database');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-'));
+afterAll(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// SQLite's own bookkeeping tables (sqlite_sequence) outlive the tables that made them - not ours to count
+const tables = (db) => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all().map(row => row.name);
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(row => row.name);
+
+describe('Migrator', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(path.join(tempDir, `${Date.now()}-${Math.random()}.db`));
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('migrates all the way up, all the way down, and up again', () => {
+    const migrator = new Migrator(db);
+    const { latest } = migrator.status();
+
+    const applied = migrator.up();
+    expect(applied).toHaveLength(migrator.migrations.length);
+    expect(migrator.status()).toMatchObject({ current: latest, pending: [] });
+    expect(tables(db)).toEqual(expect.arrayContaining(['tasks', 'users', 'workspaces', 'comments', 'activity']));
+    expect(columns(db, 'tasks')).toEqual(expect.arrayContaining(['deleted_at', 'archived_at', 'completed_at', 'transitions']));
+
+    const rolledBack = migrator.down({ steps: migrator.migrations.length });
+    expect(rolledBack.map(migration => migration.version)).toEqual(migrator.migrations.map(migration => migration.version).reverse());
+    expect(migrator.status()).toMatchObject({ current: 0, applied: [] });
+    expect(tables(db)).toEqual(['schema_migrations']);
+
+    migrator.up();
+    expect(migrator.status()).toMatchObject({ current: latest, pending: [] });
+    expect(columns(db, 'tasks')).toEqual(expect.arrayContaining(['completed_at', 'transitions']));
+  });
+
+  test('stops at a target version and picks up from there', () => {
+    const migrator = new Migrator(db);
+
+    expect(migrator.up({ to: 3 }).map(migration => migration.version)).toEqual([1, 2, 3]);
+    expect(migrator.status().current).toBe(3);
+    expect(migrator.up().map(migration => migration.version)[0]).toBe(4);
+    expect(migrator.up()).toEqual([]);
+  });
+
+  test('rolls back one step by default', () => {
+    const migrator = new Migrator(db);
+    migrator.up();
+    const { latest } = migrator.status();
+
+    expect(migrator.down()).toEqual([{ version: latest, name: expect.any(String) }]);
+    expect(migrator.status().current).toBe(latest - 1);
+    expect(migrator.status().pending).toEqual([{ version: latest, name: expect.any(String) }]);
+  });
+
+  test('backfills existing rows when the status history columns arrive (019)', () => {
+    const migrator = new Migrator(db);
+    migrator.up({ to: 18 });
+    const created = '2024-01-01T00:00:00.000Z';
+    const updated = '2024-01-02T00:00:00.000Z';
+    db.prepare("INSERT INTO users (id, email, name, password_hash, created_at, updated_at) VALUES ('u1', 'a@example.com', 'A', 'x', ?, ?)").run(created, created);
+    db.prepare("INSERT INTO workspaces (id, name, created_by, created_at, updated_at) VALUES ('custom', 'Custom', 'u1', ?, ?)").run(created, created);
+    db.prepare("INSERT INTO workflows (workspace_id, statuses, updated_at) VALUES ('custom', ?, ?)").run(JSON.stringify([
+      { key: 'doing', name: 'Doing', category: 'active' },
+      { key: 'backlog', name: 'Backlog', category: 'not_started' },
+      { key: 'shipped', name: 'Shipped', category: 'done' }
+    ]), created);
+    const insert = db.prepare(`
+      INSERT INTO tasks (id, title, status, status_category, priority, tags, assignees, blocked_by, rank, workspace_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'low', '[]', '[]', '[]', 1, ?, ?, ?)
+    `);
+    insert.run('t1', 'Done already', 'completed', 'done', null, created, updated);
+    insert.run('t2', 'Shipped already', 'shipped', 'done', 'custom', created, updated);
+    insert.run('t3', 'Under way', 'in_progress', 'active', null, created, updated);
+
+    migrator.up({ to: 19 });
+
+    const rows = db.prepare('SELECT id, started_at, completed_at, transitions FROM tasks ORDER BY id').all()
+      .map(row => ({ ...row, transitions: JSON.parse(row.transitions) }));
+    // Done tasks only reach done at their last update, from their workflow's first not-started status
+    expect(rows).toEqual([
+      {
+        id: 't1',
+        started_at: created,
+        completed_at: updated,
+        transitions: [
+          { from: null, to: 'todo', category: 'not_started', at: created },
+          { from: 'todo', to: 'completed', category: 'done', at: updated }
+        ]
+      },
+      {
+        id: 't2',
+        started_at: created,
+        completed_at: updated,
+        transitions: [
+          { from: null, to: 'backlog', category: 'not_started', at: created },
+          { from: 'backlog', to: 'shipped', category: 'done', at: updated }
+        ]
+      },
+      {
+        id: 't3',
+        started_at: created,
+        completed_at: null,
+        transitions: [{ from: null, to: 'in_progress', category: 'active', at: created }]
+      }
+    ]);
+  });
+
+  test('won\'t roll the trash back while there are tasks in it (017)', () => {
+    const migrator = new Migrator(db);
+    migrator.up({ to: 17 });
+    const insert = db.prepare(`
+      INSERT INTO tasks (id, title, status, status_category, priority, tags, assignees, blocked_by, rank, created_at, updated_at, deleted_at)
+      VALUES (?, ?, 'todo', 'not_started', 'low', '[]', '[]', '[]', 1, '2024-01-01T00:00:00.000Z', '2024-01-01T00:00:00.000Z', ?)
+    `);
+    insert.run('kept', 'Kept', null);
+    insert.run('binned', 'Binned', '2024-01-02T00:00:00.000Z');
+
+    expect(() => migrator.down()).toThrow('Cannot roll back the trash while 1 task(s) are in it - restore or purge them first');
+    expect(migrator.status().current).toBe(17);
+    expect(db.prepare('SELECT id FROM tasks ORDER BY id').all().map(row => row.id)).toEqual(['binned', 'kept']);
+
+    db.prepare('UPDATE tasks SET deleted_at = NULL').run();
+    migrator.down();
+
+    expect(migrator.status().current).toBe(16);
+    expect(columns(db, 'tasks')).not.toContain('deleted_at');
+    expect(db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count).toBe(2);
+  });
+
+  test('a failing migration leaves the database at the version before it', () => {
+    const directory = fs.mkdtempSync(path.join(tempDir, 'broken-'));
+    fs.writeFileSync(path.join(directory, '001_create_things.js'),
+      "module.exports = { up(db) { db.exec('CREATE TABLE things (id TEXT)'); }, down(db) { db.exec('DROP TABLE things'); } };");
+    fs.writeFileSync(path.join(directory, '002_break_things.js'),
+      "module.exports = { up(db) { db.exec('ALTER TABLE things ADD COLUMN name TEXT'); db.exec('NOT SQL'); }, down() {} };");
+    const migrator = new Migrator(db, { directory });
+
+    expect(() => migrator.up()).toThrow();
+    expect(migrator.status().current).toBe(1);
+    expect(columns(db, 'things')).toEqual(['id']);
+  });
+
+  test('refuses a database migrated by newer code', () => {
+    const migrator = new Migrator(db);
+    migrator.up();
+    const { latest } = migrator.status();
+    db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+      .run(latest + 1, 'from_the_future', new Date().toISOString());
+
+    expect(() => migrator.up()).toThrow(`Database schema is at version ${latest + 1} but this build only knows up to ${latest}`);
+  });
+});
+
+describe('startup', () => {
+  test('the task store refuses to start on a schema newer than the code knows', () => {
+    const filename = path.join(tempDir, 'newer.db');
+    const store = new SqliteTaskStore(filename);
+    const { latest } = store.prepare();
+    store.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+      .run(latest + 1, 'from_the_future', new Date().toISOString());
+
+    try {
+      expect(() => new SqliteTaskStore(filename).prepare()).toThrow('deploy the newer code or roll the database back');
+    } finally {
+      closeDatabase(filename);
+    }
+  });
+});
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DueDate = require('../../models/DueDate');
+const Task = require('../../models/Task');
+const { MemoryTaskStore, SqliteTaskStore } = require('../../storage');
+const { closeDatabase } = require('../../storage/database');
+
+// Both adapters have to answer every filter, sort and page the same way - the service can't tell them apart
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-store-'));
+afterAll(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const WORKSPACE = 'workspace-1';
+const OTHER_WORKSPACE = 'workspace-2';
+
+const at = (day, time = '12:00') => new Date(`2024-03-${day}T${time}:00.000Z`);
+
+// Inserted in this order - unsorted results come back the same way
+const FIXTURES = [
+  { id: 'a', title: 'Write docs', status: 'todo', priority: 'low', tags: ['docs'], dueDate: at('10', '00:00'), rank: 3, createdAt: at('01') },
+  { id: 'b', title: 'Fix login', status: 'in_progress', statusCategory: 'active', priority: 'high', tags: ['bug', 'auth'], assignees: ['u1'], dueDate: at('05', '00:00'), dueTime: '09:00', rank: 1, createdAt: at('02') },
+  { id: 'c', title: 'ship release', status: 'completed', statusCategory: 'done', priority: 'medium', description: 'Cut the 50% build', rank: 2, createdAt: at('03'), completedAt: at('04') },
+  { id: 'd', title: 'Audit logs', status: 'todo', priority: 'high', parentId: 'a', blockedBy: ['b'], assignees: ['u1', 'u2'], startDate: at('02', '00:00'), dueDate: at('08', '00:00'), rank: 4, createdAt: at('04') },
+  { id: 'e', title: 'Old task', status: 'todo', priority: 'medium', tags: ['docs'], rank: 5, createdAt: at('05'), archivedAt: at('06'), archivedBy: 'u1' },
+  { id: 'f', title: 'Binned task', status: 'todo', priority: 'low', tags: ['docs'], rank: 6, createdAt: at('06'), deletedAt: at('07'), deletedBy: 'u1' },
+  { id: 'g', title: 'Elsewhere', status: 'todo', priority: 'high', workspaceId: OTHER_WORKSPACE, rank: 1, createdAt: at('07') }
+];
+
+const build = (data) => new Task({ workspaceId: WORKSPACE, createdBy: 'u1', updatedAt: data.createdAt, ...data });
+
+const seed = (store) => {
+  FIXTURES.forEach(data => store.insert(build(data)));
+  return store;
+};
+
+const ids = (result) => result.tasks.map(task => task.id);
+
+const adapters = [
+  ['memory', () => new MemoryTaskStore()],
+  ['sqlite', (file = 'tasks.db') => {
+    const store = new SqliteTaskStore(path.join(tempDir, file));
+    store.prepare();
+    return store;
+  }]
+];
+
+describe.each(adapters)('%s task store', (name, createStore) => {
+  let store;
+
+  beforeAll(() => {
+    store = seed(createStore());
+  });
+
+  afterAll(() => {
+    if (name === 'sqlite') closeDatabase(path.join(tempDir, 'tasks.db'));
+  });
+
+  describe('filters', () => {
+    test.each([
+      ['nothing - leaves the trash out', {}, ['a', 'b', 'c', 'd', 'e', 'g']],
+      ['workspace', { workspaceId: WORKSPACE }, ['a', 'b', 'c', 'd', 'e']],
+      ['trashed only', { trashed: true }, ['f']],
+      ['trashed before', { trashed: true, trashedBefore: at('07') }, []],
+      ['trashed from', { trashed: true, trashedFrom: at('07') }, ['f']],
+      ['trashed from, after it was', { trashed: true, trashedFrom: at('08') }, []],
+      ['created before', { createdBefore: at('03') }, ['a', 'b']],
+      ['archived only', { archived: true }, ['e']],
+      ['archived left out', { workspaceId: WORKSPACE, archived: false }, ['a', 'b', 'c', 'd']],
+      ['status', { status: 'todo', workspaceId: WORKSPACE }, ['a', 'd', 'e']],
+      ['status category', { statusCategory: 'done' }, ['c']],
+      ['priority', { priority: 'high' }, ['b', 'd', 'g']],
+      ['parent', { parentId: 'a' }, ['d']],
+      ['blocked by', { blockedBy: 'b' }, ['d']],
+      ['assignee', { assignee: 'u2' }, ['d']],
+      ['unassigned', { unassigned: true, workspaceId: WORKSPACE }, ['a', 'c', 'e']],
+      ['any of the tags', { tags: ['auth', 'docs'] }, ['a', 'b', 'e']],
+      ['search - title, case-insensitive', { search: 'SHIP' }, ['c']],
+      ['search - tags', { search: 'bug' }, ['b']],
+      ['search - LIKE wildcards are literal', { search: '50%' }, ['c']],
+      ['due from', { dueFrom: at('08', '00:00') }, ['a', 'd']],
+      ['due before', { dueBefore: at('08', '00:00') }, ['b']],
+      ['start before - or due, without a start date', { startBefore: at('06', '00:00') }, ['b', 'd']],
+      ['completed in a range', { completedFrom: at('04'), completedBefore: at('05') }, ['c']],
+      ['completed before', { completedBefore: at('04') }, []],
+      ['rank after', { workspaceId: WORKSPACE, rankAfter: 3 }, ['d', 'e']],
+      ['overdue on a wall clock', { overdue: { date: '2024-03-08', time: '10:00' } }, ['b']],
+      ['due today, not yet late', { dueToday: { date: '2024-03-05', time: '08:00' } }, ['b']],
+      ['due today, late by the due time', { dueToday: { date: '2024-03-05', time: '10:00' } }, []],
+      ['several at once', { workspaceId: WORKSPACE, priority: 'high', assignee: 'u1', status: 'todo' }, ['d']]
+    ])('%s', (label, filters, expected) => {
+      expect(ids(store.find(filters))).toEqual(expected);
+    });
+  });
+
+  describe('sorting', () => {
+    const scope = { workspaceId: WORKSPACE, archived: false };
+
+    test.each([
+      ['title, ignoring case', { sortBy: 'title' }, ['d', 'b', 'c', 'a']],
+      ['priority, highest first', { sortBy: 'priority', sortOrder: 'desc' }, ['b', 'd', 'c', 'a']],
+      ['due date, undated last', { sortBy: 'dueDate' }, ['b', 'd', 'a', 'c']],
+      ['created, newest first', { sortBy: 'createdAt', sortOrder: 'desc' }, ['d', 'c', 'b', 'a']],
+      ['rank', { sortBy: 'rank' }, ['b', 'c', 'a', 'd']]
+    ])('%s', (label, sort, expected) => {
+      expect(ids(store.find({ ...scope, ...sort }))).toEqual(expected);
+    });
+
+    test('ties keep insertion order', () => {
+      expect(ids(store.find({ workspaceId: WORKSPACE, priority: 'high', sortBy: 'priority' }))).toEqual(['b', 'd']);
+    });
+  });
+
+  describe('paging', () => {
+    const filters = { workspaceId: WORKSPACE, sortBy: 'rank' };
+
+    test('pages through in order, with the total of every match', () => {
+      expect(store.find(filters, { page: 1, limit: 2 })).toMatchObject({ total: 5 });
+      expect(ids(store.find(filters, { page: 1, limit: 2 }))).toEqual(['b', 'c']);
+      expect(ids(store.find(filters, { page: 2, limit: 2 }))).toEqual(['a', 'd']);
+      expect(ids(store.find(filters, { page: 3, limit: 2 }))).toEqual(['e']);
+      expect(ids(store.find(filters, { page: 4, limit: 2 }))).toEqual([]);
+    });
+
+    test('a null limit returns everything', () => {
+      expect(ids(store.find(filters, { page: 1, limit: null }))).toEqual(['b', 'c', 'a', 'd', 'e']);
+    });
+  });
+
+  describe('round trip', () => {
+    test('a task comes back exactly as it went in', () => {
+      expect(store.findById('d').toJSON()).toEqual(build(FIXTURES[3]).toJSON());
+    });
+  });
+
+  describe('aggregates', () => {
+    test('counts by status leave the trash out', () => {
+      expect(store.countByStatus({ workspaceId: WORKSPACE })).toEqual({ todo: 3, in_progress: 1, completed: 1 });
+    });
+
+    test('tag counts, most used first', () => {
+      const tags = store.countTags({ workspaceId: WORKSPACE });
+      expect(tags[0]).toEqual({ tag: 'docs', count: 2 });
+      expect(tags.slice(1).sort((a, b) => a.tag.localeCompare(b.tag))).toEqual([
+        { tag: 'auth', count: 1 },
+        { tag: 'bug', count: 1 }
+      ]);
+    });
+
+    test('board columns skip archived and trashed tasks', () => {
+      expect(store.findRanks(WORKSPACE, 'todo')).toEqual([{ id: 'a', rank: 3 }, { id: 'd', rank: 4 }]);
+    });
+  });
+});
+
+// The same due state three ways - DueDate.dueState for badges, the memory store's filters, and the SQL
+// clauses the SQLite store counts and filters with. They all read a wall clock, so what's overdue at
+// a given local time is the same in every zone; what has to hold up is getting that wall clock right.
+describe('due states', () => {
+  const DUE = [
+    { id: 'before', dueDate: '2024-03-09' },
+    { id: 'all-day', dueDate: '2024-03-10' },
+    { id: 'midnight', dueDate: '2024-03-10', dueTime: '00:00' },
+    { id: 'morning', dueDate: '2024-03-10', dueTime: '09:30' },
+    { id: 'last-minute', dueDate: '2024-03-10', dueTime: '23:59' },
+    { id: 'after', dueDate: '2024-03-11' },
+    { id: 'done', dueDate: '2024-03-09', status: 'completed', statusCategory: 'done' },
+    { id: 'undated' }
+  ].map((data, index) => build({
+    title: data.id,
+    status: 'todo',
+    rank: index + 1,
+    createdAt: at('01'),
+    ...data,
+    dueDate: data.dueDate ? new Date(`${data.dueDate}T00:00:00.000Z`) : null
+  }));
+
+  // Local wall time -> what each task is. A due time is late from the minute after it.
+  const MOMENTS = [
+    ['2024-03-09', '23:59', [], ['before']],
+    ['2024-03-10', '00:00', ['before'], ['all-day', 'midnight', 'morning', 'last-minute']],
+    ['2024-03-10', '00:01', ['before', 'midnight'], ['all-day', 'morning', 'last-minute']],
+    ['2024-03-10', '09:30', ['before', 'midnight'], ['all-day', 'morning', 'last-minute']],
+    ['2024-03-10', '09:31', ['before', 'midnight', 'morning'], ['all-day', 'last-minute']],
+    ['2024-03-10', '23:59', ['before', 'midnight', 'morning'], ['all-day', 'last-minute']],
+    ['2024-03-11', '00:00', ['before', 'all-day', 'midnight', 'morning', 'last-minute'], ['after']]
+  ];
+
+  // Los Angeles springs forward the morning of the 10th, St. John's is half an hour off, Kiritimati a day ahead of most
+  const ZONES = ['UTC', 'Asia/Tokyo', 'America/Los_Angeles', 'America/St_Johns', 'Pacific/Kiritimati'];
+
+  // The instant a zone's clocks read `date time` - guess it as UTC, then correct by what the zone reads
+  const instantIn = (timezone, date, time) => {
+    const wanted = Date.parse(`${date}T${time}:00.000Z`);
+    let instant = wanted;
+    for (let pass = 0; pass < 2; pass++) {
+      const clock = DueDate.wallClock(timezone, new Date(instant));
+      instant += wanted - Date.parse(`${clock.date}T${clock.time}:00.000Z`);
+    }
+    return new Date(instant);
+  };
+
+  const cases = ZONES.flatMap(timezone => MOMENTS.map(([date, time, overdue, today]) => [timezone, date, time, overdue, today]));
+
+  describe.each(adapters)('%s task store', (name, createStore) => {
+    let store;
+
+    beforeAll(() => {
+      store = createStore('due.db');
+      DUE.forEach(task => store.insert(task));
+    });
+
+    afterAll(() => {
+      if (name === 'sqlite') closeDatabase(path.join(tempDir, 'due.db'));
+    });
+
+    test.each(cases)('in %s at %s %s', (timezone, date, time, overdue, today) => {
+      const clock = DueDate.wallClock(timezone, instantIn(timezone, date, time));
+      const sorted = (list) => [...list].sort();
+
+      expect(clock).toEqual({ date, time });
+
+      const states = Object.fromEntries(DUE.map(task => [task.id, DueDate.dueState(task, clock)]));
+      expect(sorted(DUE.filter(task => states[task.id] === 'overdue').map(task => task.id))).toEqual(sorted(overdue));
+      expect(sorted(DUE.filter(task => states[task.id] === 'today').map(task => task.id))).toEqual(sorted(today));
+
+      expect(sorted(ids(store.find({ overdue: clock }, { limit: null })))).toEqual(sorted(overdue));
+      expect(sorted(ids(store.find({ dueToday: clock }, { limit: null })))).toEqual(sorted(today));
+      expect(store.getStats(clock, { workspaceId: WORKSPACE })).toMatchObject({ overdue: overdue.length, dueToday: today.length });
+    });
+  });
+});
@@ -12,46 +12,90 @@ import TaskList from './components/TaskList';
 import TaskForm from './components/TaskForm';
 import TaskDetail from './components/TaskDetail';
 import Statistics from './components/Statistics';
+import Calendar from './components/Calendar';
+import Timeline from './components/Timeline';
+import Trash from './components/Trash';
+import Archive from './components/Archive';
+
+import Login from './components/Login';
+import RequireAuth from './components/RequireAuth';
 
 // Import context - because apparently we need to share state
 import { TaskProvider } from './context/TaskContext';
+import { AuthProvider } from './context/AuthContext';
+import { WorkspaceProvider } from './context/WorkspaceContext';
+
+// Everything behind the login screen - because apparently tasks aren't for strangers
+// Tasks belong to a workspace, so the workspace has to be known before any task is fetched
+const AuthenticatedApp = () => (
+  <WorkspaceProvider>
+    <TaskProvider>
+      {/* Header component - because apparently we need navigation */}
+      <Header />
+      
+      {/* Main content area - because apparently we need to show something */}
+      <main className="main-content">
+        <Routes>
+          {/* Dashboard route - because apparently we need a home page */}
+          <Route path="/" element={<MinimalDashboard />} />
+          
+          {/* Alternative dashboard route */}
+          <Route path="/dashboard" element={<Dashboard />} />
+          
+          {/* Kanban board route - because apparently we need a visual workflow */}
+          <Route path="/kanban" element={<KanbanBoard />} />
+          
+          {/* Calendar route - because apparently deadlines live on days */}
+          <Route path="/calendar" element={<Calendar />} />
+          
+          {/* Timeline route - because apparently work takes longer than a day */}
+          <Route path="/timeline" element={<Timeline />} />
+          
+          {/* Task list route - because apparently we need to see all tasks */}
+          <Route path="/tasks" element={<TaskList />} />
+          
+          {/* Task creation route - because apparently we need to add things */}
+          <Route path="/tasks/new" element={<TaskForm />} />
+          
+          {/* Task editing route - because apparently we need to change things */}
+          <Route path="/tasks/:id/edit" element={<TaskForm />} />
+          
+          {/* Task detail route - because apparently we need to see specific things */}
+          <Route path="/tasks/:id" element={<TaskDetail />} />
+          
+          {/* Statistics route - because apparently we need to see how we're doing */}
+          <Route path="/statistics" element={<Statistics />} />
+          
+          {/* Archive route - because apparently "done" shouldn't mean "in the way forever" */}
+          <Route path="/archive" element={<Archive />} />
+          
+          {/* Trash route - because apparently "delete" deserves a second chance */}
+          <Route path="/trash" element={<Trash />} />
+        </Routes>
+      </main>
+    </TaskProvider>
+  </WorkspaceProvider>
+);
 
 function App() {
   return (
-    <TaskProvider>
-      <Router>
+    <Router>
+      <AuthProvider>
         <div className="App">
-          {/* Header component - because apparently we need navigation */}
-          <Header />
-          
-          {/* Main content area - because apparently we need to show something */}
-          <main className="main-content">
-            <Routes>
-              {/* Dashboard route - because apparently we need a home page */}
-              <Route path="/" element={<MinimalDashboard />} />
-              
-              {/* Alternative dashboard route */}
-              <Route path="/dashboard" element={<Dashboard />} />
-              
-              {/* Kanban board route - because apparently we need a visual workflow */}
-              <Route path="/kanban" element={<KanbanBoard />} />
-              
-              {/* Task list route - because apparently we need to see all tasks */}
-              <Route path="/tasks" element={<TaskList />} />
-              
-              {/* Task creation route - because apparently we need to add things */}
-              <Route path="/tasks/new" element={<TaskForm />} />
-              
-              {/* Task editing route - because apparently we need to change things */}
-              <Route path="/tasks/:id/edit" element={<TaskForm />} />
-              
-              {/* Task detail route - because apparently we need to see specific things */}
-              <Route path="/tasks/:id" element={<TaskDetail />} />
-              
-              {/* Statistics route - because apparently we need to see how we're doing */}
-              <Route path="/statistics" element={<Statistics />} />
-            </Routes>
-          </main>
+          <Routes>
+            {/* Login route - the only page you can see without a session */}
+            <Route path="/login" element={<Login />} />
+            
+            {/* Everything else needs a logged-in user */}
+            <Route
+              path="/*"
+              element={
+                <RequireAuth>
+                  <AuthenticatedApp />
+                </RequireAuth>
+              }
+            />
+          </Routes>
           
           {/* Toast notifications - because apparently we need to know when things happen */}
           <Toaster
@@ -79,8 +123,8 @@ function App() {
             }}
           />
         </div>
-      </Router>
-    </TaskProvider>
+      </AuthProvider>
+    </Router>
   );
 }
 
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { useTaskContext } from '../context/TaskContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import './Archive.css';
+
+// Archive page - tasks put away out of the lists and off the board, most recently archived first.
+// They still count in the stats; unarchiving puts one back where it was.
+const Archive = () => {
+  const { getArchive, unarchiveTask } = useTaskContext();
+  const { workspaceId } = useAuth();
+  const { can, getStatus } = useWorkspace();
+
+  const [archive, setArchive] = useState({ tasks: [], pagination: { page: 1, totalPages: 0, total: 0 } });
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadArchive = useCallback(async (pageToLoad, searchFor) => {
+    try {
+      setLoading(true);
+      setArchive(await getArchive(pageToLoad, searchFor));
+    } catch (error) {
+      console.error('Error loading archive:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [getArchive]);
+
+  useEffect(() => {
+    loadArchive(page, query);
+  }, [loadArchive, page, query, workspaceId]);
+
+  // Search once typing stops - because apparently one request per keystroke is a lot
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [search]);
+
+  const handleUnarchive = async (task) => {
+    try {
+      setBusyId(task.id);
+      await unarchiveTask(task.id);
+      // The last one on a page - step back so we don't land on an empty one
+      if (archive.tasks.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        await loadArchive(page, query);
+      }
+    } catch (error) {
+      console.error('Error unarchiving task:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="archive-page">
+      <motion.div
+        className="archive-header"
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.4 }}
+      >
+        <div>
+          <h1>Archive</h1>
+          <p className="archive-hint">
+            Archived tasks are left out of the lists and the board, but still count in the statistics.
+            Finished tasks are archived automatically after a while.
+          </p>
+        </div>
+        <input
+          type="text"
+          className="archive-search"
+          placeholder="Search the archive..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      </motion.div>
+
+      {loading && archive.tasks.length === 0 ? (
+        <p className="archive-empty">Loading...</p>
+      ) : archive.tasks.length === 0 ? (
+        <p className="archive-empty">
+          {query ? 'Nothing archived matches that search' : 'Nothing archived yet - because apparently everything is still in play'}
+        </p>
+      ) : (
+        <ul className="archive-list">
+          {archive.tasks.map(task => (
+            <li key={task.id} className="archive-item">
+              <div className="archive-item-main">
+                <Link to={`/tasks/${task.id}`} className="archive-item-title">{task.title}</Link>
+                <span className="archive-item-meta">
+                  <span className={`archive-status category-${task.statusCategory}`}>{getStatus(task.status).name}</span>
+                  Archived {new Date(task.archivedAt).toLocaleDateString()}
+                  {task.archivedBy === 'system' && ' automatically'}
+                </span>
+              </div>
+              {can('task:update') && (
+                <button className="btn btn-secondary" onClick={() => handleUnarchive(task)} disabled={busyId !== null}>
+                  {busyId === task.id ? 'Working...' : 'Unarchive'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {archive.pagination.totalPages > 1 && (
+        <div className="archive-pagination">
+          <button className="btn btn-secondary" onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>
+            Previous
+          </button>
+          <span>Page {page} of {archive.pagination.totalPages}</span>
+          <button className="btn btn-secondary" onClick={() => setPage(page + 1)} disabled={page >= archive.pagination.totalPages || loading}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Archive;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { useWorkspace } from '../context/WorkspaceContext';
+import './AssigneeAvatars.css';
+
+// Initials for an avatar - "Ada Lovelace" becomes "AL", because apparently we don't do profile photos
+const getInitials = (name) => (
+  (name || '?')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part.charAt(0).toUpperCase())
+    .join('')
+);
+
+// Same person, same colour, on every card
+const AVATAR_COLORS = ['#3498db', '#9b59b6', '#e67e22', '#1abc9c', '#e74c3c', '#2ecc71', '#34495e', '#f39c12'];
+const getAvatarColor = (userId) => {
+  const hash = Array.from(userId || '').reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+};
+
+// A row of assignee avatars - shows the first few and a "+N" for the rest
+const AssigneeAvatars = ({ assignees = [], max = 3, size = 'small' }) => {
+  const { getMember } = useWorkspace();
+
+  if (assignees.length === 0) {
+    return null;
+  }
+
+  const shown = assignees.slice(0, max);
+  const hidden = assignees.length - shown.length;
+
+  return (
+    <div className={`assignee-avatars ${size}`}>
+      {shown.map(userId => {
+        const member = getMember(userId);
+        const name = member ? member.name : 'Former member';
+        return (
+          <span
+            key={userId}
+            className="assignee-avatar"
+            style={{ backgroundColor: getAvatarColor(userId) }}
+            title={name}
+          >
+            {getInitials(name)}
+          </span>
+        );
+      })}
+      {hidden > 0 && (
+        <span className="assignee-avatar more" title={`${hidden} more`}>
+          +{hidden}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default AssigneeAvatars;
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { DragDropContext, Draggable } from 'react-beautiful-dnd';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { useTaskContext } from '../context/TaskContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import StrictModeDroppable from './StrictModeDroppable';
+import './Calendar.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// How far ahead the agenda looks
+const AGENDA_DAYS = 30;
+
+const VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'agenda', label: 'Agenda' }
+];
+
+// Due dates are stored as UTC midnight of the day picked, so calendar days are UTC days too -
+// "2024-03-05" is the key for everything due on March 5th, wherever the browser happens to be
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const keyToDate = (key) => new Date(`${key}T00:00:00.000Z`);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// The days a view shows around the cursor - six whole weeks for a month, one week, or the agenda's stretch
+const visibleDays = (view, cursor) => {
+  let start = cursor;
+  let count = AGENDA_DAYS;
+
+  if (view === 'month') {
+    const first = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth(), 1));
+    start = addDays(first, -first.getUTCDay());
+    count = 42;
+  } else if (view === 'week') {
+    start = addDays(cursor, -cursor.getUTCDay());
+    count = 7;
+  }
+
+  return Array.from({ length: count }, (_, index) => addDays(start, index));
+};
+
+// Move the cursor by one view's worth
+const stepCursor = (view, cursor, direction) => {
+  if (view === 'month') {
+    return new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + direction, 1));
+  }
+  return addDays(cursor, direction * (view === 'week' ? 7 : AGENDA_DAYS));
+};
+
+const formatDay = (date, options) => date.toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+const Calendar = () => {
+  const { fetchAllTasks, updateTask } = useTaskContext();
+  // Today as it reads on the user's wall, in the time zone they picked
+  const { workspaceId, dueState, todayKey } = useAuth();
+  const { can, getStatus } = useWorkspace();
+  const navigate = useNavigate();
+
+  const [view, setView] = useState('month');
+  // Any day inside the period on screen - UTC midnight, like the keys
+  const [cursor, setCursor] = useState(() => keyToDate(todayKey()));
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const days = useMemo(() => visibleDays(view, cursor), [view, cursor]);
+  const rangeStart = dayKey(days[0]);
+  const rangeEnd = dayKey(addDays(days[days.length - 1], 1));
+  const today = todayKey();
+
+  // Everything due in the visible range - again whenever the range or the workspace changes
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    fetchAllTasks({
+      dueFrom: keyToDate(rangeStart).toISOString(),
+      dueBefore: keyToDate(rangeEnd).toISOString(),
+      sortBy: 'dueDate',
+      sortOrder: 'asc'
+    })
+      .then(dueTasks => {
+        if (!cancelled) setTasks(dueTasks);
+      })
+      .catch(error => {
+        console.error('Error loading calendar:', error);
+        if (!cancelled) toast.error('Failed to load the calendar');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchAllTasks, rangeStart, rangeEnd, workspaceId]);
+
+  // Tasks by the day they're due
+  const tasksByDay = useMemo(() => {
+    const grouped = {};
+    tasks.forEach(task => {
+      const key = task.dueDate.slice(0, 10);
+      if (!grouped[key]) grouped[key] = [];
+      grouped[key].push(task);
+    });
+    return grouped;
+  }, [tasks]);
+
+  // Drop a task on another day - it moves there locally straight away, keeping its time of day.
+  // A start date moves along by as many days, so the task keeps its length.
+  const handleDragEnd = useCallback(async (result) => {
+    const { source, destination, draggableId } = result;
+    if (!destination || destination.droppableId === source.droppableId) {
+      return;
+    }
+
+    const task = tasks.find(candidate => candidate.id === draggableId);
+    const changes = { dueDate: `${destination.droppableId}${task.dueDate.slice(10)}` };
+    if (task.startDate) {
+      const shift = keyToDate(destination.droppableId) - keyToDate(source.droppableId);
+      changes.startDate = new Date(new Date(task.startDate).getTime() + shift).toISOString();
+    }
+    const previousTasks = tasks;
+    setTasks(prev => prev.map(candidate => (candidate.id === task.id ? { ...candidate, ...changes } : candidate)));
+
+    try {
+      const savedTask = await updateTask(task.id, changes);
+      setTasks(prev => prev.map(candidate => (candidate.id === savedTask.id ? savedTask : candidate)));
+    } catch (error) {
+      // Back to the day the server still has
+      console.error('Error rescheduling task:', error);
+      setTasks(previousTasks);
+    }
+  }, [tasks, updateTask]);
+
+  // Clicking a day (not one of its tasks) starts a new task due that day - not for days already gone
+  const handleDayClick = useCallback((key) => {
+    if (!can('task:create') || key < today) return;
+    navigate(`/tasks/new?dueDate=${key}`, { state: { from: '/calendar' } });
+  }, [can, navigate, today]);
+
+  const isOverdue = (task) => dueState(task) === 'overdue';
+
+  const renderTask = (task, index, detailed = false) => (
+    <Draggable key={task.id} draggableId={task.id} index={index} isDragDisabled={!can('task:update')}>
+      {(dragProvided, dragSnapshot) => (
+        <div
+          ref={dragProvided.innerRef}
+          {...dragProvided.draggableProps}
+          {...dragProvided.dragHandleProps}
+          className={`calendar-task priority-${task.priority} ${task.statusCategory === 'done' ? 'done' : ''} ${isOverdue(task) ? 'overdue' : ''} ${dragSnapshot.isDragging ? 'dragging' : ''}`}
+          title={task.title}
+          onClick={(event) => {
+            event.stopPropagation();
+            navigate(`/tasks/${task.id}`);
+          }}
+        >
+          <span className="calendar-task-title">{task.dueTime && <strong>{task.dueTime} </strong>}{task.title}</span>
+          {detailed && (
+            <span className="calendar-task-status">{getStatus(task.status).name}</span>
+          )}
+        </div>
+      )}
+    </Draggable>
+  );
+
+  // One day as a drop target - the month grid and the week row both use it
+  const renderDay = (date, detailed) => {
+    const key = dayKey(date);
+    const dayTasks = tasksByDay[key] || [];
+    const outsideMonth = view === 'month' && date.getUTCMonth() !== cursor.getUTCMonth();
+
+    return (
+      <StrictModeDroppable key={key} droppableId={key}>
+        {(dropProvided, dropSnapshot) => (
+          <div
+            ref={dropProvided.innerRef}
+            {...dropProvided.droppableProps}
+            className={`calendar-day ${key === today ? 'today' : ''} ${key < today ? 'past' : ''} ${outsideMonth ? 'outside-month' : ''} ${dropSnapshot.isDraggingOver ? 'dragging-over' : ''}`}
+            onClick={() => handleDayClick(key)}
+          >
+            <div className="calendar-day-number">
+              {detailed ? formatDay(date, { weekday: 'short', day: 'numeric' }) : date.getUTCDate()}
+            </div>
+            {dayTasks.map((task, index) => renderTask(task, index, detailed))}
+            {dropProvided.placeholder}
+          </div>
+        )}
+      </StrictModeDroppable>
+    );
+  };
+
+  const renderAgenda = () => {
+    const agendaDays = days.filter(date => tasksByDay[dayKey(date)]);
+    if (agendaDays.length === 0) {
+      return <p className="calendar-empty">Nothing due in these {AGENDA_DAYS} days</p>;
+    }
+
+    return (
+      <div className="calendar-agenda">
+        {agendaDays.map(date => {
+          const key = dayKey(date);
+          return (
+            <section key={key} className={`agenda-day ${key === today ? 'today' : ''}`}>
+              <h3>{formatDay(date, { weekday: 'long', month: 'long', day: 'numeric' })}</h3>
+              <ul>
+                {tasksByDay[key].map(task => (
+                  <li
+                    key={task.id}
+                    className={`agenda-task priority-${task.priority} ${task.statusCategory === 'done' ? 'done' : ''} ${isOverdue(task) ? 'overdue' : ''}`}
+                    onClick={() => navigate(`/tasks/${task.id}`)}
+                  >
+                    <span className="calendar-task-title">{task.title}</span>
+                    <span className="calendar-task-status">{getStatus(task.status).name}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // What the toolbar calls the period on screen
+  let periodTitle = formatDay(cursor, { month: 'long', year: 'numeric' });
+  if (view !== 'month') {
+    const last = days[days.length - 1];
+    periodTitle = `${formatDay(days[0], { month: 'short', day: 'numeric' })} - ${formatDay(last, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+
+  return (
+    <div className="calendar-page">
+      <motion.div
+        className="calendar-header"
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.4 }}
+      >
+        <h1>Calendar</h1>
+        <div className="calendar-toolbar">
+          <div className="calendar-nav">
+            <button type="button" onClick={() => setCursor(stepCursor(view, cursor, -1))} title="Previous">‹</button>
+            <button type="button" onClick={() => setCursor(keyToDate(todayKey()))}>Today</button>
+            <button type="button" onClick={() => setCursor(stepCursor(view, cursor, 1))} title="Next">›</button>
+          </div>
+          <h2 className="calendar-period">{periodTitle}</h2>
+          <div className="calendar-views">
+            {VIEWS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                className={view === option.value ? 'active' : ''}
+                onClick={() => setView(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="calendar-hint">
+          Drag a task to another day to reschedule it{can('task:create') && ' - click an empty spot on a day to add one'}
+          {loading && <span className="calendar-loading"> · Loading...</span>}
+        </p>
+      </motion.div>
+
+      {view === 'agenda' ? renderAgenda() : (
+        <DragDropContext onDragEnd={handleDragEnd}>
+          <div className={`calendar-grid ${view}`}>
+            {WEEKDAYS.map(weekday => (
+              <div key={weekday} className="calendar-weekday">{weekday}</div>
+            ))}
+            {days.map(date => renderDay(date, view === 'week'))}
+          </div>
+        </DragDropContext>
+      )}
+    </div>
+  );
+};
+
+export default Calendar;
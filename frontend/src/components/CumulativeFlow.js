@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import './CumulativeFlow.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where the chart draws - the SVG scales to its container, these are just the coordinates inside
+const CHART = { width: 640, height: 300, left: 40, right: 16, top: 16, bottom: 32 };
+
+// Shades per category - the first status of a category gets the first shade, and so on
+const CATEGORY_SHADES = {
+  not_started: ['#3b82f6', '#60a5fa', '#93c5fd', '#1d4ed8'],
+  active: ['#f59e0b', '#fbbf24', '#fcd34d', '#b45309'],
+  done: ['#10b981', '#34d399', '#6ee7b7', '#047857']
+};
+
+// A 'YYYY-MM-DD' day moved by a number of days
+const shiftDay = (day, days) => new Date(new Date(`${day}T00:00:00.000Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const formatDay = (day) => new Date(`${day}T00:00:00.000Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+// Cumulative flow diagram - how many tasks sat in each status at the end of every day, stacked so
+// done is at the bottom. Bands that widen are where work piles up.
+const CumulativeFlow = () => {
+  const { authRequest, todayKey } = useAuth();
+  const [range, setRange] = useState(() => ({ from: shiftDay(todayKey(), -29), to: todayKey() }));
+  const [flow, setFlow] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadFlow = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await authRequest({ method: 'GET', url: '/api/stats/cumulative-flow', params: range });
+      setFlow(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the cumulative flow');
+    }
+  }, [authRequest, range]);
+
+  useEffect(() => {
+    loadFlow();
+  }, [loadFlow]);
+
+  const handleRangeChange = (field, value) => {
+    if (value) setRange(previous => ({ ...previous, [field]: value }));
+  };
+
+  // One band per status, last status of the workflow at the bottom
+  const chart = useMemo(() => {
+    if (!flow) return null;
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const maxTotal = Math.max(...flow.days.map(day => Object.values(day.counts).reduce((sum, count) => sum + count, 0)), 1);
+    const x = (index) => CHART.left + (flow.days.length === 1 ? plotWidth / 2 : (index / (flow.days.length - 1)) * plotWidth);
+    const y = (value) => CHART.top + plotHeight - (value / maxTotal) * plotHeight;
+
+    const shadeIndex = {};
+    const below = flow.days.map(() => 0);
+    const bands = [...flow.statuses].reverse().map(status => {
+      const shades = CATEGORY_SHADES[status.category] || CATEGORY_SHADES.active;
+      shadeIndex[status.category] = (shadeIndex[status.category] || 0) + 1;
+      const bottom = [...below];
+      const top = flow.days.map((day, index) => {
+        below[index] += day.counts[status.key] || 0;
+        return below[index];
+      });
+      const upper = top.map((value, index) => `${x(index)},${y(value)}`);
+      const lower = bottom.map((value, index) => `${x(index)},${y(value)}`).reverse();
+
+      return {
+        status,
+        color: shades[(shadeIndex[status.category] - 1) % shades.length],
+        points: [...upper, ...lower].join(' ')
+      };
+    });
+
+    return { bands, maxTotal, x, slot: plotWidth / flow.days.length };
+  }, [flow]);
+
+  const plotBottom = CHART.height - CHART.bottom;
+
+  return (
+    <div className="cumulative-flow">
+      <div className="cumulative-flow-header">
+        <h2>Cumulative Flow</h2>
+        <div className="cumulative-flow-range">
+          <label>
+            From
+            <input type="date" value={range.from} max={range.to} onChange={(e) => handleRangeChange('from', e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={range.to} min={range.from} onChange={(e) => handleRangeChange('to', e.target.value)} />
+          </label>
+        </div>
+      </div>
+
+      {error && <p className="cumulative-flow-error">{error}</p>}
+
+      {chart && (
+        <>
+          <svg className="cumulative-flow-chart" viewBox={`0 0 ${CHART.width} ${CHART.height}`} role="img" aria-label="Cumulative flow diagram">
+            {chart.bands.map(band => (
+              <polygon key={band.status.key} className="cumulative-flow-band" points={band.points} fill={band.color}>
+                <title>{band.status.name}</title>
+              </polygon>
+            ))}
+            <line className="cumulative-flow-axis" x1={CHART.left} y1={plotBottom} x2={CHART.width - CHART.right} y2={plotBottom} />
+            <line className="cumulative-flow-axis" x1={CHART.left} y1={CHART.top} x2={CHART.left} y2={plotBottom} />
+            <text className="cumulative-flow-tick" x={CHART.left - 6} y={CHART.top + 4} textAnchor="end">{chart.maxTotal}</text>
+            <text className="cumulative-flow-tick" x={CHART.left - 6} y={plotBottom} textAnchor="end">0</text>
+            <text className="cumulative-flow-tick" x={CHART.left} y={CHART.height - 8}>{formatDay(flow.from)}</text>
+            <text className="cumulative-flow-tick" x={CHART.width - CHART.right} y={CHART.height - 8} textAnchor="end">{formatDay(flow.to)}</text>
+            {/* Invisible columns, one per day - hovering one lists that day's counts */}
+            {flow.days.map((day, index) => (
+              <rect
+                key={day.date}
+                className="cumulative-flow-day"
+                x={chart.x(index) - chart.slot / 2}
+                y={CHART.top}
+                width={chart.slot}
+                height={plotBottom - CHART.top}
+              >
+                <title>
+                  {[formatDay(day.date), ...flow.statuses.map(status => `${status.name}: ${day.counts[status.key] || 0}`)].join('\n')}
+                </title>
+              </rect>
+            ))}
+          </svg>
+          <div className="cumulative-flow-legend">
+            {[...chart.bands].reverse().map(band => (
+              <span key={band.status.key}>
+                <span className="cumulative-flow-swatch" style={{ background: band.color }}></span>
+                {band.status.name}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CumulativeFlow;
@@ -1,11 +1,14 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useTaskContext } from '../context/TaskContext';
-import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
 import './Dashboard.css';
 
 const Dashboard = () => {
   const { loading } = useTaskContext();
+  const { authRequest, dueState, daysUntilDue } = useAuth();
+  const { can, getStatus } = useWorkspace();
   const [stats, setStats] = useState(null);
   const [recentTasks, setRecentTasks] = useState([]);
 
@@ -15,24 +18,24 @@ const Dashboard = () => {
       try {
         console.log('Fetching dashboard data...');
         // Fetch statistics - because apparently we need to know how we're doing
-        const statsResponse = await axios.get('/api/stats');
+        const statsResponse = await authRequest({ method: 'GET', url: '/api/stats' });
         console.log('Stats response:', statsResponse.data);
         setStats(statsResponse.data);
 
         // Fetch recent tasks - because apparently we need to see what's new
-        const tasksResponse = await axios.get('/api/tasks?limit=5&sortBy=createdAt&sortOrder=desc');
+        const tasksResponse = await authRequest({ method: 'GET', url: '/api/tasks?limit=5&sortBy=createdAt&sortOrder=desc' });
         console.log('Tasks response:', tasksResponse.data);
         setRecentTasks(tasksResponse.data.tasks);
       } catch (error) {
         console.error('Error fetching dashboard data:', error);
         // Set default values if API fails
-        setStats({ total: 0, byStatus: { completed: 0, in_progress: 0, todo: 0 }, overdue: 0 });
+        setStats({ total: 0, byStatus: {}, byCategory: { not_started: 0, active: 0, done: 0 }, overdue: 0, dueToday: 0 });
         setRecentTasks([]);
       }
     };
 
     fetchDashboardData();
-  }, []);
+  }, [authRequest]);
 
   // Get priority color - because apparently we need visual indicators
   const getPriorityColor = (priority) => {
@@ -50,32 +53,31 @@ const Dashboard = () => {
 
   // Get status color - because apparently we need visual indicators
   const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
+    switch (getStatus(status).category) {
+      case 'done':
         return 'status-completed';
-      case 'in_progress':
+      case 'active':
         return 'status-in-progress';
-      case 'todo':
+      case 'not_started':
         return 'status-todo';
       default:
         return '';
     }
   };
 
-  // Format date - because apparently dates are hard to read
-  const formatDate = (dateString) => {
-    if (!dateString) return 'No due date';
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffTime = date - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  // Format date - because apparently dates are hard to read.
+  // Whole days on the user's own calendar - "due today" holds until the task is actually late
+  const formatDate = (task) => {
+    if (!task.dueDate) return 'No due date';
+    const diffDays = daysUntilDue(task);
+    const at = task.dueTime ? ` at ${task.dueTime}` : '';
 
     if (diffDays < 0) {
       return `Overdue by ${Math.abs(diffDays)} days`;
     } else if (diffDays === 0) {
-      return 'Due today';
+      return dueState(task) === 'overdue' ? `Overdue since ${task.dueTime}` : `Due today${at}`;
     } else if (diffDays === 1) {
-      return 'Due tomorrow';
+      return `Due tomorrow${at}`;
     } else {
       return `Due in ${diffDays} days`;
     }
@@ -114,7 +116,7 @@ const Dashboard = () => {
             <div className="stat-icon">✅</div>
             <div className="stat-content">
               <h3>Completed</h3>
-              <p className="stat-number">{stats.byStatus.completed}</p>
+              <p className="stat-number">{stats.byCategory.done}</p>
             </div>
           </div>
 
@@ -122,7 +124,15 @@ const Dashboard = () => {
             <div className="stat-icon">⏳</div>
             <div className="stat-content">
               <h3>In Progress</h3>
-              <p className="stat-number">{stats.byStatus.in_progress}</p>
+              <p className="stat-number">{stats.byCategory.active}</p>
+            </div>
+          </div>
+
+          <div className="stat-card">
+            <div className="stat-icon">⏰</div>
+            <div className="stat-content">
+              <h3>Due Today</h3>
+              <p className="stat-number">{stats.dueToday}</p>
             </div>
           </div>
 
@@ -140,10 +150,12 @@ const Dashboard = () => {
       <div className="quick-actions">
         <h2>Quick Actions</h2>
         <div className="action-buttons">
-          <Link to="/tasks/new" className="action-button primary" onClick={() => console.log('Create New Task clicked')}>
-            <span className="action-icon">➕</span>
-            Create New Task
-          </Link>
+          {can('task:create') && (
+            <Link to="/tasks/new" className="action-button primary" onClick={() => console.log('Create New Task clicked')}>
+              <span className="action-icon">➕</span>
+              Create New Task
+            </Link>
+          )}
           <Link to="/tasks" className="action-button secondary" onClick={() => console.log('View All Tasks clicked')}>
             <span className="action-icon">📝</span>
             View All Tasks
@@ -173,7 +185,7 @@ const Dashboard = () => {
                       {task.priority}
                     </span>
                     <span className={`status-badge ${getStatusColor(task.status)}`}>
-                      {task.status.replace('_', ' ')}
+                      {getStatus(task.status).name}
                     </span>
                   </div>
                 </div>
@@ -183,7 +195,7 @@ const Dashboard = () => {
                 )}
 
                 <div className="task-meta">
-                  <span className="due-date">{formatDate(task.dueDate)}</span>
+                  <span className="due-date">{formatDate(task)}</span>
                   {task.tags.length > 0 && (
                     <div className="task-tags">
                       {task.tags.slice(0, 3).map((tag, index) => (
@@ -202,9 +214,11 @@ const Dashboard = () => {
                   <Link to={`/tasks/${task.id}`} className="action-link">
                     View Details
                   </Link>
-                  <Link to={`/tasks/${task.id}/edit`} className="action-link">
-                    Edit
-                  </Link>
+                  {can('task:update') && (
+                    <Link to={`/tasks/${task.id}/edit`} className="action-link">
+                      Edit
+                    </Link>
+                  )}
                 </div>
               </div>
             ))}
@@ -212,9 +226,11 @@ const Dashboard = () => {
         ) : (
           <div className="no-tasks">
             <p>No tasks yet. Create your first task to get started!</p>
-            <Link to="/tasks/new" className="create-first-task">
-              Create Your First Task
-            </Link>
+            {can('task:create') && (
+              <Link to="/tasks/new" className="create-first-task">
+                Create Your First Task
+              </Link>
+            )}
           </div>
         )}
       </div>
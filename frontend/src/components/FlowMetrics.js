@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import './FlowMetrics.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where the charts draw - the SVGs scale to their container, these are just the coordinates inside
+const CHART = { width: 640, height: 260, left: 48, right: 16, top: 16, bottom: 32 };
+const MAX_BINS = 20;
+
+const PRIORITY_COLORS = { high: '#ef4444', medium: '#f59e0b', low: '#10b981' };
+
+const METRICS = {
+  leadTime: { label: 'Lead time', hint: 'created → completed' },
+  cycleTime: { label: 'Cycle time', hint: 'started → completed' }
+};
+
+// A 'YYYY-MM-DD' day moved by a number of days
+const shiftDay = (day, days) => new Date(new Date(`${day}T00:00:00.000Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+// "3.5d", "6h", "12m" - durations come in milliseconds
+const formatDuration = (ms) => {
+  if (ms === null) return '-';
+  const hours = ms / (60 * 60 * 1000);
+  if (hours >= 24) return `${(hours / 24).toFixed(1)}d`;
+  if (hours >= 1) return `${Math.round(hours)}h`;
+  return `${Math.round(ms / 60000)}m`;
+};
+
+// Flow metrics tab - how long work takes from ask to done (lead time) and from start to done (cycle time)
+const FlowMetrics = () => {
+  const { authRequest, todayKey } = useAuth();
+  const [range, setRange] = useState(() => ({ from: shiftDay(todayKey(), -89), to: todayKey() }));
+  const [metric, setMetric] = useState('cycleTime');
+  const [flow, setFlow] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // The range is whole days, both ends included - the API's `to` is exclusive, so ask for the day after
+  const loadFlow = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await authRequest({
+        method: 'GET',
+        url: '/api/stats/flow',
+        params: { from: range.from, to: shiftDay(range.to, 1) }
+      });
+      setFlow(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load flow metrics');
+    } finally {
+      setLoading(false);
+    }
+  }, [authRequest, range]);
+
+  useEffect(() => {
+    loadFlow();
+  }, [loadFlow]);
+
+  const handleRangeChange = (field, value) => {
+    if (value) setRange(previous => ({ ...previous, [field]: value }));
+  };
+
+  // Scatterplot: one dot per task, when it was completed against how long it took
+  const scatter = useMemo(() => {
+    if (!flow || flow.tasks.length === 0) return null;
+    const start = new Date(flow.from).getTime();
+    const span = new Date(flow.to).getTime() - start;
+    const maxValue = Math.max(...flow.tasks.map(task => task[metric]), 1);
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const x = (time) => CHART.left + ((time - start) / span) * plotWidth;
+    const y = (value) => CHART.top + plotHeight - (value / maxValue) * plotHeight;
+
+    return {
+      maxValue,
+      y,
+      points: flow.tasks.map(task => ({ task, cx: x(new Date(task.completedAt).getTime()), cy: y(task[metric]) }))
+    };
+  }, [flow, metric]);
+
+  // Histogram: how many tasks took 0-1 days, 1-2 days... - wider bins when the spread is too big for MAX_BINS
+  const histogram = useMemo(() => {
+    if (!flow || flow.tasks.length === 0) return null;
+    const days = flow.tasks.map(task => task[metric] / DAY_MS);
+    const binSize = Math.max(Math.ceil((Math.floor(Math.max(...days)) + 1) / MAX_BINS), 1);
+    const bins = Array.from({ length: Math.floor(Math.max(...days) / binSize) + 1 }, (_, index) => ({
+      from: index * binSize,
+      to: (index + 1) * binSize,
+      count: 0
+    }));
+    days.forEach(value => { bins[Math.floor(value / binSize)].count++; });
+    return { bins, maxCount: Math.max(...bins.map(bin => bin.count)) };
+  }, [flow, metric]);
+
+  const renderPercentiles = (values) => (
+    <>
+      <td>{formatDuration(values.p50)}</td>
+      <td>{formatDuration(values.p85)}</td>
+      <td>{formatDuration(values.p95)}</td>
+    </>
+  );
+
+  const plotBottom = CHART.height - CHART.bottom;
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+
+  return (
+    <div className="flow-metrics">
+      <div className="flow-toolbar">
+        <div className="flow-range">
+          <label>
+            From
+            <input type="date" value={range.from} max={range.to} onChange={(e) => handleRangeChange('from', e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={range.to} min={range.from} onChange={(e) => handleRangeChange('to', e.target.value)} />
+          </label>
+        </div>
+        <div className="flow-metric-toggle">
+          {Object.entries(METRICS).map(([key, { label, hint }]) => (
+            <button
+              key={key}
+              className={`flow-metric-button ${metric === key ? 'active' : ''}`}
+              onClick={() => setMetric(key)}
+              title={hint}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="flow-error">{error}</p>}
+
+      {loading && !flow ? (
+        <p className="flow-loading">Loading flow metrics...</p>
+      ) : flow && (
+        <>
+          {/* Headline numbers - half the work takes at most p50, nearly all of it at most p95 */}
+          <div className="flow-summary">
+            <div className="flow-summary-card">
+              <div className="flow-summary-value">{flow.count}</div>
+              <div className="flow-summary-label">Tasks completed</div>
+            </div>
+            {Object.entries(METRICS).map(([key, { label, hint }]) => (
+              <div key={key} className="flow-summary-card">
+                <div className="flow-summary-value">{formatDuration(flow[key].p85)}</div>
+                <div className="flow-summary-label">{label} (85th percentile)</div>
+                <div className="flow-summary-detail">
+                  p50 {formatDuration(flow[key].p50)} · p95 {formatDuration(flow[key].p95)} · {hint}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {flow.count === 0 ? (
+            <p className="no-data">No tasks were completed in this range</p>
+          ) : (
+            <>
+              <div className="stats-section">
+                <h2>{METRICS[metric].label} by completion date</h2>
+                <svg className="flow-chart" viewBox={`0 0 ${CHART.width} ${CHART.height}`} role="img" aria-label={`${METRICS[metric].label} scatterplot`}>
+                  <line className="flow-axis" x1={CHART.left} y1={plotBottom} x2={CHART.width - CHART.right} y2={plotBottom} />
+                  <line className="flow-axis" x1={CHART.left} y1={CHART.top} x2={CHART.left} y2={plotBottom} />
+                  <text className="flow-tick" x={CHART.left - 6} y={CHART.top + 4} textAnchor="end">{formatDuration(scatter.maxValue)}</text>
+                  <text className="flow-tick" x={CHART.left - 6} y={plotBottom} textAnchor="end">0</text>
+                  <text className="flow-tick" x={CHART.left} y={CHART.height - 8}>{range.from}</text>
+                  <text className="flow-tick" x={CHART.width - CHART.right} y={CHART.height - 8} textAnchor="end">{range.to}</text>
+                  {['p50', 'p85', 'p95'].map(percentile => (
+                    <g key={percentile}>
+                      <line
+                        className={`flow-percentile ${percentile}`}
+                        x1={CHART.left}
+                        y1={scatter.y(flow[metric][percentile])}
+                        x2={CHART.width - CHART.right}
+                        y2={scatter.y(flow[metric][percentile])}
+                      />
+                      <text className="flow-percentile-label" x={CHART.width - CHART.right} y={scatter.y(flow[metric][percentile]) - 3} textAnchor="end">
+                        {percentile}
+                      </text>
+                    </g>
+                  ))}
+                  {scatter.points.map(({ task, cx, cy }) => (
+                    <circle key={task.id} className="flow-dot" cx={cx} cy={cy} r={5} fill={PRIORITY_COLORS[task.priority]}>
+                      <title>{`${task.title} - ${formatDuration(task[metric])}, completed ${new Date(task.completedAt).toLocaleDateString()}`}</title>
+                    </circle>
+                  ))}
+                </svg>
+                <div className="flow-legend">
+                  {Object.entries(PRIORITY_COLORS).map(([priority, color]) => (
+                    <span key={priority}><span className="flow-legend-dot" style={{ background: color }}></span>{priority}</span>
+                  ))}
+                </div>
+              </div>
+
+              <div className="stats-section">
+                <h2>{METRICS[metric].label} distribution</h2>
+                <svg className="flow-chart" viewBox={`0 0 ${CHART.width} ${CHART.height}`} role="img" aria-label={`${METRICS[metric].label} histogram`}>
+                  <line className="flow-axis" x1={CHART.left} y1={plotBottom} x2={CHART.width - CHART.right} y2={plotBottom} />
+                  <text className="flow-tick" x={CHART.left - 6} y={CHART.top + 4} textAnchor="end">{histogram.maxCount}</text>
+                  {histogram.bins.map((bin, index) => {
+                    const barWidth = plotWidth / histogram.bins.length;
+                    const barHeight = (bin.count / histogram.maxCount) * (plotBottom - CHART.top);
+                    return (
+                      <g key={bin.from}>
+                        <rect
+                          className="flow-bar"
+                          x={CHART.left + index * barWidth + 2}
+                          y={plotBottom - barHeight}
+                          width={Math.max(barWidth - 4, 1)}
+                          height={barHeight}
+                        >
+                          <title>{`${bin.from}-${bin.to} days: ${bin.count} task${bin.count === 1 ? '' : 's'}`}</title>
+                        </rect>
+                        <text className="flow-tick" x={CHART.left + index * barWidth + barWidth / 2} y={CHART.height - 8} textAnchor="middle">
+                          {bin.from}d
+                        </text>
+                      </g>
+                    );
+                  })}
+                </svg>
+              </div>
+
+              <div className="stats-section">
+                <h2>Breakdown</h2>
+                <table className="flow-table">
+                  <thead>
+                    <tr>
+                      <th rowSpan={2}></th>
+                      <th rowSpan={2}>Tasks</th>
+                      <th colSpan={3}>Lead time</th>
+                      <th colSpan={3}>Cycle time</th>
+                    </tr>
+                    <tr>
+                      <th>p50</th><th>p85</th><th>p95</th>
+                      <th>p50</th><th>p85</th><th>p95</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {flow.byPriority.filter(group => group.count > 0).map(group => (
+                      <tr key={`priority-${group.priority}`}>
+                        <td><span className="flow-legend-dot" style={{ background: PRIORITY_COLORS[group.priority] }}></span>{group.priority}</td>
+                        <td>{group.count}</td>
+                        {renderPercentiles(group.leadTime)}
+                        {renderPercentiles(group.cycleTime)}
+                      </tr>
+                    ))}
+                    {flow.byTag.map(group => (
+                      <tr key={`tag-${group.tag}`}>
+                        <td><span className="flow-tag">{group.tag}</span></td>
+                        <td>{group.count}</td>
+                        {renderPercentiles(group.leadTime)}
+                        {renderPercentiles(group.cycleTime)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FlowMetrics;
@@ -1,20 +1,62 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
 import './Header.css';
 
+// Every time zone the browser knows, for the picker - older browsers only get the one you're in
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
 const Header = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const location = useLocation();
+  const { user, logout, timezone, updateProfile } = useAuth();
+  const { workspaces, currentWorkspace, switchWorkspace, createWorkspace, can } = useWorkspace();
 
   // Navigation items - because apparently we need to know where to go
+  // Viewers and commenters don't get a "New Task" link they'd only be refused on
   const navItems = [
     { path: '/', label: 'Dashboard', icon: '📊' },
     { path: '/kanban', label: 'Kanban', icon: '📋' },
+    { path: '/calendar', label: 'Calendar', icon: '📅' },
+    { path: '/timeline', label: 'Timeline', icon: '🗓️' },
     { path: '/tasks', label: 'Tasks', icon: '📝' },
-    { path: '/tasks/new', label: 'New Task', icon: '➕' },
-    { path: '/statistics', label: 'Statistics', icon: '📈' }
+    ...(can('task:create') ? [{ path: '/tasks/new', label: 'New Task', icon: '➕' }] : []),
+    { path: '/statistics', label: 'Statistics', icon: '📈' },
+    { path: '/archive', label: 'Archive', icon: '📦' },
+    { path: '/trash', label: 'Trash', icon: '🗑️' }
   ];
 
+  // Workspace switcher - the last option creates a new workspace instead of switching
+  const handleWorkspaceChange = async (event) => {
+    const { value } = event.target;
+    if (value !== '__new__') {
+      switchWorkspace(value);
+      return;
+    }
+
+    const name = window.prompt('Name your new workspace');
+    if (name && name.trim()) {
+      try {
+        await createWorkspace(name.trim());
+      } catch (error) {
+        // createWorkspace already told the user what went wrong
+      }
+    }
+  };
+
+  // Time zone picker - decides when the user's tasks are due today and when they turn overdue
+  const handleTimezoneChange = async (event) => {
+    try {
+      await updateProfile({ timezone: event.target.value });
+      toast.success(`Time zone set to ${event.target.value}`);
+    } catch (error) {
+      console.error('Error updating time zone:', error);
+      toast.error(error.response?.data?.error || 'Failed to update your time zone');
+    }
+  };
+
   // Toggle mobile menu - because apparently mobile users exist
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
@@ -58,6 +100,49 @@ const Header = () => {
           ))}
         </nav>
 
+        {/* Workspace switcher - because apparently one board per person wasn't enough */}
+        {currentWorkspace && (
+          <div className="header-workspace">
+            <select
+              className="workspace-select"
+              value={currentWorkspace.id}
+              onChange={handleWorkspaceChange}
+              aria-label="Switch workspace"
+            >
+              {workspaces.map((workspace) => (
+                <option key={workspace.id} value={workspace.id}>
+                  {workspace.name}
+                </option>
+              ))}
+              <option value="__new__">＋ New workspace…</option>
+            </select>
+            <span className={`workspace-role role-${currentWorkspace.role}`}>
+              {currentWorkspace.role}
+            </span>
+          </div>
+        )}
+
+        {/* User menu - because apparently people like to know who they're logged in as */}
+        {user && (
+          <div className="header-user">
+            <span className="user-name" title={user.email}>{user.name}</span>
+            <select
+              className="timezone-select"
+              value={timezone}
+              onChange={handleTimezoneChange}
+              aria-label="Your time zone"
+              title="Your time zone - decides when tasks are due today and when they're overdue"
+            >
+              {[...new Set(['UTC', timezone, ...TIMEZONES])].map((zone) => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+            <button className="logout-button" onClick={logout}>
+              Log out
+            </button>
+          </div>
+        )}
+
         {/* Mobile menu button - because apparently mobile users need a button */}
         <button
           className="mobile-menu-button"
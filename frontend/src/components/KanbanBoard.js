@@ -1,74 +1,355 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
+import { DragDropContext, Draggable } from 'react-beautiful-dnd';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
 import { useTaskContext } from '../context/TaskContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import AssigneeAvatars from './AssigneeAvatars';
+import StrictModeDroppable from './StrictModeDroppable';
 import './KanbanBoard.css';
 
+// Cards per page - each column loads this many at a time
+const PAGE_SIZE = 20;
+
+// Column bookkeeping after a card left `from` and/or joined `to` (either may be null). `total` is the
+// cards matching the board's filters, `count` every card in the column - what WIP limits go by.
+const shiftCounts = (info, from, to) => {
+  const next = { ...info };
+  if (from && next[from]) {
+    next[from] = { ...next[from], total: next[from].total - 1, count: next[from].count - 1 };
+  }
+  if (to && next[to]) {
+    next[to] = { ...next[to], total: next[to].total + 1, count: next[to].count + 1 };
+  }
+  return next;
+};
+
+// What the swimlanes can be grouped by - "none" is the plain board
+const GROUP_BY_OPTIONS = [
+  { value: 'none', label: 'No swimlanes' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'assignee', label: 'Assignee' },
+  { value: 'tag', label: 'Tag' },
+  { value: 'parent', label: 'Parent task' }
+];
+
+// The lane for tasks without an assignee, tag or parent
+const NO_LANE = '__none__';
+// Droppable IDs are "<lane>::<status>" - status keys never contain a colon, tags might
+const LANE_SEPARATOR = '::';
+
+const parseDroppableId = (droppableId) => {
+  const split = droppableId.lastIndexOf(LANE_SEPARATOR);
+  if (split === -1) {
+    return { lane: null, status: droppableId };
+  }
+  return { lane: droppableId.slice(0, split), status: droppableId.slice(split + LANE_SEPARATOR.length) };
+};
+
+// Which lane a task rides in - with several tags or assignees, the first one decides
+const laneKeyOf = (task, groupBy) => {
+  switch (groupBy) {
+    case 'priority':
+      return task.priority || 'medium';
+    case 'assignee':
+      return task.assignees && task.assignees.length > 0 ? task.assignees[0] : NO_LANE;
+    case 'tag':
+      return task.tags && task.tags.length > 0 ? task.tags[0] : NO_LANE;
+    case 'parent':
+      return task.parentId || NO_LANE;
+    default:
+      return null;
+  }
+};
+
+// The lanes for a grouping, in display order. Priorities and members always get a lane, so there's
+// somewhere to drop a card; tags and parents only show up once some task has them.
+const buildLanes = (groupBy, tasks, members, getMember) => {
+  switch (groupBy) {
+    case 'priority':
+      return [
+        { key: 'high', title: '🔥 High priority' },
+        { key: 'medium', title: '⚡ Medium priority' },
+        { key: 'low', title: '🌱 Low priority' }
+      ];
+    case 'assignee': {
+      const userIds = members.map(member => member.userId);
+      tasks.forEach(task => (task.assignees || []).forEach(userId => {
+        if (!userIds.includes(userId)) userIds.push(userId);
+      }));
+      return [
+        ...userIds.map(userId => {
+          const member = getMember(userId);
+          return { key: userId, title: member ? member.name : 'Former member' };
+        }),
+        { key: NO_LANE, title: 'Unassigned' }
+      ];
+    }
+    case 'tag': {
+      const tags = [...new Set(tasks.flatMap(task => task.tags || []))].sort((a, b) => a.localeCompare(b));
+      return [
+        ...tags.map(tag => ({ key: tag, title: `#${tag}` })),
+        { key: NO_LANE, title: 'No tag' }
+      ];
+    }
+    case 'parent': {
+      // Parents on the board, plus parents of subtasks on the board that aren't
+      const parentIds = tasks
+        .filter(task => task.subtaskProgress && task.subtaskProgress.total > 0)
+        .map(task => task.id);
+      tasks.forEach(task => {
+        if (task.parentId && !parentIds.includes(task.parentId)) parentIds.push(task.parentId);
+      });
+      return [
+        ...parentIds.map(parentId => {
+          const parent = tasks.find(task => task.id === parentId);
+          return { key: parentId, title: parent ? parent.title : 'Parent task' };
+        }),
+        { key: NO_LANE, title: 'No parent' }
+      ];
+    }
+    default:
+      return [{ key: null, title: null }];
+  }
+};
+
+// The field change that puts a card into another lane. The new assignee or tag goes first so the
+// card lands where it was dropped; dropping into "Unassigned" or "No tag" clears them all.
+const laneChanges = (task, groupBy, fromLane, toLane) => {
+  switch (groupBy) {
+    case 'priority':
+      return { priority: toLane };
+    case 'assignee': {
+      const others = (task.assignees || []).filter(userId => userId !== fromLane && userId !== toLane);
+      return { assignees: toLane === NO_LANE ? [] : [toLane, ...others] };
+    }
+    case 'tag': {
+      const others = (task.tags || []).filter(tag => tag !== fromLane && tag !== toLane);
+      return { tags: toLane === NO_LANE ? [] : [toLane, ...others] };
+    }
+    case 'parent':
+      return { parentId: toLane === NO_LANE ? null : toLane };
+    default:
+      return {};
+  }
+};
+
 const KanbanBoard = () => {
-  const { tasks, loading, updateTask } = useTaskContext();
+  const { fetchBoard, updateTask, moveTask } = useTaskContext();
+  const { workspaceId, dueState, daysUntilDue, daysLateAtCompletion } = useAuth();
+  const { can, statuses, canTransition, workflow, saveWorkflow, members, getMember } = useWorkspace();
   const navigate = useNavigate();
   
-  // Stable column structure
-  const [columns, setColumns] = useState({
-    todo: [],
-    in_progress: [],
-    completed: []
-  });
-
-  // Update columns only when tasks change
+  // One column per workflow status, in workflow order - just the cards loaded so far. The board has
+  // its own data path: the task list's page of ten would leave most columns short.
+  const [columns, setColumns] = useState({});
+  // What the server says about each column - { total, count, hasMore }
+  const [columnInfo, setColumnInfo] = useState({});
+  const [boardLoading, setBoardLoading] = useState(true);
+  // Columns fetching their next page - { [status]: true }
+  const [loadingMore, setLoadingMore] = useState({});
+  // The board's own filters - the search box settles for a moment before it counts
+  const [filters, setFilters] = useState({ search: '', priority: '', assignee: '' });
+  const [searchInput, setSearchInput] = useState('');
+  // Status of the card being dragged - decides which columns will take it
+  const [draggingFrom, setDraggingFrom] = useState(null);
+  // The column whose WIP limit is being edited - { key, wipLimit, wipEnforced } or null
+  const [editingLimit, setEditingLimit] = useState(null);
+  // What the swimlanes are grouped by, and which lanes are folded away ("<groupBy>:<lane>" keys)
+  const [groupBy, setGroupBy] = useState('none');
+  const [collapsedLanes, setCollapsedLanes] = useState({});
+
   useEffect(() => {
-    if (tasks && Array.isArray(tasks)) {
-      const validTasks = tasks.filter(task => 
-        task && 
-        task.id && 
-        typeof task.id === 'string' && 
-        task.status && 
-        ['todo', 'in_progress', 'completed'].includes(task.status)
-      );
-      
-      const newColumns = {
-        todo: validTasks.filter(task => task.status === 'todo'),
-        in_progress: validTasks.filter(task => task.status === 'in_progress'),
-        completed: validTasks.filter(task => task.status === 'completed')
-      };
-      
-      setColumns(newColumns);
+    const timeoutId = setTimeout(() => {
+      const search = searchInput.trim();
+      setFilters(prev => (prev.search === search ? prev : { ...prev, search }));
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [searchInput]);
+
+  // First page of every column - again whenever the filters, the workflow or the workspace change
+  useEffect(() => {
+    let cancelled = false;
+    setBoardLoading(true);
+
+    fetchBoard({ ...filters, limit: PAGE_SIZE })
+      .then(board => {
+        if (cancelled) return;
+        const nextColumns = {};
+        const nextInfo = {};
+        statuses.forEach(status => {
+          const column = board.columns.find(candidate => candidate.status === status.key);
+          nextColumns[status.key] = column ? column.tasks : [];
+          nextInfo[status.key] = column
+            ? { total: column.total, count: column.count, hasMore: column.hasMore }
+            : { total: 0, count: 0, hasMore: false };
+        });
+        setColumns(nextColumns);
+        setColumnInfo(nextInfo);
+      })
+      .catch(error => {
+        console.error('Error loading board:', error);
+        if (!cancelled) toast.error('Failed to load the board');
+      })
+      .finally(() => {
+        if (!cancelled) setBoardLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchBoard, filters, statuses, workspaceId]);
+
+  // Next page of one column - picks up after the rank of the last card it has
+  const loadMore = useCallback(async (statusKey) => {
+    const loaded = columns[statusKey];
+    setLoadingMore(prev => ({ ...prev, [statusKey]: true }));
+
+    try {
+      const board = await fetchBoard({
+        ...filters,
+        status: statusKey,
+        after: loaded.length > 0 ? loaded[loaded.length - 1].rank : undefined,
+        limit: PAGE_SIZE
+      });
+      const [column] = board.columns;
+      setColumns(prev => ({
+        ...prev,
+        [statusKey]: [...prev[statusKey], ...column.tasks.filter(task => !prev[statusKey].some(known => known.id === task.id))]
+      }));
+      setColumnInfo(prev => ({ ...prev, [statusKey]: { total: column.total, count: column.count, hasMore: column.hasMore } }));
+    } catch (error) {
+      console.error('Error loading more tasks:', error);
+      toast.error('Failed to load more tasks');
+    } finally {
+      setLoadingMore(prev => ({ ...prev, [statusKey]: false }));
+    }
+  }, [columns, fetchBoard, filters]);
+
+  // Show a card the server just saved at the bottom of its column - where arrow moves and new
+  // occurrences land. A column not loaded that far leaves it for "load more".
+  const placeSavedTask = useCallback((savedTask, previousStatus = null) => {
+    setColumns(prev => {
+      const next = {};
+      Object.keys(prev).forEach(key => {
+        next[key] = prev[key].filter(task => task.id !== savedTask.id);
+      });
+      if (next[savedTask.status] && !(columnInfo[savedTask.status] && columnInfo[savedTask.status].hasMore)) {
+        next[savedTask.status] = [...next[savedTask.status], savedTask];
+      }
+      return next;
+    });
+    if (previousStatus !== savedTask.status) {
+      setColumnInfo(prev => shiftCounts(prev, previousStatus, savedTask.status));
+    }
+  }, [columnInfo]);
+
+  // The cards of one lane in one column, in board order - the whole column when there are no lanes
+  const cellTasks = useCallback((lane, statusKey) => (
+    lane === null ? columns[statusKey] : columns[statusKey].filter(task => laneKeyOf(task, groupBy) === lane)
+  ), [columns, groupBy]);
+
+  const handleDragStart = useCallback((start) => {
+    setDraggingFrom(parseDroppableId(start.source.droppableId).status);
+  }, []);
+
+  // Drop a card - reorder locally straight away, then tell the server which cards it landed between.
+  // The neighbours come from the lane it was dropped in; the server places it next to them in the whole column.
+  const handleDragEnd = useCallback(async (result) => {
+    setDraggingFrom(null);
+    const { source, destination, draggableId } = result;
+    if (!destination || (destination.droppableId === source.droppableId && destination.index === source.index)) {
+      return;
+    }
+
+    const from = parseDroppableId(source.droppableId);
+    const to = parseDroppableId(destination.droppableId);
+    const moved = cellTasks(from.lane, from.status)[source.index];
+    const destinationCell = cellTasks(to.lane, to.status).filter(task => task.id !== moved.id);
+    const previous = destinationCell[destination.index - 1];
+    const next = destinationCell[destination.index];
+    const changes = from.lane !== to.lane ? laneChanges(moved, groupBy, from.lane, to.lane) : {};
+
+    const destinationTasks = columns[to.status].filter(task => task.id !== moved.id);
+    let position = destinationTasks.length;
+    if (previous) position = destinationTasks.indexOf(previous) + 1;
+    else if (next) position = destinationTasks.indexOf(next);
+    destinationTasks.splice(position, 0, { ...moved, ...changes, status: to.status });
+
+    const previousColumns = columns;
+    const previousInfo = columnInfo;
+    setColumns(prev => ({
+      ...prev,
+      [from.status]: prev[from.status].filter(task => task.id !== moved.id),
+      [to.status]: destinationTasks
+    }));
+    if (from.status !== to.status) {
+      setColumnInfo(prev => shiftCounts(prev, from.status, to.status));
+    }
+
+    try {
+      const movedTask = await moveTask(draggableId, {
+        status: to.status,
+        previousId: previous ? previous.id : null,
+        nextId: next ? next.id : null,
+        ...changes
+      });
+      // The server's copy has the new rank - "load more" goes by it
+      setColumns(prev => ({
+        ...prev,
+        [to.status]: prev[to.status].map(task => (task.id === movedTask.id ? movedTask : task))
+      }));
+      if (movedTask.nextOccurrence) {
+        placeSavedTask(movedTask.nextOccurrence);
+      }
+    } catch (error) {
+      // Put the card back where the server still thinks it is
+      console.error('Error moving task:', error);
+      setColumns(previousColumns);
+      setColumnInfo(previousInfo);
     }
-  }, [tasks]);
+  }, [cellTasks, columns, columnInfo, groupBy, moveTask, placeSavedTask]);
+
+  const toggleLane = useCallback((laneKey) => {
+    setCollapsedLanes(prev => ({ ...prev, [`${groupBy}:${laneKey}`]: !prev[`${groupBy}:${laneKey}`] }));
+  }, [groupBy]);
 
   // Handle task status change via click
   const handleStatusChange = useCallback(async (taskId, newStatus) => {
     try {
       console.log('Changing task status:', { taskId, newStatus });
-      await updateTask(taskId, { status: newStatus });
+      const previousStatus = Object.keys(columns).find(key => columns[key].some(task => task.id === taskId)) || null;
+      const savedTask = await updateTask(taskId, { status: newStatus });
       
-      // Update local state immediately for better UX
-      setColumns(prev => {
-        const newColumns = { ...prev };
-        
-        // Remove task from all columns first
-        Object.keys(newColumns).forEach(colKey => {
-          newColumns[colKey] = newColumns[colKey].filter(task => task.id !== taskId);
-        });
-        
-        // Find the task to move
-        let taskToMove = null;
-        Object.values(prev).forEach(col => {
-          const found = col.find(t => t.id === taskId);
-          if (found) taskToMove = found;
-        });
-        
-        if (taskToMove) {
-          // Add to new column with updated status
-          newColumns[newStatus] = [...newColumns[newStatus], { ...taskToMove, status: newStatus }];
-        }
-        
-        return newColumns;
-      });
+      // The server puts it at the bottom of its new column - show it there
+      placeSavedTask(savedTask, previousStatus);
+      if (savedTask.nextOccurrence) {
+        placeSavedTask(savedTask.nextOccurrence);
+      }
     } catch (error) {
       console.error('Error updating task status:', error);
     }
-  }, [updateTask]);
+  }, [columns, placeSavedTask, updateTask]);
+
+  // Save a column's WIP limit - the workflow is saved as a whole, so every other status rides along unchanged
+  const saveWipLimit = useCallback(async (event) => {
+    event.preventDefault();
+    const wipLimit = editingLimit.wipLimit ? parseInt(editingLimit.wipLimit, 10) : null;
+
+    try {
+      await saveWorkflow({
+        statuses: statuses.map(status => (status.key === editingLimit.key
+          ? { ...status, wipLimit, wipEnforced: wipLimit !== null && editingLimit.wipEnforced }
+          : status)),
+        transitions: workflow ? workflow.transitions : null
+      });
+      setEditingLimit(null);
+    } catch (error) {
+      console.error('Error saving WIP limit:', error);
+    }
+  }, [editingLimit, saveWorkflow, statuses, workflow]);
 
   // Handle task click to view details
   const handleTaskClick = useCallback((taskId) => {
@@ -89,28 +370,16 @@ const KanbanBoard = () => {
     }
   }, []);
 
-  // Check if task is overdue
-  const isOverdue = useCallback((dueDate) => {
-    if (!dueDate) return false;
-    return new Date(dueDate) < new Date();
-  }, []);
-
-  // Get completion delay for completed tasks
-  const getCompletionDelay = useCallback((dueDate, completedAt) => {
-    if (!dueDate || !completedAt) return null;
-    const due = new Date(dueDate);
-    const completed = new Date(completedAt);
-    const diffTime = completed - due;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays;
-  }, []);
+  // Check if task is overdue - on the user's clock, see AuthContext
+  const isOverdue = useCallback((task) => dueState(task) === 'overdue', [dueState]);
 
   // Format due date with completion info
   const formatDueDate = useCallback((dueDate, task) => {
     if (!dueDate) return null;
     
-    if (task.status === 'completed') {
-      const delay = getCompletionDelay(dueDate, task.updatedAt);
+    // Late or early by the day it was actually completed, not whenever it was last edited
+    if (task.statusCategory === 'done') {
+      const delay = daysLateAtCompletion(task);
       if (delay > 0) {
         return `Completed ${delay} day${delay > 1 ? 's' : ''} late`;
       } else if (delay === 0) {
@@ -120,27 +389,26 @@ const KanbanBoard = () => {
       }
     }
     
-    const date = new Date(dueDate);
-    const now = new Date();
-    const diffTime = date - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    // Counted in whole days on the user's calendar - a task due today stays "due today" until it's late
+    const diffDays = daysUntilDue(task);
+    const at = task.dueTime ? ` at ${task.dueTime}` : '';
 
     if (diffDays < 0) return `Overdue by ${Math.abs(diffDays)}d`;
-    if (diffDays === 0) return 'Due today';
-    if (diffDays === 1) return 'Due tomorrow';
+    if (diffDays === 0) return dueState(task) === 'overdue' ? `Was due${at}` : `Due today${at}`;
+    if (diffDays === 1) return `Due tomorrow${at}`;
     if (diffDays <= 7) return `Due in ${diffDays}d`;
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  }, [getCompletionDelay]);
-
-  // Column configurations
-  const columnConfig = {
-    todo: { title: 'To Do', icon: '📋', color: '#3b82f6', bg: '#eff6ff', nextStatus: 'in_progress' },
-    in_progress: { title: 'In Progress', icon: '⚡', color: '#f59e0b', bg: '#fffbeb', nextStatus: 'completed' },
-    completed: { title: 'Done', icon: '✅', color: '#10b981', bg: '#f0fdf4', nextStatus: 'todo' }
+    return new Date(dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }, [daysLateAtCompletion, daysUntilDue, dueState]);
+
+  // Column look by status category - the workflow decides names and order, not colours
+  const categoryConfig = {
+    not_started: { icon: '📋', color: '#3b82f6', bg: '#eff6ff' },
+    active: { icon: '⚡', color: '#f59e0b', bg: '#fffbeb' },
+    done: { icon: '✅', color: '#10b981', bg: '#f0fdf4' }
   };
 
-  // Show loading state while loading
-  if (loading) {
+  // Show loading state while the board loads for the first time - reloads keep the old cards up
+  if (boardLoading && Object.keys(columns).length === 0) {
     return (
       <div className="kanban-loading">
         <motion.div
@@ -154,7 +422,7 @@ const KanbanBoard = () => {
   }
 
   // Ensure columns are valid
-  if (!columns || !columns.todo || !columns.in_progress || !columns.completed) {
+  if (!columns || statuses.some(status => !columns[status.key] || !columnInfo[status.key])) {
     return (
       <div className="kanban-loading">
         <motion.div
@@ -169,6 +437,330 @@ const KanbanBoard = () => {
 
   console.log('Rendering Kanban board with columns:', columns);
 
+  // Header of one status column - name, count against its WIP limit, and the limit editor.
+  // Counts are for the whole column, loaded or not and whichever lane the cards sit in.
+  const renderColumnHeader = (status) => {
+    const columnId = status.key;
+    const { count } = columnInfo[columnId];
+    const config = { ...categoryConfig[status.category], title: status.name };
+    // At the limit is fine, over it is what we warn about
+    let wipClass = '';
+    if (status.wipLimit !== null) {
+      if (count > status.wipLimit) wipClass = 'wip-over';
+      else if (count === status.wipLimit) wipClass = 'wip-at-limit';
+    }
+
+    return (
+      <>
+        <div className="column-header" style={{ backgroundColor: config.bg }}>
+          <div className="column-title">
+            <span className="column-icon">{config.icon}</span>
+            <h3>{config.title}</h3>
+          </div>
+          <div className="column-header-actions">
+            <motion.span
+              className={`task-count ${wipClass}`}
+              title={status.wipLimit !== null ? `WIP limit: ${status.wipLimit}${status.wipEnforced ? ' (enforced)' : ''}` : undefined}
+              initial={{ scale: 0 }}
+              animate={{ scale: 1 }}
+              transition={{ delay: 0.8, type: "spring" }}
+            >
+              {count}{status.wipLimit !== null && ` / ${status.wipLimit}`}
+            </motion.span>
+            {can('workspace:manage') && (
+              <button
+                type="button"
+                className="wip-edit-button"
+                title="Set WIP limit"
+                onClick={() => setEditingLimit(editingLimit && editingLimit.key === columnId ? null : {
+                  key: columnId,
+                  wipLimit: status.wipLimit !== null ? String(status.wipLimit) : '',
+                  wipEnforced: status.wipEnforced
+                })}
+              >
+                ⚙️
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* WIP limit editor - an empty limit removes it */}
+        {editingLimit && editingLimit.key === columnId && (
+          <form className="wip-editor" onSubmit={saveWipLimit}>
+            <label>
+              WIP limit
+              <input
+                type="number"
+                min="1"
+                max="999"
+                placeholder="None"
+                value={editingLimit.wipLimit}
+                onChange={(event) => setEditingLimit({ ...editingLimit, wipLimit: event.target.value })}
+              />
+            </label>
+            <label className="wip-enforced">
+              <input
+                type="checkbox"
+                checked={editingLimit.wipEnforced}
+                disabled={!editingLimit.wipLimit}
+                onChange={(event) => setEditingLimit({ ...editingLimit, wipEnforced: event.target.checked })}
+              />
+              Hard limit (moves over it need an override)
+            </label>
+            <div className="wip-editor-actions">
+              <button type="submit" className="wip-save">Save</button>
+              <button type="button" className="wip-cancel" onClick={() => setEditingLimit(null)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {/* Over the limit - the board only nags; hard limits are the server's to enforce */}
+        {wipClass === 'wip-over' && (
+          <div className="wip-warning">
+            ⚠️ Over its WIP limit by {count - status.wipLimit}
+            {status.wipEnforced && ' - moving more in needs an override'}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  // One card - the arrows walk the workflow order; the last column wraps back to the first
+  const renderCard = (task, index, status, columnIndex) => {
+    const columnId = status.key;
+    const nextStatus = statuses[(columnIndex + 1) % statuses.length];
+    const prevStatus = columnIndex > 0 ? statuses[columnIndex - 1] : null;
+    const isLastColumn = columnIndex === statuses.length - 1;
+    const priorityInfo = getPriorityInfo(task.priority);
+    const overdue = isOverdue(task);
+    const dueDateText = formatDueDate(task.dueDate, task);
+
+    return (
+      <Draggable key={task.id} draggableId={task.id} index={index} isDragDisabled={!can('task:update')}>
+        {(dragProvided, dragSnapshot) => (
+          <div
+            ref={dragProvided.innerRef}
+            {...dragProvided.draggableProps}
+            {...dragProvided.dragHandleProps}
+            className="task-card-shell"
+          >
+            <motion.div
+              className={`task-card ${dragSnapshot.isDragging ? 'dragging' : ''}`}
+              initial={{ opacity: 0, y: 20, scale: 0.9 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              whileHover={{ 
+                y: -4, 
+                scale: 1.02,
+                boxShadow: "0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)"
+              }}
+              transition={{ 
+                type: "spring", 
+                stiffness: 300, 
+                damping: 20 
+              }}
+            >
+              {/* Priority indicator */}
+              <div 
+                className="priority-indicator"
+                style={{ 
+                  backgroundColor: priorityInfo.bg,
+                  borderColor: priorityInfo.color
+                }}
+              >
+                <span className="priority-icon">{priorityInfo.icon}</span>
+              </div>
+
+              {/* Task content */}
+              <div className="task-content">
+                <h4 className="task-title">{task.title}</h4>
+
+                {/* Blocked - still waiting on at least one unfinished task */}
+                {task.blocked && task.statusCategory !== 'done' && (
+                  <span className="blocked-badge" title="Waiting on unfinished tasks">
+                    ⛔ Blocked
+                  </span>
+                )}
+
+                {task.description && (
+                  <p className="task-description">
+                    {task.description.length > 100 
+                      ? `${task.description.substring(0, 100)}...` 
+                      : task.description
+                    }
+                  </p>
+                )}
+
+                {/* Tags */}
+                {task.tags && task.tags.length > 0 && (
+                  <div className="task-tags">
+                    {task.tags.slice(0, 3).map((tag, index) => (
+                      <motion.span
+                        key={index}
+                        className="tag"
+                        initial={{ opacity: 0, scale: 0.8 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        transition={{ delay: index * 0.1 }}
+                      >
+                        {tag}
+                      </motion.span>
+                    ))}
+                    {task.tags.length > 3 && (
+                      <span className="tag-more">+{task.tags.length - 3}</span>
+                    )}
+                  </div>
+                )}
+
+                {/* Due date */}
+                {dueDateText && (
+                  <div className={`due-date ${overdue ? 'overdue' : ''}`}>
+                    <span className="due-icon">📅</span>
+                    <span className="due-text">{dueDateText}</span>
+                    {overdue && (
+                      <motion.span
+                        className="overdue-badge"
+                        initial={{ scale: 0 }}
+                        animate={{ scale: 1 }}
+                        transition={{ type: "spring" }}
+                      >
+                        Overdue
+                      </motion.span>
+                    )}
+                  </div>
+                )}
+
+                {/* Subtask progress */}
+                {task.subtaskProgress && task.subtaskProgress.total > 0 && (
+                  <div className="subtask-progress" title="Subtasks completed">
+                    <div className="subtask-progress-bar">
+                      <div
+                        className="subtask-progress-fill"
+                        style={{ width: `${(task.subtaskProgress.completed / task.subtaskProgress.total) * 100}%` }}
+                      ></div>
+                    </div>
+                    <span className="subtask-progress-text">
+                      {task.subtaskProgress.completed}/{task.subtaskProgress.total}
+                    </span>
+                  </div>
+                )}
+
+                {/* Comments and assignees */}
+                {(task.commentCount > 0 || (task.assignees && task.assignees.length > 0)) && (
+                  <div className="task-assignees">
+                    {task.commentCount > 0 && (
+                      <span className="comment-count" title={`${task.commentCount} comment(s)`}>
+                        💬 {task.commentCount}
+                      </span>
+                    )}
+                    <AssigneeAvatars assignees={task.assignees || []} />
+                  </div>
+                )}
+              </div>
+
+              {/* Action buttons */}
+              <div className="task-actions">
+                {/* View Task Button */}
+                <motion.button
+                  className="action-button view-task"
+                  onClick={() => handleTaskClick(task.id)}
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.95 }}
+                  title="View Task Details"
+                >
+                  👁️
+                </motion.button>
+
+                {/* Status Change Buttons - only for roles that may edit */}
+                {can('task:update') && (
+                  <>
+                    {nextStatus.key !== columnId && canTransition(columnId, nextStatus.key) && (
+                      <motion.button
+                        className="action-button next-status"
+                        onClick={() => handleStatusChange(task.id, nextStatus.key)}
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.95 }}
+                        title={`Move to ${nextStatus.name}`}
+                      >
+                        {isLastColumn ? '🔄' : '➡️'}
+                      </motion.button>
+                    )}
+
+                    {prevStatus && canTransition(columnId, prevStatus.key) && (
+                      <motion.button
+                        className="action-button prev-status"
+                        onClick={() => handleStatusChange(task.id, prevStatus.key)}
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.95 }}
+                        title={`Move to ${prevStatus.name}`}
+                      >
+                        ⬅️
+                      </motion.button>
+                    )}
+                  </>
+                )}
+              </div>
+
+              {/* Completion checkmark animation */}
+              {status.category === 'done' && (
+                <motion.div
+                  className="completion-checkmark"
+                  initial={{ scale: 0, rotate: -180 }}
+                  animate={{ scale: 1, rotate: 0 }}
+                  transition={{ 
+                    type: "spring", 
+                    stiffness: 200, 
+                    damping: 10,
+                    delay: 0.3
+                  }}
+                >
+                  🎉
+                </motion.div>
+              )}
+            </motion.div>
+          </div>
+        )}
+      </Draggable>
+    );
+  };
+
+  // The cards of one lane in one column. Each cell is a drop target; while dragging, columns the
+  // workflow won't accept are switched off - in every lane.
+  const renderCell = (lane, status, columnIndex) => (
+    <StrictModeDroppable
+      droppableId={lane === null ? status.key : `${lane}${LANE_SEPARATOR}${status.key}`}
+      isDropDisabled={draggingFrom !== null && !canTransition(draggingFrom, status.key)}
+    >
+      {(dropProvided, dropSnapshot) => (
+        <div
+          ref={dropProvided.innerRef}
+          {...dropProvided.droppableProps}
+          className={`column-content ${dropSnapshot.isDraggingOver ? 'dragging-over' : ''}`}
+        >
+          {cellTasks(lane, status.key).map((task, index) => renderCard(task, index, status, columnIndex))}
+          {dropProvided.placeholder}
+        </div>
+      )}
+    </StrictModeDroppable>
+  );
+
+  // "Load more" for a column with cards still on the server
+  const renderLoadMore = (status) => {
+    const { total, hasMore } = columnInfo[status.key];
+    if (!hasMore) return null;
+
+    return (
+      <button
+        type="button"
+        className="load-more-button"
+        onClick={() => loadMore(status.key)}
+        disabled={Boolean(loadingMore[status.key])}
+      >
+        {loadingMore[status.key] ? 'Loading...' : `Load more (${Math.max(total - columns[status.key].length, 1)} left)`}
+      </button>
+    );
+  };
+
+  const lanes = buildLanes(groupBy, Object.values(columns).flat(), members, getMember);
+
   return (
     <div className="kanban-board">
       <motion.div
@@ -178,186 +770,121 @@ const KanbanBoard = () => {
         transition={{ duration: 0.6 }}
       >
         <h1>Task Board</h1>
-        <p>Click the arrow buttons to move tasks between columns</p>
+        <p>Drag cards to reorder them or move them between columns - the arrow buttons work too</p>
+
+        {/* The board's own filters - the task list keeps its own */}
+        <div className="board-toolbar">
+          <input
+            type="search"
+            className="board-search"
+            placeholder="Search the board..."
+            value={searchInput}
+            onChange={(event) => setSearchInput(event.target.value)}
+          />
+          <select
+            value={filters.priority}
+            onChange={(event) => setFilters(prev => ({ ...prev, priority: event.target.value }))}
+          >
+            <option value="">Any priority</option>
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+          <select
+            value={filters.assignee}
+            onChange={(event) => setFilters(prev => ({ ...prev, assignee: event.target.value }))}
+          >
+            <option value="">Anyone</option>
+            <option value="me">Assigned to me</option>
+            <option value="unassigned">Unassigned</option>
+            {members.map(member => (
+              <option key={member.userId} value={member.userId}>{member.name}</option>
+            ))}
+          </select>
+          <label className="swimlane-picker">
+            Swimlanes
+            <select value={groupBy} onChange={(event) => setGroupBy(event.target.value)}>
+              {GROUP_BY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
       </motion.div>
 
-      <div className="kanban-columns">
-        {Object.entries(columns).map(([columnId, columnTasks]) => {
-          const config = columnConfig[columnId];
-          
-          return (
-            <motion.div
-              key={columnId}
-              className="kanban-column"
-              initial={{ opacity: 0, x: 50 }}
-              animate={{ opacity: 1, x: 0 }}
-              transition={{ duration: 0.6, delay: columnId === 'todo' ? 0 : columnId === 'in_progress' ? 0.2 : 0.4 }}
-            >
-              <div className="column-header" style={{ backgroundColor: config.bg }}>
-                <div className="column-title">
-                  <span className="column-icon">{config.icon}</span>
-                  <h3>{config.title}</h3>
-                </div>
-                <motion.span
-                  className="task-count"
-                  initial={{ scale: 0 }}
-                  animate={{ scale: 1 }}
-                  transition={{ delay: 0.8, type: "spring" }}
-                >
-                  {columnTasks.length}
-                </motion.span>
+      <DragDropContext onDragStart={handleDragStart} onDragEnd={handleDragEnd}>
+        {groupBy === 'none' ? (
+          <div className="kanban-columns">
+            {statuses.map((status, columnIndex) => (
+              <motion.div
+                key={status.key}
+                className="kanban-column"
+                initial={{ opacity: 0, x: 50 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ duration: 0.6, delay: columnIndex * 0.2 }}
+              >
+                {renderColumnHeader(status)}
+                {renderCell(null, status, columnIndex)}
+                {renderLoadMore(status)}
+              </motion.div>
+            ))}
+          </div>
+        ) : (
+          // Swimlanes - one grid, so a lane's cells line up across the columns
+          <div
+            className="kanban-swimlanes"
+            style={{ gridTemplateColumns: `repeat(${statuses.length}, minmax(280px, 1fr))` }}
+          >
+            {statuses.map(status => (
+              <div key={status.key} className="kanban-column lane-column-head">
+                {renderColumnHeader(status)}
               </div>
+            ))}
 
-              <div className="column-content">
-                <AnimatePresence>
-                  {columnTasks.map((task, index) => {
-                    const priorityInfo = getPriorityInfo(task.priority);
-                    const overdue = isOverdue(task.dueDate);
-                    const dueDateText = formatDueDate(task.dueDate, task);
-                    
-                    return (
-                      <motion.div
-                        key={task.id}
-                        className="task-card"
-                        initial={{ opacity: 0, y: 20, scale: 0.9 }}
-                        animate={{ opacity: 1, y: 0, scale: 1 }}
-                        exit={{ opacity: 0, y: -20, scale: 0.9 }}
-                        whileHover={{ 
-                          y: -4, 
-                          scale: 1.02,
-                          boxShadow: "0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)"
-                        }}
-                        transition={{ 
-                          type: "spring", 
-                          stiffness: 300, 
-                          damping: 20 
-                        }}
-                      >
-                        {/* Priority indicator */}
-                        <div 
-                          className="priority-indicator"
-                          style={{ 
-                            backgroundColor: priorityInfo.bg,
-                            borderColor: priorityInfo.color
-                          }}
-                        >
-                          <span className="priority-icon">{priorityInfo.icon}</span>
-                        </div>
-
-                        {/* Task content */}
-                        <div className="task-content">
-                          <h4 className="task-title">{task.title}</h4>
-                          
-                          {task.description && (
-                            <p className="task-description">
-                              {task.description.length > 100 
-                                ? `${task.description.substring(0, 100)}...` 
-                                : task.description
-                              }
-                            </p>
-                          )}
-
-                          {/* Tags */}
-                          {task.tags && task.tags.length > 0 && (
-                            <div className="task-tags">
-                              {task.tags.slice(0, 3).map((tag, index) => (
-                                <motion.span
-                                  key={index}
-                                  className="tag"
-                                  initial={{ opacity: 0, scale: 0.8 }}
-                                  animate={{ opacity: 1, scale: 1 }}
-                                  transition={{ delay: index * 0.1 }}
-                                >
-                                  {tag}
-                                </motion.span>
-                              ))}
-                              {task.tags.length > 3 && (
-                                <span className="tag-more">+{task.tags.length - 3}</span>
-                              )}
-                            </div>
-                          )}
-
-                                                  {/* Due date */}
-                        {dueDateText && (
-                          <div className={`due-date ${overdue && task.status !== 'completed' ? 'overdue' : ''}`}>
-                            <span className="due-icon">📅</span>
-                            <span className="due-text">{dueDateText}</span>
-                            {overdue && task.status !== 'completed' && (
-                              <motion.span
-                                className="overdue-badge"
-                                initial={{ scale: 0 }}
-                                animate={{ scale: 1 }}
-                                transition={{ type: "spring" }}
-                              >
-                                Overdue
-                              </motion.span>
-                            )}
-                          </div>
-                        )}
-                        </div>
-
-                        {/* Action buttons */}
-                        <div className="task-actions">
-                          {/* View Task Button */}
-                          <motion.button
-                            className="action-button view-task"
-                            onClick={() => handleTaskClick(task.id)}
-                            whileHover={{ scale: 1.1 }}
-                            whileTap={{ scale: 0.95 }}
-                            title="View Task Details"
-                          >
-                            👁️
-                          </motion.button>
-                          
-                          {/* Status Change Buttons */}
-                          <motion.button
-                            className="action-button next-status"
-                            onClick={() => handleStatusChange(task.id, config.nextStatus)}
-                            whileHover={{ scale: 1.1 }}
-                            whileTap={{ scale: 0.95 }}
-                            title={`Move to ${columnConfig[config.nextStatus].title}`}
-                          >
-                            {columnId === 'completed' ? '🔄' : '➡️'}
-                          </motion.button>
-                          
-                          {columnId !== 'todo' && (
-                            <motion.button
-                              className="action-button prev-status"
-                              onClick={() => handleStatusChange(task.id, columnId === 'completed' ? 'in_progress' : 'todo')}
-                              whileHover={{ scale: 1.1 }}
-                              whileTap={{ scale: 0.95 }}
-                              title={`Move to ${columnId === 'completed' ? 'In Progress' : 'To Do'}`}
-                            >
-                              ⬅️
-                            </motion.button>
-                          )}
-                        </div>
-
-                        {/* Completion checkmark animation */}
-                        {columnId === 'completed' && (
-                          <motion.div
-                            className="completion-checkmark"
-                            initial={{ scale: 0, rotate: -180 }}
-                            animate={{ scale: 1, rotate: 0 }}
-                            transition={{ 
-                              type: "spring", 
-                              stiffness: 200, 
-                              damping: 10,
-                              delay: 0.3
-                            }}
-                          >
-                            🎉
-                          </motion.div>
-                        )}
-                      </motion.div>
-                    );
-                  })}
-                </AnimatePresence>
+            {lanes.map(lane => {
+              const collapsed = Boolean(collapsedLanes[`${groupBy}:${lane.key}`]);
+              const laneCounts = statuses.map(status => cellTasks(lane.key, status.key).length);
+              const laneTotal = laneCounts.reduce((sum, count) => sum + count, 0);
+
+              return (
+                <React.Fragment key={lane.key}>
+                  <div className={`lane-header ${collapsed ? 'collapsed' : ''}`}>
+                    <button
+                      type="button"
+                      className="lane-toggle"
+                      onClick={() => toggleLane(lane.key)}
+                      aria-expanded={!collapsed}
+                    >
+                      <span className="lane-chevron">{collapsed ? '▸' : '▾'}</span>
+                      <span className="lane-title">{lane.title}</span>
+                      <span className="lane-total">{laneTotal} task{laneTotal !== 1 ? 's' : ''}</span>
+                    </button>
+                    <div className="lane-counts">
+                      {statuses.map((status, columnIndex) => (
+                        <span key={status.key} className="lane-count" title={status.name}>
+                          {status.name}: {laneCounts[columnIndex]}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+
+                  {!collapsed && statuses.map((status, columnIndex) => (
+                    <div key={status.key} className="lane-cell">
+                      {renderCell(lane.key, status, columnIndex)}
+                    </div>
+                  ))}
+                </React.Fragment>
+              );
+            })}
+
+            {statuses.some(status => columnInfo[status.key].hasMore) && statuses.map(status => (
+              <div key={status.key} className="lane-load-more">
+                {renderLoadMore(status)}
               </div>
-            </motion.div>
-          );
-        })}
-      </div>
+            ))}
+          </div>
+        )}
+      </DragDropContext>
     </div>
   );
 };
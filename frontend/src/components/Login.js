@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { useNavigate, useLocation, Navigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import './Login.css';
+
+const Login = () => {
+  const { login, register, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Where to go after logging in - back to whatever page sent us here
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  // Already logged in - because apparently some people bookmark the login page
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const isRegistering = mode === 'register';
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  // Handle form submission - because apparently we need to let people in
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      setSubmitting(true);
+      const user = isRegistering
+        ? await register(form.name, form.email, form.password)
+        : await login(form.email, form.password);
+      toast.success(`Welcome${isRegistering ? '' : ' back'}, ${user.name}!`);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      const details = err.response?.data?.details;
+      setError(details?.[0]?.msg || err.response?.data?.error || 'Something went wrong');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-card">
+        <div className="login-header">
+          <span className="login-icon">✅</span>
+          <h1>Go Nimbly</h1>
+          <p>{isRegistering ? 'Create an account to get started' : 'Log in to manage your tasks'}</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          {isRegistering && (
+            <div className="form-group">
+              <label htmlFor="name" className="form-label">Name</label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                className="form-input"
+                value={form.name}
+                onChange={handleChange}
+                autoComplete="name"
+                required
+              />
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="email" className="form-label">Email</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              className="form-input"
+              value={form.email}
+              onChange={handleChange}
+              autoComplete="email"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="password" className="form-label">Password</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              className="form-input"
+              value={form.password}
+              onChange={handleChange}
+              autoComplete={isRegistering ? 'new-password' : 'current-password'}
+              minLength={isRegistering ? 8 : undefined}
+              required
+            />
+          </div>
+
+          {error && <p className="login-error">{error}</p>}
+
+          <button type="submit" className="login-submit" disabled={submitting}>
+            {submitting
+              ? (isRegistering ? 'Creating account...' : 'Logging in...')
+              : (isRegistering ? 'Create Account' : 'Log In')}
+          </button>
+        </form>
+
+        <p className="login-switch">
+          {isRegistering ? 'Already have an account?' : "Don't have an account?"}
+          <button
+            type="button"
+            onClick={() => {
+              setMode(isRegistering ? 'login' : 'register');
+              setError('');
+            }}
+          >
+            {isRegistering ? 'Log in' : 'Sign up'}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,143 @@
+import React from 'react';
+import './Markdown.css';
+
+// A small markdown renderer for comments - paragraphs, lists, code, bold, italics, links and @mentions.
+// It builds React elements rather than HTML strings, so whatever people type can never become markup.
+
+// Inline bits, first match wins: `code`, **bold**, *italic* or _italic_, [text](url), bare URLs and @mentions.
+// The mention shape is the server's - a handle, or a whole email address.
+const INLINE_PATTERN = /(`[^`\n]+`)|\*\*([^*\n]+)\*\*|\*([^*\n]+)\*|\b_([^_\n]+)_\b|\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)|(https?:\/\/[^\s<]+[^\s<.,;:!?)])|(^|[^\w@.])@([\w.+-]*\w(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+const LIST_ITEM = /^\s*(?:[-*]|(\d+)\.)\s+(.*)$/;
+const FENCE = /^```/;
+
+// One line of text as React nodes
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let lastIndex = 0;
+  let index = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, code, bold, starItalic, underscoreItalic, linkText, linkUrl, bareUrl, mentionLead, mention] = match;
+    let start = match.index;
+    const key = `${keyPrefix}-${index}`;
+    index += 1;
+
+    // The character before an @mention belongs to the text, not the mention
+    if (mention !== undefined) {
+      start += mentionLead.length;
+    }
+    if (start > lastIndex) {
+      nodes.push(text.slice(lastIndex, start));
+    }
+
+    if (code !== undefined) {
+      nodes.push(<code key={key}>{code.slice(1, -1)}</code>);
+    } else if (bold !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold, key)}</strong>);
+    } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+      nodes.push(<em key={key}>{renderInline(starItalic ?? underscoreItalic, key)}</em>);
+    } else if (linkText !== undefined) {
+      nodes.push(<a key={key} href={linkUrl} target="_blank" rel="noopener noreferrer">{linkText}</a>);
+    } else if (bareUrl !== undefined) {
+      nodes.push(<a key={key} href={bareUrl} target="_blank" rel="noopener noreferrer">{bareUrl}</a>);
+    } else {
+      nodes.push(<span key={key} className="markdown-mention">@{mention}</span>);
+    }
+
+    lastIndex = match.index + whole.length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+  return nodes;
+};
+
+// Lines that belong together in a paragraph keep their line breaks
+const renderLines = (lines, keyPrefix) => lines.flatMap((line, index) => {
+  const content = renderInline(line, `${keyPrefix}-${index}`);
+  return index === 0 ? content : [<br key={`${keyPrefix}-br-${index}`} />, ...content];
+});
+
+// Split the text into blocks - fenced code, lists, and paragraphs separated by blank lines
+const parseBlocks = (source) => {
+  const blocks = [];
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  let current = null;
+
+  const close = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+
+  lines.forEach(line => {
+    if (current && current.type === 'code') {
+      if (FENCE.test(line)) {
+        close();
+      } else {
+        current.lines.push(line);
+      }
+      return;
+    }
+
+    if (FENCE.test(line)) {
+      close();
+      current = { type: 'code', lines: [] };
+      return;
+    }
+
+    if (!line.trim()) {
+      close();
+      return;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const ordered = item[1] !== undefined;
+      if (!current || current.type !== 'list' || current.ordered !== ordered) {
+        close();
+        current = { type: 'list', ordered, start: ordered ? Number(item[1]) : 1, items: [] };
+      }
+      current.items.push(item[2]);
+      return;
+    }
+
+    if (!current || current.type !== 'paragraph') {
+      close();
+      current = { type: 'paragraph', lines: [] };
+    }
+    current.lines.push(line);
+  });
+
+  // An unclosed fence still shows as code
+  close();
+  return blocks;
+};
+
+const Markdown = ({ text = '', className = '' }) => (
+  <div className={`markdown ${className}`}>
+    {parseBlocks(text).map((block, index) => {
+      const key = `block-${index}`;
+
+      if (block.type === 'code') {
+        return <pre key={key}><code>{block.lines.join('\n')}</code></pre>;
+      }
+
+      if (block.type === 'list') {
+        const ListTag = block.ordered ? 'ol' : 'ul';
+        return (
+          <ListTag key={key} start={block.ordered ? block.start : undefined}>
+            {block.items.map((item, itemIndex) => (
+              <li key={`${key}-${itemIndex}`}>{renderInline(item, `${key}-${itemIndex}`)}</li>
+            ))}
+          </ListTag>
+        );
+      }
+
+      return <p key={key}>{renderLines(block.lines, key)}</p>;
+    })}
+  </div>
+);
+
+export default Markdown;
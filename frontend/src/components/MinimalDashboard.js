@@ -1,11 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
 import { useTaskContext } from '../context/TaskContext';
+import { useWorkspace } from '../context/WorkspaceContext';
 import './MinimalDashboard.css';
 
 const MinimalDashboard = () => {
   const { tasks, loading } = useTaskContext();
+  const { can, getStatus } = useWorkspace();
+  const { dueState, daysUntilDue, daysLateAtCompletion } = useAuth();
   const [stats, setStats] = useState({
     total: 0,
     completed: 0,
@@ -19,12 +23,9 @@ const MinimalDashboard = () => {
     if (tasks && tasks.length > 0) {
       // Calculate statistics
       const total = tasks.length;
-      const completed = tasks.filter(task => task.status === 'completed').length;
-      const inProgress = tasks.filter(task => task.status === 'in_progress').length;
-      const overdue = tasks.filter(task => {
-        if (!task.dueDate || task.status === 'completed') return false;
-        return new Date(task.dueDate) < new Date();
-      }).length;
+      const completed = tasks.filter(task => task.statusCategory === 'done').length;
+      const inProgress = tasks.filter(task => task.statusCategory === 'active').length;
+      const overdue = tasks.filter(task => dueState(task) === 'overdue').length;
 
       setStats({ total, completed, inProgress, overdue });
 
@@ -32,7 +33,7 @@ const MinimalDashboard = () => {
       const sorted = [...tasks].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
       setRecentTasks(sorted.slice(0, 5));
     }
-  }, [tasks]);
+  }, [tasks, dueState]);
 
   const getPriorityColor = (priority) => {
     switch (priority) {
@@ -44,33 +45,19 @@ const MinimalDashboard = () => {
   };
 
   const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed': return '#10b981';
-      case 'in_progress': return '#f59e0b';
-      case 'todo': return '#3b82f6';
+    switch (getStatus(status).category) {
+      case 'done': return '#10b981';
+      case 'active': return '#f59e0b';
+      case 'not_started': return '#3b82f6';
       default: return '#6b7280';
     }
   };
 
 
 
-  const isOverdue = (dueDate) => {
-    if (!dueDate) return false;
-    return new Date(dueDate) < new Date();
-  };
-
-  const getCompletionDelay = (dueDate, completedAt) => {
-    if (!dueDate || !completedAt) return null;
-    const due = new Date(dueDate);
-    const completed = new Date(completedAt);
-    const diffTime = completed - due;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays;
-  };
-
   const formatCompletionInfo = (task) => {
-    if (task.status === 'completed' && task.dueDate) {
-      const delay = getCompletionDelay(task.dueDate, task.updatedAt);
+    if (task.statusCategory === 'done' && task.dueDate && task.completedAt) {
+      const delay = daysLateAtCompletion(task);
       if (delay > 0) {
         return `Completed ${delay} day${delay > 1 ? 's' : ''} after due date`;
       } else if (delay === 0) {
@@ -78,8 +65,10 @@ const MinimalDashboard = () => {
       } else {
         return `Completed ${Math.abs(delay)} day${Math.abs(delay) > 1 ? 's' : ''} early`;
       }
-    } else if (task.dueDate && isOverdue(task.dueDate)) {
-      return `Overdue by ${Math.ceil((new Date() - new Date(task.dueDate)) / (1000 * 60 * 60 * 24))} day${Math.ceil((new Date() - new Date(task.dueDate)) / (1000 * 60 * 60 * 24)) > 1 ? 's' : ''}`;
+    } else if (dueState(task) === 'overdue') {
+      // Late the same day it was due, when it had a due time
+      const daysLate = Math.max(-daysUntilDue(task), 0);
+      return daysLate > 0 ? `Overdue by ${daysLate} day${daysLate > 1 ? 's' : ''}` : `Overdue since ${task.dueTime}`;
     }
     return null;
   };
@@ -115,14 +104,16 @@ const MinimalDashboard = () => {
           <p>Manage your tasks efficiently and stay organized</p>
         </div>
         <div className="header-actions">
-          <motion.button
-            className="action-button primary"
-            onClick={() => navigate('/tasks/new')}
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-          >
-            ➕ New Task
-          </motion.button>
+          {can('task:create') && (
+            <motion.button
+              className="action-button primary"
+              onClick={() => navigate('/tasks/new')}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              ➕ New Task
+            </motion.button>
+          )}
           <motion.button
             className="action-button secondary"
             onClick={() => navigate('/tasks')}
@@ -227,7 +218,7 @@ const MinimalDashboard = () => {
                           className="status-dot"
                           style={{ backgroundColor: getStatusColor(task.status) }}
                         />
-                        <span className="status-text">{task.status.replace('_', ' ')}</span>
+                        <span className="status-text">{getStatus(task.status).name}</span>
                       </div>
                       <div 
                         className="priority-badge"
@@ -251,10 +242,10 @@ const MinimalDashboard = () => {
                     <div className="task-footer">
                       {task.dueDate && (
                         <div className="due-date">
-                          📅 {new Date(task.dueDate).toLocaleDateString()}
+                          📅 {new Date(task.dueDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}{task.dueTime && ` ${task.dueTime}`}
                           {formatCompletionInfo(task) && (
                             <motion.span
-                              className={`completion-info ${task.status === 'completed' ? 'completed' : 'overdue'}`}
+                              className={`completion-info ${task.statusCategory === 'done' ? 'completed' : 'overdue'}`}
                               initial={{ scale: 0 }}
                               animate={{ scale: 1 }}
                               transition={{ type: "spring" }}
@@ -283,12 +274,14 @@ const MinimalDashboard = () => {
                   <div className="empty-icon">📝</div>
                   <h3>No tasks yet</h3>
                   <p>Create your first task to get started</p>
-                  <button 
-                    className="create-task-btn"
-                    onClick={() => navigate('/tasks/new')}
-                  >
-                    Create Task
-                  </button>
+                  {can('task:create') && (
+                    <button 
+                      className="create-task-btn"
+                      onClick={() => navigate('/tasks/new')}
+                    >
+                      Create Task
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -0,0 +1,127 @@
+import React from 'react';
+import './RecurrencePicker.css';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  after_completion: 'After completion'
+};
+
+// "1st", "2nd", "23rd" - because apparently English ordinals are a puzzle
+const ordinal = (n) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
+};
+
+// Human-readable rule, e.g. "Every 2 weeks on Mon, Thu" - shared with TaskDetail
+export const describeRecurrence = (rule) => {
+  if (!rule) return 'Does not repeat';
+
+  const every = (unit) => (rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return every('day');
+    case 'weekly':
+      return `${every('week')} on ${rule.weekdays.map(day => WEEKDAYS[day]).join(', ')}`;
+    case 'monthly':
+      return `${every('month')} on the ${ordinal(rule.monthDay)}`;
+    case 'after_completion':
+      return `${rule.interval} day${rule.interval > 1 ? 's' : ''} after each completion`;
+    default:
+      return 'Repeats';
+  }
+};
+
+// A fresh rule for a frequency - weekly and monthly start from the due date (or today)
+const defaultRule = (frequency, dueDate) => {
+  const anchor = dueDate ? new Date(dueDate) : new Date();
+  return {
+    frequency,
+    interval: frequency === 'after_completion' ? 7 : 1,
+    weekdays: frequency === 'weekly' ? [anchor.getUTCDay()] : [],
+    monthDay: frequency === 'monthly' ? anchor.getUTCDate() : null
+  };
+};
+
+// Recurrence picker - controlled; value is a rule object or null for "does not repeat"
+const RecurrencePicker = ({ value, onChange, dueDate }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(weekday => weekday !== day)
+      : [...value.weekdays, day].sort((a, b) => a - b);
+    // At least one day has to stay picked - the server refuses an empty week
+    if (weekdays.length > 0) update({ weekdays });
+  };
+
+  return (
+    <div className="recurrence-picker">
+      <div className="recurrence-row">
+        <select
+          className="form-select recurrence-frequency"
+          value={value ? value.frequency : ''}
+          onChange={(event) => onChange(event.target.value ? defaultRule(event.target.value, dueDate) : null)}
+        >
+          <option value="">Does not repeat</option>
+          {Object.entries(FREQUENCY_LABELS).map(([frequency, label]) => (
+            <option key={frequency} value={frequency}>{label}</option>
+          ))}
+        </select>
+
+        {value && (
+          <label className="recurrence-interval">
+            {value.frequency === 'after_completion' ? 'after' : 'every'}
+            <input
+              type="number"
+              min="1"
+              max="365"
+              className="form-input"
+              value={value.interval}
+              onChange={(event) => update({ interval: Math.min(365, Math.max(1, parseInt(event.target.value, 10) || 1)) })}
+            />
+            {{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', after_completion: 'day(s)' }[value.frequency]}
+          </label>
+        )}
+      </div>
+
+      {value && value.frequency === 'weekly' && (
+        <div className="recurrence-weekdays">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              className={`recurrence-weekday ${value.weekdays.includes(day) ? 'selected' : ''}`}
+              onClick={() => toggleWeekday(day)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value && value.frequency === 'monthly' && (
+        <label className="recurrence-month-day">
+          on day
+          <input
+            type="number"
+            min="1"
+            max="31"
+            className="form-input"
+            value={value.monthDay}
+            onChange={(event) => update({ monthDay: Math.min(31, Math.max(1, parseInt(event.target.value, 10) || 1)) })}
+          />
+          of the month (short months use their last day)
+        </label>
+      )}
+
+      {value && <p className="recurrence-summary">{describeRecurrence(value)}</p>}
+    </div>
+  );
+};
+
+export default RecurrencePicker;
@@ -1,5 +1,8 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import FlowMetrics from './FlowMetrics';
+import CumulativeFlow from './CumulativeFlow';
 import './Statistics.css';
 
 const Statistics = () => {
@@ -7,40 +10,56 @@ const Statistics = () => {
   const [overdueTasks, setOverdueTasks] = useState([]);
   const [tagStats, setTagStats] = useState(null);
   const [completionTrend, setCompletionTrend] = useState(null);
+  const [wipStats, setWipStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
-
-  // Load statistics data - because apparently we need to see statistics
-  useEffect(() => {
-    loadStatistics();
-  }, []);
+  const { authRequest, dueState, daysUntilDue } = useAuth();
+  const { getStatus } = useWorkspace();
 
   // Load all statistics - because apparently we need to get data
-  const loadStatistics = async () => {
+  const loadStatistics = useCallback(async () => {
     try {
       setLoading(true);
       
       // Load main stats - because apparently we need the main statistics
-      const statsResponse = await axios.get('/api/stats');
+      const statsResponse = await authRequest({ method: 'GET', url: '/api/stats' });
       setStats(statsResponse.data);
       
       // Load overdue tasks - because apparently we need to see what's late
-      const overdueResponse = await axios.get('/api/stats/overdue');
+      const overdueResponse = await authRequest({ method: 'GET', url: '/api/stats/overdue' });
       setOverdueTasks(overdueResponse.data.tasks);
       
       // Load tag statistics - because apparently we need to see tag usage
-      const tagResponse = await axios.get('/api/stats/tags');
+      const tagResponse = await authRequest({ method: 'GET', url: '/api/stats/tags' });
       setTagStats(tagResponse.data);
       
       // Load completion trend - because apparently we need to see trends
-      const trendResponse = await axios.get('/api/stats/completion-trend');
+      const trendResponse = await authRequest({ method: 'GET', url: '/api/stats/completion-trend' });
       setCompletionTrend(trendResponse.data);
       
+      // Load WIP limit history - because apparently limits only matter if someone checks
+      const wipResponse = await authRequest({ method: 'GET', url: '/api/stats/wip' });
+      setWipStats(wipResponse.data);
+      
     } catch (error) {
       console.error('Error loading statistics:', error);
     } finally {
       setLoading(false);
     }
+  }, [authRequest]);
+
+  // Load statistics data - because apparently we need to see statistics
+  useEffect(() => {
+    loadStatistics();
+  }, [loadStatistics]);
+
+  // "2d 4h", "35m" - how long a column sat over its limit
+  const formatDuration = (ms) => {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
   };
 
   // Get priority color - because apparently we need visual indicators
@@ -59,32 +78,31 @@ const Statistics = () => {
 
   // Get status color - because apparently we need visual indicators
   const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
+    switch (getStatus(status).category) {
+      case 'done':
         return 'status-completed';
-      case 'in_progress':
+      case 'active':
         return 'status-in-progress';
-      case 'todo':
+      case 'not_started':
         return 'status-todo';
       default:
         return '';
     }
   };
 
-  // Format date - because apparently dates are hard to read
-  const formatDate = (dateString) => {
-    if (!dateString) return 'No due date';
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffTime = date - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  // Format date - because apparently dates are hard to read.
+  // Whole days on the user's own calendar - "due today" holds until the task is actually late
+  const formatDate = (task) => {
+    if (!task.dueDate) return 'No due date';
+    const diffDays = daysUntilDue(task);
+    const at = task.dueTime ? ` at ${task.dueTime}` : '';
 
     if (diffDays < 0) {
       return `Overdue by ${Math.abs(diffDays)} days`;
     } else if (diffDays === 0) {
-      return 'Due today';
+      return dueState(task) === 'overdue' ? `Overdue since ${task.dueTime}` : `Due today${at}`;
     } else if (diffDays === 1) {
-      return 'Due tomorrow';
+      return `Due tomorrow${at}`;
     } else {
       return `Due in ${diffDays} days`;
     }
@@ -132,6 +150,12 @@ const Statistics = () => {
         >
           📈 Trends
         </button>
+        <button
+          className={`tab-button ${activeTab === 'flow' ? 'active' : ''}`}
+          onClick={() => setActiveTab('flow')}
+        >
+          ⏱️ Flow
+        </button>
       </div>
 
       {/* Overview Tab - because apparently we need to see the overview */}
@@ -144,7 +168,9 @@ const Statistics = () => {
               <div className="metric-content">
                 <h3>Total Tasks</h3>
                 <p className="metric-value">{stats.total}</p>
-                <p className="metric-description">All tasks in the system</p>
+                <p className="metric-description">
+                  {stats.archived > 0 ? `All tasks, ${stats.archived} of them archived` : 'All tasks in the system'}
+                </p>
               </div>
             </div>
 
@@ -184,7 +210,7 @@ const Statistics = () => {
                 <div key={status} className="status-bar">
                   <div className="status-label">
                     <span className={`status-indicator ${getStatusColor(status)}`}></span>
-                    {status.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                    {getStatus(status).name}
                   </div>
                   <div className="status-bar-container">
                     <div 
@@ -219,6 +245,69 @@ const Statistics = () => {
               ))}
             </div>
           </div>
+
+          {/* Assignee Breakdown - because apparently we need to know who's carrying the load */}
+          <div className="stats-section">
+            <h2>By Assignee</h2>
+            <div className="assignee-chart">
+              {stats.byAssignee.map(entry => (
+                <div key={entry.userId} className="chart-bar">
+                  <div className="chart-label assignee-label" title={entry.name}>{entry.name}</div>
+                  <div className="chart-progress">
+                    <div
+                      className="chart-fill assignee"
+                      style={{ width: `${(entry.total / stats.total) * 100}%` }}
+                    ></div>
+                  </div>
+                  <div className="chart-value" title={`${entry.completionRate}% completed`}>{entry.total}</div>
+                </div>
+              ))}
+              <div className="chart-bar">
+                <div className="chart-label assignee-label">Unassigned</div>
+                <div className="chart-progress">
+                  <div
+                    className="chart-fill unassigned"
+                    style={{ width: `${stats.total > 0 ? (stats.unassigned / stats.total) * 100 : 0}%` }}
+                  ></div>
+                </div>
+                <div className="chart-value">{stats.unassigned}</div>
+              </div>
+            </div>
+          </div>
+
+          {/* WIP Limits - how long each limited column spent over its limit lately */}
+          {wipStats && (
+            <div className="stats-section">
+              <h2>WIP Limits (last {wipStats.days} days)</h2>
+              {wipStats.columns.some(column => column.wipLimit !== null || column.breaches > 0) ? (
+                <div className="wip-chart">
+                  {wipStats.columns
+                    .filter(column => column.wipLimit !== null || column.breaches > 0)
+                    .map(column => (
+                      <div key={column.status} className="chart-bar">
+                        <div className="chart-label wip-label" title={column.name}>
+                          {column.name}
+                          <span className={`wip-now ${column.overLimit ? 'over' : ''}`}>
+                            {column.count}{column.wipLimit !== null ? ` / ${column.wipLimit}` : ''}
+                          </span>
+                        </div>
+                        <div className="chart-progress">
+                          <div
+                            className="chart-fill wip-over-limit"
+                            style={{ width: `${column.percentOverLimit}%` }}
+                          ></div>
+                        </div>
+                        <div className="chart-value" title={`${column.percentOverLimit}% of the time, ${column.breaches} time(s)`}>
+                          {formatDuration(column.timeOverLimit)}
+                        </div>
+                      </div>
+                    ))}
+                </div>
+              ) : (
+                <p className="no-data">No WIP limits set - owners can set them from the board's column headers</p>
+              )}
+            </div>
+          )}
         </div>
       )}
 
@@ -241,7 +330,7 @@ const Statistics = () => {
                         {task.priority}
                       </span>
                       <span className={`status-badge ${getStatusColor(task.status)}`}>
-                        {task.status.replace('_', ' ')}
+                        {getStatus(task.status).name}
                       </span>
                     </div>
                   </div>
@@ -253,7 +342,7 @@ const Statistics = () => {
                   <div className="task-meta">
                     <span className="overdue-info">
                       <span className="overdue-icon">🚨</span>
-                      {formatDate(task.dueDate)}
+                      {formatDate(task)}
                     </span>
                     {task.tags.length > 0 && (
                       <div className="task-tags">
@@ -309,33 +398,47 @@ const Statistics = () => {
       )}
 
       {/* Trends Tab - because apparently we need to see trends */}
-      {activeTab === 'trends' && completionTrend && (
+      {activeTab === 'trends' && (
         <div className="tab-content">
-          <div className="trends-overview">
-            <h2>Completion Trends</h2>
-            <p className="trends-summary">
-              Task completion trends over {completionTrend.totalDays} days
-            </p>
-          </div>
+          {/* Cumulative flow - the board day by day, rebuilt from status history */}
+          <CumulativeFlow />
 
-          <div className="trends-chart">
-            {completionTrend.trendData.map((day, index) => (
-              <div key={day.date} className="trend-day">
-                <div className="trend-date">{new Date(day.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</div>
-                <div className="trend-bars">
-                  <div className="trend-bar total">
-                    <div className="trend-bar-fill" style={{ height: `${(day.total / Math.max(...completionTrend.trendData.map(d => d.total))) * 100}%` }}></div>
-                    <span className="trend-label">Total: {day.total}</span>
-                  </div>
-                  <div className="trend-bar completed">
-                    <div className="trend-bar-fill" style={{ height: `${(day.completed / Math.max(...completionTrend.trendData.map(d => d.total))) * 100}%` }}></div>
-                    <span className="trend-label">Completed: {day.completed}</span>
+          {completionTrend && (
+            <>
+              <div className="trends-overview">
+                <h2>Tasks Created per Day</h2>
+                <p className="trends-summary">
+                  Tasks created on each of {completionTrend.totalDays} days, and how many of them are done now
+                </p>
+              </div>
+
+              <div className="trends-chart">
+                {completionTrend.trendData.map((day, index) => (
+                  <div key={day.date} className="trend-day">
+                    <div className="trend-date">{new Date(day.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</div>
+                    <div className="trend-bars">
+                      <div className="trend-bar total">
+                        <div className="trend-bar-fill" style={{ height: `${(day.total / Math.max(...completionTrend.trendData.map(d => d.total))) * 100}%` }}></div>
+                        <span className="trend-label">Total: {day.total}</span>
+                      </div>
+                      <div className="trend-bar completed">
+                        <div className="trend-bar-fill" style={{ height: `${(day.completed / Math.max(...completionTrend.trendData.map(d => d.total))) * 100}%` }}></div>
+                        <span className="trend-label">Completed: {day.completed}</span>
+                      </div>
+                    </div>
+                    <div className="trend-rate">{day.completionRate}%</div>
                   </div>
-                </div>
-                <div className="trend-rate">{day.completionRate}%</div>
+                ))}
               </div>
-            ))}
-          </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Flow Tab - lead and cycle time, loaded for whatever range it's showing */}
+      {activeTab === 'flow' && (
+        <div className="tab-content">
+          <FlowMetrics />
         </div>
       )}
     </div>
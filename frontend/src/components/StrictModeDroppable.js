@@ -0,0 +1,20 @@
+import React, { useState, useEffect } from 'react';
+import { Droppable } from 'react-beautiful-dnd';
+
+// react-beautiful-dnd loses track of its droppables when StrictMode mounts them twice -
+// waiting a frame before rendering one keeps it registered
+const StrictModeDroppable = ({ children, ...props }) => {
+  const [enabled, setEnabled] = useState(false);
+
+  useEffect(() => {
+    const frame = requestAnimationFrame(() => setEnabled(true));
+    return () => {
+      cancelAnimationFrame(frame);
+      setEnabled(false);
+    };
+  }, []);
+
+  return enabled ? <Droppable {...props}>{children}</Droppable> : null;
+};
+
+export default StrictModeDroppable;
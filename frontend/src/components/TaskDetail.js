@@ -1,42 +1,229 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useTaskContext } from '../context/TaskContext';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { describeRecurrence } from './RecurrencePicker';
+import Markdown from './Markdown';
 import './TaskDetail.css';
 
+// What the history calls each tracked field
+const HISTORY_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  dueTime: 'Due time',
+  startDate: 'Start date',
+  tags: 'Tags',
+  assignees: 'Assignees',
+  parentId: 'Parent',
+  blockedBy: 'Blocked by',
+  recurrence: 'Repeats'
+};
+
+// How the history reads each kind of entry - comments show up in their task's history too
+const HISTORY_VERBS = {
+  'task.create': 'created this task',
+  'task.update': 'changed',
+  'task.delete': 'moved this task to the trash',
+  'task.restore': 'restored this task from the trash',
+  'task.purge': 'deleted this task for good',
+  'task.archive': 'archived this task',
+  'task.unarchive': 'unarchived this task',
+  'comment.create': 'commented',
+  'comment.update': 'edited a comment',
+  'comment.delete': 'deleted a comment'
+};
+
 const TaskDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { getTaskById, deleteTask, updateTask } = useTaskContext();
+  const {
+    getTaskById, getSubtasks, getDependencies, getOccurrences, findTasks, createTask, deleteTask, updateTask,
+    getTaskHistory, getComments, addComment, updateComment, deleteComment, archiveTask, unarchiveTask
+  } = useTaskContext();
+  const { can, getStatus, firstStatusIn, getMember } = useWorkspace();
+  const { user, dueState, daysUntilDue } = useAuth();
   const [task, setTask] = useState(null);
   const [loading, setLoading] = useState(true);
   const [deleting, setDeleting] = useState(false);
+  const [archiving, setArchiving] = useState(false);
+  const [subtasks, setSubtasks] = useState([]);
+  const [newSubtaskTitle, setNewSubtaskTitle] = useState('');
+  const [dependencies, setDependencies] = useState({ blockedBy: [], blocks: [] });
+  const [blockerOptions, setBlockerOptions] = useState(null);
+  const [occurrences, setOccurrences] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [editingComment, setEditingComment] = useState(null);
+  const [history, setHistory] = useState([]);
+
+  // The task plus everything hanging off it - subtasks, dependencies and upcoming occurrences
+  const fetchTaskAndRelations = useCallback(async () => {
+    const [taskData, subtaskData, dependencyData, occurrenceData, commentData, historyData] = await Promise.all([
+      getTaskById(id),
+      getSubtasks(id),
+      getDependencies(id),
+      getOccurrences(id),
+      getComments(id),
+      getTaskHistory(id)
+    ]);
+    setTask(taskData);
+    setSubtasks(subtaskData);
+    setDependencies(dependencyData);
+    setOccurrences(occurrenceData.occurrences);
+    setComments(commentData);
+    setHistory(historyData);
+  }, [id, getTaskById, getSubtasks, getDependencies, getOccurrences, getComments, getTaskHistory]);
 
   // Load task from API - because apparently we need to get data
   const loadTask = useCallback(async () => {
     try {
       setLoading(true);
-      const taskData = await getTaskById(id);
-      setTask(taskData);
+      await fetchTaskAndRelations();
     } catch (error) {
       console.error('Error loading task:', error);
       navigate('/tasks');
     } finally {
       setLoading(false);
     }
-  }, [id, getTaskById, navigate]);
+  }, [fetchTaskAndRelations, navigate]);
 
   // Load task data - because apparently we need to see the task
   useEffect(() => {
     loadTask();
   }, [id, loadTask]);
 
+  // Refresh subtasks, dependencies and the rollups without the full-page spinner
+  const refreshRelations = useCallback(async () => {
+    try {
+      await fetchTaskAndRelations();
+    } catch (error) {
+      console.error('Error refreshing task:', error);
+    }
+  }, [fetchTaskAndRelations]);
+
+  // Add a subtask inline - same workspace, this task as its parent
+  const handleAddSubtask = async (event) => {
+    event.preventDefault();
+    const title = newSubtaskTitle.trim();
+    if (!title) return;
+
+    try {
+      await createTask({ title, parentId: id, priority: task.priority });
+      setNewSubtaskTitle('');
+      refreshRelations();
+    } catch (error) {
+      console.error('Error adding subtask:', error);
+    }
+  };
+
+  // Tick a subtask off (or back on)
+  const toggleSubtask = async (subtask) => {
+    try {
+      const status = subtask.statusCategory === 'done' ? firstStatusIn('not_started') : firstStatusIn('done');
+      await updateTask(subtask.id, { status: status.key });
+      refreshRelations();
+    } catch (error) {
+      console.error('Error updating subtask:', error);
+    }
+  };
+
+  // Tasks that could block this one - loaded when someone actually wants to add a blocker
+  const openBlockerPicker = async () => {
+    try {
+      const candidates = await findTasks({ sortBy: 'title', limit: 100 });
+      setBlockerOptions(candidates.filter(candidate => (
+        candidate.id !== task.id && !task.blockedBy.includes(candidate.id)
+      )));
+    } catch (error) {
+      console.error('Error loading tasks:', error);
+    }
+  };
+
+  // Add or remove a blocker - the server turns down anything that would make a cycle
+  const saveBlockers = async (blockedBy) => {
+    try {
+      await updateTask(task.id, { blockedBy });
+      setBlockerOptions(null);
+      refreshRelations();
+    } catch (error) {
+      console.error('Error updating dependencies:', error);
+    }
+  };
+
+  // Post a comment to the bottom of the thread
+  const handleAddComment = async (event) => {
+    event.preventDefault();
+    const body = newComment.trim();
+    if (!body) return;
+
+    try {
+      setPosting(true);
+      const comment = await addComment(id, body);
+      setComments(prev => [...prev, comment]);
+      setNewComment('');
+    } catch (error) {
+      console.error('Error adding comment:', error);
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  // Save an edited comment in place
+  const handleSaveComment = async (event) => {
+    event.preventDefault();
+    const body = editingComment.body.trim();
+    if (!body) return;
+
+    try {
+      const saved = await updateComment(id, editingComment.id, body);
+      setComments(prev => prev.map(comment => (comment.id === saved.id ? saved : comment)));
+      setEditingComment(null);
+    } catch (error) {
+      console.error('Error updating comment:', error);
+    }
+  };
+
+  const handleDeleteComment = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      await deleteComment(id, comment.id);
+      setComments(prev => prev.filter(candidate => candidate.id !== comment.id));
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+    }
+  };
+
+  // Archive or unarchive - the task stays right here either way, only the lists change
+  const handleArchiveToggle = async () => {
+    try {
+      setArchiving(true);
+      const saved = task.archivedAt ? await unarchiveTask(id) : await archiveTask(id);
+      setTask(saved);
+      setHistory(await getTaskHistory(id));
+    } catch (error) {
+      console.error('Error archiving task:', error);
+    } finally {
+      setArchiving(false);
+    }
+  };
+
   // Handle task deletion - because apparently we need to remove things
+  // A task with subtasks takes them along, but only after saying so out loud
   const handleDelete = async () => {
-    const confirmed = window.confirm('Are you sure you want to delete this task?');
+    const subtaskCount = task.subtaskProgress ? task.subtaskProgress.total : 0;
+    const confirmed = window.confirm(subtaskCount > 0
+      ? `This task has ${subtaskCount} subtask(s). Move the task and all of its subtasks to the trash?`
+      : 'Move this task to the trash?');
     if (confirmed) {
       try {
         setDeleting(true);
-        await deleteTask(id);
+        await deleteTask(id, { cascade: subtaskCount > 0 });
         navigate('/tasks');
       } catch (error) {
         console.error('Error deleting task:', error);
@@ -62,12 +249,12 @@ const TaskDetail = () => {
 
   // Get status color - because apparently we need visual indicators
   const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
+    switch (getStatus(status).category) {
+      case 'done':
         return 'status-completed';
-      case 'in_progress':
+      case 'active':
         return 'status-in-progress';
-      case 'todo':
+      case 'not_started':
         return 'status-todo';
       default:
         return '';
@@ -78,42 +265,91 @@ const TaskDetail = () => {
   const formatDate = (dateString) => {
     if (!dateString) return 'No due date';
     const date = new Date(dateString);
+    // Due and start dates are calendar days, stored as UTC midnight - read them back in UTC
     return date.toLocaleDateString('en-US', {
       year: 'numeric',
       month: 'long',
-      day: 'numeric'
+      day: 'numeric',
+      timeZone: 'UTC'
     });
   };
 
   // Format relative date - because apparently we need to know when things are due
-  const formatRelativeDate = (dateString) => {
-    if (!dateString) return 'No due date';
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffTime = date - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  // Whole days on the user's own calendar, so "due today" lasts until the task is actually late
+  const formatRelativeDate = (task) => {
+    if (!task.dueDate) return 'No due date';
+    const diffDays = daysUntilDue(task);
 
     if (diffDays < 0) {
       return `Overdue by ${Math.abs(diffDays)} days`;
     } else if (diffDays === 0) {
-      return 'Due today';
+      return dueState(task) === 'overdue' ? `Overdue since ${task.dueTime}` : 'Due today';
     } else if (diffDays === 1) {
       return 'Due tomorrow';
     } else if (diffDays <= 7) {
       return `Due in ${diffDays} days`;
     } else {
-      return `Due on ${formatDate(dateString)}`;
+      return `Due on ${formatDate(task.dueDate)}`;
     }
   };
 
-  // Check if task is overdue - because apparently we need to know what's late
-  const isOverdue = (dateString) => {
-    if (!dateString) return false;
+  // When a comment was posted or a change made - the time for anything from today, the date otherwise
+  const formatTimestamp = (dateString) => {
     const date = new Date(dateString);
-    const now = new Date();
-    return date < now;
+    if (date.toDateString() === new Date().toDateString()) {
+      return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  // A full date and time - for the task's own timestamps
+  const formatDateTime = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  // How long something lasted, roughly - "3d 4h", "5h 10m", "12m"
+  const formatDuration = (ms) => {
+    const minutes = Math.max(Math.floor(ms / 60000), 0);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    if (hours > 0) return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    return `${minutes}m`;
+  };
+
+  // One side of a history change, readable - names instead of keys and IDs
+  const formatHistoryValue = (field, value) => {
+    if (value === null || value === undefined) return 'none';
+    switch (field) {
+      case 'status':
+        return getStatus(value).name;
+      case 'dueDate':
+      case 'startDate':
+        return formatDate(value);
+      case 'tags':
+        return value.join(', ');
+      case 'assignees':
+        return value.map(userId => (getMember(userId) ? getMember(userId).name : 'Former member')).join(', ');
+      case 'blockedBy':
+        return `${value.length} task(s)`;
+      case 'parentId':
+        return 'a parent task';
+      case 'recurrence':
+        return describeRecurrence(value);
+      case 'description':
+        return value.length > 60 ? `"${value.slice(0, 60)}..."` : `"${value}"`;
+      default:
+        return String(value);
+    }
   };
 
+  // Check if task is overdue - because apparently we need to know what's late
+  const isOverdue = (task) => dueState(task) === 'overdue';
+
   if (loading) {
     return (
       <div className="task-detail-loading">
@@ -144,23 +380,42 @@ const TaskDetail = () => {
               {task.priority}
             </span>
             <span className={`status-badge ${getStatusColor(task.status)}`}>
-              {task.status.replace('_', ' ')}
+              {getStatus(task.status).name}
             </span>
+            {task.archivedAt && (
+              <span className="archived-badge" title={new Date(task.archivedAt).toLocaleString()}>
+                Archived {new Date(task.archivedAt).toLocaleDateString()}
+              </span>
+            )}
           </div>
         </div>
         <div className="header-actions">
-          <Link to={`/tasks/${id}/edit`} className="edit-button">
-            <span className="edit-icon">✏️</span>
-            Edit Task
-          </Link>
-          <button
-            className="delete-button"
-            onClick={handleDelete}
-            disabled={deleting}
-          >
-            <span className="delete-icon">🗑️</span>
-            {deleting ? 'Deleting...' : 'Delete Task'}
-          </button>
+          {can('task:update') && (
+            <Link to={`/tasks/${id}/edit`} className="edit-button">
+              <span className="edit-icon">✏️</span>
+              Edit Task
+            </Link>
+          )}
+          {can('task:update') && (
+            <button
+              className="archive-button"
+              onClick={handleArchiveToggle}
+              disabled={archiving}
+            >
+              <span className="archive-icon">📦</span>
+              {task.archivedAt ? 'Unarchive' : 'Archive'}
+            </button>
+          )}
+          {can('task:delete') && (
+            <button
+              className="delete-button"
+              onClick={handleDelete}
+              disabled={deleting}
+            >
+              <span className="delete-icon">🗑️</span>
+              {deleting ? 'Deleting...' : 'Delete Task'}
+            </button>
+          )}
         </div>
       </div>
 
@@ -175,13 +430,174 @@ const TaskDetail = () => {
             </div>
           )}
 
+          {/* Start date - only when there is one */}
+          {task.startDate && (
+            <div className="task-section">
+              <h3>Start Date</h3>
+              <div className="due-date-info">
+                <span className="due-date-text">{formatDate(task.startDate)}</span>
+              </div>
+            </div>
+          )}
+
           {/* Due date - because apparently we need to know when it's due */}
           <div className="task-section">
             <h3>Due Date</h3>
-            <div className={`due-date-info ${isOverdue(task.dueDate) ? 'overdue' : ''}`}>
-              <span className="due-date-text">{formatRelativeDate(task.dueDate)}</span>
+            <div className={`due-date-info ${isOverdue(task) ? 'overdue' : ''}`}>
+              <span className="due-date-text">{formatRelativeDate(task)}</span>
               {task.dueDate && (
-                <span className="due-date-full">({formatDate(task.dueDate)})</span>
+                <span className="due-date-full">({formatDate(task.dueDate)}{task.dueTime && ` at ${task.dueTime}`})</span>
+              )}
+            </div>
+          </div>
+
+          {/* Recurrence - because apparently some work never really ends */}
+          {task.recurrence && (
+            <div className="task-section recurrence-section">
+              <h3>Repeats</h3>
+              <p className="recurrence-rule">🔁 {describeRecurrence(task.recurrence)}</p>
+              {occurrences.length > 0 && (
+                <>
+                  <h4>Next occurrences</h4>
+                  <ul className="occurrence-list">
+                    {occurrences.map(occurrence => (
+                      <li key={occurrence} className="occurrence-item">{formatDate(occurrence)}</li>
+                    ))}
+                  </ul>
+                  {task.recurrence.frequency === 'after_completion' && (
+                    <p className="occurrence-note">Estimated - assumes each one is finished on its due date</p>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Subtasks - because apparently big tasks come in pieces */}
+          <div className="task-section subtasks-section">
+            <div className="subtasks-header">
+              <h3>Subtasks</h3>
+              {task.subtaskProgress && task.subtaskProgress.total > 0 && (
+                <span className="subtasks-count">
+                  {task.subtaskProgress.completed} of {task.subtaskProgress.total} done
+                </span>
+              )}
+            </div>
+
+            {subtasks.length > 0 ? (
+              <ul className="subtask-list">
+                {subtasks.map(subtask => (
+                  <li key={subtask.id} className={`subtask-item ${subtask.statusCategory === 'done' ? 'completed' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={subtask.statusCategory === 'done'}
+                      disabled={!can('task:update')}
+                      onChange={() => toggleSubtask(subtask)}
+                      aria-label={`Mark "${subtask.title}" ${subtask.statusCategory === 'done' ? 'not done' : 'done'}`}
+                    />
+                    <Link to={`/tasks/${subtask.id}`} className="subtask-title">{subtask.title}</Link>
+                    {subtask.subtaskProgress.total > 0 && (
+                      <span className="subtask-rollup">
+                        {subtask.subtaskProgress.completed}/{subtask.subtaskProgress.total}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="no-subtasks">No subtasks yet</p>
+            )}
+
+            {can('task:create') && (
+              <form className="subtask-add" onSubmit={handleAddSubtask}>
+                <input
+                  type="text"
+                  className="subtask-input"
+                  placeholder="Add a subtask..."
+                  value={newSubtaskTitle}
+                  maxLength={100}
+                  onChange={(event) => setNewSubtaskTitle(event.target.value)}
+                />
+                <button type="submit" className="subtask-add-button" disabled={!newSubtaskTitle.trim()}>
+                  Add
+                </button>
+              </form>
+            )}
+          </div>
+
+          {/* Dependencies - because apparently order matters */}
+          <div className="task-section dependencies-section">
+            <div className="subtasks-header">
+              <h3>Dependencies</h3>
+              {task.blocked && task.statusCategory !== 'done' && (
+                <span className="blocked-indicator">⛔ Blocked</span>
+              )}
+            </div>
+
+            <div className="dependency-group">
+              <h4>Blocked by</h4>
+              {dependencies.blockedBy.length > 0 ? (
+                <ul className="dependency-list">
+                  {dependencies.blockedBy.map(blocker => (
+                    <li key={blocker.id} className={`dependency-item ${blocker.statusCategory === 'done' ? 'done' : ''}`}>
+                      <span className={`dependency-status category-${blocker.statusCategory}`}>
+                        {getStatus(blocker.status).name}
+                      </span>
+                      <Link to={`/tasks/${blocker.id}`} className="dependency-title">{blocker.title}</Link>
+                      {can('task:update') && (
+                        <button
+                          type="button"
+                          className="dependency-remove"
+                          title="Remove this blocker"
+                          onClick={() => saveBlockers(task.blockedBy.filter(blockerId => blockerId !== blocker.id))}
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="no-dependencies">Nothing - this task can start whenever</p>
+              )}
+
+              {can('task:update') && (blockerOptions ? (
+                <div className="dependency-add">
+                  <select
+                    className="dependency-select"
+                    defaultValue=""
+                    onChange={(event) => event.target.value && saveBlockers([...task.blockedBy, event.target.value])}
+                  >
+                    <option value="" disabled>Pick the task this one waits on...</option>
+                    {blockerOptions.map(option => (
+                      <option key={option.id} value={option.id}>{option.title}</option>
+                    ))}
+                  </select>
+                  <button type="button" className="dependency-cancel" onClick={() => setBlockerOptions(null)}>
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <button type="button" className="dependency-add-button" onClick={openBlockerPicker}>
+                  + Add blocker
+                </button>
+              ))}
+            </div>
+
+            <div className="dependency-group">
+              <h4>Blocks</h4>
+              {dependencies.blocks.length > 0 ? (
+                <ul className="dependency-list">
+                  {dependencies.blocks.map(dependent => (
+                    <li key={dependent.id} className={`dependency-item ${dependent.statusCategory === 'done' ? 'done' : ''}`}>
+                      <span className={`dependency-status category-${dependent.statusCategory}`}>
+                        {getStatus(dependent.status).name}
+                      </span>
+                      <Link to={`/tasks/${dependent.id}`} className="dependency-title">{dependent.title}</Link>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="no-dependencies">Nothing is waiting on this task</p>
               )}
             </div>
           </div>
@@ -198,6 +614,150 @@ const TaskDetail = () => {
             </div>
           )}
 
+          {/* Comments - because apparently discussions in chat get lost */}
+          <div className="task-section comments-section">
+            <div className="subtasks-header">
+              <h3>Comments</h3>
+              {comments.length > 0 && <span className="subtasks-count">{comments.length}</span>}
+            </div>
+
+            {comments.length > 0 ? (
+              <ul className="comment-list">
+                {comments.map(comment => {
+                  const mine = user && comment.authorId === user.id;
+                  return (
+                    <li key={comment.id} className="comment-item">
+                      <div className="comment-meta">
+                        <span className="comment-author">{comment.author ? comment.author.name : 'Former member'}</span>
+                        <span className="comment-time" title={new Date(comment.createdAt).toLocaleString()}>
+                          {formatTimestamp(comment.createdAt)}
+                          {comment.edited && ' (edited)'}
+                        </span>
+                        {editingComment?.id !== comment.id && (
+                          <span className="comment-actions">
+                            {mine && can('comment:create') && (
+                              <button type="button" onClick={() => setEditingComment({ id: comment.id, body: comment.body })}>
+                                Edit
+                              </button>
+                            )}
+                            {((mine && can('comment:create')) || can('comment:moderate')) && (
+                              <button type="button" onClick={() => handleDeleteComment(comment)}>
+                                Delete
+                              </button>
+                            )}
+                          </span>
+                        )}
+                      </div>
+                      {editingComment?.id === comment.id ? (
+                        <form className="comment-form" onSubmit={handleSaveComment}>
+                          <textarea
+                            className="comment-input"
+                            value={editingComment.body}
+                            maxLength={5000}
+                            rows={3}
+                            onChange={(event) => setEditingComment({ ...editingComment, body: event.target.value })}
+                          />
+                          <div className="comment-form-actions">
+                            <button type="button" className="dependency-cancel" onClick={() => setEditingComment(null)}>
+                              Cancel
+                            </button>
+                            <button type="submit" className="subtask-add-button" disabled={!editingComment.body.trim()}>
+                              Save
+                            </button>
+                          </div>
+                        </form>
+                      ) : (
+                        <Markdown text={comment.body} className="comment-body" />
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            ) : (
+              <p className="no-subtasks">No comments yet</p>
+            )}
+
+            {can('comment:create') && (
+              <form className="comment-form" onSubmit={handleAddComment}>
+                <textarea
+                  className="comment-input"
+                  placeholder="Add a comment... **markdown** works, and @name lets someone know"
+                  value={newComment}
+                  maxLength={5000}
+                  rows={3}
+                  onChange={(event) => setNewComment(event.target.value)}
+                />
+                <div className="comment-form-actions">
+                  <button type="submit" className="subtask-add-button" disabled={posting || !newComment.trim()}>
+                    {posting ? 'Posting...' : 'Comment'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+
+          {/* History - because apparently "who moved this back to todo?" deserves an answer */}
+          {history.length > 0 && (
+            <div className="task-section history-section">
+              <h3>History</h3>
+              <ol className="history-timeline">
+                {history.map(entry => (
+                  <li key={entry.id} className={`history-entry action-${entry.action.split('.')[1]}`}>
+                    <div className="history-meta">
+                      <span className="history-actor">{entry.actor.name}</span>
+                      {' '}{HISTORY_VERBS[entry.action] || entry.action}
+                      <span className="history-time" title={new Date(entry.createdAt).toLocaleString()}>
+                        {formatTimestamp(entry.createdAt)}
+                      </span>
+                    </div>
+                    {entry.action === 'task.update' && (
+                      <ul className="history-changes">
+                        {Object.entries(entry.changes).map(([field, change]) => (
+                          <li key={field}>
+                            <span className="history-field">{HISTORY_FIELD_LABELS[field] || field}</span>{' '}
+                            <span className="history-from">{formatHistoryValue(field, change.from)}</span>
+                            {' → '}
+                            <span className="history-to">{formatHistoryValue(field, change.to)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {/* Status timeline - every status the task has been in, and how long it stayed */}
+          {task.transitions && task.transitions.length > 0 && (
+            <div className="task-section status-timeline-section">
+              <h3>Status Timeline</h3>
+              <ol className="history-timeline">
+                {task.transitions.map((transition, index) => {
+                  const next = task.transitions[index + 1];
+                  const lasted = (next ? new Date(next.at) : new Date()) - new Date(transition.at);
+                  return (
+                    <li key={`${transition.at}-${index}`} className={`history-entry status-step category-${transition.category}`}>
+                      <div className="history-meta">
+                        <span className="history-actor">{getStatus(transition.to).name}</span>
+                        {transition.from === null ? ' (created)' : ''}
+                        <span className="history-time" title={new Date(transition.at).toLocaleString()}>
+                          {formatTimestamp(transition.at)}
+                        </span>
+                      </div>
+                      {/* A finished task isn't waiting on anything - only open statuses keep counting */}
+                      {(next || transition.category !== 'done') && (
+                        <div className="status-step-duration">
+                          {next ? `for ${formatDuration(lasted)}` : `${formatDuration(lasted)} so far`}
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+
           {/* Timestamps - because apparently we need to know when things happened */}
           <div className="task-section">
             <h3>Task Information</h3>
@@ -205,25 +765,25 @@ const TaskDetail = () => {
               <div className="info-item">
                 <span className="info-label">Created:</span>
                 <span className="info-value">
-                  {new Date(task.createdAt).toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                  })}
+                  {formatDateTime(task.createdAt)}
                 </span>
               </div>
               <div className="info-item">
                 <span className="info-label">Last Updated:</span>
                 <span className="info-value">
-                  {new Date(task.updatedAt).toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                  })}
+                  {formatDateTime(task.updatedAt)}
+                </span>
+              </div>
+              <div className="info-item">
+                <span className="info-label">Started:</span>
+                <span className="info-value">
+                  {task.startedAt ? formatDateTime(task.startedAt) : 'Not yet'}
+                </span>
+              </div>
+              <div className="info-item">
+                <span className="info-label">Completed:</span>
+                <span className="info-value">
+                  {task.completedAt ? formatDateTime(task.completedAt) : 'Not yet'}
                 </span>
               </div>
               <div className="info-item">
@@ -237,31 +797,17 @@ const TaskDetail = () => {
         {/* Task sidebar - because apparently we need additional information */}
         <div className="task-sidebar">
           {/* Quick actions - because apparently we need to do things quickly */}
-          <div className="sidebar-section">
-            <h3>Quick Actions</h3>
-            <div className="quick-actions">
-              <button
-                className={`status-toggle ${task.status === 'completed' ? 'completed' : ''}`}
-                onClick={async () => {
-                  try {
-                    const newStatus = task.status === 'completed' ? 'todo' : 'completed';
-                    await updateTask(task.id, { status: newStatus });
-                    // Refresh the task data
-                    loadTask();
-                  } catch (error) {
-                    console.error('Error updating task status:', error);
-                  }
-                }}
-              >
-                {task.status === 'completed' ? '✓ Completed' : 'Mark Complete'}
-              </button>
-              
-              {task.status === 'todo' && (
+          {can('task:update') && (
+            <div className="sidebar-section">
+              <h3>Quick Actions</h3>
+              <div className="quick-actions">
                 <button
-                  className="status-toggle in-progress"
+                  className={`status-toggle ${task.statusCategory === 'done' ? 'completed' : ''}`}
                   onClick={async () => {
                     try {
-                      await updateTask(task.id, { status: 'in_progress' });
+                      // Done goes back to where new tasks start; anything else goes to the first "done" status
+                      const newStatus = task.statusCategory === 'done' ? firstStatusIn('not_started') : firstStatusIn('done');
+                      await updateTask(task.id, { status: newStatus.key });
                       // Refresh the task data
                       loadTask();
                     } catch (error) {
@@ -269,11 +815,28 @@ const TaskDetail = () => {
                     }
                   }}
                 >
-                  Start Progress
+                  {task.statusCategory === 'done' ? `✓ ${getStatus(task.status).name}` : 'Mark Complete'}
                 </button>
-              )}
+              
+                {task.statusCategory === 'not_started' && firstStatusIn('active') && (
+                  <button
+                    className="status-toggle in-progress"
+                    onClick={async () => {
+                      try {
+                        await updateTask(task.id, { status: firstStatusIn('active').key });
+                        // Refresh the task data
+                        loadTask();
+                      } catch (error) {
+                        console.error('Error updating task status:', error);
+                      }
+                    }}
+                  >
+                    Start Progress
+                  </button>
+                )}
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Task statistics - because apparently we need to see statistics */}
           <div className="sidebar-section">
@@ -288,7 +851,7 @@ const TaskDetail = () => {
               <div className="stat-item">
                 <span className="stat-label">Status</span>
                 <span className={`stat-value status-${task.status}`}>
-                  {task.status.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                  {getStatus(task.status).name}
                 </span>
               </div>
               <div className="stat-item">
@@ -305,9 +868,11 @@ const TaskDetail = () => {
               <Link to="/tasks" className="nav-link">
                 ← Back to Tasks
               </Link>
-              <Link to="/tasks/new" className="nav-link">
-                + Create New Task
-              </Link>
+              {can('task:create') && (
+                <Link to="/tasks/new" className="nav-link">
+                  + Create New Task
+                </Link>
+              )}
               <Link to="/statistics" className="nav-link">
                 📊 View Statistics
               </Link>
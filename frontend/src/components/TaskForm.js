@@ -1,15 +1,26 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
+import { useAuth } from '../context/AuthContext';
 import { useTaskContext } from '../context/TaskContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import RecurrencePicker from './RecurrencePicker';
 import './TaskForm.css';
 
 const TaskForm = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  // Other pages may open the form with a due date filled in (?dueDate=YYYY-MM-DD) and ask to be
+  // brought back afterwards (location state `from`) - the calendar does both
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const returnTo = (location.state && location.state.from) || '/tasks';
   const { createTask, updateTask, getTaskById } = useTaskContext();
+  const { members, statuses, getStatus, firstStatusIn, canTransition } = useWorkspace();
+  const { timezone, todayKey } = useAuth();
   const [loading, setLoading] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [savedStatus, setSavedStatus] = useState(null);
 
   // Form setup with react-hook-form - because apparently we need validation
   const {
@@ -24,13 +35,19 @@ const TaskForm = () => {
       description: '',
       status: 'todo',
       priority: 'medium',
-      dueDate: '',
-      tags: []
+      dueDate: /^\d{4}-\d{2}-\d{2}$/.test(searchParams.get('dueDate') || '') ? searchParams.get('dueDate') : '',
+      dueTime: '',
+      startDate: '',
+      tags: [],
+      assignees: [],
+      recurrence: null
     }
   });
 
   // Watch tags for dynamic input - because apparently we need to see what we're typing
   const watchedTags = watch('tags');
+  const watchedAssignees = watch('assignees');
+  const watchedRecurrence = watch('recurrence');
 
   // Load task data from API - because apparently we need to get existing data
   const loadTaskData = useCallback(async () => {
@@ -42,9 +59,14 @@ const TaskForm = () => {
       setValue('title', task.title);
       setValue('description', task.description || '');
       setValue('status', task.status);
+      setSavedStatus(task.status);
       setValue('priority', task.priority);
       setValue('dueDate', task.dueDate ? task.dueDate.split('T')[0] : '');
+      setValue('dueTime', task.dueTime || '');
+      setValue('startDate', task.startDate ? task.startDate.split('T')[0] : '');
       setValue('tags', task.tags || []);
+      setValue('assignees', task.assignees || []);
+      setValue('recurrence', task.recurrence || null);
     } catch (error) {
       console.error('Error loading task:', error);
       navigate('/tasks');
@@ -53,6 +75,14 @@ const TaskForm = () => {
     }
   }, [id, getTaskById, setValue, navigate]);
 
+  // New tasks start where the workflow says they start
+  useEffect(() => {
+    if (!id || id === 'new') {
+      const defaultStatus = firstStatusIn('not_started');
+      if (defaultStatus) setValue('status', defaultStatus.key);
+    }
+  }, [id, firstStatusIn, setValue]);
+
   // Load task data if editing - because apparently we need to populate the form
   useEffect(() => {
     if (id && id !== 'new') {
@@ -69,7 +99,11 @@ const TaskForm = () => {
       // Prepare task data - because apparently we need to format it properly
       const taskData = {
         ...data,
-        tags: data.tags.filter(tag => tag.trim() !== '') // Remove empty tags
+        tags: data.tags.filter(tag => tag.trim() !== ''), // Remove empty tags
+        // Emptied dates clear them - and a due time only means something with a due date
+        dueDate: data.dueDate || null,
+        dueTime: data.dueDate && data.dueTime ? data.dueTime : null,
+        startDate: data.startDate || null
       };
 
       if (isEditing) {
@@ -80,8 +114,8 @@ const TaskForm = () => {
         await createTask(taskData);
       }
 
-      // Navigate back to task list - because apparently we need to go somewhere
-      navigate('/tasks');
+      // Navigate back to where we came from - because apparently we need to go somewhere
+      navigate(returnTo);
     } catch (error) {
       console.error('Error saving task:', error);
     } finally {
@@ -124,6 +158,13 @@ const TaskForm = () => {
     }
   };
 
+  // Toggle an assignee - because apparently some tasks need more than one pair of hands
+  const toggleAssignee = (userId) => {
+    setValue('assignees', watchedAssignees.includes(userId)
+      ? watchedAssignees.filter(assignee => assignee !== userId)
+      : [...watchedAssignees, userId]);
+  };
+
   // Get priority color - because apparently we need visual indicators
   const getPriorityColor = (priority) => {
     switch (priority) {
@@ -140,12 +181,12 @@ const TaskForm = () => {
 
   // Get status color - because apparently we need visual indicators
   const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
+    switch (getStatus(status).category) {
+      case 'done':
         return 'status-completed';
-      case 'in_progress':
+      case 'active':
         return 'status-in-progress';
-      case 'todo':
+      case 'not_started':
         return 'status-todo';
       default:
         return '';
@@ -226,9 +267,12 @@ const TaskForm = () => {
               className={`form-select ${errors.status ? 'error' : ''}`}
               {...register('status')}
             >
-              <option value="todo">To Do</option>
-              <option value="in_progress">In Progress</option>
-              <option value="completed">Completed</option>
+              {/* Only the moves the workflow allows from the saved status */}
+              {statuses
+                .filter(status => !savedStatus || canTransition(savedStatus, status.key))
+                .map(status => (
+                  <option key={status.key} value={status.key}>{status.name}</option>
+                ))}
             </select>
             {errors.status && (
               <span className="error-message">{errors.status.message}</span>
@@ -255,6 +299,29 @@ const TaskForm = () => {
           </div>
         </div>
 
+        {/* Start Date Field - because apparently work doesn't start on the day it's due */}
+        <div className="form-group">
+          <label htmlFor="startDate" className="form-label">
+            Start Date
+          </label>
+          <input
+            type="date"
+            id="startDate"
+            className={`form-input ${errors.startDate ? 'error' : ''}`}
+            {...register('startDate', {
+              validate: (value, formValues) => {
+                if (value && formValues.dueDate && value > formValues.dueDate) {
+                  return 'Start date cannot be after the due date';
+                }
+                return true;
+              }
+            })}
+          />
+          {errors.startDate && (
+            <span className="error-message">{errors.startDate.message}</span>
+          )}
+        </div>
+
         {/* Due Date Field - because apparently we need to know when it's due */}
         <div className="form-group">
           <label htmlFor="dueDate" className="form-label">
@@ -266,7 +333,7 @@ const TaskForm = () => {
             className={`form-input ${errors.dueDate ? 'error' : ''}`}
             {...register('dueDate', {
               validate: (value) => {
-                if (value && new Date(value) < new Date().setHours(0, 0, 0, 0)) {
+                if (value && value < todayKey()) {
                   return 'Due date cannot be in the past';
                 }
                 return true;
@@ -278,6 +345,23 @@ const TaskForm = () => {
           )}
         </div>
 
+        {/* Due Time Field - because apparently "by Friday" sometimes means 10am Friday */}
+        <div className="form-group">
+          <label htmlFor="dueTime" className="form-label">
+            Due Time
+          </label>
+          <input
+            type="time"
+            id="dueTime"
+            className="form-input"
+            disabled={!watch('dueDate')}
+            {...register('dueTime')}
+          />
+          <p className="field-hint">
+            Leave empty to make it due all day - it only turns overdue once the day is over ({timezone} time)
+          </p>
+        </div>
+
         {/* Tags Field - because apparently we need to categorize things */}
         <div className="form-group">
           <label htmlFor="tags" className="form-label">
@@ -323,6 +407,37 @@ const TaskForm = () => {
           )}
         </div>
 
+        {/* Assignees Field - only workspace members can be picked */}
+        <div className="form-group">
+          <label className="form-label">
+            Assignees
+          </label>
+          <div className="assignee-options">
+            {members.map(member => (
+              <button
+                key={member.userId}
+                type="button"
+                className={`assignee-option ${watchedAssignees.includes(member.userId) ? 'selected' : ''}`}
+                onClick={() => toggleAssignee(member.userId)}
+              >
+                {member.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Recurrence Field - completing a repeating task schedules the next one */}
+        <div className="form-group">
+          <label className="form-label">
+            Repeat
+          </label>
+          <RecurrencePicker
+            value={watchedRecurrence}
+            dueDate={watch('dueDate')}
+            onChange={(rule) => setValue('recurrence', rule)}
+          />
+        </div>
+
         {/* Preview Section - because apparently we need to see what we're creating */}
         <div className="form-preview">
           <h3>Task Preview</h3>
@@ -334,7 +449,7 @@ const TaskForm = () => {
                   {watch('priority') || 'medium'}
                 </span>
                 <span className={`status-badge ${getStatusColor(watch('status'))}`}>
-                  {(watch('status') || 'todo').replace('_', ' ')}
+                  {getStatus(watch('status')).name}
                 </span>
               </div>
             </div>
@@ -345,7 +460,8 @@ const TaskForm = () => {
             
             {watch('dueDate') && (
               <p className="preview-due-date">
-                <strong>Due:</strong> {new Date(watch('dueDate')).toLocaleDateString()}
+                <strong>Due:</strong> {new Date(watch('dueDate')).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                {watch('dueTime') && ` at ${watch('dueTime')}`}
               </p>
             )}
             
@@ -364,7 +480,7 @@ const TaskForm = () => {
           <button
             type="button"
             className="cancel-button"
-            onClick={() => navigate('/tasks')}
+            onClick={() => navigate(returnTo)}
           >
             Cancel
           </button>
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
 import { useTaskContext } from '../context/TaskContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import AssigneeAvatars from './AssigneeAvatars';
 import './TaskList.css';
 
 const TaskList = () => {
@@ -12,14 +16,19 @@ const TaskList = () => {
     updateFilters,
     updatePagination,
     updateSort,
-    deleteTask
+    deleteTask,
+    archiveTask
   } = useTaskContext();
+  const { can, members, statuses, getStatus } = useWorkspace();
+  const { dueState, daysUntilDue } = useAuth();
 
   const [localFilters, setLocalFilters] = useState({
     status: '',
     priority: '',
     search: '',
-    tags: []
+    tags: [],
+    assignee: '',
+    includeArchived: ''
   });
 
   // Track if this is the initial render to prevent unnecessary filter updates
@@ -114,6 +123,11 @@ const TaskList = () => {
     handleFilterChange('priority', priority === filters.priority ? '' : priority);
   };
 
+  // Handle assignee filter - "me", "unassigned" or a member's ID
+  const handleAssigneeFilter = (assignee) => {
+    handleFilterChange('assignee', assignee === localFilters.assignee ? '' : assignee);
+  };
+
   // Handle tag filter - because apparently we need to filter by tags
   const handleTagFilter = (tag) => {
     const newTags = localFilters.tags.includes(tag)
@@ -129,14 +143,18 @@ const TaskList = () => {
       status: '',
       priority: '',
       search: '',
-      tags: []
+      tags: [],
+      assignee: '',
+      includeArchived: ''
     });
     // Also clear context filters to ensure consistency
     updateFilters({
       status: '',
       priority: '',
       search: '',
-      tags: []
+      tags: [],
+      assignee: '',
+      includeArchived: ''
     });
   };
 
@@ -163,21 +181,50 @@ const TaskList = () => {
   };
 
   // Handle bulk delete - because apparently we need to delete multiple things
+  // Archive the selection - done work that should stop cluttering the list, without being deleted
+  const handleBulkArchive = async () => {
+    if (selectedTasks.size === 0) return;
+
+    const results = await Promise.allSettled(
+      Array.from(selectedTasks).map(taskId => archiveTask(taskId, { quiet: true }))
+    );
+    const failed = results.filter(result => result.status === 'rejected').length;
+
+    if (results.length > failed) {
+      toast.success(`${results.length - failed} task(s) archived`);
+    }
+    if (failed > 0) {
+      toast.error(`${failed} task(s) could not be archived`);
+    }
+    setSelectedTasks(new Set());
+  };
+
+  // Deleting only moves tasks to the trash, so one confirm for the lot is fine - they can come back.
+  // Tasks with subtasks are skipped rather than cascaded; that's a call to make one task at a time.
   const handleBulkDelete = async () => {
     if (selectedTasks.size === 0) return;
 
     const confirmed = window.confirm(
-      `Are you sure you want to delete ${selectedTasks.size} selected task(s)?`
+      `Move ${selectedTasks.size} selected task(s) to the trash? You can restore them from the Trash page.`
     );
 
     if (confirmed) {
-      try {
-        const deletePromises = Array.from(selectedTasks).map(taskId => deleteTask(taskId));
-        await Promise.all(deletePromises);
-        setSelectedTasks(new Set());
-      } catch (error) {
-        console.error('Error deleting tasks:', error);
+      const results = await Promise.allSettled(
+        Array.from(selectedTasks).map(taskId => deleteTask(taskId, { quiet: true }))
+      );
+      const failed = results.filter(result => result.status === 'rejected');
+      const moved = results.length - failed.length;
+
+      if (moved > 0) {
+        toast.success(`${moved} task(s) moved to the trash`);
+      }
+      if (failed.length > 0) {
+        const withSubtasks = failed.filter(result => result.reason.status === 409).length;
+        toast.error(withSubtasks > 0
+          ? `${failed.length} task(s) not deleted - ${withSubtasks} still have subtasks, delete those from the task itself`
+          : `${failed.length} task(s) could not be deleted`);
       }
+      setSelectedTasks(new Set());
     }
   };
 
@@ -197,32 +244,31 @@ const TaskList = () => {
 
   // Get status color - because apparently we need visual indicators
   const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
+    switch (getStatus(status).category) {
+      case 'done':
         return 'status-completed';
-      case 'in_progress':
+      case 'active':
         return 'status-in-progress';
-      case 'todo':
+      case 'not_started':
         return 'status-todo';
       default:
         return '';
     }
   };
 
-  // Format date - because apparently dates are hard to read
-  const formatDate = (dateString) => {
-    if (!dateString) return 'No due date';
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffTime = date - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  // Format date - because apparently dates are hard to read.
+  // Whole days on the user's own calendar - "due today" holds until the task is actually late
+  const formatDate = (task) => {
+    if (!task.dueDate) return 'No due date';
+    const diffDays = daysUntilDue(task);
+    const at = task.dueTime ? ` at ${task.dueTime}` : '';
 
     if (diffDays < 0) {
       return `Overdue by ${Math.abs(diffDays)} days`;
     } else if (diffDays === 0) {
-      return 'Due today';
+      return dueState(task) === 'overdue' ? `Overdue since ${task.dueTime}` : `Due today${at}`;
     } else if (diffDays === 1) {
-      return 'Due tomorrow';
+      return `Due tomorrow${at}`;
     } else {
       return `Due in ${diffDays} days`;
     }
@@ -258,10 +304,12 @@ const TaskList = () => {
             <span className="filter-icon">🔍</span>
             Filters
           </button>
-          <Link to="/tasks/new" className="create-task-button">
-            <span className="create-icon">➕</span>
-            Create Task
-          </Link>
+          {can('task:create') && (
+            <Link to="/tasks/new" className="create-task-button">
+              <span className="create-icon">➕</span>
+              Create Task
+            </Link>
+          )}
         </div>
       </div>
 
@@ -286,13 +334,13 @@ const TaskList = () => {
             <div className="filter-group">
               <label>Status</label>
               <div className="filter-buttons">
-                {['todo', 'in_progress', 'completed'].map(status => (
+                {statuses.map(status => (
                   <button
-                    key={status}
-                    className={`filter-button ${localFilters.status === status ? 'active' : ''}`}
-                    onClick={() => handleStatusFilter(status)}
+                    key={status.key}
+                    className={`filter-button ${localFilters.status === status.key ? 'active' : ''}`}
+                    onClick={() => handleStatusFilter(status.key)}
                   >
-                    {status.replace('_', ' ')}
+                    {status.name}
                   </button>
                 ))}
               </div>
@@ -315,6 +363,26 @@ const TaskList = () => {
             </div>
           </div>
 
+          {/* Assignee Filter - because apparently we need to know who's doing what */}
+          <div className="filter-group">
+            <label>Assignee</label>
+            <div className="filter-buttons">
+              {[
+                { value: 'me', label: 'Me' },
+                { value: 'unassigned', label: 'Unassigned' },
+                ...members.map(member => ({ value: member.userId, label: member.name }))
+              ].map(option => (
+                <button
+                  key={option.value}
+                  className={`filter-button ${localFilters.assignee === option.value ? 'active' : ''}`}
+                  onClick={() => handleAssigneeFilter(option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {/* Tags Filter - because apparently we need to filter by tags */}
           <div className="filter-group">
             <label>Tags</label>
@@ -331,6 +399,19 @@ const TaskList = () => {
             </div>
           </div>
 
+          {/* Archived tasks are left out unless asked for */}
+          <div className="filter-group">
+            <label>Archived</label>
+            <div className="filter-buttons">
+              <button
+                className={`filter-button ${localFilters.includeArchived ? 'active' : ''}`}
+                onClick={() => handleFilterChange('includeArchived', localFilters.includeArchived ? '' : 'true')}
+              >
+                Include archived
+              </button>
+            </div>
+          </div>
+
           {/* Clear Filters - because apparently we need to reset things */}
           <button className="clear-filters" onClick={clearFilters}>
             Clear All Filters
@@ -339,14 +420,23 @@ const TaskList = () => {
       )}
 
       {/* Bulk Actions - because apparently we need to do things in bulk */}
-      {selectedTasks.size > 0 && (
+      {selectedTasks.size > 0 && (can('task:update') || can('task:delete')) && (
         <div className="bulk-actions">
           <span className="selected-count">
             {selectedTasks.size} task(s) selected
           </span>
-          <button className="bulk-delete" onClick={handleBulkDelete}>
-            Delete Selected
-          </button>
+          <div className="bulk-buttons">
+            {can('task:update') && (
+              <button className="bulk-archive" onClick={handleBulkArchive}>
+                Archive Selected
+              </button>
+            )}
+            {can('task:delete') && (
+              <button className="bulk-delete" onClick={handleBulkDelete}>
+                Delete Selected
+              </button>
+            )}
+          </div>
         </div>
       )}
 
@@ -413,6 +503,7 @@ const TaskList = () => {
                 )}
               </th>
               <th>Tags</th>
+              <th>Assignees</th>
               <th>Actions</th>
             </tr>
           </thead>
@@ -431,6 +522,16 @@ const TaskList = () => {
                     <Link to={`/tasks/${task.id}`} className="task-link">
                       {task.title}
                     </Link>
+                    {task.commentCount > 0 && (
+                      <span className="comment-count" title={`${task.commentCount} comment(s)`}>
+                        💬 {task.commentCount}
+                      </span>
+                    )}
+                    {task.archivedAt && (
+                      <span className="archived-badge" title={`Archived ${new Date(task.archivedAt).toLocaleDateString()}`}>
+                        Archived
+                      </span>
+                    )}
                     {task.description && (
                       <p className="task-description">{task.description}</p>
                     )}
@@ -442,11 +543,11 @@ const TaskList = () => {
                   </td>
                   <td>
                     <span className={`status-badge ${getStatusColor(task.status)}`}>
-                      {task.status.replace('_', ' ')}
+                      {getStatus(task.status).name}
                     </span>
                   </td>
                   <td className="due-date">
-                    {formatDate(task.dueDate)}
+                    {formatDate(task)}
                   </td>
                   <td className="task-tags">
                     {task.tags.length > 0 ? (
@@ -464,29 +565,40 @@ const TaskList = () => {
                       <span className="no-tags">No tags</span>
                     )}
                   </td>
+                  <td className="task-assignees">
+                    {task.assignees && task.assignees.length > 0 ? (
+                      <AssigneeAvatars assignees={task.assignees} />
+                    ) : (
+                      <span className="no-assignees">Unassigned</span>
+                    )}
+                  </td>
                   <td className="task-actions">
                     <Link to={`/tasks/${task.id}`} className="action-button view">
                       View
                     </Link>
-                    <Link to={`/tasks/${task.id}/edit`} className="action-button edit">
-                      Edit
-                    </Link>
-                    <button
-                      className="action-button delete"
-                      onClick={() => {
-                        if (window.confirm('Are you sure you want to delete this task?')) {
-                          deleteTask(task.id);
-                        }
-                      }}
-                    >
-                      Delete
-                    </button>
+                    {can('task:update') && (
+                      <Link to={`/tasks/${task.id}/edit`} className="action-button edit">
+                        Edit
+                      </Link>
+                    )}
+                    {can('task:delete') && (
+                      <button
+                        className="action-button delete"
+                        onClick={() => {
+                          if (window.confirm('Move this task to the trash?')) {
+                            deleteTask(task.id);
+                          }
+                        }}
+                      >
+                        Delete
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))
             ) : (
               <tr>
-                <td colSpan="7" className="no-tasks">
+                <td colSpan="8" className="no-tasks">
                   <div className="no-tasks-content">
                     <p>No tasks found matching your filters.</p>
                     <button className="clear-filters" onClick={clearFilters}>
@@ -0,0 +1,347 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { useTaskContext } from '../context/TaskContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import './Timeline.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Six weeks on screen, moved four at a time
+const RANGE_DAYS = 42;
+const STEP_DAYS = 28;
+const DAY_WIDTH = 36;
+const ROW_HEIGHT = 40;
+
+// Days are UTC days, like the calendar's - due dates are stored as UTC midnight of the day picked
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const keyToDate = (key) => new Date(`${key}T00:00:00.000Z`);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// The Sunday a week before today - a little history on the left, mostly what's coming
+const defaultRangeStart = (todayKey) => {
+  const today = keyToDate(todayKey);
+  return addDays(today, -7 - today.getUTCDay());
+};
+
+// Where a bar sits while it's being dragged - `days` whole days along, by the body or one end.
+// The ends can't cross: a start dragged past the due date stops at it, and the other way round.
+const previewSpan = (task, drag) => {
+  const startKey = (task.startDate || task.dueDate).slice(0, 10);
+  const dueKey = task.dueDate.slice(0, 10);
+  if (!drag || drag.taskId !== task.id || drag.days === 0) {
+    return { startKey, dueKey };
+  }
+
+  const start = keyToDate(startKey);
+  const due = keyToDate(dueKey);
+  if (drag.mode === 'move') {
+    return { startKey: dayKey(addDays(start, drag.days)), dueKey: dayKey(addDays(due, drag.days)) };
+  }
+  if (drag.mode === 'start') {
+    const moved = addDays(start, drag.days);
+    return { startKey: dayKey(moved > due ? due : moved), dueKey };
+  }
+  const moved = addDays(due, drag.days);
+  return { startKey, dueKey: dayKey(moved < start ? start : moved) };
+};
+
+// The date changes a finished drag saves. Times of day ride along, so only the day moves.
+const dragChanges = (task, drag) => {
+  const { startKey, dueKey } = previewSpan(task, drag);
+  const changes = {};
+
+  if (drag.mode !== 'start') {
+    changes.dueDate = `${dueKey}${task.dueDate.slice(10)}`;
+  }
+  if (drag.mode === 'start' || (drag.mode === 'move' && task.startDate)) {
+    changes.startDate = `${startKey}${(task.startDate || task.dueDate).slice(10)}`;
+  }
+  return changes;
+};
+
+const Timeline = () => {
+  const { fetchAllTasks, updateTask } = useTaskContext();
+  const { workspaceId, todayKey: readTodayKey } = useAuth();
+  const { can, getStatus } = useWorkspace();
+  const navigate = useNavigate();
+
+  const [rangeStart, setRangeStart] = useState(() => defaultRangeStart(readTodayKey()));
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // The bar being dragged - { taskId, mode: 'move' | 'start' | 'end', originX, days }
+  const [drag, setDrag] = useState(null);
+  // The same, for the window listeners - they'd only ever see the drag as it started otherwise
+  const dragRef = useRef(null);
+
+  const rangeStartKey = dayKey(rangeStart);
+  const rangeEndKey = dayKey(addDays(rangeStart, RANGE_DAYS));
+  const days = useMemo(
+    () => Array.from({ length: RANGE_DAYS }, (_, index) => addDays(rangeStart, index)),
+    [rangeStart]
+  );
+  const todayKey = readTodayKey();
+
+  // Everything overlapping the range - due on or after its first day, starting before its end
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    fetchAllTasks({
+      dueFrom: keyToDate(rangeStartKey).toISOString(),
+      startBefore: keyToDate(rangeEndKey).toISOString(),
+      sortBy: 'dueDate',
+      sortOrder: 'asc'
+    })
+      .then(rangeTasks => {
+        if (!cancelled) setTasks(rangeTasks);
+      })
+      .catch(error => {
+        console.error('Error loading timeline:', error);
+        if (!cancelled) toast.error('Failed to load the timeline');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchAllTasks, rangeStartKey, rangeEndKey, workspaceId]);
+
+  // One row per task, earliest start first
+  const rows = useMemo(() => (
+    [...tasks].sort((a, b) => (
+      (a.startDate || a.dueDate).localeCompare(b.startDate || b.dueDate) || a.dueDate.localeCompare(b.dueDate)
+    ))
+  ), [tasks]);
+
+  // Bar geometry for every row - follows a bar being dragged, and so do the arrows
+  const bars = useMemo(() => {
+    const geometry = {};
+    rows.forEach((task, index) => {
+      const { startKey, dueKey } = previewSpan(task, drag);
+      const startIndex = (keyToDate(startKey) - keyToDate(rangeStartKey)) / DAY_MS;
+      const endIndex = (keyToDate(dueKey) - keyToDate(rangeStartKey)) / DAY_MS + 1;
+      geometry[task.id] = {
+        row: index,
+        left: Math.max(startIndex, 0) * DAY_WIDTH,
+        right: Math.min(endIndex, RANGE_DAYS) * DAY_WIDTH,
+        clippedStart: startIndex < 0,
+        clippedEnd: endIndex > RANGE_DAYS
+      };
+    });
+    return geometry;
+  }, [rows, drag, rangeStartKey]);
+
+  // Save a finished drag - moved locally straight away, back again if the server says no
+  const finishDrag = useCallback(async (finished) => {
+    const task = tasks.find(candidate => candidate.id === finished.taskId);
+    if (!task) return;
+
+    // A bar clicked rather than dragged opens the task
+    if (finished.days === 0) {
+      if (finished.mode === 'move') navigate(`/tasks/${task.id}`);
+      return;
+    }
+
+    const changes = dragChanges(task, finished);
+    const previousTasks = tasks;
+    setTasks(prev => prev.map(candidate => (candidate.id === task.id ? { ...candidate, ...changes } : candidate)));
+
+    try {
+      const savedTask = await updateTask(task.id, changes);
+      setTasks(prev => prev.map(candidate => (candidate.id === savedTask.id ? savedTask : candidate)));
+    } catch (error) {
+      console.error('Error rescheduling task:', error);
+      setTasks(previousTasks);
+    }
+  }, [tasks, navigate, updateTask]);
+
+  // Follow the pointer while a bar is held - whole days only
+  useEffect(() => {
+    if (!drag) return undefined;
+
+    const handleMove = (event) => {
+      const days = Math.round((event.clientX - dragRef.current.originX) / DAY_WIDTH);
+      if (days !== dragRef.current.days) {
+        dragRef.current = { ...dragRef.current, days };
+        setDrag(dragRef.current);
+      }
+    };
+    const handleUp = () => {
+      const finished = dragRef.current;
+      dragRef.current = null;
+      setDrag(null);
+      finishDrag(finished);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [drag, finishDrag]);
+
+  const startDrag = (event, task, mode) => {
+    event.stopPropagation();
+    if (!can('task:update')) {
+      if (mode === 'move') navigate(`/tasks/${task.id}`);
+      return;
+    }
+    event.preventDefault();
+    dragRef.current = { taskId: task.id, mode, originX: event.clientX, days: 0 };
+    setDrag(dragRef.current);
+  };
+
+  // Blocker -> blocked, for pairs that are both on screen. Drawn from the end of the blocker's bar
+  // to the start of the other; one that loops back means the work is planned to overlap.
+  const arrows = [];
+  rows.forEach(task => {
+    task.blockedBy.forEach(blockerId => {
+      const from = bars[blockerId];
+      const to = bars[task.id];
+      if (!from || !to) return;
+
+      const x1 = from.right;
+      const y1 = from.row * ROW_HEIGHT + ROW_HEIGHT / 2;
+      const x2 = to.left;
+      const y2 = to.row * ROW_HEIGHT + ROW_HEIGHT / 2;
+      arrows.push({
+        key: `${blockerId}-${task.id}`,
+        path: `M ${x1} ${y1} H ${x1 + 8} V ${y2} H ${x2 - 2}`,
+        conflict: x2 < x1
+      });
+    });
+  });
+
+  const formatRangeDay = (date, options) => date.toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+  const chartWidth = RANGE_DAYS * DAY_WIDTH;
+  const chartHeight = Math.max(rows.length, 1) * ROW_HEIGHT;
+
+  return (
+    <div className="timeline-page">
+      <motion.div
+        className="timeline-header"
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.4 }}
+      >
+        <h1>Timeline</h1>
+        <div className="timeline-toolbar">
+          <div className="timeline-nav">
+            <button type="button" onClick={() => setRangeStart(addDays(rangeStart, -STEP_DAYS))} title="Earlier">‹</button>
+            <button type="button" onClick={() => setRangeStart(defaultRangeStart(readTodayKey()))}>Today</button>
+            <button type="button" onClick={() => setRangeStart(addDays(rangeStart, STEP_DAYS))} title="Later">›</button>
+          </div>
+          <h2 className="timeline-period">
+            {formatRangeDay(days[0], { month: 'short', day: 'numeric' })} - {formatRangeDay(days[days.length - 1], { month: 'short', day: 'numeric', year: 'numeric' })}
+          </h2>
+        </div>
+        <p className="timeline-hint">
+          Bars run from start to due date; arrows go from a blocker to the task waiting on it.
+          {can('task:update') && ' Drag a bar to move it, or drag its ends to change the dates.'}
+          {loading && <span className="timeline-loading"> · Loading...</span>}
+        </p>
+      </motion.div>
+
+      {!loading && rows.length === 0 ? (
+        <p className="timeline-empty">Nothing scheduled in these weeks - tasks need a due date to show up here</p>
+      ) : (
+        <div className="timeline-chart">
+          {/* Task names - one row each, lined up with the bars */}
+          <div className="timeline-labels">
+            <div className="timeline-corner">Task</div>
+            {rows.map(task => (
+              <div key={task.id} className="timeline-label" style={{ height: ROW_HEIGHT }}>
+                <Link to={`/tasks/${task.id}`} title={task.title}>{task.title}</Link>
+                <span className={`timeline-status category-${task.statusCategory}`}>{getStatus(task.status).name}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="timeline-scroll">
+            <div className="timeline-days" style={{ width: chartWidth }}>
+              {days.map(date => {
+                const key = dayKey(date);
+                return (
+                  <div
+                    key={key}
+                    className={`timeline-day ${key === todayKey ? 'today' : ''} ${[0, 6].includes(date.getUTCDay()) ? 'weekend' : ''}`}
+                    style={{ width: DAY_WIDTH }}
+                  >
+                    {(date.getUTCDate() === 1 || key === rangeStartKey) && (
+                      <span className="timeline-month">{formatRangeDay(date, { month: 'short' })}</span>
+                    )}
+                    {date.getUTCDate()}
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="timeline-body" style={{ width: chartWidth, height: chartHeight }}>
+              {/* Weekend shading and the today line */}
+              {days.map((date, index) => {
+                const key = dayKey(date);
+                const weekend = [0, 6].includes(date.getUTCDay());
+                if (!weekend && key !== todayKey) return null;
+                return (
+                  <div
+                    key={key}
+                    className={`timeline-column ${key === todayKey ? 'today' : 'weekend'}`}
+                    style={{ left: index * DAY_WIDTH, width: DAY_WIDTH }}
+                  />
+                );
+              })}
+
+              <svg className="timeline-arrows" width={chartWidth} height={chartHeight}>
+                <defs>
+                  <marker id="timeline-arrowhead" markerWidth="8" markerHeight="8" refX="6" refY="4" orient="auto">
+                    <path d="M 0 0 L 8 4 L 0 8 z" />
+                  </marker>
+                </defs>
+                {arrows.map(arrow => (
+                  <path
+                    key={arrow.key}
+                    d={arrow.path}
+                    className={`timeline-arrow ${arrow.conflict ? 'conflict' : ''}`}
+                    markerEnd="url(#timeline-arrowhead)"
+                  />
+                ))}
+              </svg>
+
+              {rows.map(task => {
+                const bar = bars[task.id];
+                return (
+                  <div
+                    key={task.id}
+                    className={`timeline-bar priority-${task.priority} category-${task.statusCategory} ${drag && drag.taskId === task.id ? 'dragging' : ''} ${can('task:update') ? 'editable' : ''}`}
+                    style={{
+                      top: bar.row * ROW_HEIGHT + 8,
+                      left: bar.left,
+                      width: Math.max(bar.right - bar.left, DAY_WIDTH / 2)
+                    }}
+                    title={`${task.title}${task.startDate ? '' : ' (no start date - drag the left end to set one)'}`}
+                    onPointerDown={(event) => startDrag(event, task, 'move')}
+                  >
+                    {!bar.clippedStart && (
+                      <span className="timeline-handle start" onPointerDown={(event) => startDrag(event, task, 'start')} />
+                    )}
+                    <span className="timeline-bar-title">{task.title}</span>
+                    {!bar.clippedEnd && (
+                      <span className="timeline-handle end" onPointerDown={(event) => startDrag(event, task, 'end')} />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Timeline;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { useTaskContext } from '../context/TaskContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import './Trash.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "in 3 days", "tomorrow", "today" - how long until the server purges a task for good
+const formatPurgeIn = (purgeAt) => {
+  const days = Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS);
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+};
+
+// Trash page - deleted tasks wait here for a while before they're gone for good.
+// Anyone who may delete tasks may restore them; purging for good is for owners.
+const Trash = () => {
+  const { getTrash, restoreTask, purgeTask, emptyTrash } = useTaskContext();
+  const { workspaceId } = useAuth();
+  const { can, getStatus } = useWorkspace();
+
+  const [trash, setTrash] = useState({ tasks: [], retentionDays: null, pagination: { page: 1, totalPages: 0, total: 0 } });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  // The task a button is working on - or 'all' while the trash is being emptied
+  const [busyId, setBusyId] = useState(null);
+
+  const loadTrash = useCallback(async (pageToLoad) => {
+    try {
+      setLoading(true);
+      setTrash(await getTrash(pageToLoad));
+    } catch (error) {
+      console.error('Error loading trash:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [getTrash]);
+
+  useEffect(() => {
+    loadTrash(page);
+  }, [loadTrash, page, workspaceId]);
+
+  // After a restore or purge the page may have run dry - step back a page if so
+  const reload = async () => {
+    if (trash.tasks.length === 1 && page > 1) {
+      setPage(page - 1);
+    } else {
+      await loadTrash(page);
+    }
+  };
+
+  const handleRestore = async (task) => {
+    try {
+      setBusyId(task.id);
+      await restoreTask(task.id);
+      await reload();
+    } catch (error) {
+      console.error('Error restoring task:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (task) => {
+    if (!window.confirm(`Delete "${task.title}" for good? This can't be undone.`)) return;
+
+    try {
+      setBusyId(task.id);
+      await purgeTask(task.id);
+      await reload();
+    } catch (error) {
+      console.error('Error purging task:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Delete all ${trash.pagination.total} task(s) in the trash for good? This can't be undone.`)) return;
+
+    try {
+      setBusyId('all');
+      await emptyTrash();
+      setPage(1);
+      await loadTrash(1);
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const canRestore = can('task:delete');
+  const canPurge = can('task:purge');
+
+  return (
+    <div className="trash-page">
+      <motion.div
+        className="trash-header"
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.4 }}
+      >
+        <div>
+          <h1>Trash</h1>
+          <p className="trash-hint">
+            Deleted tasks stay here{trash.retentionDays ? ` for ${trash.retentionDays} days` : ''} before they're deleted for good.
+            {canRestore && ' Restoring a task brings back the subtasks deleted along with it.'}
+          </p>
+        </div>
+        {canPurge && trash.pagination.total > 0 && (
+          <button className="btn btn-danger" onClick={handleEmpty} disabled={busyId !== null}>
+            {busyId === 'all' ? 'Emptying...' : 'Empty Trash'}
+          </button>
+        )}
+      </motion.div>
+
+      {loading && trash.tasks.length === 0 ? (
+        <p className="trash-empty">Loading...</p>
+      ) : trash.tasks.length === 0 ? (
+        <p className="trash-empty">The trash is empty - because apparently nothing was deleted lately</p>
+      ) : (
+        <ul className="trash-list">
+          {trash.tasks.map(task => (
+            <li key={task.id} className="trash-item">
+              <div className="trash-item-main">
+                <span className="trash-item-title">{task.title}</span>
+                <span className="trash-item-meta">
+                  <span className={`trash-status category-${task.statusCategory}`}>{getStatus(task.status).name}</span>
+                  {task.parentId && <span className="trash-subtask">Subtask</span>}
+                  Deleted by {task.deletedByName} on {new Date(task.deletedAt).toLocaleString()}
+                  {' · '}
+                  <span title={new Date(task.purgeAt).toLocaleString()}>Purged {formatPurgeIn(task.purgeAt)}</span>
+                </span>
+              </div>
+              <div className="trash-item-actions">
+                {canRestore && (
+                  <button className="btn btn-primary" onClick={() => handleRestore(task)} disabled={busyId !== null}>
+                    {busyId === task.id ? 'Working...' : 'Restore'}
+                  </button>
+                )}
+                {canPurge && (
+                  <button className="btn btn-danger" onClick={() => handlePurge(task)} disabled={busyId !== null}>
+                    Delete Forever
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {trash.pagination.totalPages > 1 && (
+        <div className="trash-pagination">
+          <button className="btn btn-secondary" onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>
+            Previous
+          </button>
+          <span>Page {page} of {trash.pagination.totalPages}</span>
+          <button className="btn btn-secondary" onClick={() => setPage(page + 1)} disabled={page >= trash.pagination.totalPages || loading}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,238 @@
+import React, { createContext, useContext, useState, useCallback, useMemo, useRef } from 'react';
+import axios from 'axios';
+import API_BASE_URL from '../config/api';
+
+// Create context - because apparently we need to know who's logged in
+const AuthContext = createContext();
+
+// Where the session lives between page loads
+const STORAGE_KEY = 'gonimbly.session';
+// And which workspace the user was last looking at
+const WORKSPACE_KEY = 'gonimbly.workspace';
+
+const loadSession = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The browser's own time zone - what new accounts start with
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// When a due date bites - the same rule as the server's (backend/models/DueDate.js): a due date is a
+// calendar day, due all day unless it has a due time ("HH:MM"), and today and now are read off the
+// wall clock in the user's time zone. Reads a clock formatter and gives back { date, time }.
+const readClock = (formatter, now = new Date()) => {
+  const parts = {};
+  formatter.formatToParts(now).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+// 'overdue', 'today' (due today, not late yet), 'upcoming', or null when there's no due date or it's done
+const dueStateAt = (task, clock) => {
+  if (!task.dueDate || task.statusCategory === 'done') return null;
+
+  const day = task.dueDate.slice(0, 10);
+  if (day < clock.date || (day === clock.date && task.dueTime && task.dueTime < clock.time)) {
+    return 'overdue';
+  }
+  return day === clock.date ? 'today' : 'upcoming';
+};
+
+const saveSession = (session) => {
+  if (session) {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  } else {
+    window.localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+// Auth provider component - holds the session and knows how to refresh it
+export const AuthProvider = ({ children }) => {
+  const [session, setSessionState] = useState(loadSession);
+  const [workspaceId, setWorkspaceIdState] = useState(() => window.localStorage.getItem(WORKSPACE_KEY));
+  const sessionRef = useRef(session);
+  const refreshPromiseRef = useRef(null);
+
+  // Keep state, ref and localStorage in sync - the ref lets callbacks read the latest tokens
+  const setSession = useCallback((nextSession) => {
+    sessionRef.current = nextSession;
+    saveSession(nextSession);
+    setSessionState(nextSession);
+  }, []);
+
+  // Pick the workspace every request is scoped to - sent as the X-Workspace-Id header
+  const setWorkspaceId = useCallback((nextWorkspaceId) => {
+    if (nextWorkspaceId) {
+      window.localStorage.setItem(WORKSPACE_KEY, nextWorkspaceId);
+    } else {
+      window.localStorage.removeItem(WORKSPACE_KEY);
+    }
+    setWorkspaceIdState(nextWorkspaceId || null);
+  }, []);
+
+  const storeSession = useCallback((data) => {
+    setSession({
+      user: data.user,
+      accessToken: data.accessToken,
+      refreshToken: data.refreshToken
+    });
+    return data.user;
+  }, [setSession]);
+
+  // Log in - because apparently we need to know who you are
+  const login = useCallback(async (email, password) => {
+    const response = await axios.post(`${API_BASE_URL}/api/auth/login`, { email, password });
+    return storeSession(response.data);
+  }, [storeSession]);
+
+  // Register - because apparently everyone starts somewhere
+  const register = useCallback(async (name, email, password) => {
+    const response = await axios.post(`${API_BASE_URL}/api/auth/register`, { name, email, password, timezone: browserTimezone() });
+    return storeSession(response.data);
+  }, [storeSession]);
+
+  // Log out - revoke the refresh token on the server, but forget the session either way
+  const logout = useCallback(async () => {
+    const refreshToken = sessionRef.current?.refreshToken;
+    setSession(null);
+    setWorkspaceId(null);
+    if (refreshToken) {
+      try {
+        await axios.post(`${API_BASE_URL}/api/auth/logout`, { refreshToken });
+      } catch (error) {
+        console.error('Error logging out:', error);
+      }
+    }
+  }, [setSession, setWorkspaceId]);
+
+  // Trade the refresh token for a new access token - concurrent callers share one request
+  const refreshSession = useCallback(async () => {
+    const refreshToken = sessionRef.current?.refreshToken;
+    if (!refreshToken) return null;
+
+    if (!refreshPromiseRef.current) {
+      refreshPromiseRef.current = axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+        .then(response => {
+          storeSession(response.data);
+          return response.data.accessToken;
+        })
+        .catch(() => {
+          setSession(null);
+          return null;
+        })
+        .finally(() => {
+          refreshPromiseRef.current = null;
+        });
+    }
+
+    return refreshPromiseRef.current;
+  }, [storeSession, setSession]);
+
+  // Make an authenticated request - attaches the token and current workspace, refreshes once
+  // on a 401, and drops the session (sending the user to the login screen) if that fails too.
+  // It changes identity when the workspace does, so anything fetching with it refetches.
+  const authRequest = useCallback(async (config) => {
+    const send = (accessToken) => axios({
+      ...config,
+      headers: {
+        ...(workspaceId ? { 'X-Workspace-Id': workspaceId } : {}),
+        ...config.headers,
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
+      }
+    });
+
+    try {
+      return await send(sessionRef.current?.accessToken);
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+
+      const accessToken = await refreshSession();
+      if (!accessToken) {
+        setSession(null);
+        throw error;
+      }
+      return send(accessToken);
+    }
+  }, [refreshSession, setSession, workspaceId]);
+
+  // Change your name or time zone - the session keeps the updated profile
+  const updateProfile = useCallback(async (changes) => {
+    const response = await authRequest({ method: 'PATCH', url: `${API_BASE_URL}/api/auth/me`, data: changes });
+    setSession({ ...sessionRef.current, user: response.data.user });
+    return response.data.user;
+  }, [authRequest, setSession]);
+
+  // The user's time zone - UTC until they pick one, same as the server assumes
+  const timezone = session?.user?.timezone || 'UTC';
+  const clockFormatter = useMemo(() => new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }), [timezone]);
+
+  // Where a task stands right now, for this user - every overdue badge and count goes through here
+  const dueState = useCallback((task) => dueStateAt(task, readClock(clockFormatter)), [clockFormatter]);
+
+  // Today's date for this user - 'YYYY-MM-DD', comparable with a due date's day
+  const todayKey = useCallback(() => readClock(clockFormatter).date, [clockFormatter]);
+
+  // Whole days from the user's today to the day a task is due - negative once it's gone
+  const daysUntilDue = useCallback((task) => {
+    if (!task.dueDate) return null;
+    const diffTime = new Date(`${task.dueDate.slice(0, 10)}T00:00:00.000Z`) - new Date(`${todayKey()}T00:00:00.000Z`);
+    return Math.round(diffTime / (1000 * 60 * 60 * 24));
+  }, [todayKey]);
+
+  // Whole days between the day a done task was due and the day it was completed, on the user's calendar -
+  // positive when it was late, 0 for on the day, null when there's no due date or it isn't done
+  const daysLateAtCompletion = useCallback((task) => {
+    if (!task.dueDate || !task.completedAt) return null;
+    const completedDay = readClock(clockFormatter, new Date(task.completedAt)).date;
+    const diffTime = new Date(`${completedDay}T00:00:00.000Z`) - new Date(`${task.dueDate.slice(0, 10)}T00:00:00.000Z`);
+    return Math.round(diffTime / (1000 * 60 * 60 * 24));
+  }, [clockFormatter]);
+
+  // Context value - because apparently we need to provide something
+  const value = {
+    user: session?.user || null,
+    isAuthenticated: Boolean(session?.accessToken),
+    login,
+    register,
+    logout,
+    refreshSession,
+    authRequest,
+    workspaceId,
+    setWorkspaceId,
+    updateProfile,
+    timezone,
+    dueState,
+    todayKey,
+    daysUntilDue,
+    daysLateAtCompletion
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+// Custom hook to use auth context - because apparently we need to access context
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
@@ -0,0 +1,112 @@
+import React from 'react';
+import { renderHook, act } from '@testing-library/react';
+import axios from 'axios';
+import { AuthProvider, useAuth } from './AuthContext';
+
+jest.mock('axios', () => {
+  const axios = jest.fn();
+  axios.post = jest.fn();
+  return axios;
+});
+
+const SESSION = { user: { id: 'u1', name: 'Ada' }, accessToken: 'old-access', refreshToken: 'old-refresh' };
+
+// What axios throws for an error response
+const failure = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data: {} } });
+
+const renderAuth = () => renderHook(() => useAuth(), { wrapper: ({ children }) => <AuthProvider>{children}</AuthProvider> });
+
+const bearerOf = (call) => call[0].headers.Authorization;
+
+describe('authRequest', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    window.localStorage.setItem('gonimbly.session', JSON.stringify(SESSION));
+    axios.mockReset();
+    axios.post.mockReset();
+  });
+
+  test('sends the access token', async () => {
+    axios.mockResolvedValueOnce({ data: 'ok' });
+    const { result } = renderAuth();
+
+    await act(async () => {
+      await result.current.authRequest({ method: 'GET', url: '/api/tasks' });
+    });
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(bearerOf(axios.mock.calls[0])).toBe('Bearer old-access');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('on a 401, refreshes once and retries with the new token', async () => {
+    axios.mockRejectedValueOnce(failure(401)).mockResolvedValueOnce({ data: 'ok' });
+    axios.post.mockResolvedValueOnce({ data: { user: SESSION.user, accessToken: 'new-access', refreshToken: 'new-refresh' } });
+    const { result } = renderAuth();
+
+    let response;
+    await act(async () => {
+      response = await result.current.authRequest({ method: 'GET', url: '/api/tasks' });
+    });
+
+    expect(response.data).toBe('ok');
+    expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/api/auth/refresh'), { refreshToken: 'old-refresh' });
+    expect(axios.mock.calls.map(bearerOf)).toEqual(['Bearer old-access', 'Bearer new-access']);
+    expect(JSON.parse(window.localStorage.getItem('gonimbly.session'))).toMatchObject({ accessToken: 'new-access', refreshToken: 'new-refresh' });
+  });
+
+  test('does not retry a second time when the new token is refused too', async () => {
+    axios.mockRejectedValueOnce(failure(401)).mockRejectedValueOnce(failure(401));
+    axios.post.mockResolvedValueOnce({ data: { user: SESSION.user, accessToken: 'new-access', refreshToken: 'new-refresh' } });
+    const { result } = renderAuth();
+
+    await act(async () => {
+      await expect(result.current.authRequest({ method: 'GET', url: '/api/tasks' })).rejects.toMatchObject({ response: { status: 401 } });
+    });
+
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('drops the session when the refresh fails', async () => {
+    axios.mockRejectedValueOnce(failure(401));
+    axios.post.mockRejectedValueOnce(failure(401));
+    const { result } = renderAuth();
+
+    await act(async () => {
+      await expect(result.current.authRequest({ method: 'GET', url: '/api/tasks' })).rejects.toMatchObject({ response: { status: 401 } });
+    });
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(result.current.isAuthenticated).toBe(false);
+    expect(window.localStorage.getItem('gonimbly.session')).toBeNull();
+  });
+
+  test('leaves other errors alone', async () => {
+    axios.mockRejectedValueOnce(failure(500));
+    const { result } = renderAuth();
+
+    await act(async () => {
+      await expect(result.current.authRequest({ method: 'GET', url: '/api/tasks' })).rejects.toMatchObject({ response: { status: 500 } });
+    });
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(result.current.isAuthenticated).toBe(true);
+  });
+
+  test('concurrent 401s share one refresh', async () => {
+    axios.mockRejectedValueOnce(failure(401)).mockRejectedValueOnce(failure(401)).mockResolvedValue({ data: 'ok' });
+    axios.post.mockResolvedValueOnce({ data: { user: SESSION.user, accessToken: 'new-access', refreshToken: 'new-refresh' } });
+    const { result } = renderAuth();
+
+    await act(async () => {
+      await Promise.all([
+        result.current.authRequest({ method: 'GET', url: '/api/tasks' }),
+        result.current.authRequest({ method: 'GET', url: '/api/stats' })
+      ]);
+    });
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.mock.calls.slice(2).map(bearerOf)).toEqual(['Bearer new-access', 'Bearer new-access']);
+  });
+});
@@ -1,7 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect, useCallback, useState, useMemo } from 'react';
-import axios from 'axios';
 import toast from 'react-hot-toast';
 import API_BASE_URL from '../config/api';
+import { useAuth } from './AuthContext';
 
 // Create context - because apparently we need to share state
 const TaskContext = createContext();
@@ -15,7 +15,10 @@ const initialState = {
     status: '',
     priority: '',
     search: '',
-    tags: []
+    tags: [],
+    assignee: '',
+    // 'true' to list archived tasks along with the rest
+    includeArchived: ''
   },
   pagination: {
     page: 1,
@@ -35,6 +38,7 @@ const TASK_ACTIONS = {
   ADD_TASK: 'ADD_TASK',
   UPDATE_TASK: 'UPDATE_TASK',
   DELETE_TASK: 'DELETE_TASK',
+  ARCHIVE_TASK: 'ARCHIVE_TASK',
   SET_FILTERS: 'SET_FILTERS',
   SET_PAGINATION: 'SET_PAGINATION',
   SET_SORT: 'SET_SORT',
@@ -94,6 +98,13 @@ const taskReducer = (state, action) => {
         }
       };
     
+    // An archived task leaves the list unless the list shows archived tasks too
+    case TASK_ACTIONS.ARCHIVE_TASK:
+      if (action.payload.archivedAt && !state.filters.includeArchived) {
+        return taskReducer(state, { type: TASK_ACTIONS.DELETE_TASK, payload: action.payload.id });
+      }
+      return taskReducer(state, { type: TASK_ACTIONS.UPDATE_TASK, payload: action.payload });
+    
     case TASK_ACTIONS.SET_FILTERS:
       return {
         ...state,
@@ -128,6 +139,7 @@ const taskReducer = (state, action) => {
 // Task provider component - because apparently we need to wrap our app
 export const TaskProvider = ({ children }) => {
   const [state, dispatch] = useReducer(taskReducer, initialState);
+  const { authRequest, workspaceId } = useAuth();
   const [hasInitialized, setHasInitialized] = useState(false);
   const lastFetchKeyRef = React.useRef('');
 
@@ -141,6 +153,8 @@ export const TaskProvider = ({ children }) => {
 
 
   // Helper function to make API calls - because apparently we need to handle HTTP requests
+  // authRequest attaches the access token; a 401 it can't refresh away ends the session,
+  // which sends the user to the login screen
   const apiCall = useCallback(async (method, endpoint, data = null) => {
     try {
       dispatch({ type: TASK_ACTIONS.SET_LOADING, payload: true });
@@ -157,16 +171,20 @@ export const TaskProvider = ({ children }) => {
         config.data = data;
       }
 
-      const response = await axios(config);
+      const response = await authRequest(config);
       return response.data;
     } catch (error) {
       const errorMessage = error.response?.data?.error || error.message || 'Something went wrong';
       dispatch({ type: TASK_ACTIONS.SET_ERROR, payload: errorMessage });
-      throw new Error(errorMessage);
+      // Keep the status and the server's detail around - callers need them to tell a conflict from a failure
+      const apiError = new Error(errorMessage);
+      apiError.status = error.response?.status;
+      apiError.detail = error.response?.data?.message;
+      throw apiError;
     } finally {
       dispatch({ type: TASK_ACTIONS.SET_LOADING, payload: false });
     }
-  }, []);
+  }, [authRequest]);
 
   // Fetch tasks with filters and pagination - because apparently we need to get data
   const fetchTasks = useCallback(async (filters = {}, pagination = {}) => {
@@ -206,43 +224,93 @@ export const TaskProvider = ({ children }) => {
     }
   }, [state.sortBy, state.sortOrder, apiCall]);
 
+  // Save a change the server may refuse with a 409 it can be talked out of (a blocked task, a full column) -
+  // the user gets asked once, and saying yes retries with override=true
+  const saveWithOverride = useCallback(async (save, options = {}) => {
+    try {
+      return await save(options.override);
+    } catch (error) {
+      if (error.status !== 409 || options.override || !window.confirm(`${error.detail || error.message}\n\nDo it anyway?`)) {
+        throw error;
+      }
+      return save(true);
+    }
+  }, []);
+
   // Create new task - because apparently we need to add things
-  const createTask = useCallback(async (taskData) => {
+  const createTask = useCallback(async (taskData, options = {}) => {
     try {
-      const newTask = await apiCall('POST', '/api/tasks', taskData);
+      const newTask = await saveWithOverride(
+        (override) => apiCall('POST', `/api/tasks${override ? '?override=true' : ''}`, taskData),
+        options
+      );
       dispatch({ type: TASK_ACTIONS.ADD_TASK, payload: newTask });
       toast.success('Task created successfully');
       return newTask;
     } catch (error) {
       console.error('Error creating task:', error);
-      toast.error('Failed to create task');
+      toast.error(error.status === 409 ? error.message : 'Failed to create task');
       throw error;
     }
-  }, [apiCall]);
+  }, [apiCall, saveWithOverride]);
+
+  // Put a saved task into the list - completing a recurring task hands back the occurrence it queued up
+  const storeSavedTask = useCallback((savedTask) => {
+    dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: savedTask });
+
+    if (savedTask.nextOccurrence) {
+      dispatch({ type: TASK_ACTIONS.ADD_TASK, payload: savedTask.nextOccurrence });
+      toast.success(`Next occurrence due ${new Date(savedTask.nextOccurrence.dueDate).toLocaleDateString()}`);
+    }
+  }, []);
 
   // Update existing task - because apparently we need to change things
-  const updateTask = useCallback(async (id, updateData) => {
+  const updateTask = useCallback(async (id, updateData, options = {}) => {
     try {
-      const updatedTask = await apiCall('PUT', `/api/tasks/${id}`, updateData);
-      dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: updatedTask });
+      const updatedTask = await saveWithOverride(
+        (override) => apiCall('PUT', `/api/tasks/${id}${override ? '?override=true' : ''}`, updateData),
+        options
+      );
+
       toast.success('Task updated successfully');
+      storeSavedTask(updatedTask);
       return updatedTask;
     } catch (error) {
       console.error('Error updating task:', error);
-      toast.error('Failed to update task');
+      toast.error(error.status === 409 ? error.message : 'Failed to update task');
       throw error;
     }
-  }, [apiCall]);
+  }, [apiCall, saveWithOverride, storeSavedTask]);
+
+  // Move a task on the board - new status and position in one request. `move` is
+  // { status, previousId, nextId }: the cards right above and below the drop spot.
+  const moveTask = useCallback(async (id, move, options = {}) => {
+    try {
+      const movedTask = await saveWithOverride(
+        (override) => apiCall('POST', `/api/tasks/${id}/move${override ? '?override=true' : ''}`, move),
+        options
+      );
+
+      storeSavedTask(movedTask);
+      return movedTask;
+    } catch (error) {
+      console.error('Error moving task:', error);
+      toast.error(error.status === 409 ? error.message : 'Failed to move task');
+      throw error;
+    }
+  }, [apiCall, saveWithOverride, storeSavedTask]);
 
   // Delete task - because apparently we need to remove things
-  const deleteTask = useCallback(async (id) => {
+  // Pass { cascade: true } to take its subtasks along; without it the server refuses a task that has any
+  // Deleting only moves a task to the trash - { quiet: true } leaves the toasts to the caller
+  const deleteTask = useCallback(async (id, options = {}) => {
     try {
-      await apiCall('DELETE', `/api/tasks/${id}`);
+      await apiCall('DELETE', `/api/tasks/${id}${options.cascade ? '?cascade=true' : ''}`);
       dispatch({ type: TASK_ACTIONS.DELETE_TASK, payload: id });
-      toast.success('Task deleted successfully');
+      if (!options.quiet) toast.success('Task moved to the trash');
     } catch (error) {
       console.error('Error deleting task:', error);
-      toast.error('Failed to delete task');
+      if (!options.quiet) toast.error(error.detail || 'Failed to delete task');
       throw error;
     }
   }, [apiCall]);
@@ -259,6 +327,236 @@ export const TaskProvider = ({ children }) => {
     }
   }, [apiCall]);
 
+  // Get a task's direct subtasks - because apparently big tasks come in pieces
+  const getSubtasks = useCallback(async (id) => {
+    try {
+      const result = await apiCall('GET', `/api/tasks/${id}/subtasks`);
+      return result.tasks;
+    } catch (error) {
+      console.error('Error fetching subtasks:', error);
+      toast.error('Failed to fetch subtasks');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Get the next few due dates of a recurring task - because apparently people plan ahead
+  const getOccurrences = useCallback(async (id, count = 5) => {
+    try {
+      return await apiCall('GET', `/api/tasks/${id}/occurrences?count=${count}`);
+    } catch (error) {
+      console.error('Error fetching occurrences:', error);
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Look tasks up without touching the list on screen - for pickers that need a few to choose from
+  const findTasks = useCallback(async (params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    const result = await apiCall('GET', `/api/tasks?${queryParams.toString()}`);
+    return result.tasks;
+  }, [apiCall]);
+
+  // Load the Kanban board, or one more page of a column - straight through authRequest, so it neither
+  // replaces the task list on screen nor flips the global loading flag. `params` are the board's own
+  // filters plus `status`, `after` (the rank of the last card loaded) and `limit`.
+  const fetchBoard = useCallback(async (params = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    const response = await authRequest({ method: 'GET', url: `${API_BASE_URL}/api/tasks/board?${queryParams.toString()}` });
+    return response.data;
+  }, [authRequest]);
+
+  // Every task matching `params`, not just a page of them - for the calendar and the timeline, which
+  // need a whole date range. Goes page by page through authRequest, like fetchBoard, leaving the task list alone.
+  const fetchAllTasks = useCallback(async (params = {}) => {
+    const tasks = [];
+    let page = 1;
+    let hasNext = true;
+
+    while (hasNext) {
+      const queryParams = new URLSearchParams({ ...params, limit: 100, page });
+      const response = await authRequest({ method: 'GET', url: `${API_BASE_URL}/api/tasks?${queryParams.toString()}` });
+      tasks.push(...response.data.tasks);
+      hasNext = response.data.pagination.hasNext;
+      page += 1;
+    }
+
+    return tasks;
+  }, [authRequest]);
+
+  // Get what a task is blocked by and what it blocks - because apparently order matters
+  const getDependencies = useCallback(async (id) => {
+    try {
+      return await apiCall('GET', `/api/tasks/${id}/dependencies`);
+    } catch (error) {
+      console.error('Error fetching dependencies:', error);
+      toast.error('Failed to fetch dependencies');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Who changed what on a task, newest first - because apparently someone always asks
+  const getTaskHistory = useCallback(async (id) => {
+    try {
+      const result = await apiCall('GET', `/api/tasks/${id}/history`);
+      return result.history;
+    } catch (error) {
+      console.error('Error fetching task history:', error);
+      toast.error('Failed to fetch task history');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // A task's comment thread, oldest first - because apparently tasks need discussing
+  const getComments = useCallback(async (taskId) => {
+    try {
+      const result = await apiCall('GET', `/api/tasks/${taskId}/comments`);
+      return result.comments;
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      toast.error('Failed to fetch comments');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Post a comment - the server works out who it @mentions
+  const addComment = useCallback(async (taskId, body) => {
+    try {
+      return await apiCall('POST', `/api/tasks/${taskId}/comments`, { body });
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      toast.error(error.detail || 'Failed to add comment');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Edit one of your own comments
+  const updateComment = useCallback(async (taskId, commentId, body) => {
+    try {
+      return await apiCall('PATCH', `/api/tasks/${taskId}/comments/${commentId}`, { body });
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      toast.error(error.detail || 'Failed to update comment');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Delete a comment - yours, or anyone's if you moderate the workspace
+  const deleteComment = useCallback(async (taskId, commentId) => {
+    try {
+      await apiCall('DELETE', `/api/tasks/${taskId}/comments/${commentId}`);
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      toast.error(error.detail || 'Failed to delete comment');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Put a task away - out of the lists and off the board, still in the stats.
+  // { quiet: true } leaves the toasts to the caller.
+  const archiveTask = useCallback(async (id, options = {}) => {
+    try {
+      const archived = await apiCall('POST', `/api/tasks/${id}/archive`);
+      dispatch({ type: TASK_ACTIONS.ARCHIVE_TASK, payload: archived });
+      if (!options.quiet) toast.success('Task archived');
+      return archived;
+    } catch (error) {
+      console.error('Error archiving task:', error);
+      if (!options.quiet) toast.error(error.detail || 'Failed to archive task');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Bring an archived task back into the lists - its column may be full
+  const unarchiveTask = useCallback(async (id, options = {}) => {
+    try {
+      const unarchived = await saveWithOverride(
+        (override) => apiCall('POST', `/api/tasks/${id}/unarchive${override ? '?override=true' : ''}`),
+        options
+      );
+      dispatch({ type: TASK_ACTIONS.ARCHIVE_TASK, payload: unarchived });
+      toast.success('Task unarchived');
+      return unarchived;
+    } catch (error) {
+      console.error('Error unarchiving task:', error);
+      toast.error(error.status === 409 ? error.message : error.detail || 'Failed to unarchive task');
+      throw error;
+    }
+  }, [apiCall, saveWithOverride]);
+
+  // One page of archived tasks, most recently archived first - leaves the task list on screen alone
+  const getArchive = useCallback(async (page = 1, search = '') => {
+    try {
+      const queryParams = new URLSearchParams({ archived: 'true', sortBy: 'archivedAt', sortOrder: 'desc', page, limit: 20 });
+      if (search) queryParams.append('search', search);
+      return await apiCall('GET', `/api/tasks?${queryParams.toString()}`);
+    } catch (error) {
+      console.error('Error fetching archive:', error);
+      toast.error('Failed to fetch the archive');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // One page of the trash, most recently deleted first - because apparently "delete" should mean "probably"
+  const getTrash = useCallback(async (page = 1) => {
+    try {
+      return await apiCall('GET', `/api/tasks/trash?page=${page}&limit=20`);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      toast.error('Failed to fetch the trash');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Take a task back out of the trash - the subtasks deleted with it come along, if their columns have room
+  const restoreTask = useCallback(async (id, options = {}) => {
+    try {
+      const restored = await saveWithOverride(
+        (override) => apiCall('POST', `/api/tasks/${id}/restore${override ? '?override=true' : ''}`),
+        options
+      );
+      toast.success(restored.restoredSubtasks > 0
+        ? `Task and ${restored.restoredSubtasks} subtask(s) restored`
+        : 'Task restored');
+      return restored;
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      toast.error(error.status === 409 ? error.message : error.detail || 'Failed to restore task');
+      throw error;
+    }
+  }, [apiCall, saveWithOverride]);
+
+  // Delete a task in the trash for good - no undo for this one
+  const purgeTask = useCallback(async (id) => {
+    try {
+      const result = await apiCall('DELETE', `/api/tasks/trash/${id}`);
+      toast.success('Task deleted for good');
+      return result;
+    } catch (error) {
+      console.error('Error purging task:', error);
+      toast.error(error.detail || 'Failed to delete task for good');
+      throw error;
+    }
+  }, [apiCall]);
+
+  // Delete everything in the trash for good
+  const emptyTrash = useCallback(async () => {
+    try {
+      const result = await apiCall('DELETE', '/api/tasks/trash');
+      toast.success(`Trash emptied - ${result.purged} task(s) deleted for good`);
+      return result;
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      toast.error(error.detail || 'Failed to empty the trash');
+      throw error;
+    }
+  }, [apiCall]);
+
   // Update filters - because apparently we need to filter things
   const updateFilters = useCallback((newFilters) => {
     console.log('TaskContext: Updating filters:', newFilters);
@@ -279,9 +577,10 @@ export const TaskProvider = ({ children }) => {
   const clearError = useCallback(() => {
     dispatch({ type: TASK_ACTIONS.CLEAR_ERROR });
   }, []);
-    // Fetch tasks when filters, pagination, or sorting changes - guard against unnecessary repeats
+    // Fetch tasks when filters, pagination, sorting or the workspace changes - guard against unnecessary repeats
     useEffect(() => {
       const fetchKey = JSON.stringify({
+        workspaceId,
         filters: state.filters,
         page: stablePagination.page,
         limit: stablePagination.limit,
@@ -300,7 +599,7 @@ export const TaskProvider = ({ children }) => {
         lastFetchKeyRef.current = fetchKey;
         fetchTasks(state.filters, stablePagination);
       }
-    }, [state.filters, stablePagination, state.sortBy, state.sortOrder, fetchTasks, hasInitialized]);
+    }, [workspaceId, state.filters, stablePagination, state.sortBy, state.sortOrder, fetchTasks, hasInitialized]);
   
 
   // Context value - because apparently we need to provide something
@@ -309,8 +608,27 @@ export const TaskProvider = ({ children }) => {
     fetchTasks,
     createTask,
     updateTask,
+    moveTask,
     deleteTask,
     getTaskById,
+    getSubtasks,
+    getDependencies,
+    findTasks,
+    fetchBoard,
+    fetchAllTasks,
+    getOccurrences,
+    getTaskHistory,
+    getComments,
+    addComment,
+    updateComment,
+    deleteComment,
+    archiveTask,
+    unarchiveTask,
+    getArchive,
+    getTrash,
+    restoreTask,
+    purgeTask,
+    emptyTrash,
     updateFilters,
     updatePagination,
     updateSort,
@@ -0,0 +1,202 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import API_BASE_URL from '../config/api';
+import { useAuth } from './AuthContext';
+
+// Create context - because apparently tasks now live in more than one place
+const WorkspaceContext = createContext();
+
+// What the board shows until the workspace's own workflow arrives - the server's default one
+const DEFAULT_STATUSES = [
+  { key: 'todo', name: 'To Do', category: 'not_started', wipLimit: null, wipEnforced: false },
+  { key: 'in_progress', name: 'In Progress', category: 'active', wipLimit: null, wipEnforced: false },
+  { key: 'completed', name: 'Done', category: 'done', wipLimit: null, wipEnforced: false }
+];
+
+// Workspace provider - knows which workspaces the user belongs to and what they may do in each
+export const WorkspaceProvider = ({ children }) => {
+  const { authRequest, workspaceId, setWorkspaceId } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [members, setMembers] = useState([]);
+  const [workflow, setWorkflow] = useState(null);
+
+  // Every workspace the user belongs to, with their role and permissions in each
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      const response = await authRequest({ method: 'GET', url: `${API_BASE_URL}/api/workspaces` });
+      setWorkspaces(response.data.workspaces);
+      return response.data.workspaces;
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+      toast.error('Failed to load workspaces');
+      return [];
+    } finally {
+      setLoaded(true);
+    }
+  }, [authRequest]);
+
+  useEffect(() => {
+    if (!loaded) {
+      loadWorkspaces();
+    }
+  }, [loaded, loadWorkspaces]);
+
+  // A remembered workspace the user has since left (or never had) falls back to the personal one
+  useEffect(() => {
+    if (loaded && workspaces.length > 0 && !workspaces.some(workspace => workspace.id === workspaceId)) {
+      setWorkspaceId(workspaces[0].id);
+    }
+  }, [loaded, workspaces, workspaceId, setWorkspaceId]);
+
+  const currentWorkspace = workspaces.find(workspace => workspace.id === workspaceId) || null;
+  const currentWorkspaceId = currentWorkspace ? currentWorkspace.id : null;
+
+  // Members of the current workspace - who tasks can be assigned to, and whose avatar is whose
+  useEffect(() => {
+    if (!currentWorkspaceId) return undefined;
+
+    let cancelled = false;
+    authRequest({ method: 'GET', url: `${API_BASE_URL}/api/workspaces/${currentWorkspaceId}` })
+      .then(response => {
+        if (!cancelled) setMembers(response.data.members);
+      })
+      .catch(error => {
+        console.error('Error loading workspace members:', error);
+        if (!cancelled) setMembers([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentWorkspaceId, authRequest]);
+
+  // The current workspace's workflow - which statuses exist, in which order, and the moves between them
+  useEffect(() => {
+    if (!currentWorkspaceId) return undefined;
+
+    let cancelled = false;
+    authRequest({ method: 'GET', url: `${API_BASE_URL}/api/workflow` })
+      .then(response => {
+        if (!cancelled) setWorkflow(response.data);
+      })
+      .catch(error => {
+        console.error('Error loading workflow:', error);
+        if (!cancelled) setWorkflow(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentWorkspaceId, authRequest]);
+
+  const statuses = workflow ? workflow.statuses : DEFAULT_STATUSES;
+
+  // A status by key - ones the workflow no longer lists still get a readable name
+  const getStatus = useCallback((key) => (
+    statuses.find(status => status.key === key) ||
+      { key, name: (key || '').replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()), category: 'not_started' }
+  ), [statuses]);
+
+  // The first status of a category in workflow order - "where does Mark Complete go?"
+  const firstStatusIn = useCallback((category) => (
+    statuses.find(status => status.category === category) || null
+  ), [statuses]);
+
+  // Mirrors the server's rule: no transition map, or nothing listed for this status, means anything goes
+  const canTransition = useCallback((from, to) => {
+    const transitions = workflow ? workflow.transitions : null;
+    if (from === to || !transitions || !transitions[from]) return true;
+    return transitions[from].includes(to);
+  }, [workflow]);
+
+  const getMember = useCallback((userId) => (
+    members.find(member => member.userId === userId) || null
+  ), [members]);
+
+  // Switch boards - every task request from here on is for the new workspace
+  const switchWorkspace = useCallback((id) => {
+    setWorkspaceId(id);
+  }, [setWorkspaceId]);
+
+  // Create a team workspace and move straight into it
+  const createWorkspace = useCallback(async (name) => {
+    try {
+      const response = await authRequest({
+        method: 'POST',
+        url: `${API_BASE_URL}/api/workspaces`,
+        data: { name }
+      });
+      await loadWorkspaces();
+      setWorkspaceId(response.data.id);
+      toast.success('Workspace created');
+      return response.data;
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      toast.error(error.response?.data?.message || 'Failed to create workspace');
+      throw error;
+    }
+  }, [authRequest, loadWorkspaces, setWorkspaceId]);
+
+  // Replace the workflow (owners only) - { statuses, transitions }, same shape the server hands out
+  const saveWorkflow = useCallback(async (data) => {
+    try {
+      const response = await authRequest({
+        method: 'PUT',
+        url: `${API_BASE_URL}/api/workflow`,
+        data: { statuses: data.statuses, transitions: data.transitions }
+      });
+      setWorkflow(response.data);
+      toast.success('Workflow saved');
+      return response.data;
+    } catch (error) {
+      console.error('Error saving workflow:', error);
+      toast.error(error.response?.data?.message || 'Failed to save workflow');
+      throw error;
+    }
+  }, [authRequest]);
+
+  // Can the user do this in the current workspace? Mirrors the server's role table,
+  // so buttons are hidden rather than failing with a 403
+  const can = useCallback((action) => (
+    Boolean(currentWorkspace && currentWorkspace.permissions.includes(action))
+  ), [currentWorkspace]);
+
+  const value = {
+    workspaces,
+    currentWorkspace,
+    members,
+    getMember,
+    workflow,
+    statuses,
+    getStatus,
+    firstStatusIn,
+    canTransition,
+    saveWorkflow,
+    switchWorkspace,
+    createWorkspace,
+    refreshWorkspaces: loadWorkspaces,
+    can
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {/* Hold the board until we know which workspace it's for - saves a fetch against a stale one */}
+      {loaded && (currentWorkspace || workspaces.length === 0) ? children : (
+        <div className="workspace-loading">
+          <div className="loading-spinner"></div>
+          <p>Loading workspace...</p>
+        </div>
+      )}
+    </WorkspaceContext.Provider>
+  );
+};
+
+// Custom hook to use workspace context - because apparently we need to access context
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};